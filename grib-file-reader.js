@@ -0,0 +1,223 @@
+/**
+ * GRIB v2 File Reader for Node.js
+ * Reads GRIB2 files through a file descriptor with positioned reads, without loading
+ * the whole file: parse() reads the message headers only, data sections are read and
+ * unpacked when their values are requested.
+ */
+
+const fs = require('fs');
+const GribReader = require('./grib-reader.js');
+
+const { GribFormatError, GribTruncatedError } = GribReader;
+
+// Bytes read at a time when looking for the next "GRIB" signature
+const SCAN_BLOCK_SIZE = 65536;
+
+class GribFileReader extends GribReader {
+  /**
+   * @param {String|Number} file - Path of the GRIB2 file, or an open file descriptor (left open by close())
+   * @param {Object} options - Reader options, like GribReader (missingValue, parameterTables, lazy, cacheSize, strict)
+   */
+  constructor(file, options = {}) {
+    super(new ArrayBuffer(0), options);
+    this.ownsFileDescriptor = typeof file !== 'number';
+    this.fd = this.ownsFileDescriptor ? fs.openSync(file, 'r') : file;
+    this.fileSize = fs.fstatSync(this.fd).size;
+    this.pendingDataSection = null;
+  }
+
+  /**
+   * Scan the file for messages using the Section 0 total length
+   * Sections 0 to 6 of each message are read and decoded, Section 7 is only located.
+   * Damaged parts are skipped and recorded like GribReader.parse() (errors, warnings, strict).
+   * @returns {Array} Array of parsed GRIB messages (header only until values are requested)
+   */
+  parse() {
+    if (this.fd === null) {
+      throw new Error('File is closed');
+    }
+    return super.parse();
+  }
+
+  getSourceLength() {
+    return this.fileSize;
+  }
+
+  /**
+   * Offset of the next "GRIB" signature in the file, read block by block
+   */
+  findSignature(position) {
+    while (position + 4 <= this.fileSize) {
+      const block = this.readBytes(position, Math.min(SCAN_BLOCK_SIZE, this.fileSize - position));
+      for (let i = 0; i + 4 <= block.length; i++) {
+        if (block[i] === 0x47 && block[i + 1] === 0x52 && block[i + 2] === 0x49 && block[i + 3] === 0x42) {
+          return position + i;
+        }
+      }
+      if (position + block.length >= this.fileSize) break;
+      position += block.length - 3; // A signature may straddle two blocks
+    }
+    return -1;
+  }
+
+  /**
+   * Read and parse the headers of the message starting at a file position
+   * The sections before Section 7 are copied into a small buffer, followed by an empty
+   * Section 7 and the end section, and parsed like an in-memory message.
+   *
+   * @param {Number} position - File offset of the message ("GRIB")
+   * @returns {Object} Parsed message, with offset (file position) and the real totalLength
+   */
+  readMessage(position) {
+    if (position + 16 > this.fileSize) {
+      throw new GribTruncatedError(`Truncated message at offset ${position}: ${this.fileSize - position} bytes left for the 16-byte indicator section`, { offset: position });
+    }
+    const indicator = this.readBytes(position, 16);
+    const signature = String.fromCharCode(indicator[0], indicator[1], indicator[2], indicator[3]);
+    if (signature !== 'GRIB') {
+      throw new GribFormatError(`Invalid GRIB file: signature not found at offset ${position}`, { code: 'INVALID_SIGNATURE', offset: position });
+    }
+    if (indicator[7] !== 2) {
+      throw new GribFormatError(`Unsupported GRIB edition ${indicator[7]} at offset ${position}`, { code: 'UNSUPPORTED_EDITION', offset: position });
+    }
+
+    const indicatorView = new DataView(indicator.buffer);
+    const totalLength = indicatorView.getUint32(8) * 0x100000000 + indicatorView.getUint32(12);
+    const end = position + totalLength;
+    if (end > this.fileSize) {
+      throw new GribTruncatedError(`Truncated message at offset ${position}: ${totalLength} bytes declared, ${this.fileSize - position} available`, { offset: position });
+    }
+    const endSection = totalLength >= 16 + 4 ? this.readBytes(end - 4, 4) : null;
+    if (!endSection || String.fromCharCode(...endSection) !== '7777') {
+      throw new GribFormatError(`Missing end section "7777" at offset ${end - 4} (message at offset ${position}, total length ${totalLength})`, { code: 'MISSING_END_SECTION', offset: position });
+    }
+    // Errors from here on are inside a well delimited message: parse() continues after it
+    this.messageEnd = end;
+
+    const sections = [indicator];
+    let dataSection = null;
+    let sectionOffset = position + 16;
+
+    while (sectionOffset + 4 <= end) {
+      const header = this.readBytes(sectionOffset, Math.min(5, end - sectionOffset));
+      if (String.fromCharCode(header[0], header[1], header[2], header[3]) === '7777') {
+        if (sectionOffset !== end - 4) {
+          throw new GribFormatError(`End section at offset ${sectionOffset} of the message at offset ${position}, expected at ${end - 4}`, { code: 'INVALID_SECTION_LENGTH', offset: position });
+        }
+        break;
+      }
+
+      const length = new DataView(header.buffer).getUint32(0);
+      if (length < 5 || sectionOffset + length > end - 4) {
+        throw new GribFormatError(`Section at offset ${sectionOffset} has length ${length}, beyond the total length of the message at offset ${position}`, { code: 'INVALID_SECTION_LENGTH', offset: position });
+      }
+
+      if (header[4] === 7) {
+        // Data section: located only, read on request
+        dataSection = { offset: sectionOffset, length };
+      } else {
+        sections.push(this.readBytes(sectionOffset, length));
+      }
+      sectionOffset += length;
+    }
+
+    if (dataSection) {
+      sections.push(Uint8Array.from([0, 0, 0, 5, 7]));
+    }
+    sections.push(Uint8Array.from([55, 55, 55, 55])); // "7777"
+
+    // Header buffer with its own total length
+    const size = sections.reduce((sum, section) => sum + section.length, 0);
+    const headers = new Uint8Array(size);
+    let offset = 0;
+    sections.forEach(section => {
+      headers.set(section, offset);
+      offset += section.length;
+    });
+    const headersView = new DataView(headers.buffer);
+    headersView.setUint32(8, 0);
+    headersView.setUint32(12, size);
+
+    this.buffer = headers.buffer;
+    this.view = headersView;
+    this.offset = 0;
+    this.messageOffset = position;
+    this.pendingDataSection = dataSection;
+
+    const message = this.parseMessage();
+    message.offset = position;
+    message.totalLength = totalLength;
+    return message;
+  }
+
+  /**
+   * Section 7: Data Section, read from the file when its values are requested
+   * section7.dataOffset is the file position of the packed values.
+   */
+  parseSection7(section5, section6, section3) {
+    const { offset, length } = this.pendingDataSection;
+
+    const section7 = {
+      length,
+      dataOffset: offset + 5,
+      hasData: false,
+      data: null
+    };
+
+    if (this.canDecode(section5)) {
+      this.attachData(section7, () => {
+        const packed = this.readBytes(section7.dataOffset, length - 5);
+        const decoder = new GribReader(packed.buffer, { missingValue: this.missingValue, strict: true });
+        return decoder.decodeSection7(0, packed.length, section5, section6, section3);
+      }, section3 ? section3.numberOfDataPoints : section5.numberOfDataPoints);
+    } else {
+      // Raw data of unsupported templates, read on access
+      Object.defineProperty(section7, 'rawData', {
+        get: () => this.readBytes(section7.dataOffset, length - 5),
+        enumerable: true,
+        configurable: true
+      });
+    }
+
+    // Skip the empty Section 7 of the header buffer
+    this.offset += this.view.getUint32(this.offset);
+    return section7;
+  }
+
+  /**
+   * Positioned read
+   *
+   * @param {Number} position - File offset
+   * @param {Number} length - Number of bytes
+   * @returns {Uint8Array} Bytes read (own ArrayBuffer)
+   */
+  readBytes(position, length) {
+    if (this.fd === null) {
+      throw new Error('File is closed');
+    }
+
+    const bytes = new Uint8Array(length);
+    let read = 0;
+    while (read < length) {
+      const count = fs.readSync(this.fd, bytes, read, length - read, position + read);
+      if (count === 0) {
+        throw new GribTruncatedError(`Unexpected end of file at offset ${position + read}`, { offset: position });
+      }
+      read += count;
+    }
+    return bytes;
+  }
+
+  /**
+   * Close the file (only when the reader opened it from a path)
+   * Values that were not decoded before closing can no longer be read.
+   */
+  close() {
+    if (this.fd !== null && this.ownsFileDescriptor) {
+      fs.closeSync(this.fd);
+    }
+    this.fd = null;
+  }
+}
+
+module.exports = GribFileReader;
@@ -4,36 +4,345 @@
  */
 
 class GribReader {
-  constructor(arrayBuffer) {
+  /**
+   * @param {ArrayBuffer} arrayBuffer - Raw GRIB2 file content
+   * @param {Object} options - Reader options
+   * @param {Number} options.missingValue - Value stored for grid points masked by the bitmap (default: NaN)
+   * @param {Array<Object|String>} options.parameterTables - Parameter tables used by this reader only, searched before the
+   *   process-wide ones of registerParameterTable() (first table wins)
+   * @param {Boolean} options.lazy - If true (default), parse() only indexes the messages and values are unpacked when requested
+   * @param {Number} options.cacheSize - Maximum number of decoded fields kept in lazy mode, least recently used released first (default: Infinity, 0 = no cache)
+   * @param {Boolean} options.strict - If true, throw a typed error (GribFormatError, GribTruncatedError, GribDecodeError) on the first problem
+   *   instead of skipping the damaged part and recording it in reader.errors / reader.warnings (default: false)
+   */
+  constructor(arrayBuffer, options = {}) {
     this.buffer = arrayBuffer;
     this.view = new DataView(arrayBuffer);
     this.offset = 0;
     this.messages = [];
+    this.missingValue = options.missingValue !== undefined ? options.missingValue : NaN;
+    this.previousBitmap = null;
+    this.parameterTables = (options.parameterTables || []).map(normalizeParameterTable);
+    this.lazy = options.lazy !== false;
+    this.cacheSize = options.cacheSize !== undefined ? options.cacheSize : Infinity;
+    this.dataCache = new Map();  // section7 -> decoded values, in least to most recently used order
+    this.strict = options.strict === true;
+    this.errors = [];    // { code, message, offset, messageIndex } of damaged messages and undecodable fields
+    this.warnings = [];  // { code, message, offset, messageIndex } of skipped non-GRIB bytes
+    this.messageEnd = null;  // End of the message being parsed, once its length and end section are checked
+    this.messageOffset = 0;  // Offset of the message being read (see readMessage), given to errors found when unpacking its values
   }
 
   /**
    * Parse the entire GRIB file
+   * Bytes outside messages (WMO bulletin headers, padding, CRLF) are skipped by resynchronizing on the
+   * next "GRIB" signature; damaged or truncated messages are skipped too. Both are recorded in
+   * this.warnings and this.errors, unless options.strict is set (typed error thrown instead).
    * @returns {Array} Array of parsed GRIB messages
    */
   parse() {
     this.offset = 0;
     this.messages = [];
+    this.previousBitmap = null;
+    this.dataCache.clear();
+    this.errors = [];
+    this.warnings = [];
+
+    const sourceLength = this.getSourceLength();
+    let position = 0;
+
+    while (position < sourceLength) {
+      const start = this.findSignature(position);
+      if (start !== position) {
+        const end = start === -1 ? sourceLength : start;
+        this.reportIssue(this.warnings, new GribFormatError(
+          this.strict
+            ? `Invalid GRIB file: signature not found at offset ${position}`
+            : `Skipped ${end - position} bytes of non-GRIB data at offset ${position}`,
+          { code: this.strict ? 'INVALID_SIGNATURE' : 'SKIPPED_BYTES', offset: position }
+        ));
+        if (start === -1) break;
+      }
 
-    while (this.offset < this.buffer.byteLength) {
+      this.messageEnd = null;
       try {
-        const message = this.parseMessage();
-        if (message) {
-          this.messages.push(message);
-        }
+        const message = this.readMessage(start);
+        this.messages.push(message);
+        position = start + message.totalLength;
       } catch (error) {
-        console.error('Error parsing message:', error);
-        break;
+        this.reportIssue(this.errors, this.toGribError(error, start));
+        // Inside a well delimited message: go to the next one, otherwise look for a signature further on
+        position = this.messageEnd !== null ? this.messageEnd : start + 4;
       }
     }
 
     return this.messages;
   }
 
+  /**
+   * Size of the data to parse in bytes
+   */
+  getSourceLength() {
+    return this.buffer.byteLength;
+  }
+
+  /**
+   * Offset of the next "GRIB" signature
+   * @param {Number} position - Offset where the search starts
+   * @returns {Number} Offset of the signature, or -1 if there is none
+   */
+  findSignature(position) {
+    const bytes = new Uint8Array(this.buffer);
+    for (let i = position; i + 4 <= bytes.length; i++) {
+      if (bytes[i] === 0x47 && bytes[i + 1] === 0x52 && bytes[i + 2] === 0x49 && bytes[i + 3] === 0x42) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Parse the message starting at an offset
+   * @param {Number} position - Offset of the "GRIB" signature
+   * @returns {Object} Parsed message
+   */
+  readMessage(position) {
+    this.offset = position;
+    this.messageOffset = position;
+    return this.parseMessage();
+  }
+
+  /**
+   * Record a parsing problem, or throw it in strict mode
+   * @param {Array} list - this.errors or this.warnings
+   * @param {GribError} error - Problem found
+   */
+  reportIssue(list, error) {
+    if (this.strict) {
+      throw error;
+    }
+    list.push({
+      code: error.code,
+      message: error.message,
+      offset: error.offset,
+      messageIndex: error.messageIndex
+    });
+  }
+
+  /**
+   * Typed error for a problem found while parsing the message at an offset
+   * Errors that are not GribErrors (unexpected section contents) become GribFormatErrors.
+   */
+  toGribError(error, offset) {
+    if (error instanceof GribError) {
+      if (error.offset === null) error.offset = offset;
+      return error;
+    }
+    return new GribFormatError(`Invalid message at offset ${offset}: ${error.message}`, { code: 'INVALID_MESSAGE', offset, cause: error });
+  }
+
+  /**
+   * Create a parser for GRIB data arriving in chunks (pipes, sockets, fetch bodies)
+   * Each message is parsed as soon as its "7777" end section has arrived.
+   *
+   * @param {Object} options - Reader options (missingValue, parameterTables, strict), plus:
+   * @param {Boolean} options.decodeValues - If true, unpack the values of each message when it is parsed (default: false, unpacked on first access of section7.data)
+   * @param {Function} options.onMessage - Called with each parsed message
+   * @param {Function} options.onError - Called with each error entry { code, message, offset, messageIndex } (damaged message, undecodable values)
+   * @param {Function} options.onWarning - Called with each warning entry (skipped non-GRIB bytes)
+   * @returns {GribStreamParser} Parser: push(chunk) returns the messages completed by the chunk, end() checks that no message is left
+   *   incomplete; problems are listed in parser.errors and parser.warnings
+   */
+  static createStreamParser(options = {}) {
+    return new GribStreamParser(options);
+  }
+
+  /**
+   * Parse a stream of GRIB data, message by message
+   *
+   * @param {ReadableStream|Readable|AsyncIterable} stream - WHATWG ReadableStream (fetch body), Node Readable,
+   *   or any async iterable of Uint8Array/ArrayBuffer chunks
+   * @param {Object} options - Options of createStreamParser()
+   * @returns {AsyncGenerator<Object>} Parsed messages (same structure as parse(), plus index and offset in the stream)
+   *
+   * Example:
+   *   const response = await fetch(url);
+   *   for await (const message of GribReader.parseStream(response.body)) {
+   *     console.log(message.index, message.times.validTimeEnd);
+   *   }
+   */
+  static async *parseStream(stream, options = {}) {
+    const parser = new GribStreamParser(options);
+
+    if (stream && typeof stream.getReader === 'function') {
+      // WHATWG ReadableStream
+      const reader = stream.getReader();
+      let done = false;
+      try {
+        while (true) {
+          const chunk = await reader.read();
+          if (chunk.done) break;
+          yield* parser.push(chunk.value);
+        }
+        done = true;
+      } finally {
+        // Consumer stopped early (break) or parsing failed: stop the download
+        if (!done) await reader.cancel();
+        reader.releaseLock();
+      }
+    } else if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+      // Node Readable and other async iterables
+      for await (const chunk of stream) {
+        yield* parser.push(chunk);
+      }
+    } else {
+      throw new Error('Unsupported stream: expected a ReadableStream, a Node Readable or an async iterable of chunks');
+    }
+
+    parser.end();
+  }
+
+  /**
+   * Parse a wgrib2 inventory (.idx sidecar files published by NOMADS and the AWS/GCS mirrors)
+   * Lines look like "12:43716:d=2025101312:UGRD:10 m above ground:33 hour fcst:"; sub-messages
+   * ("3.2:...") share the offset of their message.
+   *
+   * @param {String} text - Content of the .idx file
+   * @returns {Array<Object>} Entries in file order:
+   *   { messageNumber, subMessage, offset, length, date, parameter, level, forecastTime, inventoryLine }
+   *   length is the distance to the next message in bytes, null for the last message (read to the end of the file)
+   */
+  static parseIndex(text) {
+    const entries = [];
+
+    String(text).split(/\r?\n/).forEach((line, i) => {
+      if (line.trim() === '') return;
+      const fields = line.split(':');
+      const match = /^(\d+)(?:\.(\d+))?$/.exec(fields[0]);
+      const offset = Number(fields[1]);
+      if (!match || fields.length < 6 || fields[1] === '' || !Number.isSafeInteger(offset) || offset < 0) {
+        throw new Error(`Invalid inventory line ${i + 1}: ${line}`);
+      }
+      entries.push({
+        messageNumber: Number(match[1]),
+        subMessage: match[2] !== undefined ? Number(match[2]) : null,
+        offset: offset,
+        length: null,
+        date: fields[2].replace(/^d=/, ''),
+        parameter: fields[3],
+        level: fields[4],
+        forecastTime: fields[5],
+        inventoryLine: line
+      });
+    });
+
+    // Length of a message: up to the next offset
+    const offsets = [...new Set(entries.map(entry => entry.offset))].sort((a, b) => a - b);
+    entries.forEach(entry => {
+      const next = offsets[offsets.indexOf(entry.offset) + 1];
+      entry.length = next !== undefined ? next - entry.offset : null;
+    });
+
+    return entries;
+  }
+
+  /**
+   * Download and parse the .idx inventory of a remote GRIB2 file
+   *
+   * @param {String} url - URL of the .idx file
+   * @param {Object} options - Options
+   * @param {Function} options.fetch - fetch() implementation (default: global fetch)
+   * @param {Object} options.headers - Additional request headers
+   * @returns {Promise<Array<Object>>} Entries (see parseIndex)
+   */
+  static async fetchIndex(url, options = {}) {
+    const response = await getFetch(options)(url, { headers: options.headers });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText} for ${url}`);
+    }
+    return GribReader.parseIndex(await response.text());
+  }
+
+  /**
+   * Download only the messages of a remote GRIB2 file that match a pattern (like get_inv.pl | grep | get_grib.pl)
+   * The match regex is applied to the lines of the .idx inventory, the selected messages are
+   * downloaded with HTTP Range requests (adjacent messages in one request) and parsed.
+   *
+   * @param {String} url - URL of the GRIB2 file
+   * @param {Object} options - Reader options (missingValue, parameterTables, lazy, cacheSize), plus:
+   * @param {String} options.match - Pattern selecting messages, like getData() (default: all messages)
+   * @param {String} options.indexUrl - URL of the inventory (default: url + '.idx')
+   * @param {Function} options.fetch - fetch() implementation (default: global fetch)
+   * @param {Object} options.headers - Additional request headers
+   * @returns {Promise<GribReader>} Parsed reader holding the selected messages (offsets in its inventory are those of the downloaded bytes)
+   *
+   * Example:
+   *   const reader = await GribReader.fetchMessages(
+   *     'https://noaa-gfs-bdp-pds.s3.amazonaws.com/gfs.20251013/12/atmos/gfs.t12z.pgrb2.0p25.f024',
+   *     { match: ':(UGRD|VGRD):10 m above ground:' }
+   *   );
+   *   const data = reader.getData();
+   */
+  static async fetchMessages(url, options = {}) {
+    const { match, indexUrl, fetch: fetchFunction, headers, ...readerOptions } = options;
+    const doFetch = getFetch(options);
+    const index = await GribReader.fetchIndex(indexUrl || `${url}.idx`, options);
+
+    let selected = index;
+    if (match) {
+      let regex;
+      try {
+        regex = new RegExp(match);
+      } catch (error) {
+        throw new Error(`Invalid match pattern: ${match} - ${error.message}`);
+      }
+      selected = index.filter(entry => regex.test(entry.inventoryLine));
+      if (selected.length === 0) {
+        throw new Error(`No messages match pattern: ${match}`);
+      }
+    }
+
+    // One byte range per message (sub-messages share it), adjacent ranges merged
+    const messages = new Map();
+    selected.forEach(entry => messages.set(entry.offset, entry.length));
+    const ranges = [];
+    [...messages.keys()].sort((a, b) => a - b).forEach(offset => {
+      const end = messages.get(offset) !== null ? offset + messages.get(offset) - 1 : null;
+      const last = ranges[ranges.length - 1];
+      if (last && last.end !== null && last.end + 1 === offset) {
+        last.end = end;
+      } else {
+        ranges.push({ start: offset, end });
+      }
+    });
+
+    const parts = [];
+    for (const range of ranges) {
+      const rangeHeader = `bytes=${range.start}-${range.end !== null ? range.end : ''}`;
+      const response = await doFetch(url, { headers: { ...headers, Range: rangeHeader } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText} for ${url} (Range: ${rangeHeader})`);
+      }
+      let bytes = new Uint8Array(await response.arrayBuffer());
+      if (response.status !== 206) {
+        // Server ignored the Range header and sent the whole file
+        bytes = bytes.slice(range.start, range.end !== null ? range.end + 1 : bytes.length);
+      }
+      parts.push(bytes);
+    }
+
+    const buffer = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      buffer.set(part, offset);
+      offset += part.length;
+    });
+
+    const reader = new GribReader(buffer.buffer, readerOptions);
+    reader.parse();
+    return reader;
+  }
+
   /**
    * Parse a single GRIB message
    * @returns {Object} Parsed message object
@@ -43,34 +352,45 @@ class GribReader {
 
     // Section 0: Indicator Section
     const section0 = this.parseSection0();
-    if (!section0) return null;
+
+    // The declared length must hold the whole message, ending with "7777"
+    const messageEnd = messageStart + section0.totalLength;
+    if (section0.edition !== 2) {
+      throw new GribFormatError(`Unsupported GRIB edition ${section0.edition} at offset ${messageStart}`, { code: 'UNSUPPORTED_EDITION', offset: messageStart });
+    }
+    if (messageEnd > this.buffer.byteLength) {
+      throw new GribTruncatedError(`Truncated message at offset ${messageStart}: ${section0.totalLength} bytes declared, ${this.buffer.byteLength - messageStart} available`, { offset: messageStart });
+    }
+    if (section0.totalLength < 16 + 4 || this.readSignature(messageEnd - 4) !== '7777') {
+      throw new GribFormatError(`Missing end section "7777" at offset ${messageEnd - 4} (message at offset ${messageStart}, total length ${section0.totalLength})`, { code: 'MISSING_END_SECTION', offset: messageStart });
+    }
+    this.messageEnd = messageEnd;
 
     const message = {
       discipline: section0.discipline,
       edition: section0.edition,
       totalLength: section0.totalLength,
+      offset: messageStart,
       sections: {}
     };
 
     // Section 1: Identification Section
+    this.checkSectionLength(messageStart, messageEnd);
     message.sections.section1 = this.parseSection1();
 
     // Parse remaining sections until we hit section 8 (end)
-    while (this.offset < messageStart + section0.totalLength) {
+    while (this.offset < messageEnd) {
       // Check if we're at the end section ("7777")
-      const next4Bytes = String.fromCharCode(
-        this.view.getUint8(this.offset),
-        this.view.getUint8(this.offset + 1),
-        this.view.getUint8(this.offset + 2),
-        this.view.getUint8(this.offset + 3)
-      );
-
-      if (next4Bytes === '7777') {
+      if (this.readSignature(this.offset) === '7777') {
+        if (this.offset !== messageEnd - 4) {
+          throw new GribFormatError(`End section at offset ${this.offset} of the message at offset ${messageStart}, expected at ${messageEnd - 4}`, { code: 'INVALID_SECTION_LENGTH', offset: messageStart });
+        }
         // Section 8: End Section
         this.parseSection8();
         break;
       }
 
+      this.checkSectionLength(messageStart, messageEnd);
       const sectionNumber = this.view.getUint8(this.offset + 4);
 
       switch (sectionNumber) {
@@ -90,13 +410,21 @@ class GribReader {
           message.sections.section6 = this.parseSection6();
           break;
         case 7:
-          message.sections.section7 = this.parseSection7(message.sections.section5);
+          message.sections.section7 = this.parseSection7(
+            message.sections.section5,
+            message.sections.section6,
+            message.sections.section3
+          );
           break;
         default:
-          throw new Error(`Unknown section number: ${sectionNumber} at offset ${this.offset}`);
+          throw new GribFormatError(`Unknown section number: ${sectionNumber} at offset ${this.offset}`, { code: 'INVALID_SECTION', offset: messageStart });
       }
     }
 
+    // Reference and validity times (Section 1 + product definition)
+    const section4 = message.sections.section4;
+    message.times = this.getProductTimes(message.sections.section1, section4 && section4.product);
+
     return message;
   }
 
@@ -105,18 +433,15 @@ class GribReader {
    * Fixed length of 16 octets
    */
   parseSection0() {
-    if (this.offset + 16 > this.buffer.byteLength) return null;
+    if (this.offset + 16 > this.buffer.byteLength) {
+      throw new GribTruncatedError(`Truncated message at offset ${this.offset}: ${this.buffer.byteLength - this.offset} bytes left for the 16-byte indicator section`, { offset: this.offset });
+    }
 
     // Check for "GRIB" signature
-    const signature = String.fromCharCode(
-      this.view.getUint8(this.offset),
-      this.view.getUint8(this.offset + 1),
-      this.view.getUint8(this.offset + 2),
-      this.view.getUint8(this.offset + 3)
-    );
+    const signature = this.readSignature(this.offset);
 
     if (signature !== 'GRIB') {
-      throw new Error('Invalid GRIB file: signature not found');
+      throw new GribFormatError(`Invalid GRIB file: signature not found at offset ${this.offset}`, { code: 'INVALID_SIGNATURE', offset: this.offset });
     }
 
     const discipline = this.view.getUint8(this.offset + 6);
@@ -130,6 +455,28 @@ class GribReader {
     return { signature, discipline, edition, totalLength };
   }
 
+  /**
+   * Four bytes at an offset as text ("GRIB", "7777")
+   */
+  readSignature(offset) {
+    return String.fromCharCode(
+      this.view.getUint8(offset),
+      this.view.getUint8(offset + 1),
+      this.view.getUint8(offset + 2),
+      this.view.getUint8(offset + 3)
+    );
+  }
+
+  /**
+   * Check that the section at this.offset fits in its message, before the end section
+   */
+  checkSectionLength(messageStart, messageEnd) {
+    const length = this.view.getUint32(this.offset);
+    if (length < 5 || this.offset + length > messageEnd - 4) {
+      throw new GribFormatError(`Section at offset ${this.offset} has length ${length}, beyond the total length of the message at offset ${messageStart}`, { code: 'INVALID_SECTION_LENGTH', offset: messageStart });
+    }
+  }
+
   /**
    * Section 1: Identification Section
    */
@@ -191,9 +538,41 @@ class GribReader {
       gridDefinitionTemplateNumber: this.view.getUint16(this.offset + 12)
     };
 
-    // Parse grid definition template (simplified - only template 0 for lat/lon)
+    // Parse grid definition template
     if (section3.gridDefinitionTemplateNumber === 0) {
       section3.gridTemplate = this.parseGridTemplate0(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 1) {
+      section3.gridTemplate = this.parseGridTemplate1(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 10) {
+      section3.gridTemplate = this.parseGridTemplate10(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 20) {
+      section3.gridTemplate = this.parseGridTemplate20(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 30) {
+      section3.gridTemplate = this.parseGridTemplate30(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 40) {
+      section3.gridTemplate = this.parseGridTemplate40(this.offset + 14);
+    } else if (section3.gridDefinitionTemplateNumber === 90) {
+      section3.gridTemplate = this.parseGridTemplate90(this.offset + 14);
+    }
+
+    if (section3.gridTemplate) {
+      section3.gridTemplate.gridDefinitionTemplateNumber = section3.gridDefinitionTemplateNumber;
+
+      // Optional list of numbers (quasi-regular grids), stored at the end of the section
+      // Interpretation 1: points along each parallel (pl), 2: points along each meridian
+      const octets = section3.numberOfOctetsForOptional;
+      const count = section3.interpretationOfOptional === 2 ? section3.gridTemplate.ni : section3.gridTemplate.nj;
+      if (octets > 0 && (section3.interpretationOfOptional === 1 || section3.interpretationOfOptional === 2) &&
+          count && octets * count <= length - 14) {
+        const listOffset = this.offset + length - octets * count;
+        section3.pl = new Array(count);
+        for (let k = 0; k < count; k++) {
+          const position = listOffset + k * octets;
+          if (octets === 1) section3.pl[k] = this.view.getUint8(position);
+          else if (octets === 2) section3.pl[k] = this.view.getUint16(position);
+          else section3.pl[k] = this.view.getUint32(position);
+        }
+      }
     }
 
     this.offset += length;
@@ -206,15 +585,15 @@ class GribReader {
   parseGridTemplate0(offset) {
     const ni = this.view.getUint32(offset + 16);
     const nj = this.view.getUint32(offset + 20);
-    const latFirst = this.view.getInt32(offset + 32) / 1e6;
-    const lonFirst = this.view.getInt32(offset + 36) / 1e6;
+    const latFirst = this.readSignedInt32(offset + 32) / 1e6;
+    const lonFirst = this.readSignedInt32(offset + 36) / 1e6;
     const iIncrement = this.view.getUint32(offset + 49) / 1e6;
     const jIncrement = this.view.getUint32(offset + 53) / 1e6;
     const scanningMode = this.view.getUint8(offset + 57);
 
     // Read lat/lon last from file (may be incorrect in some files)
-    const latLastFromFile = this.view.getInt32(offset + 41) / 1e6;
-    const lonLastFromFile = this.view.getInt32(offset + 45) / 1e6;
+    const latLastFromFile = this.readSignedInt32(offset + 41) / 1e6;
+    const lonLastFromFile = this.readSignedInt32(offset + 45) / 1e6;
 
     // Calculate correct lat/lon last based on scanning mode
     // Bit 7 (0x80): 0 = +i direction (W to E), 1 = -i direction (E to W)
@@ -251,1435 +630,7445 @@ class GribReader {
   }
 
   /**
-   * Section 4: Product Definition Section
+   * Parse Grid Definition Template 3.1 (Rotated Latitude/Longitude)
+   * Same layout as template 3.0, with grid point coordinates given in the rotated frame
    */
-  parseSection4() {
-    const length = this.view.getUint32(this.offset);
-    const sectionNumber = this.view.getUint8(this.offset + 4);
-
-    const section4 = {
-      length,
-      numberOfCoordinateValues: this.view.getUint16(this.offset + 5),
-      productDefinitionTemplateNumber: this.view.getUint16(this.offset + 7)
-    };
+  parseGridTemplate1(offset) {
+    const grid = this.parseGridTemplate0(offset);
 
-    // Simplified parsing - store raw template data
-    section4.templateData = new Uint8Array(this.buffer, this.offset + 9, length - 9);
+    grid.latitudeOfSouthernPole = this.readSignedInt32(offset + 58) / 1e6;
+    grid.longitudeOfSouthernPole = this.view.getUint32(offset + 62) / 1e6;
+    grid.angleOfRotation = this.view.getFloat32(offset + 66); // IEEE float, degrees
 
-    this.offset += length;
-    return section4;
+    return grid;
   }
 
   /**
-   * Section 5: Data Representation Section
+   * Parse Grid Definition Template 3.10 (Mercator)
    */
-  parseSection5() {
-    const length = this.view.getUint32(this.offset);
-    const sectionNumber = this.view.getUint8(this.offset + 4);
-
-    const section5 = {
-      length,
-      numberOfDataPoints: this.view.getUint32(this.offset + 5),
-      dataRepresentationTemplateNumber: this.view.getUint16(this.offset + 9)
+  parseGridTemplate10(offset) {
+    return {
+      shapeOfEarth: this.view.getUint8(offset),
+      scaleFactorOfRadiusOfSphericalEarth: this.view.getUint8(offset + 1),
+      scaledValueOfRadiusOfSphericalEarth: this.view.getUint32(offset + 2),
+      scaleFactorOfEarthMajorAxis: this.view.getUint8(offset + 6),
+      scaledValueOfEarthMajorAxis: this.view.getUint32(offset + 7),
+      scaleFactorOfEarthMinorAxis: this.view.getUint8(offset + 11),
+      scaledValueOfEarthMinorAxis: this.view.getUint32(offset + 12),
+      ni: this.view.getUint32(offset + 16),
+      nj: this.view.getUint32(offset + 20),
+      latitudeOfFirstGridPoint: this.readSignedInt32(offset + 24) / 1e6,
+      longitudeOfFirstGridPoint: this.readSignedInt32(offset + 28) / 1e6,
+      resolutionAndComponentFlags: this.view.getUint8(offset + 32),
+      LaD: this.readSignedInt32(offset + 33) / 1e6,  // Latitude where Di and Dj are specified
+      latitudeOfLastGridPoint: this.readSignedInt32(offset + 37) / 1e6,
+      longitudeOfLastGridPoint: this.readSignedInt32(offset + 41) / 1e6,
+      scanningMode: this.view.getUint8(offset + 45),
+      orientationOfTheGrid: this.readSignedInt32(offset + 46) / 1e6,  // Angle between the i direction and the Equator
+      Dx: this.view.getUint32(offset + 50) / 1e3,  // Di, metres
+      Dy: this.view.getUint32(offset + 54) / 1e3   // Dj, metres
     };
-
-    // Parse template 0 (simple packing)
-    if (section5.dataRepresentationTemplateNumber === 0) {
-      section5.template = {
-        referenceValue: this.view.getFloat32(this.offset + 11),
-        binaryScaleFactor: this.view.getInt16(this.offset + 15),
-        decimalScaleFactor: this.view.getInt16(this.offset + 17),
-        numberOfBits: this.view.getUint8(this.offset + 19),
-        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20)
-      };
-    }
-    // Parse template 2 (complex packing without spatial differencing)
-    else if (section5.dataRepresentationTemplateNumber === 2) {
-      section5.template = {
-        referenceValue: this.view.getFloat32(this.offset + 11),
-        binaryScaleFactor: this.view.getInt16(this.offset + 15),
-        decimalScaleFactor: this.view.getInt16(this.offset + 17),
-        numberOfBits: this.view.getUint8(this.offset + 19),
-        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
-        groupSplittingMethod: this.view.getUint8(this.offset + 21),
-        missingValueManagement: this.view.getUint8(this.offset + 22),
-        primaryMissingValue: this.view.getFloat32(this.offset + 23),
-        secondaryMissingValue: this.view.getFloat32(this.offset + 27),
-        numberOfGroups: this.view.getUint32(this.offset + 31),
-        referenceForGroupWidths: this.view.getUint8(this.offset + 35),
-        numberOfBitsForGroupWidths: this.view.getUint8(this.offset + 36),
-        referenceForGroupLengths: this.view.getUint32(this.offset + 37),
-        lengthIncrementForGroupLengths: this.view.getUint8(this.offset + 41),
-        trueLengthOfLastGroup: this.view.getUint32(this.offset + 42),
-        numberOfBitsForScaledGroupLengths: this.view.getUint8(this.offset + 46),
-        orderOfSpatialDifferencing: 0  // No spatial differencing for template 2
-      };
-    }
-    // Parse template 3 (complex packing and spatial differencing)
-    else if (section5.dataRepresentationTemplateNumber === 3) {
-      section5.template = {
-        referenceValue: this.view.getFloat32(this.offset + 11),
-        binaryScaleFactor: this.view.getInt16(this.offset + 15),
-        decimalScaleFactor: this.view.getInt16(this.offset + 17),
-        numberOfBits: this.view.getUint8(this.offset + 19),
-        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
-        groupSplittingMethod: this.view.getUint8(this.offset + 21),
-        missingValueManagement: this.view.getUint8(this.offset + 22),
-        primaryMissingValue: this.view.getFloat32(this.offset + 23),
-        secondaryMissingValue: this.view.getFloat32(this.offset + 27),
-        numberOfGroups: this.view.getUint32(this.offset + 31),
-        referenceForGroupWidths: this.view.getUint8(this.offset + 35),
-        numberOfBitsForGroupWidths: this.view.getUint8(this.offset + 36),
-        referenceForGroupLengths: this.view.getUint32(this.offset + 37),
-        lengthIncrementForGroupLengths: this.view.getUint8(this.offset + 41),
-        trueLengthOfLastGroup: this.view.getUint32(this.offset + 42),
-        numberOfBitsForScaledGroupLengths: this.view.getUint8(this.offset + 46),
-        orderOfSpatialDifferencing: this.view.getUint8(this.offset + 47),
-        numberOfOctetsExtraDescriptors: this.view.getUint8(this.offset + 48)
-      };
-    }
-
-    this.offset += length;
-    return section5;
   }
 
   /**
-   * Section 6: Bit-Map Section
+   * Parse Grid Definition Template 3.20 (Polar Stereographic)
    */
-  parseSection6() {
-    const length = this.view.getUint32(this.offset);
-    const sectionNumber = this.view.getUint8(this.offset + 4);
+  parseGridTemplate20(offset) {
+    const projectionCentreFlag = this.view.getUint8(offset + 49);
 
-    const section6 = {
-      length,
-      bitMapIndicator: this.view.getUint8(this.offset + 5)
+    return {
+      shapeOfEarth: this.view.getUint8(offset),
+      scaleFactorOfRadiusOfSphericalEarth: this.view.getUint8(offset + 1),
+      scaledValueOfRadiusOfSphericalEarth: this.view.getUint32(offset + 2),
+      scaleFactorOfEarthMajorAxis: this.view.getUint8(offset + 6),
+      scaledValueOfEarthMajorAxis: this.view.getUint32(offset + 7),
+      scaleFactorOfEarthMinorAxis: this.view.getUint8(offset + 11),
+      scaledValueOfEarthMinorAxis: this.view.getUint32(offset + 12),
+      ni: this.view.getUint32(offset + 16),  // Nx
+      nj: this.view.getUint32(offset + 20),  // Ny
+      latitudeOfFirstGridPoint: this.readSignedInt32(offset + 24) / 1e6,
+      longitudeOfFirstGridPoint: this.view.getUint32(offset + 28) / 1e6,
+      resolutionAndComponentFlags: this.view.getUint8(offset + 32),
+      LaD: this.readSignedInt32(offset + 33) / 1e6,  // Latitude where Dx and Dy are specified (true scale)
+      LoV: this.view.getUint32(offset + 37) / 1e6,   // Orientation of the grid (meridian parallel to y-axis)
+      Dx: this.view.getUint32(offset + 41) / 1e3,    // Metres
+      Dy: this.view.getUint32(offset + 45) / 1e3,    // Metres
+      projectionCentreFlag: projectionCentreFlag,    // Bit 1 (0x80): 0 = North Pole, 1 = South Pole on projection plane
+      isSouthPole: (projectionCentreFlag & 0x80) !== 0,
+      scanningMode: this.view.getUint8(offset + 50)
     };
-
-    if (section6.bitMapIndicator === 0) {
-      // Bitmap follows
-      section6.bitmap = new Uint8Array(this.buffer, this.offset + 6, length - 6);
-    }
-
-    this.offset += length;
-    return section6;
   }
 
   /**
-   * Section 7: Data Section
+   * Parse Grid Definition Template 3.30 (Lambert Conformal)
    */
-  parseSection7(section5) {
-    const length = this.view.getUint32(this.offset);
-    const sectionNumber = this.view.getUint8(this.offset + 4);
+  parseGridTemplate30(offset) {
+    const projectionCentreFlag = this.view.getUint8(offset + 49);
 
-    const section7 = {
-      length,
-      data: null
+    return {
+      shapeOfEarth: this.view.getUint8(offset),
+      scaleFactorOfRadiusOfSphericalEarth: this.view.getUint8(offset + 1),
+      scaledValueOfRadiusOfSphericalEarth: this.view.getUint32(offset + 2),
+      scaleFactorOfEarthMajorAxis: this.view.getUint8(offset + 6),
+      scaledValueOfEarthMajorAxis: this.view.getUint32(offset + 7),
+      scaleFactorOfEarthMinorAxis: this.view.getUint8(offset + 11),
+      scaledValueOfEarthMinorAxis: this.view.getUint32(offset + 12),
+      ni: this.view.getUint32(offset + 16),  // Nx
+      nj: this.view.getUint32(offset + 20),  // Ny
+      latitudeOfFirstGridPoint: this.readSignedInt32(offset + 24) / 1e6,
+      longitudeOfFirstGridPoint: this.view.getUint32(offset + 28) / 1e6,
+      resolutionAndComponentFlags: this.view.getUint8(offset + 32),
+      LaD: this.readSignedInt32(offset + 33) / 1e6,  // Latitude where Dx and Dy are specified
+      LoV: this.view.getUint32(offset + 37) / 1e6,   // Orientation of the grid (meridian parallel to y-axis)
+      Dx: this.view.getUint32(offset + 41) / 1e3,    // Metres
+      Dy: this.view.getUint32(offset + 45) / 1e3,    // Metres
+      projectionCentreFlag: projectionCentreFlag,    // Bit 1 (0x80): 0 = North Pole, 1 = South Pole on projection plane
+      isSouthPole: (projectionCentreFlag & 0x80) !== 0,
+      scanningMode: this.view.getUint8(offset + 50),
+      Latin1: this.readSignedInt32(offset + 51) / 1e6,  // First latitude from the pole at which the secant cone cuts the sphere
+      Latin2: this.readSignedInt32(offset + 55) / 1e6,  // Second latitude
+      latitudeOfSouthernPole: this.readSignedInt32(offset + 59) / 1e6,
+      longitudeOfSouthernPole: this.view.getUint32(offset + 63) / 1e6
     };
-
-    if (section5 && section5.template) {
-      if (section5.dataRepresentationTemplateNumber === 0) {
-        // Simple packing
-        section7.data = this.decodeSimplePacking(
-          this.offset + 5,
-          length - 5,
-          section5.template,
-          section5.numberOfDataPoints
-        );
-      } else if (section5.dataRepresentationTemplateNumber === 2 || section5.dataRepresentationTemplateNumber === 3) {
-        // Complex packing (with or without spatial differencing)
-        section7.data = this.decodeComplexPacking(
-          this.offset + 5,
-          length - 5,
-          section5.template,
-          section5.numberOfDataPoints
-        );
-      } else {
-        // Store raw data for unsupported templates
-        section7.rawData = new Uint8Array(this.buffer, this.offset + 5, length - 5);
-      }
-    } else {
-      // Store raw data
-      section7.rawData = new Uint8Array(this.buffer, this.offset + 5, length - 5);
-    }
-
-    this.offset += length;
-    return section7;
   }
 
   /**
-   * Decode simple packing (Data Representation Template 5.0)
+   * Parse Grid Definition Template 3.40 (Gaussian Latitude/Longitude)
+   * Reduced Gaussian grids set Ni and Di to missing and list the points of each parallel (pl)
    */
-  decodeSimplePacking(offset, dataLength, template, numberOfPoints) {
-    if (!template || template.numberOfBits === 0) {
-      return new Array(numberOfPoints).fill(template.referenceValue);
-    }
+  parseGridTemplate40(offset) {
+    const ni = this.view.getUint32(offset + 16);
+    const iIncrement = this.view.getUint32(offset + 49);
 
-    const data = new Float32Array(numberOfPoints);
-    const R = template.referenceValue;
-    const E = template.binaryScaleFactor;
-    const D = template.decimalScaleFactor;
-    const numberOfBits = template.numberOfBits;
-
-    const decimalScale = Math.pow(10, -D);
-    const binaryScale = Math.pow(2, E);
+    return {
+      shapeOfEarth: this.view.getUint8(offset),
+      scaleFactorOfRadiusOfSphericalEarth: this.view.getUint8(offset + 1),
+      scaledValueOfRadiusOfSphericalEarth: this.view.getUint32(offset + 2),
+      scaleFactorOfEarthMajorAxis: this.view.getUint8(offset + 6),
+      scaledValueOfEarthMajorAxis: this.view.getUint32(offset + 7),
+      scaleFactorOfEarthMinorAxis: this.view.getUint8(offset + 11),
+      scaledValueOfEarthMinorAxis: this.view.getUint32(offset + 12),
+      ni: ni === 0xffffffff ? null : ni,  // null for reduced grids
+      nj: this.view.getUint32(offset + 20),
+      basicAngleOfInitialProductionDomain: this.view.getUint32(offset + 24),
+      subdivisionsOfBasicAngle: this.view.getUint32(offset + 28),
+      latitudeOfFirstGridPoint: this.readSignedInt32(offset + 32) / 1e6,
+      longitudeOfFirstGridPoint: this.readSignedInt32(offset + 36) / 1e6,
+      resolutionAndComponentFlags: this.view.getUint8(offset + 40),
+      latitudeOfLastGridPoint: this.readSignedInt32(offset + 41) / 1e6,
+      longitudeOfLastGridPoint: this.readSignedInt32(offset + 45) / 1e6,
+      iDirectionIncrement: iIncrement === 0xffffffff ? null : iIncrement / 1e6,
+      N: this.view.getUint32(offset + 53),  // Number of parallels between a pole and the equator
+      scanningMode: this.view.getUint8(offset + 57)
+    };
+  }
 
-    let bitOffset = offset * 8;
+  /**
+   * Gaussian latitudes for N parallels between a pole and the equator (like wgrib2/ecCodes)
+   * Roots of the Legendre polynomial of degree 2N, found by Newton iteration
+   *
+   * @param {Number} N - Number of parallels between a pole and the equator
+   * @returns {Float64Array} 2N latitudes in degrees, from north to south
+   */
+  getGaussianLatitudes(N) {
+    const nlat = 2 * N;
+    const latitudes = new Float64Array(nlat);
+
+    for (let k = 0; k < N; k++) {
+      // Initial guess close to the k-th root, then Newton iteration on P_nlat
+      let z = Math.cos(Math.PI * (k + 0.75) / (nlat + 0.5));
+      for (let iter = 0; iter < 100; iter++) {
+        let p0 = 1;
+        let p1 = z;
+        for (let n = 2; n <= nlat; n++) {
+          const p2 = ((2 * n - 1) * z * p1 - (n - 1) * p0) / n;
+          p0 = p1;
+          p1 = p2;
+        }
+        const derivative = nlat * (z * p1 - p0) / (z * z - 1);
+        const dz = p1 / derivative;
+        z -= dz;
+        if (Math.abs(dz) < 1e-15) break;
+      }
 
-    for (let i = 0; i < numberOfPoints; i++) {
-      const packedValue = this.readBits(bitOffset, numberOfBits);
-      data[i] = (R + packedValue * binaryScale) * decimalScale;
-      bitOffset += numberOfBits;
+      const latitude = Math.asin(z) * 180 / Math.PI;
+      latitudes[k] = latitude;
+      latitudes[nlat - 1 - k] = -latitude;
     }
 
-    return data;
+    return latitudes;
   }
 
   /**
-   * Decode complex packing and spatial differencing (Data Representation Template 5.3)
-   * Based on NOAA g2clib comunpack.c reference implementation
+   * Rows of Gaussian and quasi-regular (reduced) grids
+   *
+   * @param {Object} section3 - Parsed Grid Definition Section
+   * @returns {Object|null} { latitudes: Float64Array, pointsPerRow: Array<Number> } in scanning order,
+   *                        or null for grids without a row structure
    */
-  decodeComplexPacking(offset, dataLength, template, numberOfPoints) {
-    try {
-      // Working array for integer values (before final scaling)
-      const ifld = new Int32Array(numberOfPoints);
+  getGridRows(section3) {
+    const grid = section3.gridTemplate;
+    const templateNumber = section3.gridDefinitionTemplateNumber;
+    const reduced = section3.pl && section3.interpretationOfOptional === 1;
 
-      const R = template.referenceValue;
-      const E = template.binaryScaleFactor;
-      const D = template.decimalScaleFactor;
-      const decimalScale = Math.pow(10, -D);
-      const binaryScale = Math.pow(2, E);
+    if (templateNumber !== 40 && !(templateNumber === 0 && reduced)) {
+      return null;
+    }
 
-      const numberOfGroups = template.numberOfGroups;
-      const nbitsgref = template.numberOfBits; // bits for group references
-      const nbitsgwidth = template.numberOfBitsForGroupWidths;
-      const referenceForGroupWidths = template.referenceForGroupWidths;
-      const nbitsglen = template.numberOfBitsForScaledGroupLengths;
-      const referenceForGroupLengths = template.referenceForGroupLengths;
-      const lengthIncrement = template.lengthIncrementForGroupLengths;
-      const trueLengthOfLastGroup = template.trueLengthOfLastGroup;
-      const orderOfSpatialDiff = template.orderOfSpatialDifferencing || 0;
-      const nbitsd = template.numberOfBits; // bits per value
+    const nj = grid.nj;
+    const jMultiplier = ((grid.scanningMode || 0) & 0x40) !== 0 ? 1 : -1;
+    const latitudes = new Float64Array(nj);
+
+    if (templateNumber === 40) {
+      // Start from the Gaussian latitude closest to the first grid point (sub-areas start anywhere)
+      const gaussian = this.getGaussianLatitudes(grid.N);
+      let start = 0;
+      for (let k = 1; k < gaussian.length; k++) {
+        if (Math.abs(gaussian[k] - grid.latitudeOfFirstGridPoint) <
+            Math.abs(gaussian[start] - grid.latitudeOfFirstGridPoint)) {
+          start = k;
+        }
+      }
+      if (start - (nj - 1) * jMultiplier < 0 || start - (nj - 1) * jMultiplier >= gaussian.length) {
+        throw new Error(`Gaussian grid rows (${nj}) do not fit in N=${grid.N} from latitude ${grid.latitudeOfFirstGridPoint}`);
+      }
+      // Gaussian latitudes are listed north to south: scanning south to north walks them backwards
+      for (let j = 0; j < nj; j++) {
+        latitudes[j] = gaussian[start - j * jMultiplier];
+      }
+    } else {
+      for (let j = 0; j < nj; j++) {
+        latitudes[j] = grid.latitudeOfFirstGridPoint + j * grid.jDirectionIncrement * jMultiplier;
+      }
+    }
 
-      // Step 1: Extract spatial differencing values (if template 5.3)
-      // According to grib22json implementation, for template 5.3:
-      // - h1 and h2 are stored in the first numberOfOctetsExtraDescriptors bytes
-      // - Overall minimum is stored in the next numberOfOctetsExtraDescriptors bytes
-      // - Then we skip those bytes and start reading group data
+    const pointsPerRow = reduced ? section3.pl.slice() : new Array(nj).fill(grid.ni);
+    return { latitudes, pointsPerRow };
+  }
 
-      let h1 = 0, h2 = 0, overallMin = 0;
-      const numExtraOctets = template.numberOfOctetsExtraDescriptors || 0;
-      let bitOffset;
+  /**
+   * Parse Grid Definition Template 3.90 (Space View Perspective or Orthographic)
+   * Grid coordinates are in grid lengths, in the scanning directions of the data
+   */
+  parseGridTemplate90(offset) {
+    return {
+      shapeOfEarth: this.view.getUint8(offset),
+      scaleFactorOfRadiusOfSphericalEarth: this.view.getUint8(offset + 1),
+      scaledValueOfRadiusOfSphericalEarth: this.view.getUint32(offset + 2),
+      scaleFactorOfEarthMajorAxis: this.view.getUint8(offset + 6),
+      scaledValueOfEarthMajorAxis: this.view.getUint32(offset + 7),
+      scaleFactorOfEarthMinorAxis: this.view.getUint8(offset + 11),
+      scaledValueOfEarthMinorAxis: this.view.getUint32(offset + 12),
+      ni: this.view.getUint32(offset + 16),  // Nx
+      nj: this.view.getUint32(offset + 20),  // Ny
+      latitudeOfSubSatellitePoint: this.readSignedInt32(offset + 24) / 1e6,   // Lap
+      longitudeOfSubSatellitePoint: this.readSignedInt32(offset + 28) / 1e6,  // Lop
+      resolutionAndComponentFlags: this.view.getUint8(offset + 32),
+      dx: this.view.getUint32(offset + 33),  // Apparent diameter of the Earth in grid lengths, x direction
+      dy: this.view.getUint32(offset + 37),  // Apparent diameter of the Earth in grid lengths, y direction
+      Xp: this.view.getUint32(offset + 41) / 1e3,  // Sub-satellite point, grid lengths
+      Yp: this.view.getUint32(offset + 45) / 1e3,
+      scanningMode: this.view.getUint8(offset + 49),
+      orientationOfTheGrid: this.readSignedInt32(offset + 50) / 1e6,  // Angle between the y-axis and the meridian of the sub-satellite point
+      Nr: this.view.getUint32(offset + 54) / 1e6,  // Altitude of the camera from the Earth's centre, in Earth equatorial radii
+      Xo: this.view.getUint32(offset + 58),  // Origin of the sector image
+      Yo: this.view.getUint32(offset + 62)
+    };
+  }
 
-      if (orderOfSpatialDiff > 0 && numExtraOctets > 0) {
-        // According to NOAA g2clib: read as unsigned (gbit reads unsigned values)
-        const nbitsd = numExtraOctets * 8;
-        let bitPos = offset * 8;
+  /**
+   * Read a GRIB2 signed 4-octet integer
+   * GRIB2 negative values set the most significant bit (sign and magnitude, not two's complement)
+   */
+  readSignedInt32(offset) {
+    const value = this.view.getUint32(offset);
+    return value & 0x80000000 ? -(value & 0x7fffffff) : value;
+  }
 
-        if (numExtraOctets === 2) {
-          h1 = this.readBits(bitPos, nbitsd);  // Unsigned, 16 bits
-          bitPos += nbitsd;
+  /**
+   * Radius of the spherical earth used for map projections (metres), from Code Table 3.2
+   * Oblate spheroids use the mean of the major and minor axes, like wgrib2
+   */
+  getEarthRadius(gridTemplate) {
+    const scaled = (value, factor) => value * Math.pow(10, -factor);
+
+    switch (gridTemplate.shapeOfEarth) {
+      case 0: return 6367470.0;
+      case 1: return scaled(gridTemplate.scaledValueOfRadiusOfSphericalEarth, gridTemplate.scaleFactorOfRadiusOfSphericalEarth);
+      case 2: return (6378160.0 + 6356775.0) / 2;
+      case 3: // Axes specified in km
+        return 500 * (scaled(gridTemplate.scaledValueOfEarthMajorAxis, gridTemplate.scaleFactorOfEarthMajorAxis) +
+                      scaled(gridTemplate.scaledValueOfEarthMinorAxis, gridTemplate.scaleFactorOfEarthMinorAxis));
+      case 4:
+      case 5: return (6378137.0 + 6356752.314) / 2;
+      case 6: return 6371229.0;
+      case 7: // Axes specified in m
+        return 0.5 * (scaled(gridTemplate.scaledValueOfEarthMajorAxis, gridTemplate.scaleFactorOfEarthMajorAxis) +
+                      scaled(gridTemplate.scaledValueOfEarthMinorAxis, gridTemplate.scaleFactorOfEarthMinorAxis));
+      case 8: return 6371200.0;
+      case 9: return (6377563.396 + 6356256.909) / 2;
+      default: return 6367470.0;
+    }
+  }
 
-          if (orderOfSpatialDiff === 2) {
-            h2 = this.readBits(bitPos, nbitsd);  // Unsigned, 16 bits
-            bitPos += nbitsd;
-          }
+  /**
+   * Equatorial and polar radii of the earth (metres), from Code Table 3.2
+   * Spherical shapes return the same radius twice
+   */
+  getEarthAxes(gridTemplate) {
+    const scaled = (value, factor) => value * Math.pow(10, -factor);
+    const major = scaled(gridTemplate.scaledValueOfEarthMajorAxis, gridTemplate.scaleFactorOfEarthMajorAxis);
+    const minor = scaled(gridTemplate.scaledValueOfEarthMinorAxis, gridTemplate.scaleFactorOfEarthMinorAxis);
+
+    switch (gridTemplate.shapeOfEarth) {
+      case 2: return { major: 6378160.0, minor: 6356775.0 };
+      case 3: return { major: major * 1000, minor: minor * 1000 }; // Axes specified in km
+      case 4:
+      case 5: return { major: 6378137.0, minor: 6356752.314 };
+      case 7: return { major, minor };
+      case 9: return { major: 6377563.396, minor: 6356256.909 };
+      default: {
+        const radius = this.getEarthRadius(gridTemplate);
+        return { major: radius, minor: radius };
+      }
+    }
+  }
 
-          // Read sign bit (1 bit)
-          const isign = this.readBits(bitPos, 1);
-          bitPos += 1;
+  /**
+   * Cone constant and scaling of a Lambert Conformal grid (spherical earth, like wgrib2)
+   * @returns {Object} { n, F, R } with rho(lat) = R * F / tan(pi/4 + lat/2)^n
+   */
+  getLambertParameters(gridTemplate) {
+    const toRad = Math.PI / 180;
+    const latin1 = gridTemplate.Latin1 * toRad;
+    const latin2 = gridTemplate.Latin2 * toRad;
+
+    let n;
+    if (Math.abs(latin1 - latin2) < 1e-9) {
+      n = Math.sin(latin1);
+    } else {
+      n = Math.log(Math.cos(latin1) / Math.cos(latin2)) /
+          Math.log(Math.tan(Math.PI / 4 + latin2 / 2) / Math.tan(Math.PI / 4 + latin1 / 2));
+    }
 
-          // Read magnitude of minsd (nbitsd - 1 bits)
-          const minsdMagnitude = this.readBits(bitPos, nbitsd - 1);
-          bitPos += (nbitsd - 1);
+    const F = Math.cos(latin1) * Math.pow(Math.tan(Math.PI / 4 + latin1 / 2), n) / n;
+    return { n, F, R: this.getEarthRadius(gridTemplate) };
+  }
 
-          // Apply sign
-          overallMin = isign === 1 ? -minsdMagnitude : minsdMagnitude;
-        } else if (numExtraOctets === 1) {
-          h1 = this.readBits(bitPos, nbitsd);  // Unsigned, 8 bits
-          bitPos += nbitsd;
+  /**
+   * Map projection of a projected or rotated grid (spherical earth, like wgrib2)
+   * Plane coordinates are in metres (rotated lat-lon: rotated longitude/latitude), angles in degrees
+   *
+   * @param {Object} grid - Grid template object
+   * @returns {Object|null} { forward(lat, lon) -> {x, y}, inverse(x, y) -> {lat, lon}, rotation(lat, lon) -> radians },
+   *                        or null for unprojected grids
+   */
+  getProjection(grid) {
+    const toRad = Math.PI / 180;
+    const LoV = grid.LoV;
+    const dLon = (lon) => this.normalizeLongitudeDifference(lon - LoV) * toRad;
+
+    if (grid.gridDefinitionTemplateNumber === 1) {
+      // Rotated lat-lon: the sphere is rotated by lonSP about the polar axis, then by 90 + latSP
+      // so that the southern pole of the grid moves to (latSP, lonSP), then by the angle of rotation
+      // about the new polar axis. Rotated -> geographic matrix is Rz(lonSP) * Ry(-(90 + latSP))
+      const t = -(90 + grid.latitudeOfSouthernPole) * toRad;
+      const l = grid.longitudeOfSouthernPole * toRad;
+      const ct = Math.cos(t), st = Math.sin(t);
+      const cl = Math.cos(l), sl = Math.sin(l);
+      const angle = grid.angleOfRotation || 0;
+
+      // Geographic position of the rotated north pole
+      const poleLat = -grid.latitudeOfSouthernPole * toRad;
+      const poleLon = grid.longitudeOfSouthernPole + 180;
 
-          if (orderOfSpatialDiff === 2) {
-            h2 = this.readBits(bitPos, nbitsd);  // Unsigned, 8 bits
-            bitPos += nbitsd;
-          }
+      return {
+        forward: (lat, lon) => {
+          const phi = lat * toRad, lambda = lon * toRad;
+          const x = Math.cos(phi) * Math.cos(lambda);
+          const y = Math.cos(phi) * Math.sin(lambda);
+          const z = Math.sin(phi);
+          const xr = cl * ct * x + sl * ct * y - st * z;
+          const yr = -sl * x + cl * y;
+          const zr = cl * st * x + sl * st * y + ct * z;
+          return {
+            x: Math.atan2(yr, xr) / toRad + angle,
+            y: Math.asin(Math.max(-1, Math.min(1, zr))) / toRad
+          };
+        },
+        inverse: (x, y) => {
+          const phi = y * toRad, lambda = (x - angle) * toRad;
+          const xr = Math.cos(phi) * Math.cos(lambda);
+          const yr = Math.cos(phi) * Math.sin(lambda);
+          const zr = Math.sin(phi);
+          return {
+            lat: Math.asin(Math.max(-1, Math.min(1, -st * xr + ct * zr))) / toRad,
+            lon: Math.atan2(sl * ct * xr + cl * yr + sl * st * zr, cl * ct * xr - sl * yr + cl * st * zr) / toRad
+          };
+        },
+        // Rotated meridians converge on the rotated north pole: bearing of that pole from the point
+        rotation: (lat, lon) => {
+          const phi = lat * toRad;
+          const dLambda = (poleLon - lon) * toRad;
+          return Math.atan2(Math.sin(dLambda) * Math.cos(poleLat),
+            Math.cos(phi) * Math.sin(poleLat) - Math.sin(phi) * Math.cos(poleLat) * Math.cos(dLambda));
+        }
+      };
+    }
 
-          // Read sign bit (1 bit)
-          const isign = this.readBits(bitPos, 1);
-          bitPos += 1;
+    if (grid.gridDefinitionTemplateNumber === 10) {
+      // Mercator, true at LaD: x = R cos(LaD) (lon - lon1), y = R cos(LaD) ln(tan(pi/4 + lat/2))
+      // Meridians are parallel to the y-axis, so winds need no rotation
+      const k = this.getEarthRadius(grid) * Math.cos(grid.LaD * toRad);
+      const lonFirst = grid.longitudeOfFirstGridPoint;
 
-          // Read magnitude of minsd (nbitsd - 1 bits)
-          const minsdMagnitude = this.readBits(bitPos, nbitsd - 1);
-          bitPos += (nbitsd - 1);
+      return {
+        forward: (lat, lon) => ({
+          x: k * this.normalizeLongitudeDifference(lon - lonFirst) * toRad,
+          y: k * Math.log(Math.tan(Math.PI / 4 + lat * toRad / 2))
+        }),
+        inverse: (x, y) => ({
+          lat: (2 * Math.atan(Math.exp(y / k)) - Math.PI / 2) / toRad,
+          lon: lonFirst + x / k / toRad
+        }),
+        rotation: () => 0
+      };
+    }
 
-          // Apply sign
-          overallMin = isign === 1 ? -minsdMagnitude : minsdMagnitude;
-        }
+    if (grid.gridDefinitionTemplateNumber === 30) {
+      // Lambert Conformal: rho(lat) = R * F / tan(pi/4 + lat/2)^n, theta = n * (lon - LoV)
+      const { n, F, R } = this.getLambertParameters(grid);
+      const sign = n < 0 ? -1 : 1;
 
-        // Continue reading from where we left off in the bitstream
-        bitOffset = bitPos;
-      } else {
-        bitOffset = offset * 8;
-      }
+      return {
+        forward: (lat, lon) => {
+          const rho = R * F / Math.pow(Math.tan(Math.PI / 4 + lat * toRad / 2), n);
+          const theta = n * dLon(lon);
+          return { x: rho * Math.sin(theta), y: -rho * Math.cos(theta) };
+        },
+        inverse: (x, y) => {
+          const rho = sign * Math.sqrt(x * x + y * y);
+          const theta = Math.atan2(sign * x, -sign * y);
+          return {
+            lat: (2 * Math.atan(Math.pow(R * F / rho, 1 / n)) - Math.PI / 2) / toRad,
+            lon: LoV + theta / n / toRad
+          };
+        },
+        rotation: (lat, lon) => n * dLon(lon)
+      };
+    }
 
-      const maxBitOffset = (offset + dataLength) * 8;
+    if (grid.gridDefinitionTemplateNumber === 20) {
+      // Polar Stereographic, true at LaD: rho(lat) = R * (1 + sin|LaD|) * tan(pi/4 - |lat|/2)
+      // Viewed from the projection pole, so the south pole case mirrors latitudes and the y-axis
+      const h = grid.isSouthPole ? -1 : 1;
+      const scale = this.getEarthRadius(grid) * (1 + Math.sin(h * grid.LaD * toRad));
 
-      // Check if we have groups
-      if (numberOfGroups === 0) {
-        // No groups - fill with reference value
-        const data = new Float32Array(numberOfPoints);
-        data.fill(R * decimalScale);
-        return data;
-      }
+      return {
+        forward: (lat, lon) => {
+          const rho = scale * Math.tan(Math.PI / 4 - h * lat * toRad / 2);
+          const theta = dLon(lon);
+          return { x: rho * Math.sin(theta), y: -h * rho * Math.cos(theta) };
+        },
+        inverse: (x, y) => {
+          const rho = Math.sqrt(x * x + y * y);
+          return {
+            lat: h * (Math.PI / 2 - 2 * Math.atan(rho / scale)) / toRad,
+            lon: LoV + Math.atan2(x, -h * y) / toRad
+          };
+        },
+        rotation: (lat, lon) => h * dLon(lon)
+      };
+    }
 
-      // Step 2: Read group reference values
-      const gref = new Int32Array(numberOfGroups);
+    return null;
+  }
 
-      if (nbitsgref > 0) {
-        for (let i = 0; i < numberOfGroups; i++) {
-          gref[i] = this.readBits(bitOffset, nbitsgref);
-          bitOffset += nbitsgref;
-        }
-        // Byte-align after group references
-        const bitsUsed = numberOfGroups * nbitsgref;
-        if (bitsUsed % 8 !== 0) {
-          bitOffset += 8 - (bitsUsed % 8);
+  /**
+   * Compute the latitude and longitude of every grid point, in scanning order
+   *
+   * @param {Object} section3 - Parsed Grid Definition Section
+   * @returns {Object} { lat: Float32Array, lng: Float32Array }, plus rotatedLat/rotatedLng
+   *                   (native grid coordinates) for rotated lat-lon grids and rows
+   *                   (see getGridRows) for Gaussian and reduced grids
+   */
+  computeGridCoordinates(section3) {
+    const grid = section3.gridTemplate;
+
+    // Bit 7 (0x80): 0 = +i direction (W to E), 1 = -i direction (E to W)
+    // Bit 6 (0x40): 0 = -j direction (N to S), 1 = +j direction (S to N)
+    const scanningMode = grid.scanningMode || 0;
+    const iMultiplier = (scanningMode & 0x80) === 0 ? 1 : -1;
+    const jMultiplier = (scanningMode & 0x40) !== 0 ? 1 : -1;
+
+    const rows = this.getGridRows(section3);
+    if (rows) {
+      // Gaussian and reduced grids: each row spans the same longitudes with its own number of points
+      const lonFirst = grid.longitudeOfFirstGridPoint;
+      const lonLast = grid.longitudeOfLastGridPointFromFile !== undefined ? grid.longitudeOfLastGridPointFromFile : grid.longitudeOfLastGridPoint;
+      const maxPoints = Math.max(...rows.pointsPerRow);
+      const span = (((lonLast - lonFirst) * iMultiplier) % 360 + 360) % 360;
+      const isGlobal = span + 360 / maxPoints > 360 - 180 / maxPoints;
+
+      const numPoints = rows.pointsPerRow.reduce((sum, n) => sum + n, 0);
+      const lat = new Float32Array(numPoints);
+      const lng = new Float32Array(numPoints);
+
+      let idx = 0;
+      for (let j = 0; j < rows.latitudes.length; j++) {
+        const n = rows.pointsPerRow[j];
+        const step = (isGlobal ? 360 / n : (n > 1 ? span / (n - 1) : 0)) * iMultiplier;
+        for (let i = 0; i < n; i++, idx++) {
+          lat[idx] = rows.latitudes[j];
+          lng[idx] = lonFirst + i * step;
         }
       }
 
-      // Step 3: Read group widths
-      const gwidth = new Uint8Array(numberOfGroups);
+      return { lat, lng, rows };
+    }
 
-      if (nbitsgwidth > 0) {
-        for (let i = 0; i < numberOfGroups; i++) {
-          gwidth[i] = this.readBits(bitOffset, nbitsgwidth);
-          bitOffset += nbitsgwidth;
-        }
-        // Byte-align after group widths
-        const bitsUsed = numberOfGroups * nbitsgwidth;
-        if (bitsUsed % 8 !== 0) {
-          bitOffset += 8 - (bitsUsed % 8);
+    const ni = grid.ni;
+    const nj = grid.nj;
+    const numPoints = ni * nj;
+    const lat = new Float32Array(numPoints);
+    const lng = new Float32Array(numPoints);
+
+    if (section3.gridDefinitionTemplateNumber === 90) {
+      // Space view: intersect the line of sight of every pixel with the earth ellipsoid (CGMS
+      // normalized geostationary projection, camera above the equator at Lop). Pixels beyond
+      // the limb of the disk are missing
+      const toRad = Math.PI / 180;
+      const { major, minor } = this.getEarthAxes(grid);
+      const h = grid.Nr * major;  // Distance of the camera from the earth's centre
+      const c = h * h - major * major;
+      const flattening = (major * major) / (minor * minor);
+      const rx = 2 * Math.asin(1 / grid.Nr) / grid.dx;  // Scan angle per grid length (radians)
+      const ry = 2 * Math.asin(1 / grid.Nr) / grid.dy;
+      const cosOrientation = Math.cos(grid.orientationOfTheGrid * toRad);
+      const sinOrientation = Math.sin(grid.orientationOfTheGrid * toRad);
+
+      for (let j = 0; j < nj; j++) {
+        for (let i = 0; i < ni; i++) {
+          const idx = j * ni + i;
+
+          // Scan angles towards the east and the north, rotated by the grid orientation
+          const gx = (grid.Xo + i - grid.Xp) * rx * iMultiplier;
+          const gy = (grid.Yo + j - grid.Yp) * ry * jMultiplier;
+          const x = gx * cosOrientation + gy * sinOrientation;
+          const y = -gx * sinOrientation + gy * cosOrientation;
+
+          const cosx = Math.cos(x), sinx = Math.sin(x);
+          const cosy = Math.cos(y), siny = Math.sin(y);
+          const q = cosy * cosy + flattening * siny * siny;
+          const discriminant = (h * cosx * cosy) * (h * cosx * cosy) - q * c;
+
+          if (discriminant < 0) {
+            lat[idx] = this.missingValue;
+            lng[idx] = this.missingValue;
+            continue;
+          }
+
+          const sn = (h * cosx * cosy - Math.sqrt(discriminant)) / q;
+          const s1 = h - sn * cosx * cosy;
+          const s2 = sn * sinx * cosy;
+          const s3 = sn * siny;
+
+          lat[idx] = Math.atan(flattening * s3 / Math.sqrt(s1 * s1 + s2 * s2)) / toRad;
+          let lon = grid.longitudeOfSubSatellitePoint + Math.atan2(s2, s1) / toRad;
+          while (lon >= 360) lon -= 360;
+          while (lon < 0) lon += 360;
+          lng[idx] = lon;
         }
       }
 
-      // Add reference to each width
-      for (let i = 0; i < numberOfGroups; i++) {
-        gwidth[i] += referenceForGroupWidths;
+      return { lat, lng };
+    }
+
+    const projection = this.getProjection(grid);
+    if (projection && section3.gridDefinitionTemplateNumber === 1) {
+      // Rotated lat-lon: regular in the rotated frame, then unrotated point by point
+      const rotatedLat = new Float32Array(numPoints);
+      const rotatedLng = new Float32Array(numPoints);
+
+      for (let j = 0; j < nj; j++) {
+        const y = grid.latitudeOfFirstGridPoint + j * grid.jDirectionIncrement * jMultiplier;
+        for (let i = 0; i < ni; i++) {
+          const x = grid.longitudeOfFirstGridPoint + i * grid.iDirectionIncrement * iMultiplier;
+          const point = projection.inverse(x, y);
+          const idx = j * ni + i;
+
+          rotatedLat[idx] = y;
+          rotatedLng[idx] = x;
+          lat[idx] = point.lat;
+          lng[idx] = point.lon < 0 ? point.lon + 360 : point.lon;
+        }
       }
 
-      // Step 4: Read and calculate group lengths
-      const glen = new Uint32Array(numberOfGroups);
+      return { lat, lng, rotatedLat, rotatedLng };
+    }
 
-      if (nbitsglen > 0) {
-        for (let i = 0; i < numberOfGroups; i++) {
-          glen[i] = this.readBits(bitOffset, nbitsglen);
-          bitOffset += nbitsglen;
-        }
-        // Byte-align after group lengths
-        const bitsUsed = numberOfGroups * nbitsglen;
-        if (bitsUsed % 8 !== 0) {
-          bitOffset += 8 - (bitsUsed % 8);
+    if (projection) {
+      // Projected grid: walk the projection plane from the first grid point
+      const first = projection.forward(grid.latitudeOfFirstGridPoint, grid.longitudeOfFirstGridPoint);
+
+      for (let j = 0; j < nj; j++) {
+        const y = first.y + j * grid.Dy * jMultiplier;
+        for (let i = 0; i < ni; i++) {
+          const point = projection.inverse(first.x + i * grid.Dx * iMultiplier, y);
+          const idx = j * ni + i;
+
+          lat[idx] = point.lat;
+          let lon = point.lon;
+          while (lon >= 360) lon -= 360;
+          while (lon < 0) lon += 360;
+          lng[idx] = lon;
         }
       }
 
-      // Calculate actual group lengths
-      for (let i = 0; i < numberOfGroups; i++) {
-        glen[i] = (glen[i] * lengthIncrement) + referenceForGroupLengths;
+      return { lat, lng };
+    }
+
+    // Regular latitude/longitude grid
+    for (let j = 0; j < nj; j++) {
+      for (let i = 0; i < ni; i++) {
+        const idx = j * ni + i;
+
+        // Calculate lat/lng based on scanning direction
+        lat[idx] = grid.latitudeOfFirstGridPoint + j * grid.jDirectionIncrement * jMultiplier;
+        lng[idx] = grid.longitudeOfFirstGridPoint + i * grid.iDirectionIncrement * iMultiplier;
       }
+    }
 
-      // Override last group length
-      glen[numberOfGroups - 1] = trueLengthOfLastGroup;
+    return { lat, lng };
+  }
 
-      // Step 5: Unpack data from groups
-      let n = 0;
+  /**
+   * Normalize a longitude difference to [-180, 180)
+   */
+  normalizeLongitudeDifference(delta) {
+    return ((delta % 360) + 540) % 360 - 180;
+  }
 
-      for (let j = 0; j < numberOfGroups; j++) {
-        if (gwidth[j] !== 0) {
-          // Read glen[j] values, each gwidth[j] bits wide
-          for (let k = 0; k < glen[j] && n < numberOfPoints; k++) {
-            // Check if we would exceed data bounds
-            if (bitOffset + gwidth[j] > maxBitOffset) {
-              // Stop decoding - data section is incomplete, fill remaining with zeros
-              while (n < numberOfPoints) {
-                ifld[n++] = 0;
-              }
-              break;
-            }
-            const packedValue = this.readBits(bitOffset, gwidth[j]);
-            ifld[n] = gref[j] + packedValue;
-            bitOffset += gwidth[j];
+  /**
+   * Section 4: Product Definition Section
+   */
+  parseSection4() {
+    const length = this.view.getUint32(this.offset);
+    const sectionNumber = this.view.getUint8(this.offset + 4);
+
+    const section4 = {
+      length,
+      numberOfCoordinateValues: this.view.getUint16(this.offset + 5),
+      productDefinitionTemplateNumber: this.view.getUint16(this.offset + 7)
+    };
+
+    // Raw template data, and the decoded product definition template
+    section4.templateData = new Uint8Array(this.buffer, this.offset + 9, length - 9);
+    section4.product = this.parseProductTemplate(section4.productDefinitionTemplateNumber, this.offset + 9, this.offset + length);
+
+    this.offset += length;
+    return section4;
+  }
+
+  /**
+   * Decode a Product Definition Template into named fields
+   * Supported: 4.0, 4.1, 4.2, 4.5, 4.6, 4.8, 4.9, 4.10, 4.11, 4.12, 4.15 and the chemical/aerosol
+   * templates 4.40 to 4.49. Templates 4.3, 4.4 and 4.7 decode the part they share with 4.0,
+   * other templates only the parameter category and number.
+   *
+   * Example (template 4.8, 0-6 hour accumulation):
+   * {
+   *   templateNumber: 8,
+   *   parameterCategory: 1, parameterNumber: 8,
+   *   typeOfGeneratingProcess: 2, backgroundProcess: 0, generatingProcessIdentifier: 96,
+   *   hoursAfterDataCutoff: 0, minutesAfterDataCutoff: 0,
+   *   indicatorOfUnitOfTimeRange: 1, forecastTime: 0,
+   *   firstFixedSurface: { type: 1, scaleFactor: 0, scaledValue: 0, value: 0 },
+   *   secondFixedSurface: { type: 255, scaleFactor: null, scaledValue: null, value: null },
+   *   statistics: {
+   *     endOfOverallTimeInterval: { year: 2025, month: 10, day: 13, hour: 18, minute: 0, second: 0 },
+   *     numberOfTimeRanges: 1, numberOfMissingInStatisticalProcess: 0,
+   *     timeRanges: [{ typeOfStatisticalProcessing: 1, typeOfTimeIncrement: 2, indicatorOfUnitForTimeRange: 1,
+   *                    lengthOfTimeRange: 6, indicatorOfUnitForTimeIncrement: 255, timeIncrement: 0 }]
+   *   }
+   * }
+   *
+   * @param {Number} templateNumber - Product definition template number
+   * @param {Number} offset - Offset of the template (octet 10 of Section 4)
+   * @param {Number} end - Offset of the end of Section 4
+   * @returns {Object} Decoded template
+   */
+  parseProductTemplate(templateNumber, offset, end) {
+    const view = this.view;
+    let p = offset;
+
+    const u8 = () => view.getUint8(p++);
+    const u16 = () => { const v = view.getUint16(p); p += 2; return v; };
+    const u32 = () => { const v = view.getUint32(p); p += 4; return v; };
+    const s32 = () => { const v = this.readSignedInt32(p); p += 4; return v; };
+
+    // Scale factor (signed octet) and scaled value (signed 4 octets), all ones when missing
+    const scaled = () => {
+      const factor = u8();
+      const raw = view.getUint32(p);
+      const value = s32();
+      if (factor === 0xff && raw === 0xffffffff) {
+        return { scaleFactor: null, scaledValue: null, value: null };
+      }
+      const scaleFactor = factor & 0x80 ? -(factor & 0x7f) : factor;
+      // Divide for positive factors so that e.g. 3 x 10^-1 gives exactly 0.3
+      return { scaleFactor, scaledValue: value, value: scaleFactor >= 0 ? value / Math.pow(10, scaleFactor) : value * Math.pow(10, -scaleFactor) };
+    };
+    const surface = () => {
+      const type = u8();
+      const { scaleFactor, scaledValue, value } = scaled();
+      return type === 255
+        ? { type, scaleFactor: null, scaledValue: null, value: null }
+        : { type, scaleFactor, scaledValue, value };
+    };
+
+    const product = { templateNumber };
+    if (end - offset < 2) {
+      return product;
+    }
+    product.parameterCategory = u8();
+    product.parameterNumber = u8();
+
+    const isChemical = templateNumber >= 40 && templateNumber <= 43;
+    const isAerosol = templateNumber >= 44 && templateNumber <= 49;
+    const isHorizontal = templateNumber <= 12 || templateNumber === 15 || isChemical || isAerosol;
+    if (!isHorizontal) {
+      return product;
+    }
+
+    // Length of the fixed part: truncated sections keep the parameter only
+    let layoutLength = 23;  // Generating process, forecast time and fixed surfaces
+    if (isChemical) layoutLength += 2;
+    if (isAerosol) layoutLength += templateNumber >= 48 ? 24 : 11;  // 4.44-4.47: 2-octet forecast time
+    if (end - p < layoutLength) {
+      return product;
+    }
+
+    if (isChemical) {
+      product.constituentType = u16();  // Code Table 4.230
+    } else if (isAerosol) {
+      product.aerosolType = u16();  // Code Table 4.233
+      product.typeOfSizeInterval = u8();  // Code Table 4.91
+      product.firstSize = scaled();
+      product.secondSize = scaled();
+      if (templateNumber >= 48) {
+        product.typeOfWavelengthInterval = u8();
+        product.firstWavelength = scaled();
+        product.secondWavelength = scaled();
+      }
+    }
+
+    product.typeOfGeneratingProcess = u8();  // Code Table 4.3
+    product.backgroundProcess = u8();
+    product.generatingProcessIdentifier = u8();
+    product.hoursAfterDataCutoff = u16();
+    product.minutesAfterDataCutoff = u8();
+    product.indicatorOfUnitOfTimeRange = u8();  // Code Table 4.4
+    // Templates 4.44 to 4.47 were defined with a 2-octet forecast time
+    product.forecastTime = templateNumber >= 44 && templateNumber <= 47 ? u16() : s32();
+    product.firstFixedSurface = surface();   // Code Table 4.5
+    product.secondFixedSurface = surface();
+
+    // Ensemble member (templates 4.1, 4.11 and their chemical/aerosol variants)
+    if ([1, 11, 41, 43, 45, 47, 49].includes(templateNumber) && end - p >= 3) {
+      product.ensemble = {
+        typeOfEnsembleForecast: u8(),  // Code Table 4.6
+        perturbationNumber: u8(),
+        numberOfForecastsInEnsemble: u8()
+      };
+    }
+
+    // Derived forecast from all ensemble members (templates 4.2, 4.12)
+    if ((templateNumber === 2 || templateNumber === 12) && end - p >= 2) {
+      product.derivedForecast = u8();  // Code Table 4.7
+      product.numberOfForecastsInEnsemble = u8();
+    }
+
+    // Probability forecast (templates 4.5, 4.9)
+    if ((templateNumber === 5 || templateNumber === 9) && end - p >= 13) {
+      product.probability = {
+        forecastProbabilityNumber: u8(),
+        totalNumberOfForecastProbabilities: u8(),
+        probabilityType: u8(),  // Code Table 4.9
+        lowerLimit: scaled(),
+        upperLimit: scaled()
+      };
+    }
+
+    // Percentile forecast (templates 4.6, 4.10)
+    if ((templateNumber === 6 || templateNumber === 10) && end - p >= 1) {
+      product.percentileValue = u8();
+    }
+
+    // Spatial statistical processing (template 4.15)
+    if (templateNumber === 15 && end - p >= 3) {
+      product.spatialProcessing = {
+        statisticalProcess: u8(),  // Code Table 4.10
+        spatialProcessing: u8(),   // Code Table 4.15
+        numberOfPointsUsed: u8()
+      };
+    }
+
+    // Statistical processing over time intervals (templates 4.8 to 4.12, 4.42, 4.43, 4.46, 4.47)
+    if ([8, 9, 10, 11, 12, 42, 43, 46, 47].includes(templateNumber) && end - p >= 12) {
+      const statistics = {
+        endOfOverallTimeInterval: {
+          year: u16(),
+          month: u8(),
+          day: u8(),
+          hour: u8(),
+          minute: u8(),
+          second: u8()
+        },
+        numberOfTimeRanges: u8(),
+        numberOfMissingInStatisticalProcess: u32(),
+        timeRanges: []
+      };
+      for (let k = 0; k < statistics.numberOfTimeRanges && end - p >= 12; k++) {
+        statistics.timeRanges.push({
+          typeOfStatisticalProcessing: u8(),  // Code Table 4.10
+          typeOfTimeIncrement: u8(),          // Code Table 4.11
+          indicatorOfUnitForTimeRange: u8(),  // Code Table 4.4
+          lengthOfTimeRange: u32(),
+          indicatorOfUnitForTimeIncrement: u8(),
+          timeIncrement: u32()
+        });
+      }
+      product.statistics = statistics;
+    }
+
+    return product;
+  }
+
+  /**
+   * Section 5: Data Representation Section
+   */
+  parseSection5() {
+    const length = this.view.getUint32(this.offset);
+    const sectionNumber = this.view.getUint8(this.offset + 4);
+
+    const section5 = {
+      length,
+      numberOfDataPoints: this.view.getUint32(this.offset + 5),
+      dataRepresentationTemplateNumber: this.view.getUint16(this.offset + 9)
+    };
+
+    // Parse template 0 (simple packing)
+    if (section5.dataRepresentationTemplateNumber === 0) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20)
+      };
+    }
+    // Parse template 2 (complex packing without spatial differencing)
+    else if (section5.dataRepresentationTemplateNumber === 2) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
+        groupSplittingMethod: this.view.getUint8(this.offset + 21),
+        missingValueManagement: this.view.getUint8(this.offset + 22),
+        primaryMissingValue: this.view.getFloat32(this.offset + 23),
+        secondaryMissingValue: this.view.getFloat32(this.offset + 27),
+        numberOfGroups: this.view.getUint32(this.offset + 31),
+        referenceForGroupWidths: this.view.getUint8(this.offset + 35),
+        numberOfBitsForGroupWidths: this.view.getUint8(this.offset + 36),
+        referenceForGroupLengths: this.view.getUint32(this.offset + 37),
+        lengthIncrementForGroupLengths: this.view.getUint8(this.offset + 41),
+        trueLengthOfLastGroup: this.view.getUint32(this.offset + 42),
+        numberOfBitsForScaledGroupLengths: this.view.getUint8(this.offset + 46),
+        orderOfSpatialDifferencing: 0  // No spatial differencing for template 2
+      };
+    }
+    // Parse template 3 (complex packing and spatial differencing)
+    else if (section5.dataRepresentationTemplateNumber === 3) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
+        groupSplittingMethod: this.view.getUint8(this.offset + 21),
+        missingValueManagement: this.view.getUint8(this.offset + 22),
+        primaryMissingValue: this.view.getFloat32(this.offset + 23),
+        secondaryMissingValue: this.view.getFloat32(this.offset + 27),
+        numberOfGroups: this.view.getUint32(this.offset + 31),
+        referenceForGroupWidths: this.view.getUint8(this.offset + 35),
+        numberOfBitsForGroupWidths: this.view.getUint8(this.offset + 36),
+        referenceForGroupLengths: this.view.getUint32(this.offset + 37),
+        lengthIncrementForGroupLengths: this.view.getUint8(this.offset + 41),
+        trueLengthOfLastGroup: this.view.getUint32(this.offset + 42),
+        numberOfBitsForScaledGroupLengths: this.view.getUint8(this.offset + 46),
+        orderOfSpatialDifferencing: this.view.getUint8(this.offset + 47),
+        numberOfOctetsExtraDescriptors: this.view.getUint8(this.offset + 48)
+      };
+    }
+    // Parse template 4 (IEEE floating point)
+    else if (section5.dataRepresentationTemplateNumber === 4) {
+      section5.template = {
+        precision: this.view.getUint8(this.offset + 11)  // 1 = 32-bit, 2 = 64-bit, 3 = 128-bit
+      };
+    }
+    // Parse template 200 (run length packing with level values)
+    else if (section5.dataRepresentationTemplateNumber === 200) {
+      const maxLevel = this.view.getUint16(this.offset + 14);
+      // Decimal scale factor is a 1-octet sign and magnitude integer
+      const scaleOctet = this.view.getUint8(this.offset + 16);
+      const levelScaleFactor = scaleOctet & 0x80 ? -(scaleOctet & 0x7f) : scaleOctet;
+      const levelValues = [];
+      for (let i = 0; i < maxLevel; i++) {
+        levelValues.push(this.view.getUint16(this.offset + 17 + i * 2));
+      }
+
+      section5.template = {
+        numberOfBits: this.view.getUint8(this.offset + 11),
+        maxValueUsed: this.view.getUint16(this.offset + 12),   // MV: highest level used in the packing
+        maxLevel,                                              // MVL: number of predefined levels
+        levelScaleFactor,
+        levelValues                                            // Scaled representative value of levels 1..MVL
+      };
+    }
+    // Parse template 41 (PNG)
+    else if (section5.dataRepresentationTemplateNumber === 41) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),  // PNG bit depth per pixel
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20)
+      };
+    }
+    // Parse template 42 (CCSDS recommended lossless compression)
+    else if (section5.dataRepresentationTemplateNumber === 42) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
+        ccsdsFlags: this.view.getUint8(this.offset + 21),
+        blockSize: this.view.getUint8(this.offset + 22),
+        referenceSampleInterval: this.view.getUint16(this.offset + 23)
+      };
+    }
+    // Parse template 40 (JPEG2000 code stream)
+    else if (section5.dataRepresentationTemplateNumber === 40) {
+      section5.template = {
+        referenceValue: this.view.getFloat32(this.offset + 11),
+        binaryScaleFactor: this.view.getInt16(this.offset + 15),
+        decimalScaleFactor: this.view.getInt16(this.offset + 17),
+        numberOfBits: this.view.getUint8(this.offset + 19),
+        typeOfOriginalFieldValues: this.view.getUint8(this.offset + 20),
+        typeOfCompressionUsed: this.view.getUint8(this.offset + 21),  // 0 = lossless, 1 = lossy
+        targetCompressionRatio: this.view.getUint8(this.offset + 22)
+      };
+    }
+
+    this.offset += length;
+    return section5;
+  }
+
+  /**
+   * Section 6: Bit-Map Section
+   * Indicator 0: bitmap follows, 254: reuse the bitmap previously defined in the file,
+   * 255: no bitmap applies
+   */
+  parseSection6() {
+    const length = this.view.getUint32(this.offset);
+    const sectionNumber = this.view.getUint8(this.offset + 4);
+
+    const section6 = {
+      length,
+      bitMapIndicator: this.view.getUint8(this.offset + 5)
+    };
+
+    if (section6.bitMapIndicator === 0) {
+      // Bitmap follows
+      section6.bitmap = new Uint8Array(this.buffer, this.offset + 6, length - 6);
+      this.previousBitmap = section6.bitmap;
+    } else if (section6.bitMapIndicator === 254) {
+      // Previously defined bitmap applies to this message
+      if (!this.previousBitmap) {
+        throw new Error(`Bitmap indicator 254 at offset ${this.offset} but no bitmap was previously defined`);
+      }
+      section6.bitmap = this.previousBitmap;
+    }
+
+    this.offset += length;
+    return section6;
+  }
+
+  /**
+   * Section 7: Data Section
+   * Packed values only cover the points set in the bitmap (if any); they are
+   * expanded to the full grid with masked points set to this.missingValue.
+   * In lazy mode (default) only the location of the packed values is recorded here:
+   * section7.data unpacks them on first access (see getMessageData).
+   */
+  parseSection7(section5, section6, section3) {
+    const length = this.view.getUint32(this.offset);
+    const sectionNumber = this.view.getUint8(this.offset + 4);
+
+    const section7 = {
+      length,
+      dataOffset: this.offset + 5,
+      hasData: false,  // true when the values can be unpacked (supported data representation template)
+      data: null
+    };
+
+    if (this.canDecode(section5)) {
+      this.attachData(section7, () => this.decodeSection7(section7.dataOffset, length - 5, section5, section6, section3),
+        section3 ? section3.numberOfDataPoints : section5.numberOfDataPoints);
+    } else {
+      // Store raw data for unsupported templates
+      section7.rawData = new Uint8Array(this.buffer, this.offset + 5, length - 5);
+    }
+
+    this.offset += length;
+    return section7;
+  }
+
+  /**
+   * Whether the values of a message can be unpacked (supported data representation template)
+   *
+   * @param {Object} section5 - Data representation section (or undefined)
+   * @returns {Boolean}
+   */
+  canDecode(section5) {
+    return Boolean(section5 && section5.template && DECODED_DATA_TEMPLATES.includes(section5.dataRepresentationTemplateNumber));
+  }
+
+  /**
+   * Give a data section its values: unpacked now, or on first access of section7.data in lazy mode
+   * A field that cannot be unpacked is recorded in this.errors with the offset of its message and
+   * filled with the missing value (GribDecodeError thrown in strict mode).
+   *
+   * @param {Object} section7 - Data section
+   * @param {Function} unpack - Unpacks the values (Float32Array on the full grid)
+   * @param {Number} numberOfPoints - Number of grid points, for the missing field
+   */
+  attachData(section7, unpack, numberOfPoints) {
+    const messageOffset = this.messageOffset;
+    const decode = () => {
+      try {
+        return unpack();
+      } catch (error) {
+        const decodeError = error instanceof GribError ? error : new GribDecodeError(error.message, { cause: error });
+        if (decodeError.offset === null) decodeError.offset = messageOffset;
+        const messageIndex = this.messages.findIndex(message => message.sections.section7 === section7);
+        decodeError.messageIndex = messageIndex !== -1 ? messageIndex : this.messages.length;
+        decodeError.message = `Cannot decode the data section: ${decodeError.message}`;
+        this.reportIssue(this.errors, decodeError);
+        return new Float32Array(numberOfPoints).fill(this.missingValue);
+      }
+    };
+
+    section7.hasData = true;
+    if (this.lazy) {
+      Object.defineProperty(section7, 'data', {
+        get: () => this.getDecodedData(section7, decode),
+        enumerable: true,
+        configurable: true
+      });
+    } else {
+      section7.data = decode();
+    }
+  }
+
+  /**
+   * Unpack the values of a data section and expand them with the bitmap
+   *
+   * @param {Number} offset - Offset of the packed values (after the 5-octet section header)
+   * @param {Number} length - Length of the packed values in bytes
+   * @param {Object} section5 - Data representation section of the message
+   * @param {Object} section6 - Bitmap section of the message (or undefined)
+   * @param {Object} section3 - Grid definition section of the message (or undefined)
+   * @returns {Float32Array} Values on the full grid
+   */
+  decodeSection7(offset, length, section5, section6, section3) {
+    let data;
+
+    switch (section5.dataRepresentationTemplateNumber) {
+      case 0:
+        // Simple packing
+        data = this.decodeSimplePacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 2:
+      case 3:
+        // Complex packing (with or without spatial differencing)
+        data = this.decodeComplexPacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 4:
+        // IEEE floating point
+        data = this.decodeIeeePacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 40:
+        // JPEG2000 code stream
+        data = this.decodeJpeg2000Packing(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 41:
+        // PNG
+        data = this.decodePngPacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 42:
+        // CCSDS adaptive entropy coding
+        data = this.decodeCcsdsPacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+      case 200:
+        // Run length packing with level values
+        data = this.decodeRunLengthPacking(offset, length, section5.template, section5.numberOfDataPoints);
+        break;
+    }
+
+    if (data && section6 && section6.bitmap) {
+      const numberOfGridPoints = section3 ? section3.numberOfDataPoints : section6.bitmap.length * 8;
+      data = this.applyBitmap(data, section6.bitmap, numberOfGridPoints);
+    }
+    return data;
+  }
+
+  /**
+   * Decoded values of a data section, through the LRU cache of decoded fields
+   * The most recently used fields are kept, up to options.cacheSize fields.
+   *
+   * @param {Object} section7 - Data section (cache key)
+   * @param {Function} decode - Unpacks the values
+   * @returns {Float32Array} Values on the full grid
+   */
+  getDecodedData(section7, decode) {
+    if (this.dataCache.has(section7)) {
+      // Move to the most recently used end
+      const cached = this.dataCache.get(section7);
+      this.dataCache.delete(section7);
+      this.dataCache.set(section7, cached);
+      return cached;
+    }
+
+    const data = decode();
+    if (this.cacheSize > 0) {
+      this.dataCache.set(section7, data);
+      while (this.dataCache.size > this.cacheSize) {
+        this.dataCache.delete(this.dataCache.keys().next().value);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Values of one message (unpacked on demand in lazy mode)
+   *
+   * @param {Number} messageIndex - Message index (0-based)
+   * @returns {Float32Array|null} Values on the full grid, missing value at points masked by the bitmap,
+   *   or null when the data representation template is not supported
+   */
+  getMessageData(messageIndex) {
+    const message = this.messages[messageIndex];
+    if (!message) {
+      throw new Error(`Message index out of range: ${messageIndex}`);
+    }
+    const s7 = message.sections.section7;
+    return s7 && s7.hasData ? s7.data : null;
+  }
+
+  /**
+   * Release decoded fields from the cache (lazy mode); they are unpacked again when requested
+   * Arrays already returned by getData() or getMessageData() stay valid.
+   *
+   * @param {Number} messageIndex - Message whose values are released (default: all messages)
+   */
+  releaseData(messageIndex) {
+    if (messageIndex === undefined) {
+      this.dataCache.clear();
+      return;
+    }
+    const message = this.messages[messageIndex];
+    if (!message) {
+      throw new Error(`Message index out of range: ${messageIndex}`);
+    }
+    this.dataCache.delete(message.sections.section7);
+  }
+
+  /**
+   * Expand packed values to the full grid using a Section 6 bitmap
+   * Bit set = next packed value, bit clear = missing point (this.missingValue)
+   *
+   * @param {Float32Array|Float64Array|Array} packedValues - Values for the points present in the bitmap
+   * @param {Uint8Array} bitmap - Bitmap, one bit per grid point (MSB first)
+   * @param {Number} numberOfGridPoints - Total number of grid points
+   * @returns {Float32Array|Float64Array} Values for every grid point (Float64Array for 64-bit IEEE values)
+   */
+  applyBitmap(packedValues, bitmap, numberOfGridPoints) {
+    const data = packedValues instanceof Float64Array ? new Float64Array(numberOfGridPoints) : new Float32Array(numberOfGridPoints);
+    let n = 0;
+
+    for (let i = 0; i < numberOfGridPoints; i++) {
+      const isPresent = (bitmap[i >> 3] >> (7 - (i & 7))) & 1;
+      data[i] = isPresent && n < packedValues.length ? packedValues[n++] : this.missingValue;
+    }
+
+    return data;
+  }
+
+  /**
+   * Check whether a decoded value marks a missing grid point
+   */
+  isMissing(value) {
+    // Float32Array fields hold the float32 rounding of a custom missing value (e.g. 9.999e20)
+    return Number.isNaN(value) || value === this.missingValue || value === Math.fround(this.missingValue);
+  }
+
+  /**
+   * Count missing points (bitmap or missing value management) in a decoded field
+   */
+  countMissing(data) {
+    let count = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (this.isMissing(data[i])) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Decode simple packing (Data Representation Template 5.0)
+   */
+  decodeSimplePacking(offset, dataLength, template, numberOfPoints) {
+    if (!template || template.numberOfBits === 0) {
+      return new Array(numberOfPoints).fill(template.referenceValue);
+    }
+
+    const data = new Float32Array(numberOfPoints);
+    const R = template.referenceValue;
+    const E = template.binaryScaleFactor;
+    const D = template.decimalScaleFactor;
+    const numberOfBits = template.numberOfBits;
+
+    const decimalScale = Math.pow(10, -D);
+    const binaryScale = Math.pow(2, E);
+
+    let bitOffset = offset * 8;
+
+    for (let i = 0; i < numberOfPoints; i++) {
+      const packedValue = this.readBits(bitOffset, numberOfBits);
+      data[i] = (R + packedValue * binaryScale) * decimalScale;
+      bitOffset += numberOfBits;
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode IEEE floating point data (Data Representation Template 5.4)
+   * Values are stored big-endian without scaling; precision 1 = 32-bit, 2 = 64-bit
+   */
+  decodeIeeePacking(offset, dataLength, template, numberOfPoints) {
+    const bytesPerValue = { 1: 4, 2: 8 }[template.precision];
+
+    if (!bytesPerValue) {
+      throw new Error(`Unsupported IEEE precision ${template.precision} (only 32 and 64-bit are supported)`);
+    }
+    if (numberOfPoints * bytesPerValue > dataLength) {
+      throw new Error(`IEEE data section has ${dataLength} bytes, expected ${numberOfPoints * bytesPerValue}`);
+    }
+
+    const data = bytesPerValue === 4 ? new Float32Array(numberOfPoints) : new Float64Array(numberOfPoints);
+    for (let i = 0; i < numberOfPoints; i++) {
+      data[i] = bytesPerValue === 4
+        ? this.view.getFloat32(offset + i * 4)
+        : this.view.getFloat64(offset + i * 8);
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode run length packing with level values (Data Representation Template 5.200)
+   * Each run is a level value (1..MV, 0 = missing) followed by optional run length
+   * digits (values above MV) in base (2^nbits - 1 - MV), least significant first.
+   * Based on wgrib2 unpk_run_length
+   */
+  decodeRunLengthPacking(offset, dataLength, template, numberOfPoints) {
+    const data = new Float32Array(numberOfPoints);
+    const numberOfBits = template.numberOfBits;
+    const maxValueUsed = template.maxValueUsed;
+    const range = Math.pow(2, numberOfBits) - 1 - maxValueUsed;
+
+    if (numberOfBits === 0 || range <= 0) {
+      throw new Error(`Invalid run length packing: ${numberOfBits} bits for ${maxValueUsed} levels`);
+    }
+
+    const levelScale = Math.pow(10, -template.levelScaleFactor);
+    const levels = template.levelValues.map(value => value * levelScale);
+    const numberOfValues = Math.floor(dataLength * 8 / numberOfBits);
+    let bitOffset = offset * 8;
+    let n = 0;
+    let i = 0;
+
+    while (i < numberOfValues && n < numberOfPoints) {
+      const level = this.readBits(bitOffset, numberOfBits);
+      bitOffset += numberOfBits;
+      i++;
+
+      if (level > maxValueUsed) {
+        throw new Error(`Invalid run length packing: run length without level at value ${i - 1}`);
+      }
+      if (level > levels.length) {
+        throw new Error(`Invalid run length packing: level ${level} exceeds the ${levels.length} level values`);
+      }
+
+      let runLength = 1;
+      let factor = 1;
+      while (i < numberOfValues) {
+        const value = this.readBits(bitOffset, numberOfBits);
+        if (value <= maxValueUsed) break;
+        runLength += factor * (value - maxValueUsed - 1);
+        factor *= range;
+        bitOffset += numberOfBits;
+        i++;
+      }
+
+      const value = level === 0 ? this.missingValue : levels[level - 1];
+      const end = Math.min(n + runLength, numberOfPoints);
+      while (n < end) {
+        data[n++] = value;
+      }
+    }
+
+    if (n < numberOfPoints) {
+      throw new Error(`Run length packing decoded ${n} values, expected ${numberOfPoints}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode JPEG2000 code stream packing (Data Representation Template 5.40)
+   * The code stream holds the scaled integers X of the first image component;
+   * values are unpacked as for simple packing: Y = (R + X * 2^E) * 10^-D
+   */
+  decodeJpeg2000Packing(offset, dataLength, template, numberOfPoints) {
+    const data = new Float32Array(numberOfPoints);
+    const R = template.referenceValue;
+    const decimalScale = Math.pow(10, -template.decimalScaleFactor);
+
+    // Constant field: no code stream
+    if (template.numberOfBits === 0 || dataLength === 0) {
+      return data.fill(R * decimalScale);
+    }
+
+    const image = new Jpeg2000Decoder().decode(new Uint8Array(this.buffer, offset, dataLength));
+    const values = image.components[0].data;
+
+    if (values.length < numberOfPoints) {
+      throw new Error(`JPEG2000 code stream has ${values.length} values, expected ${numberOfPoints}`);
+    }
+
+    const binaryScale = Math.pow(2, template.binaryScaleFactor);
+    for (let i = 0; i < numberOfPoints; i++) {
+      data[i] = (R + values[i] * binaryScale) * decimalScale;
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode PNG packing (Data Representation Template 5.41)
+   * Each pixel holds one scaled integer X (1 to 32 bits: grayscale, RGB or RGBA);
+   * values are unpacked as for simple packing: Y = (R + X * 2^E) * 10^-D
+   */
+  decodePngPacking(offset, dataLength, template, numberOfPoints) {
+    const data = new Float32Array(numberOfPoints);
+    const R = template.referenceValue;
+    const decimalScale = Math.pow(10, -template.decimalScaleFactor);
+
+    // Constant field: no image
+    if (template.numberOfBits === 0 || dataLength === 0) {
+      return data.fill(R * decimalScale);
+    }
+
+    const image = new PngDecoder().decode(new Uint8Array(this.buffer, offset, dataLength));
+    const values = image.values;
+
+    if (values.length < numberOfPoints) {
+      throw new Error(`PNG image has ${values.length} values, expected ${numberOfPoints}`);
+    }
+
+    const binaryScale = Math.pow(2, template.binaryScaleFactor);
+    for (let i = 0; i < numberOfPoints; i++) {
+      data[i] = (R + values[i] * binaryScale) * decimalScale;
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode CCSDS recommended lossless compression (Data Representation Template 5.42)
+   * The CCSDS 121.0 bit stream holds the scaled integers X (numberOfBits each);
+   * values are unpacked as for simple packing: Y = (R + X * 2^E) * 10^-D
+   */
+  decodeCcsdsPacking(offset, dataLength, template, numberOfPoints) {
+    const data = new Float32Array(numberOfPoints);
+    const R = template.referenceValue;
+    const decimalScale = Math.pow(10, -template.decimalScaleFactor);
+
+    // Constant field: no bit stream
+    if (template.numberOfBits === 0 || dataLength === 0) {
+      return data.fill(R * decimalScale);
+    }
+
+    const values = new AecDecoder().decode(new Uint8Array(this.buffer, offset, dataLength), {
+      bitsPerSample: template.numberOfBits,
+      blockSize: template.blockSize,
+      referenceSampleInterval: template.referenceSampleInterval,
+      flags: template.ccsdsFlags,
+      numberOfSamples: numberOfPoints
+    });
+
+    const binaryScale = Math.pow(2, template.binaryScaleFactor);
+    for (let i = 0; i < numberOfPoints; i++) {
+      data[i] = (R + values[i] * binaryScale) * decimalScale;
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode complex packing and spatial differencing (Data Representation Template 5.3)
+   * Based on NOAA g2clib comunpack.c reference implementation
+   */
+  decodeComplexPacking(offset, dataLength, template, numberOfPoints) {
+    try {
+      // Working array for integer values (before final scaling)
+      const ifld = new Int32Array(numberOfPoints);
+
+      const R = template.referenceValue;
+      const E = template.binaryScaleFactor;
+      const D = template.decimalScaleFactor;
+      const decimalScale = Math.pow(10, -D);
+      const binaryScale = Math.pow(2, E);
+
+      const numberOfGroups = template.numberOfGroups;
+      const nbitsgref = template.numberOfBits; // bits for group references
+      const nbitsgwidth = template.numberOfBitsForGroupWidths;
+      const referenceForGroupWidths = template.referenceForGroupWidths;
+      const nbitsglen = template.numberOfBitsForScaledGroupLengths;
+      const referenceForGroupLengths = template.referenceForGroupLengths;
+      const lengthIncrement = template.lengthIncrementForGroupLengths;
+      const trueLengthOfLastGroup = template.trueLengthOfLastGroup;
+      const orderOfSpatialDiff = template.orderOfSpatialDifferencing || 0;
+      const nbitsd = template.numberOfBits; // bits per value
+
+      // Step 1: Extract spatial differencing values (if template 5.3)
+      // According to grib22json implementation, for template 5.3:
+      // - h1 and h2 are stored in the first numberOfOctetsExtraDescriptors bytes
+      // - Overall minimum is stored in the next numberOfOctetsExtraDescriptors bytes
+      // - Then we skip those bytes and start reading group data
+
+      let h1 = 0, h2 = 0, overallMin = 0;
+      const numExtraOctets = template.numberOfOctetsExtraDescriptors || 0;
+      let bitOffset;
+
+      if (orderOfSpatialDiff > 0 && numExtraOctets > 0) {
+        // According to NOAA g2clib: read as unsigned (gbit reads unsigned values)
+        const nbitsd = numExtraOctets * 8;
+        let bitPos = offset * 8;
+
+        if (numExtraOctets === 2) {
+          h1 = this.readBits(bitPos, nbitsd);  // Unsigned, 16 bits
+          bitPos += nbitsd;
+
+          if (orderOfSpatialDiff === 2) {
+            h2 = this.readBits(bitPos, nbitsd);  // Unsigned, 16 bits
+            bitPos += nbitsd;
+          }
+
+          // Read sign bit (1 bit)
+          const isign = this.readBits(bitPos, 1);
+          bitPos += 1;
+
+          // Read magnitude of minsd (nbitsd - 1 bits)
+          const minsdMagnitude = this.readBits(bitPos, nbitsd - 1);
+          bitPos += (nbitsd - 1);
+
+          // Apply sign
+          overallMin = isign === 1 ? -minsdMagnitude : minsdMagnitude;
+        } else if (numExtraOctets === 1) {
+          h1 = this.readBits(bitPos, nbitsd);  // Unsigned, 8 bits
+          bitPos += nbitsd;
+
+          if (orderOfSpatialDiff === 2) {
+            h2 = this.readBits(bitPos, nbitsd);  // Unsigned, 8 bits
+            bitPos += nbitsd;
+          }
+
+          // Read sign bit (1 bit)
+          const isign = this.readBits(bitPos, 1);
+          bitPos += 1;
+
+          // Read magnitude of minsd (nbitsd - 1 bits)
+          const minsdMagnitude = this.readBits(bitPos, nbitsd - 1);
+          bitPos += (nbitsd - 1);
+
+          // Apply sign
+          overallMin = isign === 1 ? -minsdMagnitude : minsdMagnitude;
+        }
+
+        // Continue reading from where we left off in the bitstream
+        bitOffset = bitPos;
+      } else {
+        bitOffset = offset * 8;
+      }
+
+      const maxBitOffset = (offset + dataLength) * 8;
+
+      // Check if we have groups
+      if (numberOfGroups === 0) {
+        // No groups - fill with reference value
+        const data = new Float32Array(numberOfPoints);
+        data.fill(R * decimalScale);
+        return data;
+      }
+
+      // Step 2: Read group reference values
+      const gref = new Int32Array(numberOfGroups);
+
+      if (nbitsgref > 0) {
+        for (let i = 0; i < numberOfGroups; i++) {
+          gref[i] = this.readBits(bitOffset, nbitsgref);
+          bitOffset += nbitsgref;
+        }
+        // Byte-align after group references
+        const bitsUsed = numberOfGroups * nbitsgref;
+        if (bitsUsed % 8 !== 0) {
+          bitOffset += 8 - (bitsUsed % 8);
+        }
+      }
+
+      // Step 3: Read group widths
+      const gwidth = new Uint8Array(numberOfGroups);
+
+      if (nbitsgwidth > 0) {
+        for (let i = 0; i < numberOfGroups; i++) {
+          gwidth[i] = this.readBits(bitOffset, nbitsgwidth);
+          bitOffset += nbitsgwidth;
+        }
+        // Byte-align after group widths
+        const bitsUsed = numberOfGroups * nbitsgwidth;
+        if (bitsUsed % 8 !== 0) {
+          bitOffset += 8 - (bitsUsed % 8);
+        }
+      }
+
+      // Add reference to each width
+      for (let i = 0; i < numberOfGroups; i++) {
+        gwidth[i] += referenceForGroupWidths;
+      }
+
+      // Step 4: Read and calculate group lengths
+      const glen = new Uint32Array(numberOfGroups);
+
+      if (nbitsglen > 0) {
+        for (let i = 0; i < numberOfGroups; i++) {
+          glen[i] = this.readBits(bitOffset, nbitsglen);
+          bitOffset += nbitsglen;
+        }
+        // Byte-align after group lengths
+        const bitsUsed = numberOfGroups * nbitsglen;
+        if (bitsUsed % 8 !== 0) {
+          bitOffset += 8 - (bitsUsed % 8);
+        }
+      }
+
+      // Calculate actual group lengths
+      for (let i = 0; i < numberOfGroups; i++) {
+        glen[i] = (glen[i] * lengthIncrement) + referenceForGroupLengths;
+      }
+
+      // Override last group length
+      glen[numberOfGroups - 1] = trueLengthOfLastGroup;
+
+      if (bitOffset > maxBitOffset) {
+        throw new GribDecodeError(`Complex packing: data section of ${dataLength} bytes ends in the descriptors of its ${numberOfGroups} groups, after 0 of ${numberOfPoints} points`);
+      }
+
+      // Step 5: Unpack data from groups
+      // Missing value management (Code Table 5.5): 0 = none, 1 = primary, 2 = primary and secondary.
+      // A missing point is flagged by an all-ones packed value (primary) or all-ones minus one
+      // (secondary), compared against the group width, or the group reference width when the
+      // group width is 0. Non-missing values are compacted at the start of ifld (g2clib comunpack).
+      const missingValueManagement = template.missingValueManagement || 0;
+      const missingFlags = missingValueManagement > 0 ? new Uint8Array(numberOfPoints) : null;
+      let n = 0;
+      let nonMissing = 0;
+
+      for (let j = 0; j < numberOfGroups; j++) {
+        if (gwidth[j] !== 0) {
+          const primaryMissing = Math.pow(2, gwidth[j]) - 1;
+          const secondaryMissing = primaryMissing - 1;
+
+          // Read glen[j] values, each gwidth[j] bits wide
+          for (let k = 0; k < glen[j] && n < numberOfPoints; k++) {
+            if (bitOffset + gwidth[j] > maxBitOffset) {
+              throw new GribDecodeError(`Complex packing: data section of ${dataLength} bytes ends after ${n} of ${numberOfPoints} points`);
+            }
+            const packedValue = this.readBits(bitOffset, gwidth[j]);
+            bitOffset += gwidth[j];
+
+            if (missingFlags && packedValue === primaryMissing) {
+              missingFlags[n] = 1;
+            } else if (missingValueManagement === 2 && packedValue === secondaryMissing) {
+              missingFlags[n] = 2;
+            } else {
+              ifld[nonMissing++] = gref[j] + packedValue;
+            }
+            n++;
+          }
+          if (n >= numberOfPoints) break;
+        } else {
+          // Width is 0, all values are the group reference
+          const primaryMissing = Math.pow(2, nbitsgref) - 1;
+          const secondaryMissing = primaryMissing - 1;
+          let flag = 0;
+
+          if (missingFlags && gref[j] === primaryMissing) {
+            flag = 1;
+          } else if (missingValueManagement === 2 && gref[j] === secondaryMissing) {
+            flag = 2;
+          }
+
+          for (let k = 0; k < glen[j] && n < numberOfPoints; k++) {
+            if (flag) {
+              missingFlags[n] = flag;
+            } else {
+              ifld[nonMissing++] = gref[j];
+            }
             n++;
           }
-          if (n >= numberOfPoints) break;
+        }
+      }
+      if (n < numberOfPoints) {
+        throw new GribDecodeError(`Complex packing: groups hold ${n} of ${numberOfPoints} points`);
+      }
+
+      // Step 6: Reverse spatial differencing (NOAA g2clib algorithm - same as wgrib2)
+      // Missing points are not part of the difference sequence, only the compacted values are
+      if (orderOfSpatialDiff > 0) {
+        if (orderOfSpatialDiff === 1) {
+          // First-order spatial differencing
+          ifld[0] = h1;
+          for (n = 1; n < nonMissing; n++) {
+            ifld[n] = ifld[n] + overallMin;
+            ifld[n] = ifld[n] + ifld[n - 1];
+          }
+        } else if (orderOfSpatialDiff === 2) {
+          // Second-order spatial differencing (NOAA algorithm)
+          ifld[0] = h1;
+          ifld[1] = h2;
+          for (n = 2; n < nonMissing; n++) {
+            ifld[n] = ifld[n] + overallMin;
+            ifld[n] = ifld[n] + (2 * ifld[n - 1]) - ifld[n - 2];
+          }
+        }
+      }
+
+      // Step 7: Apply final scaling to float values, re-inserting missing points
+      const data = new Float32Array(numberOfPoints);
+      let m = 0;
+      for (let i = 0; i < numberOfPoints; i++) {
+        if (missingFlags && missingFlags[i] !== 0) {
+          data[i] = this.missingValue;
+        } else {
+          data[i] = (R + ifld[m++] * binaryScale) * decimalScale;
+        }
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof GribDecodeError) throw error;
+      throw new GribDecodeError(`Complex packing (${numberOfPoints} points): ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Section 8: End Section
+   */
+  parseSection8() {
+    if (this.readSignature(this.offset) !== '7777') {
+      throw new GribFormatError(`Invalid end section at offset ${this.offset}`, { code: 'MISSING_END_SECTION', offset: this.offset });
+    }
+
+    this.offset += 4;
+  }
+
+  /**
+   * Read n bits from the buffer at a bit offset
+   */
+  readBits(bitOffset, numberOfBits) {
+    const byteOffset = Math.floor(bitOffset / 8);
+    const bitShift = bitOffset % 8;
+
+    // Check bounds
+    const lastByteNeeded = Math.floor((bitOffset + numberOfBits - 1) / 8);
+    if (lastByteNeeded >= this.buffer.byteLength) {
+      throw new Error(`Offset ${lastByteNeeded} is outside the bounds of the DataView (size: ${this.buffer.byteLength})`);
+    }
+
+    let value = 0;
+    let bitsRead = 0;
+
+    while (bitsRead < numberOfBits) {
+      const currentByteOffset = byteOffset + Math.floor((bitShift + bitsRead) / 8);
+      const currentBitShift = (bitShift + bitsRead) % 8;
+
+      const byte = this.view.getUint8(currentByteOffset);
+      const bitsAvailable = 8 - currentBitShift;
+      const bitsToRead = Math.min(numberOfBits - bitsRead, bitsAvailable);
+
+      const mask = (1 << bitsToRead) - 1;
+      const shift = bitsAvailable - bitsToRead;
+
+      value = (value << bitsToRead) | ((byte >> shift) & mask);
+      bitsRead += bitsToRead;
+    }
+
+    return value;
+  }
+
+  /**
+   * Read 64-bit unsigned integer (big-endian)
+   */
+  readUint64(offset) {
+    const high = this.view.getUint32(offset);
+    const low = this.view.getUint32(offset + 4);
+    return high * 0x100000000 + low;
+  }
+
+  /**
+   * Get all messages
+   */
+  getMessages() {
+    return this.messages;
+  }
+
+  /**
+   * Get a formatted summary of the GRIB file
+   * missingPoints is counted for fields that are already unpacked (all of them with lazy: false,
+   * the cached ones in lazy mode) and null for the others, so that a summary does not unpack the file.
+   *
+   * @param {Object} options - Summary options
+   * @param {Boolean} options.countMissing - Unpack the fields that are not decoded yet to count their missing points (default: false)
+   */
+  getSummary(options = {}) {
+    return this.messages.map((msg, index) => {
+      const s1 = msg.sections.section1;
+      const s3 = msg.sections.section3;
+      const product = msg.sections.section4 && msg.sections.section4.product;
+      const s5 = msg.sections.section5;
+      const s7 = msg.sections.section7;
+      const parameterInfo = product && product.parameterCategory !== undefined
+        ? this.getParameterInfo(msg.discipline, product.parameterCategory, product.parameterNumber, s1)
+        : null;
+
+      return {
+        messageIndex: index,
+        date: `${s1.year}-${String(s1.month).padStart(2, '0')}-${String(s1.day).padStart(2, '0')} ${String(s1.hour).padStart(2, '0')}:${String(s1.minute).padStart(2, '0')}:${String(s1.second).padStart(2, '0')}`,
+        discipline: msg.discipline,
+        parameter: parameterInfo ? parameterInfo.abbreviation : null,
+        parameterName: parameterInfo ? parameterInfo.name : null,
+        unit: parameterInfo ? parameterInfo.unit : null,
+        gridPoints: s3.numberOfDataPoints,
+        gridTemplate: s3.gridDefinitionTemplateNumber,
+        dataPoints: s5.numberOfDataPoints,
+        missingPoints: s7 && s7.hasData && (options.countMissing || !this.lazy || this.dataCache.has(s7)) ? this.countMissing(s7.data) : null,
+        gridDimensions: s3.gridTemplate ? `${s3.gridTemplate.ni !== null ? s3.gridTemplate.ni : 'reduced'}x${s3.gridTemplate.nj}` : 'N/A'
+      };
+    });
+  }
+
+  /**
+   * Get grid information (like wgrib2 -grid)
+   * Returns grid definition details in a structured JavaScript format
+   *
+   * @param {Number} messageIndex - Index of message to extract grid from (default: 0)
+   * @returns {Object} Grid information object with all grid parameters
+   *
+   * Example output:
+   * {
+   *   gridTemplate: 0,
+   *   gridType: 'lat-lon',
+   *   winds: 'grid relative',  // or 'earth relative'
+   *   dimensions: { ni: 86, nj: 47 },
+   *   totalPoints: 4042,
+   *   latitude: { first: 42.750000, last: 54.250000, increment: 0.250000 },
+   *   longitude: { first: 351.750000, last: 13.000000, increment: 0.250000 },
+   *   scanning: { mode: 0, inputOrder: 'WE:SN', outputOrder: 'WE:SN' },
+   *   resolution: 48,
+   *   units: '1e-06'
+   * }
+   */
+  getGrid(messageIndex = 0) {
+    if (this.messages.length === 0) {
+      throw new Error('No messages parsed. Call parse() first.');
+    }
+
+    if (messageIndex >= this.messages.length) {
+      throw new Error(`Message index ${messageIndex} out of range (0-${this.messages.length - 1})`);
+    }
+
+    const message = this.messages[messageIndex];
+    const section3 = message.sections.section3;
+
+    if (!section3) {
+      throw new Error('No grid definition section found');
+    }
+
+    const gridTemplate = section3.gridTemplate;
+    if (!gridTemplate) {
+      throw new Error('No grid template found');
+    }
+
+    const gridTemplateNumber = section3.gridDefinitionTemplateNumber;
+
+    // Determine wind convention (grid-relative vs earth-relative)
+    const resolutionFlags = gridTemplate.resolutionAndComponentFlags || 0;
+    const isGridRelative = (resolutionFlags & 0x08) !== 0;
+    const windConvention = isGridRelative ? 'grid relative' : 'earth relative';
+
+    // Determine scanning order
+    const scanningMode = gridTemplate.scanningMode || 0;
+    const iScansPositively = (scanningMode & 0x80) === 0; // 0 = W to E, 1 = E to W
+    const jScansPositively = (scanningMode & 0x40) !== 0; // 0 = N to S, 1 = S to N
+
+    const iDirection = iScansPositively ? 'WE' : 'EW';
+    const jDirection = jScansPositively ? 'SN' : 'NS';
+    const scanOrder = `${iDirection}:${jDirection}`;
+
+    // Get grid type name
+    let gridType = 'unknown';
+    if (gridTemplateNumber === 0) {
+      gridType = 'lat-lon grid';
+    } else if (gridTemplateNumber === 1) {
+      gridType = 'rotated lat-lon grid';
+    } else if (gridTemplateNumber === 30) {
+      gridType = 'Lambert Conformal';
+    } else if (gridTemplateNumber === 20) {
+      gridType = 'Polar Stereographic';
+    } else if (gridTemplateNumber === 40) {
+      gridType = section3.pl ? 'reduced Gaussian grid' : 'Gaussian grid';
+    } else if (gridTemplateNumber === 10) {
+      gridType = 'Mercator';
+    } else if (gridTemplateNumber === 90) {
+      gridType = 'Space View';
+    }
+
+    // Build result object
+    const gridInfo = {
+      gridTemplate: gridTemplateNumber,
+      gridType: gridType,
+      winds: windConvention,
+      dimensions: {
+        ni: gridTemplate.ni,
+        nj: gridTemplate.nj
+      },
+      totalPoints: section3.numberOfDataPoints,
+      latitude: {
+        first: gridTemplate.latitudeOfFirstGridPoint,
+        last: gridTemplate.latitudeOfLastGridPoint,
+        increment: gridTemplate.jDirectionIncrement
+      },
+      longitude: {
+        first: gridTemplate.longitudeOfFirstGridPoint,
+        last: gridTemplate.longitudeOfLastGridPoint,
+        increment: gridTemplate.iDirectionIncrement
+      },
+      scanning: {
+        mode: scanningMode,
+        inputOrder: scanOrder,
+        outputOrder: scanOrder  // WGrib2JS preserves input order
+      },
+      resolution: resolutionFlags,
+      units: '1e-06'  // GRIB2 standard scaling for lat/lon
+    };
+
+    if (gridTemplateNumber === 1) {
+      // Latitude/longitude above are in the rotated frame
+      gridInfo.projection = {
+        latitudeOfSouthernPole: gridTemplate.latitudeOfSouthernPole,
+        longitudeOfSouthernPole: gridTemplate.longitudeOfSouthernPole,
+        angleOfRotation: gridTemplate.angleOfRotation
+      };
+    } else if (gridTemplateNumber === 30) {
+      // Projection parameters (like wgrib2 -grid)
+      gridInfo.projection = {
+        LoV: gridTemplate.LoV,
+        LaD: gridTemplate.LaD,
+        Latin1: gridTemplate.Latin1,
+        Latin2: gridTemplate.Latin2,
+        latitudeOfSouthernPole: gridTemplate.latitudeOfSouthernPole,
+        longitudeOfSouthernPole: gridTemplate.longitudeOfSouthernPole,
+        pole: gridTemplate.isSouthPole ? 'South Pole' : 'North Pole',
+        Dx: gridTemplate.Dx,
+        Dy: gridTemplate.Dy,
+        earthRadius: this.getEarthRadius(gridTemplate)
+      };
+    } else if (gridTemplateNumber === 10) {
+      gridInfo.projection = {
+        LaD: gridTemplate.LaD,
+        orientationOfTheGrid: gridTemplate.orientationOfTheGrid,
+        Dx: gridTemplate.Dx,
+        Dy: gridTemplate.Dy,
+        earthRadius: this.getEarthRadius(gridTemplate)
+      };
+    } else if (gridTemplateNumber === 90) {
+      const axes = this.getEarthAxes(gridTemplate);
+      gridInfo.projection = {
+        latitudeOfSubSatellitePoint: gridTemplate.latitudeOfSubSatellitePoint,
+        longitudeOfSubSatellitePoint: gridTemplate.longitudeOfSubSatellitePoint,
+        dx: gridTemplate.dx,
+        dy: gridTemplate.dy,
+        Xp: gridTemplate.Xp,
+        Yp: gridTemplate.Yp,
+        Xo: gridTemplate.Xo,
+        Yo: gridTemplate.Yo,
+        orientationOfTheGrid: gridTemplate.orientationOfTheGrid,
+        Nr: gridTemplate.Nr,
+        cameraAltitude: (gridTemplate.Nr - 1) * axes.major,  // Metres above the equator
+        earthMajorAxis: axes.major,
+        earthMinorAxis: axes.minor
+      };
+    } else if (gridTemplateNumber === 40) {
+      gridInfo.gaussian = {
+        N: gridTemplate.N,
+        reduced: !!section3.pl,
+        pointsPerRow: section3.pl || null
+      };
+    } else if (gridTemplateNumber === 20) {
+      gridInfo.projection = {
+        LoV: gridTemplate.LoV,
+        LaD: gridTemplate.LaD,
+        pole: gridTemplate.isSouthPole ? 'South Pole' : 'North Pole',
+        Dx: gridTemplate.Dx,
+        Dy: gridTemplate.Dy,
+        earthRadius: this.getEarthRadius(gridTemplate)
+      };
+    }
+
+    return gridInfo;
+  }
+
+  /**
+   * Get short inventory (like wgrib2 -s)
+   * Returns a formatted inventory list of all messages in the GRIB file
+   *
+   * @returns {Array<Object>} Array of inventory entries with:
+   *   - messageNumber: Message index (1-based like wgrib2)
+   *   - offset: Byte offset in file
+   *   - date: Reference date (format: YYYYMMDDHH, wgrib2 -t)
+   *   - validDate: Valid date (format: YYYYMMDDHH, wgrib2 -vt), end of the period for statistically processed fields
+   *   - referenceTime, validTimeStart, validTimeEnd: Same times as Date objects (see getProductTimes)
+   *   - parameter: Parameter abbreviation from Code Table 4.2 (e.g., 'UGRD', 'VGRD', 'HTSGW')
+   *   - discipline: Product discipline (Code Table 0.0)
+   *   - parameterName: Parameter long name (e.g., 'U-Component of Wind')
+   *   - unit: Parameter unit (e.g., 'm/s')
+   *   - level: Level description (e.g., '10 m above ground')
+   *   - forecastTime: Forecast time description (e.g., '33 hour fcst', '0-6 hour acc fcst')
+   *   - timeRange: Statistical processing time range (see getStatisticalTimeRange), or null
+   *   - ensemble: Ensemble member { typeOfEnsembleForecast, perturbationNumber, numberOfForecastsInEnsemble }, or null
+   *   - probability: Probability definition (templates 4.5, 4.9), or null
+   *   - inventoryLine: Full wgrib2-compatible inventory line
+   *
+   * @param {Object} options - Inventory options
+   * @param {Boolean} options.validTime - If true, append the valid time to inventory lines ("vt=2025101318:"), like wgrib2 -s -vt
+   *
+   * Example output:
+   * [
+   *   {
+   *     messageNumber: 1,
+   *     offset: 0,
+   *     date: '2025101312',
+   *     parameter: 'UGRD',
+   *     discipline: 0,
+   *     parameterName: 'U-Component of Wind',
+   *     unit: 'm/s',
+   *     level: '10 m above ground',
+   *     forecastTime: '33 hour fcst',
+   *     inventoryLine: '1:0:d=2025101312:UGRD:10 m above ground:33 hour fcst:'
+   *   },
+   *   ...
+   * ]
+   */
+  getInventory(options = {}) {
+    if (this.messages.length === 0) {
+      throw new Error('No messages parsed. Call parse() first.');
+    }
+
+    const inventory = [];
+    let currentOffset = 0;
+
+    this.messages.forEach((message, index) => {
+      const s1 = message.sections.section1;
+      const s4 = message.sections.section4;
+
+      // Format date as YYYYMMDDHH
+      const dateStr = `${s1.year}${String(s1.month).padStart(2, '0')}${String(s1.day).padStart(2, '0')}${String(s1.hour).padStart(2, '0')}`;
+
+      // Extract parameter information from Section 4
+      let parameter = 'unknown';
+      let parameterInfo = null;
+      let level = 'unknown';
+      let forecastTime = 'unknown';
+      let timeRange = null;
+
+      const product = s4 && s4.product;
+      if (product && product.parameterCategory !== undefined) {
+        parameterInfo = this.getParameterInfo(message.discipline, product.parameterCategory, product.parameterNumber, s1);
+        parameter = parameterInfo.abbreviation;
+
+        // Forecast time, unit from Code Table 4.4
+        // Statistically processed fields print their time range like wgrib2 ("0-6 hour acc fcst"), analyses print "anl"
+        timeRange = this.getStatisticalTimeRange(product);
+        if (timeRange) {
+          forecastTime = `${timeRange.start}-${timeRange.end} ${timeRange.unit} ${timeRange.statistic} fcst`;
+        } else if (product.forecastTime === 0) {
+          forecastTime = 'anl';
+        } else if (product.forecastTime !== undefined) {
+          forecastTime = this.getForecastTimeDescription(product.forecastTime, product.indicatorOfUnitOfTimeRange);
+        }
+
+        // Level from the first and second fixed surfaces (Code Table 4.5)
+        if (product.firstFixedSurface) {
+          const first = product.firstFixedSurface;
+          const second = product.secondFixedSurface || { type: 255, value: null };
+          level = this.getLevelDescription(first.type, first.value, second.type, second.value);
+        }
+      }
+
+      // Build inventory line (wgrib2 format)
+      // Ensemble member, derived ensemble product and probability, like wgrib2 ("ENS=+3", "prob >10")
+      const ensembleFields = this.getEnsembleDescription(product);
+      const suffix = ensembleFields.map(field => `${field}:`).join('');
+
+      // Valid time like wgrib2 -vt (end of the overall time interval for statistically processed fields)
+      const times = message.times;
+      const validDate = times.validTimeEnd ? this.formatTime(times.validTimeEnd) : null;
+      const validTimeField = options.validTime && validDate ? `vt=${validDate}:` : '';
+
+      // Offset in the file (messages after skipped bytes start further than the sum of the lengths)
+      const offset = message.offset !== undefined ? message.offset : currentOffset;
+      const inventoryLine = `${index + 1}:${offset}:d=${dateStr}:${parameter}:${level}:${forecastTime}:${suffix}${validTimeField}`;
+
+      inventory.push({
+        messageNumber: index + 1,
+        offset: offset,
+        date: dateStr,
+        validDate: validDate,
+        referenceTime: times.referenceTime,
+        validTimeStart: times.validTimeStart,
+        validTimeEnd: times.validTimeEnd,
+        parameter: parameter,
+        discipline: message.discipline,
+        parameterName: parameterInfo ? parameterInfo.name : null,
+        unit: parameterInfo ? parameterInfo.unit : null,
+        level: level,
+        forecastTime: forecastTime,
+        timeRange: timeRange,
+        ensemble: (product && product.ensemble) || null,
+        probability: (product && product.probability) || null,
+        inventoryLine: inventoryLine
+      });
+
+      // Update offset for next message
+      currentOffset = offset + message.totalLength;
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Generate a wgrib2 inventory (.idx sidecar file) from getInventory()
+   * The offsets of the lines are byte offsets of the messages in the file, so the result can be
+   * served next to the GRIB2 file for fetchMessages() and other partial download tools.
+   *
+   * @param {Object} options - Inventory options (see getInventory)
+   * @returns {String} One inventory line per message, newline terminated
+   */
+  generateIndex(options = {}) {
+    return this.getInventory(options).map(entry => `${entry.inventoryLine}\n`).join('');
+  }
+
+  /**
+   * Get level description from the first and second fixed surfaces, like wgrib2
+   * Based on GRIB2 Code Table 4.5: "850 mb", "2 m above ground", "850-500 mb",
+   * "0-0.1 m below ground", "entire atmosphere (considered as a single layer)"
+   *
+   * @param {Number} levelType - Type of first fixed surface
+   * @param {Number|null} levelValue - Value of first fixed surface (in the surface units, e.g. Pa), null if missing
+   * @param {Number} secondType - Type of second fixed surface (default: 255, no second surface)
+   * @param {Number|null} secondValue - Value of second fixed surface
+   * @returns {String} Level description
+   */
+  getLevelDescription(levelType, levelValue, secondType = 255, secondValue = null) {
+    const render = (template, factor, values) => {
+      let i = 0;
+      return template.replace(/%g/g, () => {
+        const value = values[i++];
+        return value === null || value === undefined ? 'missing' : this.formatLevelValue(value * factor);
+      });
+    };
+    const describe = (type, value) => {
+      const entry = GRIB2_LEVELS[type];
+      if (entry) {
+        return render(entry[0], entry[2] || 1, [value]);
+      }
+      return type === 255 ? 'missing' : `level ${type} = ${value === null ? 'missing' : this.formatLevelValue(value)}`;
+    };
+
+    // No second surface, or a second surface without its (required) value
+    const secondEntry = GRIB2_LEVELS[secondType];
+    if (secondType === 255 || secondType === null || secondType === undefined ||
+        (secondValue === null && secondEntry && secondEntry[0].includes('%g'))) {
+      return describe(levelType, levelValue);
+    }
+
+    // Layer between two surfaces of the same type ("850-500 mb"), otherwise "level1 - level2"
+    const entry = GRIB2_LEVELS[levelType];
+    if (levelType === secondType && entry) {
+      if (entry[1]) {
+        return render(entry[1], entry[2] || 1, [levelValue, secondValue]);
+      }
+      if (!entry[0].includes('%g')) {
+        return entry[0];
+      }
+    }
+    return `${describe(levelType, levelValue)} - ${describe(secondType, secondValue)}`;
+  }
+
+  /**
+   * Format a level value like printf("%g"): 6 significant digits, no trailing zeros,
+   * exponent notation below 1e-4 and from 1e6 (2e-06 for the 2 PVU surface)
+   */
+  formatLevelValue(value) {
+    if (value === 0) return '0';
+    const exponential = value.toExponential(5);
+    const exponent = parseInt(exponential.split('e')[1], 10);
+    const stripZeros = str => (str.includes('.') ? str.replace(/\.?0+$/, '') : str);
+
+    if (exponent < -4 || exponent >= 6) {
+      const mantissa = stripZeros(exponential.split('e')[0]);
+      const sign = exponent < 0 ? '-' : '+';
+      return `${mantissa}e${sign}${String(Math.abs(exponent)).padStart(2, '0')}`;
+    }
+    return stripZeros(value.toFixed(5 - exponent));
+  }
+
+  /**
+   * Time range of a statistically processed product (templates 4.8 to 4.12, 4.42, 4.43, 4.46, 4.47)
+   * The outermost time range starts at the forecast time. Start and end are expressed in the
+   * forecast time unit when possible, like wgrib2.
+   *
+   * Example: { start: 0, end: 6, unit: 'hour', statisticalProcessing: 1, statistic: 'acc', numberOfTimeRanges: 1 }
+   *
+   * @param {Object} product - Decoded product definition template (section4.product)
+   * @returns {Object|null} Time range, or null if the product is not statistically processed
+   */
+  getStatisticalTimeRange(product) {
+    const statistics = product && product.statistics;
+    if (!statistics || statistics.timeRanges.length === 0) {
+      return null;
+    }
+
+    const outer = statistics.timeRanges[0];
+    const forecastUnit = product.indicatorOfUnitOfTimeRange;
+    let unit = forecastUnit;
+    let start = product.forecastTime;
+    let end = start + outer.lengthOfTimeRange;
+
+    if (outer.indicatorOfUnitForTimeRange !== forecastUnit) {
+      // Different units: convert to seconds, then to the largest unit dividing both bounds
+      const forecastSeconds = this.getTimeUnitSeconds(forecastUnit);
+      const rangeSeconds = this.getTimeUnitSeconds(outer.indicatorOfUnitForTimeRange);
+      if (forecastSeconds !== null && rangeSeconds !== null) {
+        const startSeconds = product.forecastTime * forecastSeconds;
+        const endSeconds = startSeconds + outer.lengthOfTimeRange * rangeSeconds;
+        unit = [forecastUnit, outer.indicatorOfUnitForTimeRange, 2, 1, 0, 13]
+          .sort((a, b) => this.getTimeUnitSeconds(b) - this.getTimeUnitSeconds(a))
+          .find(candidate => startSeconds % this.getTimeUnitSeconds(candidate) === 0 &&
+                             endSeconds % this.getTimeUnitSeconds(candidate) === 0);
+        start = startSeconds / this.getTimeUnitSeconds(unit);
+        end = endSeconds / this.getTimeUnitSeconds(unit);
+      }
+    }
+
+    // 3, 6 and 12 hour units are printed in hours
+    if (unit === 10 || unit === 11 || unit === 12) {
+      const hours = this.getTimeUnitSeconds(unit) / 3600;
+      start *= hours;
+      end *= hours;
+      unit = 1;
+    }
+
+    return {
+      start,
+      end,
+      unit: this.getTimeUnitDescription(unit),
+      statisticalProcessing: outer.typeOfStatisticalProcessing,
+      statistic: this.getStatisticalProcessName(outer.typeOfStatisticalProcessing),
+      numberOfTimeRanges: statistics.numberOfTimeRanges
+    };
+  }
+
+  /**
+   * Inventory fields describing ensemble and probability products, like wgrib2
+   * Code Table 4.6 (type of ensemble forecast), 4.7 (derived forecast) and 4.9 (probability type)
+   *
+   * @param {Object} product - Decoded product definition template (section4.product)
+   * @returns {Array<String>} e.g. ['ENS=+3'], ['ens mean'], ['prob >10', 'prob fcst 1/3']
+   */
+  getEnsembleDescription(product) {
+    const fields = [];
+    if (!product) {
+      return fields;
+    }
+
+    if (product.ensemble) {
+      const { typeOfEnsembleForecast, perturbationNumber } = product.ensemble;
+      switch (typeOfEnsembleForecast) {
+        case 0: fields.push('ENS=hi-res ctl'); break;
+        case 1: fields.push('ENS=low-res ctl'); break;
+        case 2: fields.push(`ENS=-${perturbationNumber}`); break;
+        case 3: fields.push(`ENS=+${perturbationNumber}`); break;
+        default: fields.push(`ENS=type${typeOfEnsembleForecast}:${perturbationNumber}`);
+      }
+    }
+
+    if (product.derivedForecast !== undefined) {
+      const names = ['ens mean', 'wt ens mean', 'ens std dev', 'normalized ens std dev', 'ens spread',
+        'ens large anomaly index', 'unwt mean of cluster', 'ens interquartile range', 'ens min', 'ens max'];
+      fields.push(product.derivedForecast < names.length ? names[product.derivedForecast] : `derived fcst=${product.derivedForecast}`);
+    }
+
+    if (product.probability) {
+      const { probabilityType, lowerLimit, upperLimit, forecastProbabilityNumber, totalNumberOfForecastProbabilities } = product.probability;
+      const format = (limit) => (limit.value === null ? 'missing' : String(Number(limit.value.toPrecision(6))));
+      switch (probabilityType) {
+        case 0: fields.push(`prob <${format(lowerLimit)}`); break;
+        case 1: fields.push(`prob >${format(upperLimit)}`); break;
+        case 2: fields.push(`prob >=${format(lowerLimit)} <${format(upperLimit)}`); break;
+        case 3: fields.push(`prob >${format(lowerLimit)}`); break;
+        case 4: fields.push(`prob <${format(upperLimit)}`); break;
+        default: fields.push(`prob type=${probabilityType}`);
+      }
+      fields.push(`prob fcst ${forecastProbabilityNumber}/${totalNumberOfForecastProbabilities}`);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Short name of a statistical process, like wgrib2
+   * Based on GRIB2 Code Table 4.10
+   */
+  getStatisticalProcessName(type) {
+    const names = ['ave', 'acc', 'max', 'min', 'last-first', 'RMS', 'StdDev', 'covar',
+      'first-last', 'ratio', 'standardized anomaly', 'summation'];
+    return type < names.length ? names[type] : `stat=${type}`;
+  }
+
+  /**
+   * Length in seconds of a fixed time unit from Code Table 4.4
+   * Months, years, decades, normals and centuries have no fixed length
+   *
+   * @returns {Number|null} Seconds, or null for calendar units
+   */
+  getTimeUnitSeconds(timeUnit) {
+    switch (timeUnit) {
+      case 0: return 60;
+      case 1: return 3600;
+      case 2: return 86400;
+      case 10: return 3 * 3600;
+      case 11: return 6 * 3600;
+      case 12: return 12 * 3600;
+      case 13: return 1;
+      default: return null;
+    }
+  }
+
+  /**
+   * Get time unit description
+   * Based on GRIB2 Code Table 4.4
+   */
+  getTimeUnitDescription(timeUnit) {
+    switch (timeUnit) {
+      case 0:
+        return 'minute';
+      case 1:
+        return 'hour';
+      case 2:
+        return 'day';
+      case 3:
+        return 'month';
+      case 4:
+        return 'year';
+      case 5:
+        return 'decade';
+      case 6:
+        return 'normal (30 years)';
+      case 7:
+        return 'century';
+      case 10:
+        return '3 hour';
+      case 11:
+        return '6 hour';
+      case 12:
+        return '12 hour';
+      case 13:
+        return 'second';
+      default:
+        return `unit ${timeUnit}`;
+    }
+  }
+
+  /**
+   * Forecast time like wgrib2 ("6 hour fcst", "2 month fcst"), 3/6/12 hour units converted to hours
+   */
+  getForecastTimeDescription(forecastTime, timeUnit) {
+    if (timeUnit === 10 || timeUnit === 11 || timeUnit === 12) {
+      return `${forecastTime * this.getTimeUnitSeconds(timeUnit) / 3600} hour fcst`;
+    }
+    return `${forecastTime} ${this.getTimeUnitDescription(timeUnit)} fcst`;
+  }
+
+  /**
+   * Get reference time significance
+   * Based on GRIB2 Code Table 1.2
+   */
+  getReferenceTimeSignificance(significance) {
+    switch (significance) {
+      case 0:
+        return 'analysis';
+      case 1:
+        return 'start of forecast';
+      case 2:
+        return 'verifying time of forecast';
+      case 3:
+        return 'observation time';
+      default:
+        return `significance ${significance}`;
+    }
+  }
+
+  /**
+   * Add a number of Code Table 4.4 units to a date
+   * Months, years, decades, normals (30 years) and centuries are added on the calendar,
+   * the day being clamped to the end of the month (Jan 31 + 1 month = Feb 28/29)
+   *
+   * @param {Date} date - Start date (UTC)
+   * @param {Number} amount - Number of units (may be negative)
+   * @param {Number} timeUnit - Unit from Code Table 4.4
+   * @returns {Date|null} New date, or null for an unknown unit
+   */
+  addTimeUnits(date, amount, timeUnit) {
+    const seconds = this.getTimeUnitSeconds(timeUnit);
+    if (seconds !== null) {
+      return new Date(date.getTime() + amount * seconds * 1000);
+    }
+
+    const monthsPerUnit = { 3: 1, 4: 12, 5: 120, 6: 360, 7: 1200 }[timeUnit];
+    if (monthsPerUnit === undefined) {
+      return null;
+    }
+    const months = date.getUTCMonth() + amount * monthsPerUnit;
+    const year = date.getUTCFullYear() + Math.floor(months / 12);
+    const month = ((months % 12) + 12) % 12;
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const result = new Date(date.getTime());
+    result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), daysInMonth));
+    return result;
+  }
+
+  /**
+   * Reference and validity times of a product
+   * The validity period starts at reference time + forecast time; statistically processed
+   * products end at the end of the overall time interval, other products are valid at an instant.
+   *
+   * Example:
+   * {
+   *   referenceTime: Date(2025-10-13T12:00:00Z),
+   *   significanceOfReferenceTime: 1,
+   *   significance: 'start of forecast',
+   *   forecastTime: 6,
+   *   indicatorOfUnitOfTimeRange: 1,
+   *   forecastTimeUnit: 'hour',
+   *   validTimeStart: Date(2025-10-13T18:00:00Z),
+   *   validTimeEnd: Date(2025-10-13T18:00:00Z)    // wgrib2 -vt
+   * }
+   *
+   * @param {Object} section1 - Identification section
+   * @param {Object} product - Decoded product definition template (section4.product), may be null
+   * @returns {Object} Times, validTimeStart/validTimeEnd are null when the forecast time cannot be decoded
+   */
+  getProductTimes(section1, product) {
+    const referenceTime = new Date(Date.UTC(section1.year, section1.month - 1, section1.day,
+      section1.hour, section1.minute, section1.second));
+    const times = {
+      referenceTime: referenceTime,
+      significanceOfReferenceTime: section1.significanceOfReferenceTime,
+      significance: this.getReferenceTimeSignificance(section1.significanceOfReferenceTime),
+      forecastTime: null,
+      indicatorOfUnitOfTimeRange: null,
+      forecastTimeUnit: null,
+      validTimeStart: null,
+      validTimeEnd: null
+    };
+
+    if (!product || product.forecastTime === undefined) {
+      return times;
+    }
+
+    times.forecastTime = product.forecastTime;
+    times.indicatorOfUnitOfTimeRange = product.indicatorOfUnitOfTimeRange;
+    times.forecastTimeUnit = this.getTimeUnitDescription(product.indicatorOfUnitOfTimeRange);
+    times.validTimeStart = this.addTimeUnits(referenceTime, product.forecastTime, product.indicatorOfUnitOfTimeRange);
+    times.validTimeEnd = times.validTimeStart;
+
+    const end = product.statistics && product.statistics.endOfOverallTimeInterval;
+    if (end) {
+      times.validTimeEnd = new Date(Date.UTC(end.year, end.month - 1, end.day, end.hour, end.minute, end.second));
+    }
+
+    return times;
+  }
+
+  /**
+   * Get reference and validity times of a message (see getProductTimes)
+   * @param {Number} messageIndex - Index of message (default: 0)
+   */
+  getMessageTimes(messageIndex = 0) {
+    if (this.messages.length === 0) {
+      throw new Error('No messages parsed. Call parse() first.');
+    }
+
+    if (messageIndex >= this.messages.length) {
+      throw new Error(`Message index ${messageIndex} out of range (0-${this.messages.length - 1})`);
+    }
+
+    return this.messages[messageIndex].times;
+  }
+
+  /**
+   * Format a date like wgrib2 -t / -vt (YYYYMMDDHH), or -T / -VT (YYYYMMDDHHmmss) with seconds
+   */
+  formatTime(date, withSeconds = false) {
+    const pad = value => String(value).padStart(2, '0');
+    const hours = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}`;
+    return withSeconds ? `${hours}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}` : hours;
+  }
+
+  /**
+   * Convert a Date, a timestamp in ms or a 'YYYYMMDDHH[mm[ss]]' string (UTC) to a timestamp in ms
+   */
+  parseTime(time) {
+    if (time instanceof Date) {
+      return time.getTime();
+    }
+    if (typeof time === 'number') {
+      return time;
+    }
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})?(\d{2})?$/.exec(String(time));
+    if (!match) {
+      throw new Error(`Invalid time: ${time} (expected a Date, a timestamp or YYYYMMDDHH[mm[ss]])`);
+    }
+    const [, year, month, day, hour, minute = '0', second = '0'] = match;
+    return Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  }
+
+  /**
+   * Register a parameter table for every reader of the process (local entries of a centre, in-house products)
+   * The registry is global: the table applies to all GribReader and GribFileReader instances, existing
+   * or future, until unregisterParameterTable() removes it. The most recently registered table wins
+   * when several define the same entry. To name parameters for one reader only, pass the table in
+   * options.parameterTables instead.
+   * Registered tables take precedence over the built-in NCEP/ECMWF tables and over Code Table 4.2.
+   *
+   * @param {Object|String} table - Table object or its JSON text:
+   *   {
+   *     name: 'my-centre',          // Returned as `table` by getParameterInfo()
+   *     centre: 85,                 // Originating centre (Common Code Table C-11), omit to match any centre
+   *     subCentre: 0,               // Optional, omit to match any sub-centre
+   *     masterTableVersion: 2,      // Optional, Number or Array of Numbers
+   *     localTableVersion: [1, 2],  // Optional, Number or Array of Numbers
+   *     parameters: {               // Keys are 'discipline:category:number'
+   *       '0:1:200': ['MYPRCP', 'In-house precipitation', 'kg/m^2'],
+   *       '0:19:201': { abbreviation: 'FOGP', name: 'Fog probability', unit: '%' }
+   *     }
+   *   }
+   * @returns {Object} Normalized table (pass it to unregisterParameterTable() to remove it)
+   */
+  static registerParameterTable(table) {
+    const normalized = normalizeParameterTable(table);
+    REGISTERED_PARAMETER_TABLES.unshift(normalized);
+    return normalized;
+  }
+
+  /**
+   * Remove a registered parameter table; lookups return to what they were before it was registered
+   * The built-in NCEP and ECMWF tables cannot be removed.
+   *
+   * @param {Object|String} table - Table returned by registerParameterTable(), or its name (most recent table of that name)
+   * @returns {Boolean} True if a table was removed
+   */
+  static unregisterParameterTable(table) {
+    const index = REGISTERED_PARAMETER_TABLES.findIndex(entry => entry === table || entry.name === table);
+    if (index === -1) return false;
+    REGISTERED_PARAMETER_TABLES.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get the registered parameter tables, in lookup order (built-in NCEP and ECMWF tables last)
+   */
+  static getParameterTables() {
+    return REGISTERED_PARAMETER_TABLES.concat(BUILT_IN_PARAMETER_TABLES);
+  }
+
+  /**
+   * Get parameter abbreviation, long name and unit
+   * Tables of the reader (options.parameterTables) and registered tables matching the centre and
+   * table versions of Section 1 are searched first, then WMO Code Table 4.2 (wgrib2 abbreviations).
+   * Unknown entries are named like wgrib2 does for undefined parameters ("var10_0_250"), with a null name and unit
+   *
+   * @param {Number} discipline - Discipline from Section 0 (Code Table 0.0)
+   * @param {Number} category - Parameter category (Code Table 4.1)
+   * @param {Number} number - Parameter number (Code Table 4.2)
+   * @param {Object} section1 - Identification section of the message (centreId, subCentreId, masterTableVersion, localTableVersion)
+   * @returns {Object} { abbreviation, name, unit, discipline, category, number, table } (table null for unknown entries)
+   */
+  getParameterInfo(discipline, category, number, section1 = null) {
+    const key = `${discipline}:${category}:${number}`;
+    let entry = null;
+    let tableName = null;
+
+    for (const table of this.parameterTables.concat(REGISTERED_PARAMETER_TABLES, BUILT_IN_PARAMETER_TABLES)) {
+      if (table.parameters[key] && parameterTableMatches(table, section1)) {
+        entry = table.parameters[key];
+        tableName = table.name;
+        break;
+      }
+    }
+
+    if (!entry && GRIB2_PARAMETERS[key]) {
+      entry = GRIB2_PARAMETERS[key];
+      tableName = 'WMO';
+    }
+
+    return {
+      abbreviation: entry ? entry[0] : `var${discipline}_${category}_${number}`,
+      name: entry ? entry[1] : null,
+      unit: entry ? entry[2] : null,
+      discipline: discipline,
+      category: category,
+      number: number,
+      table: tableName
+    };
+  }
+
+  /**
+   * Get parameter name (lowercase wgrib2 abbreviation, e.g. 'tmp', 'ugrd', 'htsgw')
+   * Discipline defaults to 0 (meteorological products)
+   */
+  getParameterName(category, number, discipline = 0, section1 = null) {
+    return this.getParameterInfo(discipline, category, number, section1).abbreviation.toLowerCase();
+  }
+
+  /**
+   * Extract data in a structured format with easy access properties
+   *
+   * @param {Object} options - Options for data extraction
+   * @param {Number} options.messageIndex - Index of message to use for grid (default: 0)
+   * @param {String} options.match - Pattern matching like wgrib2 -match (regex applied to inventory line). Example: ":UGRD:", ":UGRD:10 m above ground:", ":.*:24 hour fcst:"
+   * @param {Boolean} options.multiLevel - If true, returns arrays of parameters for each level (default: false)
+   * @param {Boolean} options.firstParameterOnly - If true (default), keeps only first occurrence of each parameter (like wgrib2 -match)
+   * @param {Array<String>} options.parameters - Filter by parameter names (e.g., ['ugrd', 'vgrd']). If specified, only these parameters are extracted
+   * @param {Number} options.levelType - Filter by level type code (e.g., 103 for "m above ground", 100 for isobaric)
+   * @param {Number} options.levelValue - Filter by level value, in the units of the surface (e.g., 10 for "10 m above ground", 85000 Pa for "850 mb")
+   * @param {Number} options.ensembleMember - Filter by ensemble perturbation number (templates 4.1, 4.11). Messages without ensemble information are skipped
+   * @param {Date|String|Number} options.validTime - Filter by valid time: Date, timestamp in ms, or 'YYYYMMDDHH[mm[ss]]' like wgrib2 -vt (end of the period for statistically processed fields)
+   * @param {Boolean} options.asObjects - If true, returns array of objects with all properties per point (default: false)
+   * @param {String} options.longitudeFormat - Longitude normalization format:
+   *   - 'preserve' : Keep values exactly as calculated from GRIB (default, e.g., 351.75° → 373°)
+   *   - '0-360' : Normalize to [0, 360) range (e.g., 351.75° → 359.75° → 0° → 13°)
+   *   - '-180-180' : Normalize to [-180, +180] range like wgrib2 (e.g., 351.75° → -8.25° → 13°)
+   * @param {Boolean} options.calculateWindSpeed - If true, automatically calculate wind_speed from UGRD and VGRD (like wgrib2 -wind_speed)
+   * @param {Boolean} options.calculateWindDirection - If true, automatically calculate wind_dir from UGRD and VGRD (like wgrib2 -wind_dir)
+   * @param {Boolean} options.earthRelativeWinds - If true, convert grid-relative winds to earth-relative (like wgrib2 -wind_uv) (default: auto-detect)
+   * @param {Boolean} options.rotatedCoordinates - If true, also returns rotatedLat/rotatedLng (native grid coordinates) for rotated lat-lon grids (default: false)
+   *
+   * @returns {Object|Array} Returns data in one of two formats:
+   *
+   * 1. Default format (asObjects: false) - Separate arrays for each property:
+   *    {
+   *      lat: Float32Array,      // Latitude for each point (degrees)
+   *      lng: Float32Array,      // Longitude for each point (degrees)
+   *      ugrd: Float32Array,     // U-component of wind (m/s)
+   *      vgrd: Float32Array,     // V-component of wind (m/s)
+   *      metadata: Object,       // File metadata and grid info
+   *      numPoints: Number       // Total number of grid points
+   *    }
+   *
+   * 2. Object format (asObjects: true) - Array of objects, one per grid point:
+   *    [
+   *      {
+   *        lat: 42.750,          // Latitude (degrees)
+   *        lng: 351.750,         // Longitude (degrees)
+   *        ugrd: -0.492454,      // U-component of wind (m/s)
+   *        vgrd: 0.789840,       // V-component of wind (m/s)
+   *        // ... autres paramètres météorologiques disponibles
+   *      },
+   *      {
+   *        lat: 42.750,
+   *        lng: 352.000,
+   *        ugrd: -0.532454,
+   *        vgrd: -0.220161,
+   *      },
+   *      // ... un objet par point de grille (4042 objets pour meteo.grib)
+   *    ]
+   *
+   * Note: Le format objet (asObjects: true) est plus pratique pour l'itération et l'accès
+   * aux données, mais utilise plus de mémoire. Le format par défaut (tableaux séparés)
+   * est plus efficace pour de grandes quantités de données.
+   */
+  getData(options = {}) {
+    if (this.messages.length === 0) {
+      throw new Error('No messages parsed. Call parse() first.');
+    }
+
+    const messageIndex = options.messageIndex || 0;
+    const multiLevel = options.multiLevel || false;
+    const firstParameterOnly = options.firstParameterOnly !== false; // default: true
+    const filterParameters = options.parameters || null; // array of parameter names to extract
+    const filterLevelType = options.levelType !== undefined ? options.levelType : null;
+    const filterLevelValue = options.levelValue !== undefined ? options.levelValue : null;
+    const filterMember = options.ensembleMember !== undefined ? options.ensembleMember : null;
+    const filterValidTime = options.validTime !== undefined ? this.parseTime(options.validTime) : null;
+    const matchPattern = options.match || null; // regex pattern like wgrib2 -match
+
+    // If match pattern is provided, filter messages by inventory line
+    let messageIndicesToProcess = null;
+    if (matchPattern) {
+      try {
+        const regex = new RegExp(matchPattern);
+        const inventory = this.getInventory();
+        const validTimeInventory = this.getInventory({ validTime: true });
+
+        // Filter messages that match the pattern (":vt=2025101318:" matches the valid time, like wgrib2 -s -vt)
+        const matchedIndices = inventory
+          .filter((entry, i) => regex.test(entry.inventoryLine) || regex.test(validTimeInventory[i].inventoryLine))
+          .map(entry => entry.messageNumber - 1); // Convert to 0-based index
+
+        if (matchedIndices.length === 0) {
+          throw new Error(`No messages match pattern: ${matchPattern}`);
+        }
+
+        messageIndicesToProcess = matchedIndices;
+      } catch (error) {
+        if (error.message.startsWith('No messages match')) {
+          throw error;
+        }
+        throw new Error(`Invalid match pattern: ${matchPattern} - ${error.message}`);
+      }
+    }
+
+    // Get grid information from specified message
+    const firstMessage = this.messages[messageIndex];
+    const grid = firstMessage.sections.section3?.gridTemplate;
+
+    if (!grid) {
+      throw new Error('No grid template found in GRIB file');
+    }
+
+    const ni = grid.ni;
+    const nj = grid.nj;
+    const scanningMode = grid.scanningMode || 0;
+
+    // Generate latitude and longitude arrays based on grid template and scanning mode
+    const { lat, lng, rotatedLat, rotatedLng, rows } = this.computeGridCoordinates(firstMessage.sections.section3);
+    const numPoints = lat.length; // Reduced grids have a different number of points per row
+
+    // Apply longitude normalization based on longitudeFormat option
+    const longitudeFormat = options.longitudeFormat || 'preserve';
+
+    if (longitudeFormat === '0-360') {
+      // Normalize to [0, 360) range
+      for (let i = 0; i < numPoints; i++) {
+        if (this.isMissing(lng[i])) continue; // Off-disk points of space view grids
+        while (lng[i] >= 360) lng[i] -= 360;
+        while (lng[i] < 0) lng[i] += 360;
+      }
+    } else if (longitudeFormat === '-180-180') {
+      // Normalize to [-180, +180] range (like wgrib2)
+      for (let i = 0; i < numPoints; i++) {
+        if (this.isMissing(lng[i])) continue;
+        while (lng[i] > 180) lng[i] -= 360;
+        while (lng[i] <= -180) lng[i] += 360;
+      }
+    }
+    // else: 'preserve' - keep values as calculated
+
+    // Extract metadata
+    const s1 = firstMessage.sections.section1;
+
+    // Calculate lat/lon min/max from real data after normalization
+    // This correctly handles grids that cross the 0° meridian
+    let latMin = Infinity, latMax = -Infinity;
+    let lngMin = Infinity, lngMax = -Infinity;
+
+    for (let i = 0; i < numPoints; i++) {
+      if (this.isMissing(lat[i])) continue;
+      if (lat[i] < latMin) latMin = lat[i];
+      if (lat[i] > latMax) latMax = lat[i];
+      if (lng[i] < lngMin) lngMin = lng[i];
+      if (lng[i] > lngMax) lngMax = lng[i];
+    }
+
+    const metadata = {
+      date: new Date(Date.UTC(s1.year, s1.month - 1, s1.day, s1.hour, s1.minute, s1.second)),
+      year: s1.year,
+      month: s1.month,
+      day: s1.day,
+      hour: s1.hour,
+      minute: s1.minute,
+      second: s1.second,
+      centreId: s1.centreId,
+      times: firstMessage.times,  // Reference and validity times of the grid message (see getProductTimes)
+      missingValue: this.missingValue,  // Stored at points masked by the bitmap
+      grid: {
+        gridTemplate: firstMessage.sections.section3.gridDefinitionTemplateNumber,
+        ni: ni,
+        nj: nj,
+        latMin: latMin,
+        latMax: latMax,
+        lngMin: lngMin,
+        lngMax: lngMax,
+        latIncrement: grid.jDirectionIncrement,
+        lngIncrement: grid.iDirectionIncrement,
+        scanningMode: scanningMode  // Add scanning mode for reference
+      },
+      parameters: {}  // Abbreviation, long name and unit per extracted parameter (Code Table 4.2)
+    };
+
+    if (rows) {
+      // Gaussian and reduced grids: latitudes are not evenly spaced, rows may differ in length
+      metadata.grid.rowLatitudes = rows.latitudes;
+      metadata.grid.pointsPerRow = rows.pointsPerRow;
+    }
+
+    // Extract parameter data
+    const result = {
+      lat: lat,
+      lng: lng,
+      metadata: metadata,
+      numPoints: numPoints
+    };
+
+    if (options.rotatedCoordinates && rotatedLat) {
+      result.rotatedLat = rotatedLat;
+      result.rotatedLng = rotatedLng;
+    }
+
+    if (multiLevel) {
+      // For multi-level data, store arrays of parameters
+      result.levels = [];
+    }
+
+    // Parse each message and extract parameter data
+    const paramCounts = {};
+    let hasEnsembleMembers = false;
+
+    this.messages.forEach((msg, idx) => {
+      // If match pattern was provided, only process messages that matched
+      if (messageIndicesToProcess && !messageIndicesToProcess.includes(idx)) {
+        return; // Skip this message
+      }
+
+      const s4 = msg.sections.section4;
+      const s7 = msg.sections.section7;
+
+      const product = s4 && s4.product;
+      if (product && product.parameterCategory !== undefined && s7 && s7.hasData) {
+        const category = product.parameterCategory;
+        const number = product.parameterNumber;
+        const parameterInfo = this.getParameterInfo(msg.discipline, category, number, msg.sections.section1);
+        const paramName = parameterInfo.abbreviation.toLowerCase();
+
+        // Level of the first fixed surface, decoded like getInventory() (value in the surface units, e.g. Pa)
+        let levelType = 'unknown';
+        let levelValue = null;
+
+        if (product.firstFixedSurface) {
+          levelType = product.firstFixedSurface.type;
+          levelValue = product.firstFixedSurface.value;
+        }
+
+        // Apply filters (like wgrib2 -match)
+        // 1. Filter by parameter names
+        if (filterParameters && !filterParameters.includes(paramName)) {
+          return; // Skip this message
+        }
+
+        // 2. Filter by level type
+        if (filterLevelType !== null && levelType !== filterLevelType) {
+          return; // Skip this message
+        }
+
+        // 3. Filter by level value
+        if (filterLevelValue !== null && levelValue !== filterLevelValue) {
+          return; // Skip this message
+        }
+
+        // 4. Filter by ensemble member
+        if (filterMember !== null && (!product.ensemble || product.ensemble.perturbationNumber !== filterMember)) {
+          return; // Skip this message
+        }
+        if (product.ensemble) {
+          hasEnsembleMembers = true;
+        }
+
+        // 5. Filter by valid time (end of the period for statistically processed fields, like wgrib2 -vt)
+        if (filterValidTime !== null && (!msg.times.validTimeEnd || msg.times.validTimeEnd.getTime() !== filterValidTime)) {
+          return; // Skip this message
+        }
+
+        // Name, long name and unit of every extracted parameter
+        metadata.parameters[paramName] = parameterInfo;
+
+        if (multiLevel) {
+          // Store all levels
+          result.levels.push({
+            messageIndex: idx,
+            parameter: paramName,
+            discipline: msg.discipline,
+            category: category,
+            number: number,
+            unit: parameterInfo.unit,
+            levelType: levelType,
+            levelValue: levelValue,
+            timeRange: this.getStatisticalTimeRange(product),
+            validTimeStart: msg.times.validTimeStart,
+            validTimeEnd: msg.times.validTimeEnd,
+            ensemble: product.ensemble || null,
+            product: product,
+            data: s7.data
+          });
+        } else {
+          // For single level mode, check if we should keep first only
+          if (firstParameterOnly) {
+            if (!paramCounts[paramName]) {
+              paramCounts[paramName] = 0;
+              result[paramName] = s7.data;
+            }
+            paramCounts[paramName]++;
+          } else {
+            // Keep all occurrences (will overwrite previous)
+            result[paramName] = s7.data;
+            paramCounts[paramName] = (paramCounts[paramName] || 0) + 1;
+          }
+        }
+      }
+    });
+
+    // Add info about duplicate parameters
+    if (!multiLevel) {
+      const duplicates = Object.entries(paramCounts)
+        .filter(([name, count]) => count > 1)
+        .map(([name, count]) => ({ parameter: name, count: count }));
+
+      if (duplicates.length > 0) {
+        result._warnings = {
+          multiplelevels: true,
+          duplicates: duplicates,
+          message: hasEnsembleMembers && filterMember === null
+            ? 'File contains multiple ensemble members. Use getData({ensembleMember: n}) to select a member, or getData({multiLevel: true}) to access all of them.'
+            : 'File contains multiple levels. Use getData({multiLevel: true}) to access all levels.'
+        };
+      }
+    }
+
+    // Convert grid-relative winds to earth-relative if needed (like wgrib2 -wind_uv)
+    const resolutionFlags = grid.resolutionAndComponentFlags || 0;
+    const isGridRelative = (resolutionFlags & 0x08) !== 0; // Bit 3: 1 = grid-relative, 0 = earth-relative
+
+    if (options.earthRelativeWinds !== false && isGridRelative && !multiLevel) {
+      if (result.ugrd && result.vgrd) {
+        // Convert grid-relative winds to earth-relative (on copies: message data stays as decoded)
+        result.ugrd = Float32Array.from(result.ugrd);
+        result.vgrd = Float32Array.from(result.vgrd);
+        this.convertWindsToEarthRelative(result.ugrd, result.vgrd, lat, lng, grid, numPoints);
+      }
+    }
+
+    // Calculate wind_speed if requested (like wgrib2 -wind_speed)
+    if (options.calculateWindSpeed && !multiLevel) {
+      if (result.ugrd && result.vgrd) {
+        const wind_speed = new Float32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+          const u = result.ugrd[i];
+          const v = result.vgrd[i];
+          if (this.isMissing(u) || this.isMissing(v)) {
+            wind_speed[i] = this.missingValue;
+            continue;
+          }
+          wind_speed[i] = Math.sqrt(u * u + v * v);
+        }
+        result.wind_speed = wind_speed;
+      }
+    }
+
+    // Calculate wind_dir if requested (like wgrib2 -wind_dir)
+    if (options.calculateWindDirection && !multiLevel) {
+      if (result.ugrd && result.vgrd) {
+        const wind_dir = new Float32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+          const u = result.ugrd[i];
+          const v = result.vgrd[i];
+          if (this.isMissing(u) || this.isMissing(v)) {
+            wind_dir[i] = this.missingValue;
+            continue;
+          }
+          // Meteorological convention: direction wind comes FROM
+          // 0° = North, 90° = East, 180° = South, 270° = West
+          let dir = Math.atan2(-u, -v) * 180 / Math.PI;
+          if (dir < 0) dir += 360;
+          wind_dir[i] = dir;
+        }
+        result.wind_dir = wind_dir;
+      }
+    }
+
+    // Convert to object format if requested
+    // Structure des objets retournés : chaque objet représente un point de grille avec :
+    // - lat (Number) : latitude du point en degrés
+    // - lng (Number) : longitude du point en degrés
+    // - ugrd, vgrd, tmp, etc. : paramètres météorologiques disponibles
+    if (options.asObjects && !multiLevel) {
+      const objectArray = [];
+
+      // Collect all parameter names (excluding metadata and special properties)
+      const paramNames = Object.keys(result).filter(key =>
+        key !== 'lat' &&
+        key !== 'lng' &&
+        key !== 'metadata' &&
+        key !== 'numPoints' &&
+        !key.startsWith('_')
+      );
+
+      // Create an object for each grid point
+      for (let i = 0; i < numPoints; i++) {
+        const point = {
+          lat: lat[i],
+          lng: lng[i]
+        };
+
+        // Add all available parameters for this point
+        paramNames.forEach(paramName => {
+          if (result[paramName] && result[paramName][i] !== undefined) {
+            point[paramName] = result[paramName][i];
+          }
+        });
+
+        objectArray.push(point);
+      }
+
+      return objectArray;
+    }
+
+    return result;
+  }
+
+  /**
+   * Calculate wind speed and direction from U and V components
+   * Returns array of objects with speed and direction for each point
+   */
+  calculateWind(data) {
+    if (!data.ugrd || !data.vgrd) {
+      throw new Error('UGRD and VGRD data required for wind calculation');
+    }
+
+    const numPoints = data.ugrd.length;
+    const wind = new Array(numPoints);
+
+    for (let i = 0; i < numPoints; i++) {
+      const u = data.ugrd[i];
+      const v = data.vgrd[i];
+
+      // Calculate wind speed: sqrt(u² + v²)
+      const speed = Math.sqrt(u * u + v * v);
+
+      // Calculate wind direction (meteorological: where wind comes from)
+      // 0° = North, 90° = East, 180° = South, 270° = West
+      let direction = Math.atan2(-u, -v) * 180 / Math.PI;
+      if (direction < 0) direction += 360;
+
+      wind[i] = {
+        speed: speed,
+        direction: direction,
+        u: u,
+        v: v
+      };
+    }
+
+    return wind;
+  }
+
+  /**
+   * Convert grid-relative winds to earth-relative winds (like wgrib2 -wind_uv)
+   * Modifies ugrd and vgrd arrays in place
+   *
+   * For lat-lon grids (template 0), no rotation is needed as grid is already aligned with earth
+   * For projected grids (Lambert, Polar Stereographic), rotation angle depends on longitude
+   *
+   * @param {Float32Array} ugrd - U component array (modified in place)
+   * @param {Float32Array} vgrd - V component array (modified in place)
+   * @param {Float32Array} lat - Latitude array
+   * @param {Float32Array} lng - Longitude array
+   * @param {Object} grid - Grid template object
+   * @param {Number} numPoints - Number of grid points
+   */
+  convertWindsToEarthRelative(ugrd, vgrd, lat, lng, grid, numPoints) {
+    // For grid template 0 (lat-lon), winds are already earth-relative by definition
+    // No rotation needed as grid lines align with meridians and parallels
+    if (grid.gridDefinitionTemplateNumber === undefined || grid.gridDefinitionTemplateNumber === 0) {
+      return;
+    }
+
+    const projection = this.getProjection(grid);
+    if (!projection) return; // Unsupported projection: leave winds grid-relative
+
+    for (let i = 0; i < numPoints; i++) {
+      const u = ugrd[i];
+      const v = vgrd[i];
+      if (this.isMissing(u) || this.isMissing(v)) continue;
+
+      // Angle between the grid y-axis and true north, rotate from grid axes to east/north axes
+      const angle = projection.rotation(lat[i], lng[i]);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      ugrd[i] = cos * u + sin * v;
+      vgrd[i] = -sin * u + cos * v;
+    }
+  }
+
+  /**
+   * Ensemble mean, spread and percentiles of a field across its ensemble members
+   * Members are the messages with ensemble information (templates 4.1, 4.11) whose inventory line
+   * matches the pattern; they must all describe the same parameter, level and forecast time.
+   *
+   * @param {Object} options - Options
+   * @param {String} options.match - Pattern selecting the field (regex on inventory lines, e.g. ':TMP:2 m above ground:24 hour fcst:')
+   * @param {Array<Number>} options.percentiles - Percentiles to compute, between 0 and 100 (e.g. [10, 50, 90])
+   * @returns {Object} { members, messageIndices, numberOfMembers, mean, spread, percentiles }
+   *   - members: Perturbation numbers of the members used
+   *   - mean, spread: Float32Array (spread is the standard deviation across members)
+   *   - percentiles: { 10: Float32Array, 50: Float32Array, ... }
+   */
+  getEnsembleStatistics(options = {}) {
+    const inventory = this.getInventory();
+    const regex = options.match ? new RegExp(options.match) : null;
+
+    const selected = inventory.filter(entry => entry.ensemble && (!regex || regex.test(entry.inventoryLine)));
+    if (selected.length === 0) {
+      throw new Error(`No ensemble members match pattern: ${options.match}`);
+    }
+
+    // All members must be the same field
+    const fieldKey = (entry) => `${entry.parameter}:${entry.level}:${entry.forecastTime}`;
+    const fields = new Set(selected.map(fieldKey));
+    if (fields.size > 1) {
+      throw new Error(`Ensemble members of several fields match (${[...fields].join(', ')}). Use a more specific match pattern.`);
+    }
+
+    const messageIndices = selected.map(entry => entry.messageNumber - 1);
+    const grids = new Set(messageIndices.map(index => {
+      const s3 = this.messages[index].sections.section3;
+      return `${s3.gridDefinitionTemplateNumber}:${s3.numberOfDataPoints}:${s3.gridTemplate && s3.gridTemplate.ni}x${s3.gridTemplate && s3.gridTemplate.nj}`;
+    }));
+    if (grids.size > 1) {
+      throw new Error('Ensemble members are not on the same grid');
+    }
+
+    const statistics = this.computeEnsembleStatistics(
+      messageIndices.map(index => this.messages[index].sections.section7.data),
+      options.percentiles || []
+    );
+
+    return {
+      members: selected.map(entry => entry.ensemble.perturbationNumber),
+      messageIndices,
+      ...statistics
+    };
+  }
+
+  /**
+   * Mean, spread (standard deviation) and percentiles across member fields, point by point
+   * Missing values are left out; a point missing in every member stays missing.
+   * Percentiles interpolate linearly between the sorted member values.
+   *
+   * @param {Array<Float32Array>} fields - One array per member, all of the same length
+   * @param {Array<Number>} percentiles - Percentiles to compute, between 0 and 100
+   * @returns {Object} { numberOfMembers, mean, spread, percentiles: { p: Float32Array } }
+   */
+  computeEnsembleStatistics(fields, percentiles = []) {
+    if (fields.length === 0) {
+      throw new Error('No ensemble members');
+    }
+    const numPoints = fields[0].length;
+    if (fields.some(field => field.length !== numPoints)) {
+      throw new Error('Ensemble members are not on the same grid');
+    }
+    percentiles.forEach(percentile => {
+      if (!(percentile >= 0 && percentile <= 100)) {
+        throw new Error(`Invalid percentile: ${percentile}`);
+      }
+    });
+
+    const mean = new Float32Array(numPoints);
+    const spread = new Float32Array(numPoints);
+    const percentileFields = {};
+    percentiles.forEach(percentile => {
+      percentileFields[percentile] = new Float32Array(numPoints);
+    });
+
+    const values = new Float64Array(fields.length);
+    for (let i = 0; i < numPoints; i++) {
+      let count = 0;
+      let sum = 0;
+      for (let m = 0; m < fields.length; m++) {
+        const value = fields[m][i];
+        if (this.isMissing(value)) continue;
+        values[count++] = value;
+        sum += value;
+      }
+
+      if (count === 0) {
+        mean[i] = this.missingValue;
+        spread[i] = this.missingValue;
+        percentiles.forEach(percentile => {
+          percentileFields[percentile][i] = this.missingValue;
+        });
+        continue;
+      }
+
+      const average = sum / count;
+      let variance = 0;
+      for (let m = 0; m < count; m++) {
+        variance += (values[m] - average) * (values[m] - average);
+      }
+      mean[i] = average;
+      spread[i] = Math.sqrt(variance / count);
+
+      if (percentiles.length > 0) {
+        const sorted = values.subarray(0, count).sort();
+        percentiles.forEach(percentile => {
+          const rank = percentile / 100 * (count - 1);
+          const lower = Math.floor(rank);
+          const upper = Math.min(lower + 1, count - 1);
+          percentileFields[percentile][i] = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+        });
+      }
+    }
+
+    return { numberOfMembers: fields.length, mean, spread, percentiles: percentileFields };
+  }
+
+  /**
+   * Point time series across forecast steps (meteograms)
+   * Messages are grouped by parameter, level, statistical processing, ensemble member and
+   * reference time; each group gives the values at the point ordered by valid time.
+   *
+   * @param {Number} lat - Latitude of the point (degrees)
+   * @param {Number} lng - Longitude of the point (degrees, -180/180 or 0/360)
+   * @param {Object} options - Options
+   * @param {String} options.method - 'nearest' (default, any grid) or 'bilinear' (lat-lon and Gaussian grids, see bilinearInterpolate)
+   * @param {Array<String>} options.parameters - Parameter names to extract (e.g., ['tmp', 'ugrd', 'vgrd'])
+   * @param {String} options.match - Pattern selecting messages, like getData()
+   * @param {Number} options.levelType - Level type filter, like getData()
+   * @param {Number} options.levelValue - Level value filter, like getData()
+   * @param {Number} options.ensembleMember - Ensemble member filter, like getData()
+   * @param {Boolean} options.earthRelativeWinds - Rotate grid-relative U/V to earth-relative at the point (default: true)
+   * @returns {Object} Time series:
+   *   {
+   *     lat: 48.85, lng: 2.35, method: 'nearest',
+   *     gridPoint: { index: 1234, lat: 48.75, lng: 2.25 },   // null for bilinear
+   *     series: [
+   *       {
+   *         parameter: 'tmp', name: 'Temperature', unit: 'K', level: '2 m above ground',
+   *         levelType: 103, levelValue: 2, statistic: null,   // e.g. '6 hour acc' for accumulations
+   *         ensembleMember: null, referenceTime: Date,
+   *         times: [Date, ...],          // Valid times (end of the period for statistically processed fields)
+   *         values: [285.2, ...],        // Missing value where the point is masked
+   *         messageIndices: [0, 4, ...]
+   *       }
+   *     ]
+   *   }
+   */
+  getTimeSeries(lat, lng, options = {}) {
+    const method = options.method || 'nearest';
+    if (method !== 'nearest' && method !== 'bilinear') {
+      throw new Error(`Unknown time series method: ${method} (expected 'nearest' or 'bilinear')`);
+    }
+
+    const data = this.getData({
+      multiLevel: true,
+      match: options.match,
+      parameters: options.parameters,
+      levelType: options.levelType,
+      levelValue: options.levelValue,
+      ensembleMember: options.ensembleMember
+    });
+
+    const grid = data.metadata.grid;
+    data.levels.forEach(entry => {
+      if (entry.data.length !== data.numPoints) {
+        throw new Error(`Message ${entry.messageIndex} is not on the same grid as the time series`);
+      }
+    });
+
+    // Value at the point for one field
+    let gridPoint = null;
+    let pointValue;
+    if (method === 'nearest') {
+      gridPoint = this.findNearestGridPoint(data, lat, lng);
+      pointValue = field => field[gridPoint.index];
+    } else {
+      if (grid.gridTemplate !== 0 && grid.gridTemplate !== 40) {
+        throw new Error(`Bilinear time series need a lat-lon or Gaussian grid (template ${grid.gridTemplate}), use method 'nearest'`);
+      }
+      // Longitude in the range of the grid (e.g. -8.25 on a 0-360 grid)
+      let targetLng = lng;
+      if (targetLng < grid.lngMin) targetLng += 360;
+      if (targetLng > grid.lngMax) targetLng -= 360;
+      pointValue = field => {
+        const interpolated = this.bilinearInterpolate({ lat: data.lat, lng: data.lng, metadata: data.metadata, value: field }, lat, targetLng, ['value']);
+        if (!interpolated) {
+          throw new Error(`Point (${lat}, ${lng}) is outside the grid`);
+        }
+        return interpolated.value;
+      };
+    }
+
+    // Group messages by field
+    const inventory = this.getInventory();
+    const groups = new Map();
+    data.levels.forEach(entry => {
+      const product = entry.product;
+      const timeRange = entry.timeRange;
+      const statistic = timeRange ? `${timeRange.end - timeRange.start} ${timeRange.unit} ${timeRange.statistic}` : null;
+      const ensembleMember = product.ensemble ? product.ensemble.perturbationNumber : null;
+      const times = this.messages[entry.messageIndex].times;
+      const level = inventory[entry.messageIndex].level;
+      const key = [entry.parameter, level, statistic, ensembleMember, times.referenceTime.getTime()].join('|');
+
+      if (!groups.has(key)) {
+        const info = data.metadata.parameters[entry.parameter];
+        groups.set(key, {
+          parameter: entry.parameter,
+          name: info ? info.name : null,
+          unit: info ? info.unit : null,
+          level: level,
+          levelType: entry.levelType,
+          levelValue: entry.levelValue,
+          statistic: statistic,
+          ensembleMember: ensembleMember,
+          referenceTime: times.referenceTime,
+          steps: []
+        });
+      }
+      groups.get(key).steps.push({ time: times.validTimeEnd, messageIndex: entry.messageIndex, field: entry.data });
+    });
+
+    const series = [...groups.values()].map(group => {
+      // Time order, first message kept when a valid time appears twice
+      const steps = group.steps
+        .filter(step => step.time)
+        .sort((a, b) => a.time - b.time || a.messageIndex - b.messageIndex)
+        .filter((step, i, sorted) => i === 0 || step.time.getTime() !== sorted[i - 1].time.getTime());
+      const { steps: _, ...description } = group;
+      return {
+        ...description,
+        times: steps.map(step => step.time),
+        values: steps.map(step => pointValue(step.field)),
+        messageIndices: steps.map(step => step.messageIndex)
+      };
+    });
+
+    // Grid-relative winds: rotate each U/V pair at the point (like getData), as flagged in the
+    // grid definition of the pair's own U message
+    if (options.earthRelativeWinds !== false) {
+      const pointLat = gridPoint ? gridPoint.lat : lat;
+      const pointLng = gridPoint ? gridPoint.lng : lng;
+      const pairKey = s => [s.level, s.statistic, s.ensembleMember, s.referenceTime.getTime()].join('|');
+      series.filter(s => s.parameter === 'ugrd').forEach(u => {
+        const v = series.find(s => s.parameter === 'vgrd' && pairKey(s) === pairKey(u));
+        if (!v) return;
+        u.times.forEach((time, i) => {
+          const j = v.times.findIndex(t => t.getTime() === time.getTime());
+          if (j === -1) return;
+          const gridTemplate = this.messages[u.messageIndices[i]].sections.section3.gridTemplate;
+          if (((gridTemplate.resolutionAndComponentFlags || 0) & 0x08) === 0) return;
+          const uValue = [u.values[i]];
+          const vValue = [v.values[j]];
+          this.convertWindsToEarthRelative(uValue, vValue, [pointLat], [pointLng], gridTemplate, 1);
+          u.values[i] = uValue[0];
+          v.values[j] = vValue[0];
+        });
+      });
+    }
+
+    return { lat, lng, method, gridPoint, series };
+  }
+
+  /**
+   * Nearest grid point to a location (great circle distance), for any grid
+   *
+   * @param {Object} data - Data object from getData() with lat and lng arrays
+   * @param {Number} lat - Latitude (degrees)
+   * @param {Number} lng - Longitude (degrees)
+   * @returns {Object} { index, lat, lng } of the nearest point
+   */
+  findNearestGridPoint(data, lat, lng) {
+    const toRad = Math.PI / 180;
+    const sinLat = Math.sin(lat * toRad);
+    const cosLat = Math.cos(lat * toRad);
+    let best = -1;
+    let bestCos = -Infinity;
+
+    for (let i = 0; i < data.lat.length; i++) {
+      if (this.isMissing(data.lat[i]) || this.isMissing(data.lng[i])) continue;
+      // Cosine of the angular distance: the largest is the nearest
+      const phi = data.lat[i] * toRad;
+      const cosDistance = sinLat * Math.sin(phi) + cosLat * Math.cos(phi) * Math.cos((data.lng[i] - lng) * toRad);
+      if (cosDistance > bestCos) {
+        bestCos = cosDistance;
+        best = i;
+      }
+    }
+
+    if (best === -1) {
+      throw new Error('Grid has no valid points');
+    }
+    return { index: best, lat: data.lat[best], lng: data.lng[best] };
+  }
+
+  /**
+   * Interpolate fields in time between two forecast steps (e.g. for a time slider)
+   * The steps are chosen for each parameter: the valid times of its messages just before and just
+   * after the target time, or two messages given explicitly. Parameters without a message on both
+   * sides of the target are left out and listed in metadata.interpolation.skipped. Scalars are
+   * interpolated linearly; U/V wind pairs keep their magnitude: speed is interpolated linearly and
+   * direction along the shortest arc, so a rotating wind does not weaken between the steps.
+   *
+   * @param {Date|String|Number} time - Target valid time: Date, timestamp in ms, or 'YYYYMMDDHH[mm[ss]]'
+   * @param {Object} options - getData() options (match, parameters, levelType, levelValue, ensembleMember,
+   *   longitudeFormat, earthRelativeWinds, calculateWindSpeed, calculateWindDirection), plus:
+   * @param {Array<Number>} options.messages - Indices of two messages of the same parameter and level at
+   *   different valid times. The matching V (or U) messages are used too when the field is a wind component
+   * @returns {Object} Same structure as getData() (separate arrays, asObjects is not supported), with
+   *   metadata.validTime (target time) and metadata.interpolation:
+   *   {
+   *     time: Date, weight: 0.33,    // 0 at the step before, 1 at the step after
+   *     before: { validTime: Date, messageIndices: [0, 1] },
+   *     after: { validTime: Date, messageIndices: [2, 3] },
+   *     parameters: {                // Steps of each parameter
+   *       tmp: { weight: 0.33, before: { validTime: Date, messageIndex: 0 }, after: { validTime: Date, messageIndex: 2 } }
+   *     },
+   *     skipped: [{ parameter: 'apcp', validTimes: [Date, ...] }]   // No message on both sides of the target
+   *   }
+   *   weight and the validTime of before/after are null when the parameters use different steps
+   */
+  interpolateTime(time, options = {}) {
+    if (time === undefined || time === null) {
+      throw new Error('Target time required for time interpolation');
+    }
+    const target = this.parseTime(time);
+    const { messages, ...dataOptions } = options;
+    delete dataOptions.asObjects;
+    delete dataOptions.validTime;
+
+    if (messages) {
+      dataOptions.match = this.getInterpolationMatch(messages);
+    }
+
+    // Selected messages with a valid time, grouped into fields (parameter, level, ensemble member)
+    const selection = this.getData({ ...dataOptions, multiLevel: true });
+    const entries = selection.levels.filter(entry => entry.validTimeEnd);
+    if (entries.length === 0) {
+      throw new Error('No messages with a valid time to interpolate');
+    }
+    const stepOf = entry => entry.validTimeEnd.getTime();
+    const levelKey = entry => [entry.levelType, entry.levelValue, entry.ensemble ? entry.ensemble.perturbationNumber : null].join('|');
+    const fields = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.parameter}|${levelKey(entry)}`;
+      if (!fields.has(key)) fields.set(key, { parameter: entry.parameter, entries: [] });
+      fields.get(key).entries.push(entry);
+    });
+
+    // When both wind components are selected, each is only used where the other one is at the same level and time
+    const partnerOf = { ugrd: 'vgrd', vgrd: 'ugrd' };
+    const windSelected = entries.some(entry => entry.parameter === 'ugrd') && entries.some(entry => entry.parameter === 'vgrd');
+    const findPartner = entry => entries.find(other => other.parameter === partnerOf[entry.parameter] &&
+      levelKey(other) === levelKey(entry) && stepOf(other) === stepOf(entry));
+    const usable = entry => !windSelected || !partnerOf[entry.parameter] || findPartner(entry) !== undefined;
+
+    // Messages just before and just after the target in one field (first message of a valid time, like getData)
+    const bracket = field => {
+      let before = null;
+      let after = null;
+      field.entries.filter(usable).forEach(entry => {
+        if (stepOf(entry) <= target && (!before || stepOf(entry) > stepOf(before))) before = entry;
+        if (stepOf(entry) >= target && (!after || stepOf(entry) < stepOf(after))) after = entry;
+      });
+      return before && after ? { before, after } : null;
+    };
+
+    // Steps of each parameter: the first of its fields (in message order) whose valid times surround the target.
+    // Parameters do not need the same steps (e.g. hourly temperature and 3-hourly precipitation)
+    const brackets = new Map();
+    const skipped = [];
+    [...new Set(entries.map(entry => entry.parameter))].forEach(parameter => {
+      const found = [...fields.values()]
+        .filter(field => field.parameter === parameter)
+        .map(bracket)
+        .find(steps => steps);
+      if (found) {
+        brackets.set(parameter, found);
+      } else {
+        const validTimes = [...new Set(entries.filter(entry => entry.parameter === parameter).map(stepOf))].sort((a, b) => a - b);
+        skipped.push({ parameter, validTimes: validTimes.map(step => new Date(step)) });
+      }
+    });
+
+    if (brackets.size === 0) {
+      const steps = entries.map(stepOf).sort((a, b) => a - b);
+      if (target < steps[0] || target > steps[steps.length - 1]) {
+        throw new Error(`Time ${this.formatTime(new Date(target), true)} is outside the valid times of the selected messages (${this.formatTime(new Date(steps[0]), true)} to ${this.formatTime(new Date(steps[steps.length - 1]), true)})`);
+      }
+      throw new Error(`No selected parameter has valid times on both sides of ${this.formatTime(new Date(target), true)}`);
+    }
+
+    // The two wind components are interpolated together, at the steps of the U component
+    if (brackets.has('ugrd') && brackets.has('vgrd')) {
+      const u = brackets.get('ugrd');
+      brackets.set('vgrd', { before: findPartner(u.before), after: findPartner(u.after) });
+    }
+
+    // Exactly one message per parameter on each side
+    const stepData = side => this.getData({
+      ...dataOptions,
+      match: `^(${[...brackets.values()].map(steps => steps[side].messageIndex + 1).join('|')}):`,
+      calculateWindSpeed: false,
+      calculateWindDirection: false
+    });
+    const dataBefore = stepData('before');
+    const dataAfter = stepData('after');
+    if (dataBefore.numPoints !== dataAfter.numPoints) {
+      throw new Error('Forecast steps are not on the same grid');
+    }
+
+    const parameters = [...brackets.keys()].filter(parameter => dataBefore[parameter] && dataAfter[parameter]);
+    const weights = {};
+    const parameterSteps = {};
+    parameters.forEach(parameter => {
+      const { before, after } = brackets.get(parameter);
+      weights[parameter] = stepOf(after) === stepOf(before) ? 0 : (target - stepOf(before)) / (stepOf(after) - stepOf(before));
+      parameterSteps[parameter] = {
+        weight: weights[parameter],
+        before: { validTime: before.validTimeEnd, messageIndex: before.messageIndex },
+        after: { validTime: after.validTimeEnd, messageIndex: after.messageIndex }
+      };
+    });
+
+    // Steps shared by all parameters (null when they differ)
+    const common = side => {
+      const times = [...new Set(parameters.map(parameter => stepOf(brackets.get(parameter)[side])))];
+      return times.length === 1 ? new Date(times[0]) : null;
+    };
+    const sideMessages = side => parameters.map(parameter => brackets.get(parameter)[side].messageIndex).sort((a, b) => a - b);
+    const sameSteps = common('before') !== null && common('after') !== null;
+
+    const result = {
+      lat: dataBefore.lat,
+      lng: dataBefore.lng,
+      metadata: {
+        ...dataBefore.metadata,
+        validTime: new Date(target),
+        interpolation: {
+          time: new Date(target),
+          weight: sameSteps ? weights[parameters[0]] : null,
+          before: { validTime: common('before'), messageIndices: sideMessages('before') },
+          after: { validTime: common('after'), messageIndices: sideMessages('after') },
+          parameters: parameterSteps,
+          skipped: skipped
+        }
+      },
+      numPoints: dataBefore.numPoints
+    };
+
+    const numPoints = dataBefore.numPoints;
+    const missing = this.missingValue;
+    const windPair = parameters.includes('ugrd') && parameters.includes('vgrd');
+
+    parameters.forEach(parameter => {
+      if (windPair && (parameter === 'ugrd' || parameter === 'vgrd')) return;
+      const a = dataBefore[parameter];
+      const b = dataAfter[parameter];
+      const weight = weights[parameter];
+      const field = new Float32Array(numPoints);
+      for (let i = 0; i < numPoints; i++) {
+        field[i] = this.isMissing(a[i]) || this.isMissing(b[i]) ? missing : a[i] + (b[i] - a[i]) * weight;
+      }
+      result[parameter] = field;
+    });
+
+    if (windPair) {
+      const weight = weights.ugrd;
+      const ugrd = new Float32Array(numPoints);
+      const vgrd = new Float32Array(numPoints);
+      for (let i = 0; i < numPoints; i++) {
+        const u0 = dataBefore.ugrd[i], v0 = dataBefore.vgrd[i];
+        const u1 = dataAfter.ugrd[i], v1 = dataAfter.vgrd[i];
+        if (this.isMissing(u0) || this.isMissing(v0) || this.isMissing(u1) || this.isMissing(v1)) {
+          ugrd[i] = missing;
+          vgrd[i] = missing;
+          continue;
+        }
+        const speed0 = Math.sqrt(u0 * u0 + v0 * v0);
+        const speed1 = Math.sqrt(u1 * u1 + v1 * v1);
+        // A calm step takes the direction of the other step
+        let angle0 = Math.atan2(v0, u0);
+        let angle1 = Math.atan2(v1, u1);
+        if (speed0 === 0) angle0 = angle1;
+        if (speed1 === 0) angle1 = angle0;
+        let turn = angle1 - angle0;
+        if (turn > Math.PI) turn -= 2 * Math.PI;
+        if (turn < -Math.PI) turn += 2 * Math.PI;
+
+        const speed = speed0 + (speed1 - speed0) * weight;
+        const angle = angle0 + turn * weight;
+        ugrd[i] = speed * Math.cos(angle);
+        vgrd[i] = speed * Math.sin(angle);
+      }
+      result.ugrd = ugrd;
+      result.vgrd = vgrd;
+    }
+
+    // Wind speed and direction of the interpolated winds (like getData)
+    if ((options.calculateWindSpeed || options.calculateWindDirection) && result.ugrd && result.vgrd) {
+      const wind_speed = new Float32Array(numPoints);
+      const wind_dir = new Float32Array(numPoints);
+      for (let i = 0; i < numPoints; i++) {
+        const u = result.ugrd[i];
+        const v = result.vgrd[i];
+        if (this.isMissing(u) || this.isMissing(v)) {
+          wind_speed[i] = missing;
+          wind_dir[i] = missing;
+          continue;
+        }
+        wind_speed[i] = Math.sqrt(u * u + v * v);
+        let dir = Math.atan2(-u, -v) * 180 / Math.PI;
+        if (dir < 0) dir += 360;
+        wind_dir[i] = dir;
+      }
+      if (options.calculateWindSpeed) result.wind_speed = wind_speed;
+      if (options.calculateWindDirection) result.wind_dir = wind_dir;
+    }
+
+    return result;
+  }
+
+  /**
+   * Match pattern selecting two messages to interpolate in time, with their wind partners
+   * The messages must be the same parameter and level at different valid times.
+   *
+   * @param {Array<Number>} messages - Indices of the two messages
+   * @returns {String} Regex on inventory lines (message numbers)
+   */
+  getInterpolationMatch(messages) {
+    if (!Array.isArray(messages) || messages.length !== 2) {
+      throw new Error('Time interpolation needs two message indices');
+    }
+    const inventory = this.getInventory();
+    const entries = messages.map(index => {
+      if (!Number.isInteger(index) || !inventory[index]) {
+        throw new Error(`Message index out of range: ${index}`);
+      }
+      return inventory[index];
+    });
+
+    const [first, second] = entries;
+    if (first.parameter !== second.parameter || first.level !== second.level) {
+      throw new Error(`Messages ${messages[0]} and ${messages[1]} are not the same field (${first.parameter}:${first.level}, ${second.parameter}:${second.level})`);
+    }
+    const validTime = entry => entry.validTimeEnd ? entry.validTimeEnd.getTime() : null;
+    if (validTime(first) === null || validTime(first) === validTime(second)) {
+      throw new Error(`Messages ${messages[0]} and ${messages[1]} do not have different valid times`);
+    }
+
+    // Other wind component at the same level and valid time
+    const partnerName = { UGRD: 'VGRD', VGRD: 'UGRD' }[first.parameter];
+    const selected = entries.map(entry => entry.messageNumber);
+    if (partnerName) {
+      entries.forEach(entry => {
+        const partner = inventory.find(other => other.parameter === partnerName && other.level === entry.level &&
+          other.forecastTime === entry.forecastTime && validTime(other) === validTime(entry) &&
+          (other.ensemble ? other.ensemble.perturbationNumber : null) === (entry.ensemble ? entry.ensemble.perturbationNumber : null));
+        if (partner) selected.push(partner.messageNumber);
+      });
+    }
+
+    return `^(${selected.join('|')}):`;
+  }
+
+  /**
+   * Perform bilinear interpolation at a specific lat/lng point (like wgrib2 -new_grid_interpolation bilinear)
+   *
+   * @param {Object} data - Data object from getData() with lat, lng, and parameter arrays
+   * @param {Number} targetLat - Target latitude for interpolation
+   * @param {Number} targetLng - Target longitude for interpolation
+   * @param {Array<String>} parameters - Array of parameter names to interpolate (e.g., ['ugrd', 'vgrd', 'tmp'])
+   * @returns {Object} Interpolated values for each parameter (missing value where the surrounding
+   *   points are masked by the bitmap), or null if point is outside grid
+   */
+  bilinearInterpolate(data, targetLat, targetLng, parameters) {
+    if (!data.lat || !data.lng || !data.metadata || !data.metadata.grid) {
+      throw new Error('Invalid data object. Use getData() first.');
+    }
+
+    const grid = data.metadata.grid;
+    if (grid.pointsPerRow) {
+      return this.bilinearInterpolateRows(data, targetLat, targetLng, parameters);
+    }
+
+    const ni = grid.ni;
+    const nj = grid.nj;
+
+    // Find the grid cell containing the target point
+    // Assuming regular lat-lon grid with consistent spacing
+    const latMin = grid.latMin;
+    const latMax = grid.latMax;
+    const lngMin = grid.lngMin;
+    const lngMax = grid.lngMax;
+    const latInc = grid.latIncrement;
+    const lngInc = grid.lngIncrement;
+
+    // Check if point is within grid bounds
+    if (targetLat < Math.min(latMin, latMax) || targetLat > Math.max(latMin, latMax) ||
+        targetLng < lngMin || targetLng > lngMax) {
+      return null; // Outside grid
+    }
+
+    // Find surrounding grid points
+    // Calculate grid indices (fractional). Rows follow the scanning order of the data: the first
+    // row is latMax on north to south grids, latMin on south to north grids (and regridded data)
+    const northToSouth = nj > 1 && data.lat[ni] < data.lat[0];
+    const iFloat = (targetLng - lngMin) / lngInc;
+    const jFloat = northToSouth ? (latMax - targetLat) / latInc : (targetLat - latMin) / latInc;
+
+    // Get integer indices of surrounding points
+    const i0 = Math.floor(iFloat);
+    const i1 = Math.min(i0 + 1, ni - 1);
+    const j0 = Math.floor(jFloat);
+    const j1 = Math.min(j0 + 1, nj - 1);
+
+    // Calculate interpolation weights
+    const wx = iFloat - i0; // Weight in x direction (0 to 1)
+    const wy = jFloat - j0; // Weight in y direction (0 to 1)
+
+    // Get indices in 1D array
+    const idx00 = j0 * ni + i0; // Row j0, west
+    const idx10 = j0 * ni + i1; // Row j0, east
+    const idx01 = j1 * ni + i0; // Row j1, west
+    const idx11 = j1 * ni + i1; // Row j1, east
+
+    const result = {
+      lat: targetLat,
+      lng: targetLng,
+      indices: { i0, i1, j0, j1, wx, wy }
+    };
+
+    // Interpolate each requested parameter
+    parameters.forEach(param => {
+      if (data[param]) {
+        const arr = data[param];
+
+        // Bilinear interpolation formula:
+        // f(x,y) = f00*(1-wx)*(1-wy) + f10*wx*(1-wy) + f01*(1-wx)*wy + f11*wx*wy
+        result[param] = this.combineWeightedCorners([
+          [arr[idx00], (1 - wx) * (1 - wy)],
+          [arr[idx10], wx * (1 - wy)],
+          [arr[idx01], (1 - wx) * wy],
+          [arr[idx11], wx * wy]
+        ]);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Bilinear interpolation on Gaussian and reduced grids (rows from getData metadata)
+   * Linear in longitude along the two rows surrounding the target, then linear in latitude
+   * between them, like wgrib2/ecCodes for reduced Gaussian grids
+   *
+   * @returns {Object|null} Same as bilinearInterpolate, or null if the point is outside the grid
+   */
+  bilinearInterpolateRows(data, targetLat, targetLng, parameters) {
+    const { rowLatitudes, pointsPerRow } = data.metadata.grid;
+    const nRows = rowLatitudes.length;
+
+    // Rows are in scanning order, north to south or south to north
+    let j0 = -1;
+    for (let j = 0; j < nRows - 1; j++) {
+      const a = rowLatitudes[j];
+      const b = rowLatitudes[j + 1];
+      if (targetLat >= Math.min(a, b) && targetLat <= Math.max(a, b)) {
+        j0 = j;
+        break;
+      }
+    }
+    if (j0 < 0) {
+      return null; // Outside grid (e.g. between the last Gaussian latitude and the pole)
+    }
+    const j1 = j0 + 1;
+    const wy = (targetLat - rowLatitudes[j0]) / (rowLatitudes[j1] - rowLatitudes[j0]);
+
+    // Offset of the first point of each of the two rows
+    let offset0 = 0;
+    for (let j = 0; j < j0; j++) offset0 += pointsPerRow[j];
+    const offset1 = offset0 + pointsPerRow[j0];
+
+    // Two surrounding points (and weights) along a row, wrapping around for global rows
+    const rowPoints = (offset, n) => {
+      const lonFirst = data.lng[offset];
+      const step = n > 1 ? data.lng[offset + 1] - data.lng[offset] : 360;
+      const isGlobal = Math.abs(Math.abs(step) * n - 360) < 1e-3;
+      const x = ((((targetLng - lonFirst) * Math.sign(step)) % 360 + 360) % 360) / Math.abs(step);
+
+      const i0 = Math.floor(x);
+      if (!isGlobal && x > n - 1 + 1e-6) return null;
+      const i1 = isGlobal ? (i0 + 1) % n : Math.min(i0 + 1, n - 1);
+      return { idx0: offset + Math.min(i0, n - 1), idx1: offset + i1, wx: Math.min(x - i0, 1) };
+    };
+
+    const row0 = rowPoints(offset0, pointsPerRow[j0]);
+    const row1 = rowPoints(offset1, pointsPerRow[j1]);
+    if (!row0 || !row1) {
+      return null; // Outside the longitudes of a regional grid
+    }
+
+    const result = {
+      lat: targetLat,
+      lng: targetLng,
+      indices: { j0, j1, wy, row0, row1 }
+    };
+
+    parameters.forEach(param => {
+      if (data[param]) {
+        const arr = data[param];
+        result[param] = this.combineWeightedCorners([
+          [arr[row0.idx0], (1 - row0.wx) * (1 - wy)],
+          [arr[row0.idx1], row0.wx * (1 - wy)],
+          [arr[row1.idx0], (1 - row1.wx) * wy],
+          [arr[row1.idx1], row1.wx * wy]
+        ]);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Weighted sum of the corners of an interpolation cell
+   * Missing corners (bitmap) are skipped and the remaining weights renormalized,
+   * like wgrib2/iplib: the result is missing if less than half the weight is valid
+   *
+   * @param {Array<Array<Number>>} corners - [value, weight] pairs
+   * @returns {Number} Interpolated value or missing value
+   */
+  combineWeightedCorners(corners) {
+    let sum = 0;
+    let weightSum = 0;
+    corners.forEach(([value, weight]) => {
+      if (!this.isMissing(value)) {
+        sum += value * weight;
+        weightSum += weight;
+      }
+    });
+
+    return weightSum >= 0.5 ? sum / weightSum : this.missingValue;
+  }
+
+  /**
+   * Interpolate data to a new regular grid using bilinear interpolation
+   *
+   * @param {Object} data - Data object from getData()
+   * @param {Object} newGrid - New grid specification
+   * @param {Number} newGrid.latMin - Minimum latitude of new grid
+   * @param {Number} newGrid.latMax - Maximum latitude of new grid
+   * @param {Number} newGrid.lngMin - Minimum longitude of new grid
+   * @param {Number} newGrid.lngMax - Maximum longitude of new grid
+   * @param {Number} newGrid.latStep - Latitude step/increment
+   * @param {Number} newGrid.lngStep - Longitude step/increment
+   * @param {Array<String>} parameters - Array of parameters to interpolate
+   * @returns {Object} New data object with interpolated values
+   */
+  regridBilinear(data, newGrid, parameters) {
+    const { latMin, latMax, lngMin, lngMax, latStep, lngStep } = newGrid;
+
+    // Calculate new grid dimensions
+    const newNi = Math.round((lngMax - lngMin) / lngStep) + 1;
+    const newNj = Math.round((latMax - latMin) / latStep) + 1;
+    const newNumPoints = newNi * newNj;
+
+    // Create new arrays
+    const newLat = new Float32Array(newNumPoints);
+    const newLng = new Float32Array(newNumPoints);
+    // The target is a regular lat-lon grid: drop the rows of a Gaussian/reduced source grid
+    const { rowLatitudes, pointsPerRow, ...sourceGrid } = data.metadata.grid;
+
+    const newData = {
+      lat: newLat,
+      lng: newLng,
+      numPoints: newNumPoints,
+      metadata: {
+        ...data.metadata,
+        grid: {
+          ...sourceGrid,
+          ni: newNi,
+          nj: newNj,
+          latMin,
+          latMax,
+          lngMin,
+          lngMax,
+          latIncrement: latStep,
+          lngIncrement: lngStep
+        }
+      }
+    };
+
+    // Initialize parameter arrays
+    parameters.forEach(param => {
+      newData[param] = new Float32Array(newNumPoints);
+    });
+
+    // Fill new grid with interpolated values
+    let idx = 0;
+    for (let j = 0; j < newNj; j++) {
+      for (let i = 0; i < newNi; i++) {
+        const targetLat = latMin + j * latStep;
+        const targetLng = lngMin + i * lngStep;
+
+        newLat[idx] = targetLat;
+        newLng[idx] = targetLng;
+
+        // Interpolate values at this point
+        const interpolated = this.bilinearInterpolate(data, targetLat, targetLng, parameters);
+
+        if (interpolated) {
+          parameters.forEach(param => {
+            if (interpolated[param] !== undefined) {
+              newData[param][idx] = interpolated[param];
+            }
+          });
         } else {
-          // Width is 0, all values are the group reference
-          for (let k = 0; k < glen[j] && n < numberOfPoints; k++) {
-            ifld[n] = gref[j];
-            n++;
-          }
+          // Point outside original grid - fill with missing value
+          parameters.forEach(param => {
+            newData[param][idx] = this.missingValue;
+          });
         }
+
+        idx++;
       }
+    }
 
-      // Step 6: Reverse spatial differencing (NOAA g2clib algorithm - same as wgrib2)
-      if (orderOfSpatialDiff > 0) {
-        if (orderOfSpatialDiff === 1) {
-          // First-order spatial differencing
-          ifld[0] = h1;
-          for (n = 1; n < numberOfPoints; n++) {
-            ifld[n] = ifld[n] + overallMin;
-            ifld[n] = ifld[n] + ifld[n - 1];
-          }
-        } else if (orderOfSpatialDiff === 2) {
-          // Second-order spatial differencing (NOAA algorithm)
-          ifld[0] = h1;
-          ifld[1] = h2;
-          for (n = 2; n < numberOfPoints; n++) {
-            ifld[n] = ifld[n] + overallMin;
-            ifld[n] = ifld[n] + (2 * ifld[n - 1]) - ifld[n - 2];
-          }
+    return newData;
+  }
+}
+
+/**
+ * fetch() implementation for the HTTP helpers: options.fetch or the global fetch
+ */
+function getFetch(options) {
+  if (options.fetch) return options.fetch;
+  if (typeof fetch === 'function') return fetch;
+  throw new Error('fetch() is not available: pass options.fetch (Node < 18)');
+}
+
+/**
+ * Check the sections of a complete message (bytes) against its total length
+ * Offsets in the error are stream offsets (offset: stream offset of the message).
+ * @returns {GribFormatError|null} First problem found, or null
+ */
+function checkSectionLayout(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 4;
+  let position = 16;
+  while (position < end) {
+    const length = view.getUint32(position);
+    if (length < 5 || position + length > end) {
+      return new GribFormatError(`Section at offset ${offset + position} has length ${length}, beyond the total length of the message at offset ${offset}`, { code: 'INVALID_SECTION_LENGTH', offset });
+    }
+    const sectionNumber = bytes[position + 4];
+    if (sectionNumber < 1 || sectionNumber > 7) {
+      return new GribFormatError(`Unknown section number: ${sectionNumber} at offset ${offset + position}`, { code: 'INVALID_SECTION', offset });
+    }
+    position += length;
+  }
+  return null;
+}
+
+// ============================================================================
+// Errors - thrown in strict mode, recorded in reader.errors / reader.warnings otherwise
+// ============================================================================
+
+/**
+ * Base class of the parsing errors
+ * code: 'INVALID_SIGNATURE', 'SKIPPED_BYTES', 'UNSUPPORTED_EDITION', 'MISSING_END_SECTION', 'INVALID_SECTION',
+ *   'INVALID_SECTION_LENGTH', 'INVALID_MESSAGE', 'TRUNCATED' or 'DECODE_ERROR'
+ * offset: Offset of the message (or of the skipped bytes), messageIndex: index of the message when known
+ */
+class GribError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GribError';
+    this.code = details.code || 'GRIB_ERROR';
+    this.offset = details.offset !== undefined ? details.offset : null;
+    this.messageIndex = details.messageIndex !== undefined ? details.messageIndex : null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * Bytes that are not a valid GRIB2 message: missing signature, section lengths or end section
+ */
+class GribFormatError extends GribError {
+  constructor(message, details = {}) {
+    super(message, { code: 'INVALID_MESSAGE', ...details });
+    this.name = 'GribFormatError';
+  }
+}
+
+/**
+ * Message cut before its declared total length (incomplete download)
+ */
+class GribTruncatedError extends GribError {
+  constructor(message, details = {}) {
+    super(message, { code: 'TRUNCATED', ...details });
+    this.name = 'GribTruncatedError';
+  }
+}
+
+/**
+ * Data section whose values cannot be unpacked
+ */
+class GribDecodeError extends GribError {
+  constructor(message, details = {}) {
+    super(message, { code: 'DECODE_ERROR', ...details });
+    this.name = 'GribDecodeError';
+  }
+}
+
+GribReader.GribError = GribError;
+GribReader.GribFormatError = GribFormatError;
+GribReader.GribTruncatedError = GribTruncatedError;
+GribReader.GribDecodeError = GribDecodeError;
+
+// ============================================================================
+// Streaming parser - GRIB messages from chunks of any size
+// ============================================================================
+
+/**
+ * Incremental parser behind GribReader.createStreamParser() and GribReader.parseStream()
+ * Chunks are kept until a whole message (Section 0 total length) is available; the message is
+ * then parsed by its own reader, which keeps its bytes for unpacking the values later.
+ * Like GribReader.parse(), non-GRIB bytes are skipped and damaged messages recorded in
+ * errors / warnings, or thrown as typed errors with options.strict.
+ */
+class GribStreamParser {
+  constructor(options = {}) {
+    const { decodeValues, onMessage, onError, onWarning, ...readerOptions } = options;
+    this.readerOptions = { ...readerOptions, lazy: !decodeValues };
+    this.strict = readerOptions.strict === true;
+    this.onMessage = onMessage || null;
+    this.onError = onError || null;
+    this.onWarning = onWarning || null;
+    this.errors = [];
+    this.warnings = [];
+    this.chunks = [];
+    this.bufferedLength = 0;
+    this.offset = 0;          // Stream offset of the first buffered byte
+    this.skipped = null;      // Non-GRIB bytes being skipped: { offset, length }
+    this.messageCount = 0;
+    this.previousBitmap = null; // Bitmap indicator 254 refers to the bitmap of an earlier message
+    this.ended = false;
+    this.sectionPosition = 16; // Sections of the first buffered message checked so far (see findEndSection)
+  }
+
+  /**
+   * Add a chunk of data
+   * @param {Uint8Array|ArrayBuffer} chunk - Next bytes of the stream (Node Buffers are Uint8Arrays)
+   * @returns {Array<Object>} Messages completed by this chunk (possibly none)
+   */
+  push(chunk) {
+    if (this.ended) {
+      throw new Error('Stream parser already ended');
+    }
+    let bytes;
+    if (chunk instanceof ArrayBuffer) {
+      bytes = new Uint8Array(chunk);
+    } else if (ArrayBuffer.isView(chunk)) {
+      bytes = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    } else {
+      throw new Error(`Invalid chunk: expected Uint8Array or ArrayBuffer, got ${typeof chunk}`);
+    }
+    if (bytes.length > 0) {
+      this.chunks.push(bytes);
+      this.bufferedLength += bytes.length;
+    }
+
+    const messages = [];
+    let message;
+    while ((message = this.nextMessage())) {
+      messages.push(message);
+      if (this.onMessage) this.onMessage(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Signal the end of the stream
+   * A message left incomplete is recorded as a GribTruncatedError (thrown in strict mode).
+   */
+  end() {
+    this.ended = true;
+    if (this.bufferedLength > 0) {
+      const start = this.findSignature();
+      if (start === -1) {
+        this.skip(this.bufferedLength);
+      } else {
+        this.skip(start);
+        this.flushSkipped();
+        this.reportIssue(this.errors, new GribTruncatedError(`Incomplete GRIB message at offset ${this.offset}: stream ended after ${this.bufferedLength} bytes`, { offset: this.offset }));
+        this.drop(this.bufferedLength);
+      }
+    }
+    this.flushSkipped();
+  }
+
+  /**
+   * Parse the first buffered message if it is complete
+   * @returns {Object|null} Parsed message, or null if more data is needed
+   */
+  nextMessage() {
+    while (this.bufferedLength >= 4) {
+      // Resynchronize on the next signature
+      const start = this.findSignature();
+      if (start === -1) {
+        this.skip(this.bufferedLength - 3); // The last bytes may begin a signature
+        return null;
+      }
+      this.skip(start);
+      this.flushSkipped();
+      if (this.bufferedLength < 16) return null;
+
+      const offset = this.offset;
+      const indicator = this.peek(16);
+      const view = new DataView(indicator.buffer);
+      const totalLength = view.getUint32(8) * 0x100000000 + view.getUint32(12);
+      if (indicator[7] !== 2) {
+        this.reportIssue(this.errors, new GribFormatError(`Unsupported GRIB edition ${indicator[7]} at offset ${offset}`, { code: 'UNSUPPORTED_EDITION', offset }));
+        this.drop(4);
+        continue;
+      }
+      if (totalLength >= 16 + 4 && this.bufferedLength < totalLength) {
+        // A damaged total length would hold back the rest of the stream: stop waiting once the sections end before it
+        const endSection = this.findEndSection();
+        if (endSection === -1) return null;
+        this.reportIssue(this.errors, new GribFormatError(`End section "7777" at offset ${offset + endSection}, before the total length ${totalLength} of the message at offset ${offset}`, { code: 'MISSING_END_SECTION', offset }));
+        this.drop(4);
+        continue;
+      }
+
+      const bytes = totalLength >= 16 + 4 ? this.peek(totalLength) : null;
+      if (!bytes || String.fromCharCode(bytes[totalLength - 4], bytes[totalLength - 3], bytes[totalLength - 2], bytes[totalLength - 1]) !== '7777') {
+        this.reportIssue(this.errors, new GribFormatError(`Missing end section "7777" at offset ${offset + totalLength - 4} (message at offset ${offset}, total length ${totalLength})`, { code: 'MISSING_END_SECTION', offset }));
+        this.drop(4);
+        continue;
+      }
+      this.drop(totalLength);
+
+      const layoutError = checkSectionLayout(bytes, offset);
+      if (layoutError) {
+        this.reportIssue(this.errors, layoutError);
+        continue;
+      }
+
+      const reader = new GribReader(bytes.buffer, this.readerOptions);
+      const index = this.messageCount;
+      // Problems found when the values are unpacked are reported here, with stream offsets
+      reader.reportIssue = (list, error) => {
+        error.offset = offset + (error.offset || 0);
+        error.messageIndex = index;
+        this.reportIssue(list === reader.errors ? this.errors : this.warnings, error);
+      };
+      reader.previousBitmap = this.previousBitmap;
+
+      let message;
+      try {
+        message = reader.parseMessage();
+      } catch (error) {
+        if (error instanceof GribError) {
+          error.offset = offset + (error.offset || 0);
         }
+        this.reportIssue(this.errors, reader.toGribError(error, offset));
+        continue;
       }
+      this.previousBitmap = reader.previousBitmap;
+
+      this.messageCount++;
+      message.index = index;
+      message.offset = offset;
+      return message;
+    }
+    return null;
+  }
+
+  /**
+   * Follow the section lengths of the incomplete first buffered message
+   * @returns {Number} Position of an end section "7777" found before the total length, or -1
+   */
+  findEndSection() {
+    while (this.sectionPosition + 5 <= this.bufferedLength) {
+      const header = this.peek(5, this.sectionPosition);
+      if (String.fromCharCode(header[0], header[1], header[2], header[3]) === '7777') {
+        return this.sectionPosition;
+      }
+      const length = new DataView(header.buffer).getUint32(0);
+      if (length < 5 || header[4] < 1 || header[4] > 7) {
+        this.sectionPosition = Infinity; // Not a section: left to the checks of the whole message
+        break;
+      }
+      this.sectionPosition += length;
+    }
+    return -1;
+  }
+
+  /**
+   * Record a problem (and call onError / onWarning), or throw it in strict mode
+   */
+  reportIssue(list, error) {
+    if (this.strict) {
+      throw error;
+    }
+    const entry = { code: error.code, message: error.message, offset: error.offset, messageIndex: error.messageIndex };
+    list.push(entry);
+    const callback = list === this.errors ? this.onError : this.onWarning;
+    if (callback) callback(entry);
+  }
+
+  /**
+   * Position of the first "GRIB" signature in the buffered bytes, or -1
+   */
+  findSignature() {
+    let window = 0;
+    let position = 0;
+    for (const chunk of this.chunks) {
+      for (let i = 0; i < chunk.length; i++) {
+        window = ((window << 8) | chunk[i]) >>> 0;
+        position++;
+        if (position >= 4 && window === 0x47524942) {
+          return position - 4;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Drop non-GRIB bytes, reported as one warning per gap (see flushSkipped)
+   */
+  skip(length) {
+    if (length <= 0) return;
+    if (this.strict) {
+      throw new GribFormatError(`Invalid GRIB stream: signature not found at offset ${this.offset}`, { code: 'INVALID_SIGNATURE', offset: this.offset });
+    }
+    if (!this.skipped) {
+      this.skipped = { offset: this.offset, length: 0 };
+    }
+    this.skipped.length += length;
+    this.drop(length);
+  }
+
+  flushSkipped() {
+    if (!this.skipped) return;
+    const { offset, length } = this.skipped;
+    this.skipped = null;
+    this.reportIssue(this.warnings, new GribFormatError(`Skipped ${length} bytes of non-GRIB data at offset ${offset}`, { code: 'SKIPPED_BYTES', offset }));
+  }
+
+  /**
+   * Copy of buffered bytes (the first ones by default), left in the buffer
+   */
+  peek(length, position = 0) {
+    const bytes = new Uint8Array(length);
+    let filled = 0;
+    let skip = position;
+    for (const chunk of this.chunks) {
+      if (skip >= chunk.length) {
+        skip -= chunk.length;
+        continue;
+      }
+      const count = Math.min(chunk.length - skip, length - filled);
+      bytes.set(chunk.subarray(skip, skip + count), filled);
+      filled += count;
+      skip = 0;
+      if (filled === length) break;
+    }
+    return bytes;
+  }
+
+  /**
+   * Remove the first buffered bytes
+   */
+  drop(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= remaining) {
+        this.chunks.shift();
+        remaining -= chunk.length;
+      } else {
+        this.chunks[0] = chunk.subarray(remaining);
+        remaining = 0;
+      }
+    }
+    this.bufferedLength -= length;
+    this.offset += length;
+    this.sectionPosition = 16;
+  }
+}
+
+/**
+ * Data representation templates (Code Table 5.0) whose values can be unpacked
+ * 0/2/3 simple and complex packing, 4 IEEE, 40 JPEG2000, 41 PNG, 42 CCSDS, 200 run length
+ */
+const DECODED_DATA_TEMPLATES = [0, 2, 3, 4, 40, 41, 42, 200];
+
+// ============================================================================
+// GRIB2 Code Table 4.2 - Parameter number by product discipline and category
+// Abbreviations follow wgrib2, keys are 'discipline:category:number'
+// ============================================================================
+
+/**
+ * Each entry: [abbreviation, long name, unit]
+ */
+const GRIB2_PARAMETERS = {
+  // Discipline 0: Meteorological products
+  // Discipline 0, category 0: Temperature
+  '0:0:0': ['TMP', 'Temperature', 'K'],
+  '0:0:1': ['VTMP', 'Virtual Temperature', 'K'],
+  '0:0:2': ['POT', 'Potential Temperature', 'K'],
+  '0:0:3': ['EPOT', 'Pseudo-Adiabatic Potential Temperature', 'K'],
+  '0:0:4': ['TMAX', 'Maximum Temperature', 'K'],
+  '0:0:5': ['TMIN', 'Minimum Temperature', 'K'],
+  '0:0:6': ['DPT', 'Dew Point Temperature', 'K'],
+  '0:0:7': ['DEPR', 'Dew Point Depression', 'K'],
+  '0:0:8': ['LAPR', 'Lapse Rate', 'K/m'],
+  '0:0:9': ['TMPA', 'Temperature Anomaly', 'K'],
+  '0:0:10': ['LHTFL', 'Latent Heat Net Flux', 'W/m^2'],
+  '0:0:11': ['SHTFL', 'Sensible Heat Net Flux', 'W/m^2'],
+  '0:0:12': ['HEATX', 'Heat Index', 'K'],
+  '0:0:13': ['WCF', 'Wind Chill Factor', 'K'],
+  '0:0:14': ['MINDPD', 'Minimum Dew Point Depression', 'K'],
+  '0:0:15': ['VPTMP', 'Virtual Potential Temperature', 'K'],
+  '0:0:16': ['SNOHF', 'Snow Phase Change Heat Flux', 'W/m^2'],
+  '0:0:17': ['SKINT', 'Skin Temperature', 'K'],
+  '0:0:18': ['SNOT', 'Snow Temperature (top of snow)', 'K'],
+  '0:0:19': ['TTCHT', 'Turbulent Transfer Coefficient for Heat', 'numeric'],
+  '0:0:20': ['TDCHT', 'Turbulent Diffusion Coefficient for Heat', 'm^2/s'],
+  '0:0:21': ['APTMP', 'Apparent Temperature', 'K'],
+  '0:0:22': ['TTSWR', 'Temperature Tendency due to Short-Wave Radiation', 'K/s'],
+  '0:0:23': ['TTLWR', 'Temperature Tendency due to Long-Wave Radiation', 'K/s'],
+  '0:0:24': ['TTESWR', 'Temperature Tendency due to Short-Wave Radiation, Clear Sky', 'K/s'],
+  '0:0:25': ['TTELWR', 'Temperature Tendency due to Long-Wave Radiation, Clear Sky', 'K/s'],
+  '0:0:26': ['TTPARM', 'Temperature Tendency due to Parameterizations', 'K/s'],
+  '0:0:27': ['WETBT', 'Wet Bulb Temperature', 'K'],
+  '0:0:28': ['UCTMP', 'Unbalanced Component of Temperature', 'K'],
+  '0:0:29': ['TMPADV', 'Temperature Advection', 'K/s'],
+  // Discipline 0, category 1: Moisture
+  '0:1:0': ['SPFH', 'Specific Humidity', 'kg/kg'],
+  '0:1:1': ['RH', 'Relative Humidity', '%'],
+  '0:1:2': ['MIXR', 'Humidity Mixing Ratio', 'kg/kg'],
+  '0:1:3': ['PWAT', 'Precipitable Water', 'kg/m^2'],
+  '0:1:4': ['VAPP', 'Vapour Pressure', 'Pa'],
+  '0:1:5': ['SATD', 'Saturation Deficit', 'Pa'],
+  '0:1:6': ['EVP', 'Evaporation', 'kg/m^2'],
+  '0:1:7': ['PRATE', 'Precipitation Rate', 'kg/m^2/s'],
+  '0:1:8': ['APCP', 'Total Precipitation', 'kg/m^2'],
+  '0:1:9': ['NCPCP', 'Large-Scale Precipitation (non-convective)', 'kg/m^2'],
+  '0:1:10': ['ACPCP', 'Convective Precipitation', 'kg/m^2'],
+  '0:1:11': ['SNOD', 'Snow Depth', 'm'],
+  '0:1:12': ['SRWEQ', 'Snowfall Rate Water Equivalent', 'kg/m^2/s'],
+  '0:1:13': ['WEASD', 'Water Equivalent of Accumulated Snow Depth', 'kg/m^2'],
+  '0:1:14': ['SNOC', 'Convective Snow', 'kg/m^2'],
+  '0:1:15': ['SNOL', 'Large-Scale Snow', 'kg/m^2'],
+  '0:1:16': ['SNOM', 'Snow Melt', 'kg/m^2'],
+  '0:1:17': ['SNOAG', 'Snow Age', 'day'],
+  '0:1:18': ['ABSH', 'Absolute Humidity', 'kg/m^3'],
+  '0:1:19': ['PTYPE', 'Precipitation Type', 'code table 4.201'],
+  '0:1:20': ['ILIQW', 'Integrated Liquid Water', 'kg/m^2'],
+  '0:1:21': ['TCOND', 'Condensate', 'kg/kg'],
+  '0:1:22': ['CLWMR', 'Cloud Mixing Ratio', 'kg/kg'],
+  '0:1:23': ['ICMR', 'Ice Water Mixing Ratio', 'kg/kg'],
+  '0:1:24': ['RWMR', 'Rain Mixing Ratio', 'kg/kg'],
+  '0:1:25': ['SNMR', 'Snow Mixing Ratio', 'kg/kg'],
+  '0:1:26': ['MCONV', 'Horizontal Moisture Convergence', 'kg/kg/s'],
+  '0:1:27': ['MAXRH', 'Maximum Relative Humidity', '%'],
+  '0:1:28': ['MAXAH', 'Maximum Absolute Humidity', 'kg/m^3'],
+  '0:1:29': ['ASNOW', 'Total Snowfall', 'm'],
+  '0:1:30': ['PWCAT', 'Precipitable Water Category', 'code table 4.202'],
+  '0:1:31': ['HAIL', 'Hail', 'm'],
+  '0:1:32': ['GRLE', 'Graupel', 'kg/kg'],
+  '0:1:33': ['CRAIN', 'Categorical Rain', 'code table 4.222'],
+  '0:1:34': ['CFRZR', 'Categorical Freezing Rain', 'code table 4.222'],
+  '0:1:35': ['CICEP', 'Categorical Ice Pellets', 'code table 4.222'],
+  '0:1:36': ['CSNOW', 'Categorical Snow', 'code table 4.222'],
+  '0:1:37': ['CPRAT', 'Convective Precipitation Rate', 'kg/m^2/s'],
+  '0:1:38': ['MDIVER', 'Horizontal Moisture Divergence', 'kg/kg/s'],
+  '0:1:39': ['CPOFP', 'Percent frozen precipitation', '%'],
+  '0:1:40': ['PEVAP', 'Potential Evaporation', 'kg/m^2'],
+  '0:1:41': ['PEVPR', 'Potential Evaporation Rate', 'W/m^2'],
+  '0:1:42': ['SNOWC', 'Snow Cover', '%'],
+  '0:1:43': ['FRAIN', 'Rain Fraction of Total Cloud Water', 'proportion'],
+  '0:1:44': ['RIME', 'Rime Factor', 'numeric'],
+  '0:1:45': ['TCOLR', 'Total Column Integrated Rain', 'kg/m^2'],
+  '0:1:46': ['TCOLS', 'Total Column Integrated Snow', 'kg/m^2'],
+  '0:1:47': ['LSWP', 'Large Scale Water Precipitation (Non-Convective)', 'kg/m^2'],
+  '0:1:48': ['CWP', 'Convective Water Precipitation', 'kg/m^2'],
+  '0:1:49': ['TWATP', 'Total Water Precipitation', 'kg/m^2'],
+  '0:1:50': ['TSNOWP', 'Total Snow Precipitation', 'kg/m^2'],
+  '0:1:51': ['TCWAT', 'Total Column Water (Vertically integrated total water)', 'kg/m^2'],
+  '0:1:52': ['TPRATE', 'Total Precipitation Rate', 'kg/m^2/s'],
+  '0:1:53': ['TSRWE', 'Total Snowfall Rate Water Equivalent', 'kg/m^2/s'],
+  '0:1:54': ['LSPRATE', 'Large Scale Precipitation Rate', 'kg/m^2/s'],
+  '0:1:55': ['CSRWE', 'Convective Snowfall Rate Water Equivalent', 'kg/m^2/s'],
+  '0:1:56': ['LSSRWE', 'Large Scale Snowfall Rate Water Equivalent', 'kg/m^2/s'],
+  '0:1:57': ['TSRATE', 'Total Snowfall Rate', 'm/s'],
+  '0:1:58': ['CSRATE', 'Convective Snowfall Rate', 'm/s'],
+  '0:1:59': ['LSSRATE', 'Large Scale Snowfall Rate', 'm/s'],
+  '0:1:60': ['SDWE', 'Snow Depth Water Equivalent', 'kg/m^2'],
+  '0:1:61': ['SDEN', 'Snow Density', 'kg/m^3'],
+  '0:1:62': ['SEVAP', 'Snow Evaporation', 'kg/m^2'],
+  '0:1:64': ['TCIWV', 'Total Column Integrated Water Vapour', 'kg/m^2'],
+  '0:1:65': ['RPRATE', 'Rain Precipitation Rate', 'kg/m^2/s'],
+  '0:1:66': ['SPRATE', 'Snow Precipitation Rate', 'kg/m^2/s'],
+  '0:1:67': ['FPRATE', 'Freezing Rain Precipitation Rate', 'kg/m^2/s'],
+  '0:1:68': ['IPRATE', 'Ice Pellets Precipitation Rate', 'kg/m^2/s'],
+  '0:1:69': ['TCOLW', 'Total Column Integrate Cloud Water', 'kg/m^2'],
+  '0:1:70': ['TCOLI', 'Total Column Integrate Cloud Ice', 'kg/m^2'],
+  '0:1:71': ['HAILMXR', 'Hail Mixing Ratio', 'kg/kg'],
+  '0:1:72': ['TCOLH', 'Total Column Integrate Hail', 'kg/m^2'],
+  '0:1:73': ['HAILPR', 'Hail Precipitation Rate', 'kg/m^2/s'],
+  '0:1:74': ['TCOLG', 'Total Column Integrate Graupel', 'kg/m^2'],
+  '0:1:75': ['GPRATE', 'Graupel (Snow Pellets) Precipitation Rate', 'kg/m^2/s'],
+  '0:1:76': ['CRRATE', 'Convective Rain Rate', 'kg/m^2/s'],
+  '0:1:77': ['LSRRATE', 'Large Scale Rain Rate', 'kg/m^2/s'],
+  '0:1:78': ['TCOLWA', 'Total Column Integrate Water (All components including precipitation)', 'kg/m^2'],
+  '0:1:79': ['EVARATE', 'Evaporation Rate', 'kg/m^2/s'],
+  '0:1:80': ['TOTCON', 'Total Condensate', 'kg/kg'],
+  '0:1:81': ['TCICON', 'Total Column-Integrate Condensate', 'kg/m^2'],
+  '0:1:82': ['CIMIXR', 'Cloud Ice Mixing Ratio', 'kg/kg'],
+  '0:1:83': ['SCLLWC', 'Specific Cloud Liquid Water Content', 'kg/kg'],
+  '0:1:84': ['SCLIWC', 'Specific Cloud Ice Water Content', 'kg/kg'],
+  '0:1:85': ['SRAINW', 'Specific Rain Water Content', 'kg/kg'],
+  '0:1:86': ['SSNOWW', 'Specific Snow Water Content', 'kg/kg'],
+  '0:1:87': ['STRPRATE', 'Stratiform Precipitation Rate', 'kg/m^2/s'],
+  '0:1:88': ['CATCP', 'Categorical Convective Precipitation', 'code table 4.222'],
+  '0:1:90': ['TKMFLX', 'Total Kinematic Moisture Flux', 'kg/kg m/s'],
+  '0:1:91': ['UKMFLX', 'U-component (zonal) Kinematic Moisture Flux', 'kg/kg m/s'],
+  '0:1:92': ['VKMFLX', 'V-component (meridional) Kinematic Moisture Flux', 'kg/kg m/s'],
+  '0:1:93': ['RHWATER', 'Relative Humidity With Respect to Water', '%'],
+  '0:1:94': ['RHICE', 'Relative Humidity With Respect to Ice', '%'],
+  // Discipline 0, category 2: Momentum
+  '0:2:0': ['WDIR', 'Wind Direction (from which blowing)', 'deg'],
+  '0:2:1': ['WIND', 'Wind Speed', 'm/s'],
+  '0:2:2': ['UGRD', 'U-Component of Wind', 'm/s'],
+  '0:2:3': ['VGRD', 'V-Component of Wind', 'm/s'],
+  '0:2:4': ['STRM', 'Stream Function', 'm^2/s'],
+  '0:2:5': ['VPOT', 'Velocity Potential', 'm^2/s'],
+  '0:2:6': ['MNTSF', 'Montgomery Stream Function', 'm^2/s^2'],
+  '0:2:7': ['SGCVV', 'Sigma Coordinate Vertical Velocity', '1/s'],
+  '0:2:8': ['VVEL', 'Vertical Velocity (Pressure)', 'Pa/s'],
+  '0:2:9': ['DZDT', 'Vertical Velocity (Geometric)', 'm/s'],
+  '0:2:10': ['ABSV', 'Absolute Vorticity', '1/s'],
+  '0:2:11': ['ABSD', 'Absolute Divergence', '1/s'],
+  '0:2:12': ['RELV', 'Relative Vorticity', '1/s'],
+  '0:2:13': ['RELD', 'Relative Divergence', '1/s'],
+  '0:2:14': ['PVORT', 'Potential Vorticity', 'K m^2/kg/s'],
+  '0:2:15': ['VUCSH', 'Vertical U-Component Shear', '1/s'],
+  '0:2:16': ['VVCSH', 'Vertical V-Component Shear', '1/s'],
+  '0:2:17': ['UFLX', 'Momentum Flux, U-Component', 'N/m^2'],
+  '0:2:18': ['VFLX', 'Momentum Flux, V-Component', 'N/m^2'],
+  '0:2:19': ['WMIXE', 'Wind Mixing Energy', 'J'],
+  '0:2:20': ['BLYDP', 'Boundary Layer Dissipation', 'W/m^2'],
+  '0:2:21': ['MAXGUST', 'Maximum Wind Speed', 'm/s'],
+  '0:2:22': ['GUST', 'Wind Speed (Gust)', 'm/s'],
+  '0:2:23': ['UGUST', 'U-Component of Wind (Gust)', 'm/s'],
+  '0:2:24': ['VGUST', 'V-Component of Wind (Gust)', 'm/s'],
+  '0:2:25': ['VWSH', 'Vertical Speed Shear', '1/s'],
+  '0:2:26': ['MFLX', 'Horizontal Momentum Flux', 'N/m^2'],
+  '0:2:27': ['USTM', 'U-Component Storm Motion', 'm/s'],
+  '0:2:28': ['VSTM', 'V-Component Storm Motion', 'm/s'],
+  '0:2:29': ['CD', 'Drag Coefficient', 'numeric'],
+  '0:2:30': ['FRICV', 'Frictional Velocity', 'm/s'],
+  '0:2:31': ['TDCMOM', 'Turbulent Diffusion Coefficient for Momentum', 'm^2/s'],
+  '0:2:32': ['ETACVV', 'Eta Coordinate Vertical Velocity', '1/s'],
+  '0:2:33': ['WINDF', 'Wind Fetch', 'm'],
+  '0:2:34': ['NWIND', 'Normal Wind Component', 'm/s'],
+  '0:2:35': ['TWIND', 'Tangential Wind Component', 'm/s'],
+  '0:2:36': ['AFRWE', 'Amplitude Function for Rossby Wave Envelope for Meridional Wind', 'm/s'],
+  '0:2:37': ['NTSS', 'Northward Turbulent Surface Stress', 'N/m^2 s'],
+  '0:2:38': ['ETSS', 'Eastward Turbulent Surface Stress', 'N/m^2 s'],
+  '0:2:39': ['EWTPARM', 'Eastward Wind Tendency Due to Parameterizations', 'm/s^2'],
+  '0:2:40': ['NWTPARM', 'Northward Wind Tendency Due to Parameterizations', 'm/s^2'],
+  '0:2:41': ['UGWIND', 'U-Component of Geostrophic Wind', 'm/s'],
+  '0:2:42': ['VGWIND', 'V-Component of Geostrophic Wind', 'm/s'],
+  '0:2:43': ['GEOWD', 'Geostrophic Wind Direction', 'deg'],
+  '0:2:44': ['GEOWS', 'Geostrophic Wind Speed', 'm/s'],
+  '0:2:45': ['UNDIV', 'Unbalanced Component of Divergence', '1/s'],
+  '0:2:46': ['VORTADV', 'Vorticity Advection', '1/s^2'],
+  // Discipline 0, category 3: Mass
+  '0:3:0': ['PRES', 'Pressure', 'Pa'],
+  '0:3:1': ['PRMSL', 'Pressure Reduced to MSL', 'Pa'],
+  '0:3:2': ['PTEND', 'Pressure Tendency', 'Pa/s'],
+  '0:3:3': ['ICAHT', 'ICAO Standard Atmosphere Reference Height', 'm'],
+  '0:3:4': ['GP', 'Geopotential', 'm^2/s^2'],
+  '0:3:5': ['HGT', 'Geopotential Height', 'gpm'],
+  '0:3:6': ['DIST', 'Geometric Height', 'm'],
+  '0:3:7': ['HSTDV', 'Standard Deviation of Height', 'm'],
+  '0:3:8': ['PRESA', 'Pressure Anomaly', 'Pa'],
+  '0:3:9': ['GPA', 'Geopotential Height Anomaly', 'gpm'],
+  '0:3:10': ['DEN', 'Density', 'kg/m^3'],
+  '0:3:11': ['ALTS', 'Altimeter Setting', 'Pa'],
+  '0:3:12': ['THICK', 'Thickness', 'm'],
+  '0:3:13': ['PRESALT', 'Pressure Altitude', 'm'],
+  '0:3:14': ['DENALT', 'Density Altitude', 'm'],
+  '0:3:15': ['5WAVH', '5-Wave Geopotential Height', 'gpm'],
+  '0:3:16': ['U-GWD', 'Zonal Flux of Gravity Wave Stress', 'N/m^2'],
+  '0:3:17': ['V-GWD', 'Meridional Flux of Gravity Wave Stress', 'N/m^2'],
+  '0:3:18': ['HPBL', 'Planetary Boundary Layer Height', 'm'],
+  '0:3:19': ['5WAVA', '5-Wave Geopotential Height Anomaly', 'gpm'],
+  '0:3:20': ['SDSGSO', 'Standard Deviation of Sub-Grid Scale Orography', 'm'],
+  '0:3:21': ['AOSGSO', 'Angle of Sub-Grid Scale Orography', 'rad'],
+  '0:3:22': ['SSGSO', 'Slope of Sub-Grid Scale Orography', 'numeric'],
+  '0:3:23': ['GWD', 'Gravity Wave Dissipation', 'W/m^2'],
+  '0:3:24': ['ASGSO', 'Anisotropy of Sub-Grid Scale Orography', 'numeric'],
+  '0:3:25': ['NLPRES', 'Natural Logarithm of Pressure in Pa', 'numeric'],
+  '0:3:26': ['EXPRES', 'Exner Pressure', 'numeric'],
+  '0:3:27': ['UMFLX', 'Updraught Mass Flux', 'kg/m^2/s'],
+  '0:3:28': ['DMFLX', 'Downdraught Mass Flux', 'kg/m^2/s'],
+  '0:3:29': ['UDRATE', 'Updraught Detrainment Rate', 'kg/m^3/s'],
+  '0:3:30': ['DDRATE', 'Downdraught Detrainment Rate', 'kg/m^3/s'],
+  '0:3:31': ['UCLSPRS', 'Unbalanced Component of Logarithm of Surface Pressure', '-'],
+  // Discipline 0, category 4: Short-wave radiation
+  '0:4:0': ['NSWRS', 'Net Short-Wave Radiation Flux (Surface)', 'W/m^2'],
+  '0:4:1': ['NSWRT', 'Net Short-Wave Radiation Flux (Top of Atmosphere)', 'W/m^2'],
+  '0:4:2': ['SWAVR', 'Short Wave Radiation Flux', 'W/m^2'],
+  '0:4:3': ['GRAD', 'Global Radiation Flux', 'W/m^2'],
+  '0:4:4': ['BRTMP', 'Brightness Temperature', 'K'],
+  '0:4:5': ['LWRAD', 'Radiance (with respect to wave number)', 'W/m/sr'],
+  '0:4:6': ['SWRAD', 'Radiance (with respect to wave length)', 'W/m^3/sr'],
+  '0:4:7': ['DSWRF', 'Downward Short-Wave Radiation Flux', 'W/m^2'],
+  '0:4:8': ['USWRF', 'Upward Short-Wave Radiation Flux', 'W/m^2'],
+  '0:4:9': ['NSWRF', 'Net Short Wave Radiation Flux', 'W/m^2'],
+  '0:4:10': ['PHOTAR', 'Photosynthetically Active Radiation', 'W/m^2'],
+  '0:4:11': ['NSWRFCS', 'Net Short-Wave Radiation Flux, Clear Sky', 'W/m^2'],
+  '0:4:12': ['DWUVR', 'Downward UV Radiation', 'W/m^2'],
+  '0:4:50': ['UVIUCS', 'UV Index (Under Clear Sky)', 'numeric'],
+  '0:4:51': ['UVI', 'UV Index', 'W/m^2'],
+  '0:4:52': ['DSWRFCS', 'Downward Short-Wave Radiation Flux, Clear Sky', 'W/m^2'],
+  '0:4:53': ['USWRFCS', 'Upward Short-Wave Radiation Flux, Clear Sky', 'W/m^2'],
+  // Discipline 0, category 5: Long-wave radiation
+  '0:5:0': ['NLWRS', 'Net Long-Wave Radiation Flux (Surface)', 'W/m^2'],
+  '0:5:1': ['NLWRT', 'Net Long-Wave Radiation Flux (Top of Atmosphere)', 'W/m^2'],
+  '0:5:2': ['LWAVR', 'Long-Wave Radiation Flux', 'W/m^2'],
+  '0:5:3': ['DLWRF', 'Downward Long-Wave Radiation Flux', 'W/m^2'],
+  '0:5:4': ['ULWRF', 'Upward Long-Wave Radiation Flux', 'W/m^2'],
+  '0:5:5': ['NLWRF', 'Net Long-Wave Radiation Flux', 'W/m^2'],
+  '0:5:6': ['NLWRCS', 'Net Long-Wave Radiation Flux, Clear Sky', 'W/m^2'],
+  '0:5:7': ['BRTEMP', 'Brightness Temperature', 'K'],
+  '0:5:8': ['DLWRFCS', 'Downward Long-Wave Radiation Flux, Clear Sky', 'W/m^2'],
+  // Discipline 0, category 6: Cloud
+  '0:6:0': ['CICE', 'Cloud Ice', 'kg/m^2'],
+  '0:6:1': ['TCDC', 'Total Cloud Cover', '%'],
+  '0:6:2': ['CDCON', 'Convective Cloud Cover', '%'],
+  '0:6:3': ['LCDC', 'Low Cloud Cover', '%'],
+  '0:6:4': ['MCDC', 'Medium Cloud Cover', '%'],
+  '0:6:5': ['HCDC', 'High Cloud Cover', '%'],
+  '0:6:6': ['CWAT', 'Cloud Water', 'kg/m^2'],
+  '0:6:7': ['CDCA', 'Cloud Amount', '%'],
+  '0:6:8': ['CDCT', 'Cloud Type', 'code table 4.203'],
+  '0:6:9': ['TMAXT', 'Thunderstorm Maximum Tops', 'm'],
+  '0:6:10': ['THUNC', 'Thunderstorm Coverage', 'code table 4.204'],
+  '0:6:11': ['CDCB', 'Cloud Base', 'm'],
+  '0:6:12': ['CDCTOP', 'Cloud Top', 'm'],
+  '0:6:13': ['CEIL', 'Ceiling', 'm'],
+  '0:6:14': ['CDLYR', 'Non-Convective Cloud Cover', '%'],
+  '0:6:15': ['CWORK', 'Cloud Work Function', 'J/kg'],
+  '0:6:16': ['CUEFI', 'Convective Cloud Efficiency', 'proportion'],
+  '0:6:17': ['TCONDO', 'Total Condensate', 'kg/kg'],
+  '0:6:18': ['TCOLWO', 'Total Column-Integrated Cloud Water', 'kg/m^2'],
+  '0:6:19': ['TCOLIO', 'Total Column-Integrated Cloud Ice', 'kg/m^2'],
+  '0:6:20': ['TCOLC', 'Total Column-Integrated Condensate', 'kg/m^2'],
+  '0:6:21': ['FICE', 'Ice fraction of total condensate', 'proportion'],
+  '0:6:22': ['CDCC', 'Cloud Cover', '%'],
+  '0:6:23': ['CDCIMR', 'Cloud Ice Mixing Ratio', 'kg/kg'],
+  '0:6:24': ['SUNS', 'Sunshine', 'numeric'],
+  '0:6:25': ['CBHE', 'Horizontal Extent of Cumulonimbus (CB)', '%'],
+  '0:6:26': ['HCONCB', 'Height of Convective Cloud Base', 'm'],
+  '0:6:27': ['HCONCT', 'Height of Convective Cloud Top', 'm'],
+  '0:6:28': ['NCONCD', 'Number Concentration of Cloud Droplets', '1/kg'],
+  '0:6:29': ['NCCICE', 'Number Concentration of Cloud Ice', '1/kg'],
+  '0:6:30': ['NDENCD', 'Number Density of Cloud Droplets', '1/m^3'],
+  '0:6:31': ['NDCICE', 'Number Density of Cloud Ice', '1/m^3'],
+  '0:6:32': ['FRACCC', 'Fraction of Cloud Cover', 'numeric'],
+  '0:6:33': ['SUNSD', 'Sunshine Duration', 's'],
+  '0:6:34': ['SLWTC', 'Surface Long Wave Effective Total Cloudiness', 'numeric'],
+  '0:6:35': ['SSWTC', 'Surface Short Wave Effective Total Cloudiness', 'numeric'],
+  '0:6:36': ['FSTRPC', 'Fraction of Stratiform Precipitation Cover', 'proportion'],
+  '0:6:37': ['FCONPC', 'Fraction of Convective Precipitation Cover', 'proportion'],
+  '0:6:38': ['MASSDCD', 'Mass Density of Cloud Droplets', 'kg/m^3'],
+  '0:6:39': ['MASSDCI', 'Mass Density of Cloud Ice', 'kg/m^3'],
+  '0:6:40': ['MDCCWD', 'Mass Density of Convective Cloud Water Droplets', 'kg/m^3'],
+  // Discipline 0, category 7: Thermodynamic stability indices
+  '0:7:0': ['PLI', 'Parcel Lifted Index (to 500 hPa)', 'K'],
+  '0:7:1': ['BLI', 'Best Lifted Index (to 500 hPa)', 'K'],
+  '0:7:2': ['KX', 'K Index', 'K'],
+  '0:7:3': ['KOX', 'KO Index', 'K'],
+  '0:7:4': ['TOTALX', 'Total Totals Index', 'K'],
+  '0:7:5': ['SX', 'Sweat Index', 'numeric'],
+  '0:7:6': ['CAPE', 'Convective Available Potential Energy', 'J/kg'],
+  '0:7:7': ['CIN', 'Convective Inhibition', 'J/kg'],
+  '0:7:8': ['HLCY', 'Storm Relative Helicity', 'm^2/s^2'],
+  '0:7:9': ['EHLX', 'Energy Helicity Index', 'numeric'],
+  '0:7:10': ['LFTX', 'Surface Lifted Index', 'K'],
+  '0:7:11': ['4LFTX', 'Best (4 layer) Lifted Index', 'K'],
+  '0:7:12': ['RI', 'Richardson Number', 'numeric'],
+  '0:7:13': ['SHWINX', 'Showalter Index', 'K'],
+  '0:7:15': ['UPHL', 'Updraft Helicity', 'm^2/s^2'],
+  '0:7:16': ['BLKRN', 'Bulk Richardson Number', 'numeric'],
+  '0:7:17': ['GRDRN', 'Gradient Richardson Number', 'numeric'],
+  '0:7:18': ['FLXRN', 'Flux Richardson Number', 'numeric'],
+  '0:7:19': ['CONAPES', 'Convective Available Potential Energy Shear', 'm^2/s^2'],
+  '0:7:20': ['TIIDEX', 'Thunderstorm Intensity Index', 'code table 4.246'],
+  // Discipline 0, category 13: Aerosols
+  '0:13:0': ['AEROT', 'Aerosol Type', 'code table 4.205'],
+  // Discipline 0, category 14: Trace gases
+  '0:14:0': ['TOZNE', 'Total Ozone', 'DU'],
+  '0:14:1': ['O3MR', 'Ozone Mixing Ratio', 'kg/kg'],
+  '0:14:2': ['TCIOZ', 'Total Column Integrated Ozone', 'DU'],
+  // Discipline 0, category 15: Radar
+  '0:15:0': ['BSWID', 'Base Spectrum Width', 'm/s'],
+  '0:15:1': ['BREF', 'Base Reflectivity', 'dB'],
+  '0:15:2': ['BRVEL', 'Base Radial Velocity', 'm/s'],
+  '0:15:3': ['VIL', 'Vertically-Integrated Liquid Water', 'kg/m^2'],
+  '0:15:4': ['LMAXBR', 'Layer Maximum Base Reflectivity', 'dB'],
+  '0:15:5': ['PREC', 'Precipitation', 'kg/m^2'],
+  '0:15:6': ['RDSP1', 'Radar Spectra (1)', '-'],
+  '0:15:7': ['RDSP2', 'Radar Spectra (2)', '-'],
+  '0:15:8': ['RDSP3', 'Radar Spectra (3)', '-'],
+  '0:15:9': ['RFCD', 'Reflectivity of Cloud Droplets', 'dB'],
+  '0:15:10': ['RFCI', 'Reflectivity of Cloud Ice', 'dB'],
+  '0:15:11': ['RFSNOW', 'Reflectivity of Snow', 'dB'],
+  '0:15:12': ['RFRAIN', 'Reflectivity of Rain', 'dB'],
+  '0:15:13': ['RFGRPL', 'Reflectivity of Graupel', 'dB'],
+  '0:15:14': ['RFHAIL', 'Reflectivity of Hail', 'dB'],
+  '0:15:15': ['HSR', 'Hybrid Scan Reflectivity', 'dB'],
+  '0:15:16': ['HSRHT', 'Hybrid Scan Reflectivity Height', 'm'],
+  // Discipline 0, category 16: Forecast radar imagery
+  '0:16:0': ['REFZR', 'Equivalent radar reflectivity factor for rain', 'mm^6/m^3'],
+  '0:16:1': ['REFZI', 'Equivalent radar reflectivity factor for snow', 'mm^6/m^3'],
+  '0:16:2': ['REFZC', 'Equivalent radar reflectivity factor for parameterized convection', 'mm^6/m^3'],
+  '0:16:3': ['RETOP', 'Echo Top', 'm'],
+  '0:16:4': ['REFD', 'Reflectivity', 'dB'],
+  '0:16:5': ['REFC', 'Composite reflectivity', 'dB'],
+  // Discipline 0, category 17: Electrodynamics
+  '0:17:0': ['LTNGSD', 'Lightning Strike Density', '1/m^2/s'],
+  '0:17:1': ['LTPINX', 'Lightning Potential Index (LPI)', 'J/kg'],
+  '0:17:2': ['CDGDLTFD', 'Cloud-to-Ground Lightning Flash Density', '1/km^2/day'],
+  '0:17:3': ['CDCDLTFD', 'Cloud-to-Cloud Lightning Flash Density', '1/km^2/day'],
+  '0:17:4': ['TLGTFD', 'Total Lightning Flash Density', '1/km^2/day'],
+  // Discipline 0, category 18: Nuclear/radiology
+  '0:18:0': ['ACCES', 'Air Concentration of Caesium 137', 'Bq/m^3'],
+  '0:18:1': ['ACIOD', 'Air Concentration of Iodine 131', 'Bq/m^3'],
+  '0:18:2': ['ACRADP', 'Air Concentration of Radioactive Pollutant', 'Bq/m^3'],
+  '0:18:3': ['GDCES', 'Ground Deposition of Caesium 137', 'Bq/m^2'],
+  '0:18:4': ['GDIOD', 'Ground Deposition of Iodine 131', 'Bq/m^2'],
+  '0:18:5': ['GDRADP', 'Ground Deposition of Radioactive Pollutant', 'Bq/m^2'],
+  '0:18:6': ['TIACCP', 'Time Integrated Air Concentration of Cesium Pollutant', 'Bq s/m^3'],
+  '0:18:7': ['TIACIP', 'Time Integrated Air Concentration of Iodine Pollutant', 'Bq s/m^3'],
+  '0:18:8': ['TIACRP', 'Time Integrated Air Concentration of Radioactive Pollutant', 'Bq s/m^3'],
+  // Discipline 0, category 19: Physical atmospheric properties
+  '0:19:0': ['VIS', 'Visibility', 'm'],
+  '0:19:1': ['ALBDO', 'Albedo', '%'],
+  '0:19:2': ['TSTM', 'Thunderstorm Probability', '%'],
+  '0:19:3': ['MIXHT', 'Mixed Layer Depth', 'm'],
+  '0:19:4': ['VOLASH', 'Volcanic Ash', 'code table 4.206'],
+  '0:19:5': ['ICIT', 'Icing Top', 'm'],
+  '0:19:6': ['ICIB', 'Icing Base', 'm'],
+  '0:19:7': ['ICI', 'Icing', 'code table 4.207'],
+  '0:19:8': ['TURBT', 'Turbulence Top', 'm'],
+  '0:19:9': ['TURBB', 'Turbulence Base', 'm'],
+  '0:19:10': ['TURB', 'Turbulence', 'code table 4.208'],
+  '0:19:11': ['TKE', 'Turbulent Kinetic Energy', 'J/kg'],
+  '0:19:12': ['PBLREG', 'Planetary Boundary Layer Regime', 'code table 4.209'],
+  '0:19:13': ['CONTI', 'Contrail Intensity', 'code table 4.210'],
+  '0:19:14': ['CONTET', 'Contrail Engine Type', 'code table 4.211'],
+  '0:19:15': ['CONTT', 'Contrail Top', 'm'],
+  '0:19:16': ['CONTB', 'Contrail Base', 'm'],
+  '0:19:17': ['MXSALB', 'Maximum Snow Albedo', '%'],
+  '0:19:18': ['SNFALB', 'Snow-Free Albedo', '%'],
+  '0:19:19': ['SALBD', 'Snow Albedo', '%'],
+  '0:19:20': ['ICIP', 'Icing', '%'],
+  '0:19:21': ['CTP', 'In-Cloud Turbulence', '%'],
+  '0:19:22': ['CAT', 'Clear Air Turbulence (CAT)', '%'],
+  '0:19:23': ['SLDP', 'Supercooled Large Droplet Probability', '%'],
+  '0:19:24': ['CONTKE', 'Convective Turbulent Kinetic Energy', 'J/kg'],
+  '0:19:25': ['WIWW', 'Weather Interpretation ww (WMO)', '-'],
+  '0:19:26': ['CONVO', 'Convective Outlook', 'code table 4.224'],
+  '0:19:27': ['ICESC', 'Icing Scenario', 'code table 4.227'],
+  '0:19:28': ['MWTURB', 'Mountain Wave Turbulence (Eddy Dissipation Rate)', 'm^(2/3)/s'],
+  '0:19:29': ['CATEDR', 'Clear Air Turbulence (CAT) (Eddy Dissipation Rate)', 'm^(2/3)/s'],
+  '0:19:30': ['EDPARM', 'Eddy Dissipation Parameter', 'm^(2/3)/s'],
+  '0:19:31': ['MXEDPRM', 'Maximum of Eddy Dissipation Parameter in Layer', 'm^(2/3)/s'],
+  // Discipline 0, category 20: Atmospheric chemical constituents
+  '0:20:0': ['MASSDEN', 'Mass Density (Concentration)', 'kg/m^3'],
+  '0:20:1': ['COLMD', 'Column-Integrated Mass Density', 'kg/m^2'],
+  '0:20:2': ['MASSMR', 'Mass Mixing Ratio (Mass Fraction in Air)', 'kg/kg'],
+  '0:20:3': ['AEMFLX', 'Atmosphere Emission Mass Flux', 'kg/m^2/s'],
+  '0:20:4': ['ANPMFLX', 'Atmosphere Net Production Mass Flux', 'kg/m^2/s'],
+  '0:20:5': ['ANPEMFLX', 'Atmosphere Net Production And Emission Mass Flux', 'kg/m^2/s'],
+  '0:20:6': ['SDDMFLX', 'Surface Dry Deposition Mass Flux', 'kg/m^2/s'],
+  '0:20:7': ['SWDMFLX', 'Surface Wet Deposition Mass Flux', 'kg/m^2/s'],
+  '0:20:8': ['AREMFLX', 'Atmosphere Re-Emission Mass Flux', 'kg/m^2/s'],
+  '0:20:9': ['WLSMFLX', 'Wet Deposition by Large-Scale Precipitation Mass Flux', 'kg/m^2/s'],
+  '0:20:10': ['WDCPMFLX', 'Wet Deposition by Convective Precipitation Mass Flux', 'kg/m^2/s'],
+  '0:20:11': ['SEDMFLX', 'Sedimentation Mass Flux', 'kg/m^2/s'],
+  '0:20:12': ['DDMFLX', 'Dry Deposition Mass Flux', 'kg/m^2/s'],
+  '0:20:13': ['TRANHH', 'Transfer From Hydrophobic to Hydrophilic', 'kg/kg/s'],
+  '0:20:14': ['TRSDS', 'Transfer From SO2 (Sulphur Dioxide) to SO4 (Sulphate)', 'kg/kg/s'],
+  '0:20:15': ['DDVEL', 'Dry Deposition Velocity', 'm/s'],
+  '0:20:16': ['MSSRDRYA', 'Mass Mixing Ratio with Respect to Dry Air', 'kg/kg'],
+  '0:20:17': ['MSSRWETA', 'Mass Mixing Ratio with Respect to Wet Air', 'kg/kg'],
+  '0:20:50': ['AIA', 'Amount in Atmosphere', 'mol'],
+  '0:20:51': ['CONAIR', 'Concentration In Air', 'mol/m^3'],
+  '0:20:52': ['VMXR', 'Volume Mixing Ratio (Fraction in Air)', 'mol/mol'],
+  '0:20:53': ['CGPRC', 'Chemical Gross Production Rate of Concentration', 'mol/m^3/s'],
+  '0:20:54': ['CGDRC', 'Chemical Gross Destruction Rate of Concentration', 'mol/m^3/s'],
+  '0:20:55': ['SFLUX', 'Surface Flux', 'mol/m^2/s'],
+  '0:20:56': ['COAIA', 'Changes Of Amount in Atmosphere', 'mol/s'],
+  '0:20:57': ['TYABA', 'Total Yearly Average Burden of The Atmosphere', 'mol'],
+  '0:20:58': ['TYAAL', 'Total Yearly Average Atmospheric Loss', 'mol/s'],
+  '0:20:59': ['ANCON', 'Aerosol Number Concentration', '1/m^3'],
+  '0:20:100': ['SADEN', 'Surface Area Density (Aerosol)', '1/m'],
+  '0:20:101': ['ATMTK', 'Atmosphere Optical Thickness', 'm'],
+  '0:20:102': ['AOTK', 'Aerosol Optical Thickness', 'numeric'],
+  '0:20:103': ['SSALBK', 'Single Scattering Albedo', 'numeric'],
+  '0:20:104': ['ASYSFK', 'Asymmetry Factor', 'numeric'],
+  '0:20:105': ['AECOEF', 'Aerosol Extinction Coefficient', '1/m'],
+  '0:20:106': ['AACOEF', 'Aerosol Absorption Coefficient', '1/m'],
+  '0:20:107': ['ALBSAT', 'Aerosol Lidar Backscatter from Satellite', '1/m/sr'],
+  '0:20:108': ['ALBGRD', 'Aerosol Lidar Backscatter from the Ground', '1/m/sr'],
+  '0:20:109': ['ALESAT', 'Aerosol Lidar Extinction from Satellite', '1/m'],
+  '0:20:110': ['ALEGRD', 'Aerosol Lidar Extinction from the Ground', '1/m'],
+  '0:20:111': ['ANGSTEXP', 'Angstrom Exponent', 'numeric'],
+  '0:20:112': ['SCTAOTK', 'Scattering Aerosol Optical Thickness', 'numeric'],
+  // Discipline 0, category 190: CCITT IA5 string
+  '0:190:0': ['ARCH', 'Arbitrary Text String', 'CCITTIA5'],
+  // Discipline 0, category 191: Miscellaneous
+  '0:191:0': ['TSEC', 'Seconds prior to initial reference time', 's'],
+  '0:191:1': ['GEOLAT', 'Geographical Latitude', 'deg N'],
+  '0:191:2': ['GEOLON', 'Geographical Longitude', 'deg E'],
+  '0:191:3': ['DSLOBS', 'Days Since Last Observation', 'day'],
+
+  // Discipline 1: Hydrological products
+  // Discipline 1, category 0: Hydrology basic products
+  '1:0:0': ['FFLDG', 'Flash Flood Guidance', 'kg/m^2'],
+  '1:0:1': ['FFLDRO', 'Flash Flood Runoff', 'kg/m^2'],
+  '1:0:2': ['RSSC', 'Remotely Sensed Snow Cover', 'code table 4.215'],
+  '1:0:3': ['ESCT', 'Elevation of Snow Covered Terrain', 'code table 4.216'],
+  '1:0:4': ['SWEPON', 'Snow Water Equivalent Percent of Normal', '%'],
+  '1:0:5': ['BGRUN', 'Baseflow-Groundwater Runoff', 'kg/m^2'],
+  '1:0:6': ['SSRUN', 'Storm Surface Runoff', 'kg/m^2'],
+  '1:0:7': ['DISRS', 'Discharge from Rivers or Streams', 'm^3/s'],
+  '1:0:8': ['GWUPS', 'Group Water Upper Storage', 'kg/m^2'],
+  '1:0:9': ['GWLOWS', 'Group Water Lower Storage', 'kg/m^2'],
+  '1:0:10': ['SFLORC', 'Side Flow into River Channel', 'm^3/s/m'],
+  '1:0:11': ['RVERSW', 'River Storage of Water', 'm^3'],
+  '1:0:12': ['FLDPSW', 'Flood Plain Storage of Water', 'm^3'],
+  '1:0:13': ['DEPWSS', 'Depth of Water on Soil Surface', 'kg/m^2'],
+  '1:0:14': ['UPAPCP', 'Upstream Accumulated Precipitation', 'kg/m^2'],
+  '1:0:15': ['UPASM', 'Upstream Accumulated Snow Melt', 'kg/m^2'],
+  '1:0:16': ['PERRATE', 'Percolation Rate', 'kg/m^2/s'],
+  // Discipline 1, category 1: Hydrology probabilities
+  '1:1:0': ['CPPOP', 'Conditional percent precipitation amount fractile for an overall period', 'kg/m^2'],
+  '1:1:1': ['PPOSP', 'Percent Precipitation in a sub-period of an overall period', '%'],
+  '1:1:2': ['POP', 'Probability of 0.01 inch of precipitation (POP)', '%'],
+  // Discipline 1, category 2: Inland water and sediment properties
+  '1:2:0': ['WDPTHIL', 'Water Depth', 'm'],
+  '1:2:1': ['WTMPIL', 'Water Temperature', 'K'],
+  '1:2:2': ['WFRACT', 'Water Fraction', 'proportion'],
+  '1:2:3': ['SEDTK', 'Sediment Thickness', 'm'],
+  '1:2:4': ['SEDTMP', 'Sediment Temperature', 'K'],
+  '1:2:5': ['ICTKIL', 'Ice Thickness', 'm'],
+  '1:2:6': ['ICETIL', 'Ice Temperature', 'K'],
+  '1:2:7': ['ICECIL', 'Ice Cover', 'proportion'],
+  '1:2:8': ['LANDIL', 'Land Cover (0=water, 1=land)', 'proportion'],
+  '1:2:9': ['SFSAL', 'Shape Factor with Respect to Salinity Profile', '-'],
+  '1:2:10': ['SFTMP', 'Shape Factor with Respect to Temperature Profile in Thermocline', '-'],
+  '1:2:11': ['ACWSR', 'Attenuation Coefficient of Water with Respect to Solar Radiation', '1/m'],
+  '1:2:12': ['SALTIL', 'Salinity', 'kg/kg'],
+  '1:2:13': ['CSAFC', 'Cross Sectional Area of Flow in Channel', 'm^2'],
+
+  // Discipline 2: Land surface products
+  // Discipline 2, category 0: Vegetation/Biomass
+  '2:0:0': ['LAND', 'Land Cover (1=land, 0=sea)', 'proportion'],
+  '2:0:1': ['SFCR', 'Surface Roughness', 'm'],
+  '2:0:2': ['TSOIL', 'Soil Temperature', 'K'],
+  '2:0:3': ['SOILMC', 'Soil Moisture Content', 'kg/m^2'],
+  '2:0:4': ['VEG', 'Vegetation', '%'],
+  '2:0:5': ['WATR', 'Water Runoff', 'kg/m^2'],
+  '2:0:6': ['EVAPT', 'Evapotranspiration', '1/kg^2/s'],
+  '2:0:7': ['MTERH', 'Model Terrain Height', 'm'],
+  '2:0:8': ['LANDU', 'Land Use', 'code table 4.212'],
+  '2:0:9': ['SOILW', 'Volumetric Soil Moisture Content', 'proportion'],
+  '2:0:10': ['GFLUX', 'Ground Heat Flux', 'W/m^2'],
+  '2:0:11': ['MSTAV', 'Moisture Availability', '%'],
+  '2:0:12': ['SFEXC', 'Exchange Coefficient', 'kg/m^2/s'],
+  '2:0:13': ['CNWAT', 'Plant Canopy Surface Water', 'kg/m^2'],
+  '2:0:14': ['BMIXL', 'Blackadar\'s Mixing Length Scale', 'm'],
+  '2:0:15': ['CCOND', 'Canopy Conductance', 'm/s'],
+  '2:0:16': ['RSMIN', 'Minimal Stomatal Resistance', 's/m'],
+  '2:0:17': ['WILT', 'Wilting Point', 'proportion'],
+  '2:0:18': ['RCS', 'Solar parameter in canopy conductance', 'proportion'],
+  '2:0:19': ['RCT', 'Temperature parameter in canopy', 'proportion'],
+  '2:0:20': ['RCSOL', 'Soil moisture parameter in canopy conductance', 'proportion'],
+  '2:0:21': ['RCQ', 'Humidity parameter in canopy conductance', 'proportion'],
+  '2:0:22': ['SOILM', 'Soil Moisture', 'kg/m^3'],
+  '2:0:23': ['CISOILW', 'Column-Integrated Soil Water', 'kg/m^2'],
+  '2:0:24': ['HFLUX', 'Heat Flux', 'W/m^2'],
+  '2:0:25': ['VSOILM', 'Volumetric Soil Moisture', 'm^3/m^3'],
+  '2:0:26': ['WILTPT', 'Wilting Point', 'kg/m^3'],
+  '2:0:27': ['VWILTP', 'Volumetric Wilting Point', 'm^3/m^3'],
+  '2:0:28': ['LEAINX', 'Leaf Area Index', 'numeric'],
+  '2:0:29': ['EVGFC', 'Evergreen Forest Cover', 'proportion'],
+  '2:0:30': ['DECFC', 'Deciduous Forest Cover', 'proportion'],
+  '2:0:31': ['NDVINX', 'Normalized Differential Vegetation Index (NDVI)', 'numeric'],
+  '2:0:32': ['RDVEG', 'Root Depth of Vegetation', 'm'],
+  '2:0:33': ['WROD', 'Water Runoff and Drainage', 'kg/m^2'],
+  '2:0:34': ['SFCWRO', 'Surface Water Runoff', 'kg/m^2'],
+  '2:0:35': ['TCLASS', 'Tile Class', 'code table 4.243'],
+  '2:0:36': ['TFRCT', 'Tile Fraction', 'proportion'],
+  '2:0:37': ['TPERCT', 'Tile Percentage', '%'],
+  '2:0:38': ['SOILVIC', 'Soil Volumetric Ice Content (Water Equivalent)', 'm^3/m^3'],
+  '2:0:39': ['EVAPTRAT', 'Evapotranspiration Rate', 'kg/m^2/s'],
+  '2:0:40': ['PEVAPTRAT', 'Potential Evapotranspiration Rate', 'kg/m^2/s'],
+  '2:0:41': ['SMRATE', 'Snow Melt Rate', 'kg/m^2/s'],
+  // Discipline 2, category 1: Agricultural/Aquacultural special products
+  '2:1:0': ['CANL', 'Cold Advisory for Newborn Livestock', 'code table 4.223'],
+  // Discipline 2, category 3: Soil products
+  '2:3:0': ['SOTYP', 'Soil Type', 'code table 4.213'],
+  '2:3:1': ['UPLST', 'Upper Layer Soil Temperature', 'K'],
+  '2:3:2': ['UPLSM', 'Upper Layer Soil Moisture', 'kg/m^3'],
+  '2:3:3': ['LOWLSM', 'Lower Layer Soil Moisture', 'kg/m^3'],
+  '2:3:4': ['BOTLST', 'Bottom Layer Soil Temperature', 'K'],
+  '2:3:5': ['SOILL', 'Liquid Volumetric Soil Moisture (non-frozen)', 'proportion'],
+  '2:3:6': ['RLYRS', 'Number of Soil Layers in Root Zone', 'numeric'],
+  '2:3:7': ['SMREF', 'Transpiration Stress-onset (soil moisture)', 'proportion'],
+  '2:3:8': ['SMDRY', 'Direct Evaporation Cease (soil moisture)', 'proportion'],
+  '2:3:9': ['POROS', 'Soil Porosity', 'proportion'],
+  '2:3:10': ['LIQVSM', 'Liquid Volumetric Soil Moisture (Non-Frozen)', 'm^3/m^3'],
+  '2:3:11': ['VOLTSO', 'Volumetric Transpiration Stress-Onset (Soil Moisture)', 'm^3/m^3'],
+  '2:3:12': ['TRANSO', 'Transpiration Stress-Onset (Soil Moisture)', 'kg/m^3'],
+  '2:3:13': ['VOLDEC', 'Volumetric Direct Evaporation Cease (Soil Moisture)', 'm^3/m^3'],
+  '2:3:14': ['DIREC', 'Direct Evaporation Cease (Soil Moisture)', 'kg/m^3'],
+  '2:3:15': ['SOILP', 'Soil Porosity', 'm^3/m^3'],
+  '2:3:16': ['VSOSM', 'Volumetric Saturation Of Soil Moisture', 'm^3/m^3'],
+  '2:3:17': ['SATOSM', 'Saturation Of Soil Moisture', 'kg/m^3'],
+  '2:3:18': ['SOILTMP', 'Soil Temperature', 'K'],
+  '2:3:19': ['SOILMOI', 'Soil Moisture', 'kg/m^3'],
+  '2:3:20': ['CISOILM', 'Column-Integrated Soil Moisture', 'kg/m^2'],
+  '2:3:21': ['SOILICE', 'Soil Ice', 'kg/m^3'],
+  '2:3:22': ['CISICE', 'Column-Integrated Soil Ice', 'kg/m^2'],
+  // Discipline 2, category 4: Fire weather products
+  '2:4:0': ['FIREOLK', 'Fire Outlook', 'code table 4.224'],
+  '2:4:1': ['FIREODT', 'Fire Outlook Due to Dry Thunderstorm', 'code table 4.224'],
+  '2:4:2': ['HINDEX', 'Haines Index', 'numeric'],
+  '2:4:3': ['FBAREA', 'Fire Burned Area', '%'],
+  '2:4:4': ['FOSINDX', 'Fosberg Index', 'numeric'],
+  '2:4:5': ['FWINX', 'Fire Weather Index (Canadian Forest Service)', 'numeric'],
+  '2:4:6': ['FFMCODE', 'Fine Fuel Moisture Code (Canadian Forest Service)', 'numeric'],
+  '2:4:7': ['DUFMCODE', 'Duff Moisture Code (Canadian Forest Service)', 'numeric'],
+  '2:4:8': ['DRTCODE', 'Drought Code (Canadian Forest Service)', 'numeric'],
+  '2:4:9': ['INFSINX', 'Initial Fire Spread Index (Canadian Forest Service)', 'numeric'],
+  '2:4:10': ['FBUPINX', 'Fire Build Up Index (Canadian Forest Service)', 'numeric'],
+  '2:4:11': ['FDSRTE', 'Fire Daily Severity Rating (Canadian Forest Service)', 'numeric'],
+
+  // Discipline 3: Space products
+  // Discipline 3, category 0: Image format products
+  '3:0:0': ['SRAD', 'Scaled Radiance', 'numeric'],
+  '3:0:1': ['SALBEDO', 'Scaled Albedo', 'numeric'],
+  '3:0:2': ['SBTMP', 'Scaled Brightness Temperature', 'numeric'],
+  '3:0:3': ['SPWAT', 'Scaled Precipitable Water', 'numeric'],
+  '3:0:4': ['SLFTI', 'Scaled Lifted Index', 'numeric'],
+  '3:0:5': ['SCTPRES', 'Scaled Cloud Top Pressure', 'numeric'],
+  '3:0:6': ['SSTMP', 'Scaled Skin Temperature', 'numeric'],
+  '3:0:7': ['CLOUDM', 'Cloud Mask', 'code table 4.217'],
+  '3:0:8': ['PIXST', 'Pixel scene type', 'code table 4.218'],
+  '3:0:9': ['FIREDI', 'Fire Detection Indicator', 'code table 4.223'],
+  // Discipline 3, category 1: Quantitative products
+  '3:1:0': ['ESTP', 'Estimated Precipitation', 'kg/m^2'],
+  '3:1:1': ['IRRATE', 'Instantaneous Rain Rate', 'kg/m^2/s'],
+  '3:1:2': ['CTOPH', 'Cloud Top Height', 'm'],
+  '3:1:3': ['CTOPHQI', 'Cloud Top Height Quality Indicator', 'code table 4.219'],
+  '3:1:4': ['ESTUGRD', 'Estimated u-Component of Wind', 'm/s'],
+  '3:1:5': ['ESTVGRD', 'Estimated v-Component of Wind', 'm/s'],
+  '3:1:6': ['NPIXU', 'Number Of Pixels Used', 'numeric'],
+  '3:1:7': ['SOLZA', 'Solar Zenith Angle', 'deg'],
+  '3:1:8': ['RAZA', 'Relative Azimuth Angle', 'deg'],
+  '3:1:9': ['RFL06', 'Reflectance in 0.6 Micron Channel', '%'],
+  '3:1:10': ['RFL08', 'Reflectance in 0.8 Micron Channel', '%'],
+  '3:1:11': ['RFL16', 'Reflectance in 1.6 Micron Channel', '%'],
+  '3:1:12': ['RFL39', 'Reflectance in 3.9 Micron Channel', '%'],
+  '3:1:13': ['ATMDIV', 'Atmospheric Divergence', '1/s'],
+  '3:1:14': ['CBTMP', 'Cloudy Brightness Temperature', 'K'],
+  '3:1:15': ['CSBTMP', 'Clear Sky Brightness Temperature', 'K'],
+  '3:1:16': ['CLDRAD', 'Cloudy Radiance (with respect to wave number)', 'W/m/sr'],
+  '3:1:17': ['CSKYRAD', 'Clear Sky Radiance (with respect to wave number)', 'W/m/sr'],
+  '3:1:19': ['WINDS', 'Wind Speed', 'm/s'],
+  '3:1:20': ['AOT06', 'Aerosol Optical Thickness at 0.635 um', '-'],
+  '3:1:21': ['AOT08', 'Aerosol Optical Thickness at 0.810 um', '-'],
+  '3:1:22': ['AOT16', 'Aerosol Optical Thickness at 1.640 um', '-'],
+  '3:1:23': ['ANGCOE', 'Angstrom Coefficient', '-'],
+
+  // Discipline 4: Space weather products
+  // Discipline 4, category 0: Temperature
+  '4:0:0': ['TMPSWP', 'Temperature', 'K'],
+  '4:0:1': ['ELECTMP', 'Electron Temperature', 'K'],
+  '4:0:2': ['PROTTMP', 'Proton Temperature', 'K'],
+  '4:0:3': ['IONTMP', 'Ion Temperature', 'K'],
+  '4:0:4': ['PRATMP', 'Parallel Temperature', 'K'],
+  '4:0:5': ['PRPTMP', 'Perpendicular Temperature', 'K'],
+
+  // Discipline 10: Oceanographic products
+  // Discipline 10, category 0: Waves
+  '10:0:0': ['WVSP1', 'Wave Spectra (1)', '-'],
+  '10:0:1': ['WVSP2', 'Wave Spectra (2)', '-'],
+  '10:0:2': ['WVSP3', 'Wave Spectra (3)', '-'],
+  '10:0:3': ['HTSGW', 'Significant Height of Combined Wind Waves and Swell', 'm'],
+  '10:0:4': ['WVDIR', 'Direction of Wind Waves', 'deg'],
+  '10:0:5': ['WVHGT', 'Significant Height of Wind Waves', 'm'],
+  '10:0:6': ['WVPER', 'Mean Period of Wind Waves', 's'],
+  '10:0:7': ['SWDIR', 'Direction of Swell Waves', 'deg'],
+  '10:0:8': ['SWELL', 'Significant Height of Swell Waves', 'm'],
+  '10:0:9': ['SWPER', 'Mean Period of Swell Waves', 's'],
+  '10:0:10': ['DIRPW', 'Primary Wave Direction', 'deg'],
+  '10:0:11': ['PERPW', 'Primary Wave Mean Period', 's'],
+  '10:0:12': ['DIRSW', 'Secondary Wave Direction', 'deg'],
+  '10:0:13': ['PERSW', 'Secondary Wave Mean Period', 's'],
+  '10:0:14': ['WWSDIR', 'Direction of Combined Wind Waves and Swell', 'deg'],
+  '10:0:15': ['MWSPER', 'Mean Period of Combined Wind Waves and Swell', 's'],
+  '10:0:16': ['CDWW', 'Coefficient of Drag With Waves', '-'],
+  '10:0:17': ['FRICVW', 'Friction Velocity', 'm/s'],
+  '10:0:18': ['WSTR', 'Wave Stress', 'N/m^2'],
+  '10:0:19': ['NWSTR', 'Normalised Waves Stress', '-'],
+  '10:0:20': ['MSSW', 'Mean Square Slope of Waves', '-'],
+  '10:0:21': ['USSD', 'U-component Surface Stokes Drift', 'm/s'],
+  '10:0:22': ['VSSD', 'V-component Surface Stokes Drift', 'm/s'],
+  '10:0:23': ['PMAXWH', 'Period of Maximum Individual Wave Height', 's'],
+  '10:0:24': ['MAXWH', 'Maximum Individual Wave Height', 'm'],
+  '10:0:25': ['IMWF', 'Inverse Mean Wave Frequency', 's'],
+  '10:0:26': ['IMFWW', 'Inverse Mean Frequency of The Wind Waves', 's'],
+  '10:0:27': ['IMFTSW', 'Inverse Mean Frequency of The Total Swell', 's'],
+  '10:0:28': ['MZWPER', 'Mean Zero-Crossing Wave Period', 's'],
+  '10:0:29': ['MZPWW', 'Mean Zero-Crossing Period of The Wind Waves', 's'],
+  '10:0:30': ['MZPTSW', 'Mean Zero-Crossing Period of The Total Swell', 's'],
+  '10:0:31': ['WDIRW', 'Wave Directional Width', '-'],
+  '10:0:32': ['DIRWWW', 'Directional Width of The Wind Waves', '-'],
+  '10:0:33': ['DIRWTS', 'Directional Width of The Total Swell', '-'],
+  '10:0:34': ['PWPER', 'Peak Wave Period', 's'],
+  '10:0:35': ['PPERWW', 'Peak Period of The Wind Waves', 's'],
+  '10:0:36': ['PPERTS', 'Peak Period of The Total Swell', 's'],
+  '10:0:37': ['ALTWH', 'Altimeter Wave Height', 'm'],
+  '10:0:38': ['ALCWH', 'Altimeter Corrected Wave Height', 'm'],
+  '10:0:39': ['ALRRC', 'Altimeter Range Relative Correction', '-'],
+  '10:0:40': ['MNWSOW', '10 Metre Neutral Wind Speed Over Waves', 'm/s'],
+  '10:0:41': ['MWDIRW', '10 Metre Wind Direction Over Waves', 'deg'],
+  '10:0:42': ['WESP', 'Wave Energy Spectrum', 'm^2 s/rad'],
+  '10:0:43': ['KSSEW', 'Kurtosis of The Sea Surface Elevation Due to Waves', '-'],
+  '10:0:44': ['BENINX', 'Benjamin-Feir Index', '-'],
+  '10:0:45': ['SPFTR', 'Spectral Peakedness Factor', '1/s'],
+  // Discipline 10, category 1: Currents
+  '10:1:0': ['DIRC', 'Current Direction', 'deg'],
+  '10:1:1': ['SPC', 'Current Speed', 'm/s'],
+  '10:1:2': ['UOGRD', 'U-Component of Current', 'm/s'],
+  '10:1:3': ['VOGRD', 'V-Component of Current', 'm/s'],
+  '10:1:4': ['RIPCOP', 'Rip Current Occurrence Probability', '%'],
+  '10:1:5': ['EESEA', 'Eastward Current', 'm/s'],
+  '10:1:6': ['NSSEA', 'Northward Current', 'm/s'],
+  // Discipline 10, category 2: Ice
+  '10:2:0': ['ICEC', 'Ice Cover', 'proportion'],
+  '10:2:1': ['ICETK', 'Ice Thickness', 'm'],
+  '10:2:2': ['DICED', 'Direction of Ice Drift', 'deg'],
+  '10:2:3': ['SICED', 'Speed of Ice Drift', 'm/s'],
+  '10:2:4': ['UICE', 'U-Component of Ice Drift', 'm/s'],
+  '10:2:5': ['VICE', 'V-Component of Ice Drift', 'm/s'],
+  '10:2:6': ['ICEG', 'Ice Growth Rate', 'm/s'],
+  '10:2:7': ['ICED', 'Ice Divergence', '1/s'],
+  '10:2:8': ['ICETMP', 'Ice Temperature', 'K'],
+  '10:2:9': ['ICEPRS', 'Module of Ice Internal Pressure', 'Pa m'],
+  '10:2:10': ['ZVCICEP', 'Zonal Vector Component of Vertically Integrated Ice Internal Pressure', 'Pa m'],
+  '10:2:11': ['MVCICEP', 'Meridional Vector Component of Vertically Integrated Ice Internal Pressure', 'Pa m'],
+  '10:2:12': ['CICES', 'Compressive Ice Strength', 'N/m'],
+  '10:2:13': ['SNOWTSI', 'Snow Temperature (over sea ice)', 'K'],
+  '10:2:14': ['ALBDOICE', 'Albedo', 'numeric'],
+  // Discipline 10, category 3: Surface properties
+  '10:3:0': ['WTMP', 'Water Temperature', 'K'],
+  '10:3:1': ['DSLM', 'Deviation of Sea Level from Mean', 'm'],
+  '10:3:2': ['CH', 'Heat Exchange Coefficient', '-'],
+  '10:3:3': ['PRACTSAL', 'Practical Salinity', 'numeric'],
+  // Discipline 10, category 4: Sub-surface properties
+  '10:4:0': ['MTHD', 'Main Thermocline Depth', 'm'],
+  '10:4:1': ['MTHA', 'Main Thermocline Anomaly', 'm'],
+  '10:4:2': ['TTHDP', 'Transient Thermocline Depth', 'm'],
+  '10:4:3': ['SALTY', 'Salinity', 'kg/kg'],
+  '10:4:4': ['OVHD', 'Ocean Vertical Heat Diffusivity', 'm^2/s'],
+  '10:4:5': ['OVSD', 'Ocean Vertical Salt Diffusivity', 'm^2/s'],
+  '10:4:6': ['OVMD', 'Ocean Vertical Momentum Diffusivity', 'm^2/s'],
+  '10:4:7': ['BATHY', 'Bathymetry', 'm'],
+  '10:4:11': ['SFSALP', 'Shape Factor With Respect To Salinity Profile', '-'],
+  '10:4:12': ['SFTMPP', 'Shape Factor With Respect To Temperature Profile In Thermocline', '-'],
+  '10:4:13': ['ACWSRD', 'Attenuation Coefficient Of Water With Respect to Solar Radiation', '1/m'],
+  '10:4:14': ['WDEPTH', 'Water Depth', 'm'],
+  '10:4:15': ['WTMPSS', 'Water Temperature', 'K'],
+  // Discipline 10, category 191: Miscellaneous
+  '10:191:0': ['TSEC', 'Seconds Prior To Initial Reference Time', 's'],
+  '10:191:1': ['MOSF', 'Meridional Overturning Stream Function', 'm^3/s']
+};
+
+// ============================================================================
+// GRIB2 Code Table 4.5 - Fixed surface types, rendered like wgrib2
+// Types 192-254 are reserved for local use, the entries below are the NCEP ones
+// ============================================================================
+
+/**
+ * Each entry: [level, layer between two surfaces of this type, factor applied to the values]
+ * '%g' stands for the surface value; entries without layer form are rendered as "level1 - level2"
+ */
+const GRIB2_LEVELS = {
+  1: ['surface'],
+  2: ['cloud base'],
+  3: ['cloud top'],
+  4: ['0C isotherm'],
+  5: ['level of adiabatic condensation from sfc'],
+  6: ['max wind'],
+  7: ['tropopause'],
+  8: ['top of atmosphere'],
+  9: ['sea bottom'],
+  10: ['entire atmosphere'],
+  11: ['cumulonimbus base'],
+  12: ['cumulonimbus top'],
+  13: ['lowest level of the %g% integrated cloud cover'],
+  14: ['level of free convection'],
+  15: ['convection condensation level'],
+  16: ['level of neutral buoyancy'],
+  17: ['most unstable parcel departure level'],
+  18: ['mixed layer parcel departure level (%g mb layer depth)', null, 0.01],
+  20: ['%g K level'],
+  21: ['lowest level > %g kg/m^3'],
+  22: ['highest level > %g kg/m^3'],
+  23: ['lowest level > %g Bq/m^3'],
+  24: ['highest level > %g Bq/m^3'],
+  25: ['highest level > %g dBZ'],
+  26: ['convective cloud layer base %g m'],
+  27: ['convective cloud layer top %g m'],
+  100: ['%g mb', '%g-%g mb', 0.01],
+  101: ['mean sea level'],
+  102: ['%g m above mean sea level', '%g-%g m above mean sea level'],
+  103: ['%g m above ground', '%g-%g m above ground'],
+  104: ['%g sigma level', '%g-%g sigma layer'],
+  105: ['%g hybrid level', '%g-%g hybrid layer'],
+  106: ['%g m below ground', '%g-%g m below ground'],
+  107: ['%g K isentropic level', '%g-%g K isentropic layer'],
+  108: ['%g mb above ground', '%g-%g mb above ground', 0.01],
+  109: ['PV=%g (Km^2/kg/s) surface', 'PV=%g-%g (Km^2/kg/s) layer'],
+  111: ['%g Eta level', '%g-%g Eta layer'],
+  113: ['%g logarithmic hybrid level', '%g-%g logarithmic hybrid layer'],
+  114: ['%g snow level', '%g-%g snow layer'],
+  115: ['%g sigma height level', '%g-%g sigma height layer'],
+  117: ['mixed layer depth %g m'],
+  118: ['%g hybrid height level', '%g-%g hybrid height layer'],
+  119: ['%g hybrid pressure level', '%g-%g hybrid pressure layer'],
+  150: ['%g generalized vertical height coordinate', '%g-%g generalized vertical height coordinate layer'],
+  151: ['soil level %g', 'soil level %g-%g'],
+  152: ['sea ice level %g', 'sea ice level %g-%g'],
+  160: ['%g m below sea level', '%g-%g m below sea level'],
+  161: ['%g m below water surface', '%g-%g m below water surface'],
+  162: ['lake or river bottom'],
+  163: ['bottom of sediment layer'],
+  164: ['bottom of thermally active sediment layer'],
+  165: ['bottom of sediment layer penetrated by thermal wave'],
+  166: ['mixing layer'],
+  167: ['bottom of root zone'],
+  168: ['ocean model level %g', 'ocean model layer %g-%g'],
+  169: ['ocean level defined by water density (sigma-theta) difference from near-surface to level %g kg/m^3'],
+  170: ['ocean level defined by water potential temperature difference from near-surface to level %g K'],
+  171: ['ocean level defined by vertical eddy diffusivity difference from near-surface to level %g m^2/s'],
+  174: ['top surface of ice on sea, lake or river'],
+  175: ['top surface of ice, under snow cover, on sea, lake or river'],
+  176: ['bottom surface ice on sea, lake or river'],
+  177: ['deep soil (of indefinite depth)'],
+  179: ['top surface of glacier ice and inland ice'],
+  180: ['deep inland or glacier ice (of indefinite depth)'],
+  181: ['grid tile land fraction as a model surface'],
+  182: ['grid tile water fraction as a model surface'],
+  183: ['grid tile ice fraction on sea, lake or river as a model surface'],
+  184: ['grid tile glacier ice and inland ice fraction as a model surface'],
+  200: ['entire atmosphere (considered as a single layer)'],
+  201: ['entire ocean (considered as a single layer)'],
+  204: ['highest tropospheric freezing level'],
+  206: ['grid scale cloud bottom level'],
+  207: ['grid scale cloud top level'],
+  209: ['boundary layer cloud bottom level'],
+  210: ['boundary layer cloud top level'],
+  211: ['boundary layer cloud layer'],
+  212: ['low cloud bottom level'],
+  213: ['low cloud top level'],
+  214: ['low cloud layer'],
+  215: ['cloud ceiling'],
+  220: ['planetary boundary layer'],
+  221: ['layer between two hybrid levels'],
+  222: ['middle cloud bottom level'],
+  223: ['middle cloud top level'],
+  224: ['middle cloud layer'],
+  232: ['high cloud bottom level'],
+  233: ['high cloud top level'],
+  234: ['high cloud layer'],
+  235: ['%gC ocean isotherm', '%g-%gC ocean isotherm layer'],
+  236: ['layer between two depths below ocean surface'],
+  237: ['bottom of ocean mixed layer'],
+  238: ['bottom of ocean isothermal layer'],
+  239: ['layer ocean surface and 26C ocean isothermal level'],
+  240: ['ocean mixed layer'],
+  241: ['%g in sequence'],
+  242: ['convective cloud bottom level'],
+  243: ['convective cloud top level'],
+  244: ['convective cloud layer'],
+  245: ['lowest level of the wet bulb zero'],
+  246: ['maximum equivalent potential temperature level'],
+  247: ['equilibrium level'],
+  248: ['shallow convective cloud bottom level'],
+  249: ['shallow convective cloud top level'],
+  251: ['deep convective cloud bottom level'],
+  252: ['deep convective cloud top level'],
+  253: ['lowest bottom level of supercooled liquid water layer'],
+  254: ['highest top level of supercooled liquid water layer']
+};
+
+// ============================================================================
+// Local parameter tables (category/number 192-254, local disciplines)
+// Resolved from the originating centre and table versions of Section 1
+// ============================================================================
+
+/**
+ * NCEP local entries (centre 7), abbreviations as printed by wgrib2
+ */
+const NCEP_LOCAL_PARAMETERS = {
+  // Discipline 0, category 0: Temperature
+  '0:0:192': ['SNOHF', 'Snow Phase Change Heat Flux', 'W/m^2'],
+  '0:0:193': ['TTRAD', 'Temperature tendency by all radiation', 'K/s'],
+  '0:0:194': ['REV', 'Relative Error Variance', '-'],
+  '0:0:195': ['LRGHR', 'Large Scale Condensate Heating rate', 'K/s'],
+  '0:0:196': ['CNVHR', 'Deep Convective Heating rate', 'K/s'],
+  '0:0:197': ['THFLX', 'Total Downward Heat Flux at Surface', 'W/m^2'],
+  '0:0:198': ['TTDIA', 'Temperature Tendency By All Physics', 'K/s'],
+  '0:0:199': ['TTPHY', 'Temperature Tendency By Non-radiation Physics', 'K/s'],
+  '0:0:200': ['TSD1D', 'Standard Dev. of IR Temp. over 1x1 deg. area', 'K'],
+  '0:0:201': ['SHAHR', 'Shallow Convective Heating rate', 'K/s'],
+  '0:0:202': ['VDFHR', 'Vertical Diffusion Heating rate', 'K/s'],
+  '0:0:203': ['THZ0', 'Potential temperature at top of viscous sublayer', 'K'],
+  '0:0:204': ['TCHP', 'Tropical Cyclone Heat Potential', 'J/m^2 K'],
+  // Discipline 0, category 1: Moisture
+  '0:1:192': ['CRAIN', 'Categorical Rain', '-'],
+  '0:1:193': ['CFRZR', 'Categorical Freezing Rain', '-'],
+  '0:1:194': ['CICEP', 'Categorical Ice Pellets', '-'],
+  '0:1:195': ['CSNOW', 'Categorical Snow', '-'],
+  '0:1:196': ['CPRAT', 'Convective Precipitation Rate', 'kg/m^2/s'],
+  '0:1:197': ['MCONV', 'Horizontal Moisture Divergence', 'kg/kg/s'],
+  '0:1:198': ['MINRH', 'Minimum Relative Humidity', '%'],
+  '0:1:199': ['PEVAP', 'Potential Evaporation', 'kg/m^2'],
+  '0:1:200': ['PEVPR', 'Potential Evaporation Rate', 'W/m^2'],
+  '0:1:201': ['SNOWC', 'Snow Cover', '%'],
+  '0:1:202': ['FRAIN', 'Rain Fraction of Total Liquid Water', 'non-dim'],
+  '0:1:203': ['RIME', 'Rime Factor', 'non-dim'],
+  '0:1:204': ['TCOLR', 'Total Column Integrated Rain', 'kg/m^2'],
+  '0:1:205': ['TCOLS', 'Total Column Integrated Snow', 'kg/m^2'],
+  '0:1:206': ['TIPD', 'Total Icing Potential Diagnostic', 'non-dim'],
+  '0:1:207': ['NCIP', 'Number concentration for ice particles', 'non-dim'],
+  '0:1:208': ['SNOT', 'Snow temperature', 'K'],
+  '0:1:209': ['TCLSW', 'Total column-integrated supercooled liquid water', 'kg/m^2'],
+  '0:1:210': ['TCOLM', 'Total column-integrated melting ice', 'kg/m^2'],
+  '0:1:211': ['EMNP', 'Evaporation - Precipitation', 'cm/day'],
+  '0:1:212': ['SBSNO', 'Sublimation (evaporation from snow)', 'W/m^2'],
+  '0:1:213': ['CNVMR', 'Deep Convective Moistening Rate', 'kg/kg/s'],
+  '0:1:214': ['SHAMR', 'Shallow Convective Moistening Rate', 'kg/kg/s'],
+  '0:1:215': ['VDFMR', 'Vertical Diffusion Moistening Rate', 'kg/kg/s'],
+  '0:1:216': ['CONDP', 'Condensation Pressure of Parcel Lifted From Indicated Surface', 'Pa'],
+  '0:1:217': ['LRGMR', 'Large scale moistening rate', 'kg/kg/s'],
+  '0:1:218': ['QZ0', 'Specific humidity at top of viscous sublayer', 'kg/kg'],
+  '0:1:219': ['QMAX', 'Maximum specific humidity at 2m', 'kg/kg'],
+  '0:1:220': ['QMIN', 'Minimum specific humidity at 2m', 'kg/kg'],
+  '0:1:221': ['ARAIN', 'Liquid precipitation (rainfall)', 'kg/m^2'],
+  '0:1:222': ['SNOWT', 'Snow temperature, depth-avg', 'K'],
+  '0:1:223': ['APCPN', 'Total precipitation (nearest grid point)', 'kg/m^2'],
+  '0:1:224': ['ACPCPN', 'Convective precipitation (nearest grid point)', 'kg/m^2'],
+  '0:1:225': ['FRZR', 'Freezing Rain', 'kg/m^2'],
+  // Discipline 0, category 2: Momentum
+  '0:2:192': ['VWSH', 'Vertical speed shear', '1/s'],
+  '0:2:193': ['MFLX', 'Horizontal Momentum Flux', 'N/m^2'],
+  '0:2:194': ['USTM', 'U-Component Storm Motion', 'm/s'],
+  '0:2:195': ['VSTM', 'V-Component Storm Motion', 'm/s'],
+  '0:2:196': ['CD', 'Drag Coefficient', 'non-dim'],
+  '0:2:197': ['FRICV', 'Frictional Velocity', 'm/s'],
+  '0:2:198': ['LAUV', 'Latitude of U Wind Component of Velocity', 'deg'],
+  '0:2:199': ['LOUV', 'Longitude of U Wind Component of Velocity', 'deg'],
+  '0:2:200': ['LAVV', 'Latitude of V Wind Component of Velocity', 'deg'],
+  '0:2:201': ['LOVV', 'Longitude of V Wind Component of Velocity', 'deg'],
+  '0:2:202': ['LAPP', 'Latitude of Pressure Point', 'deg'],
+  '0:2:203': ['LOPP', 'Longitude of Pressure Point', 'deg'],
+  '0:2:204': ['VEDH', 'Vertical Eddy Diffusivity Heat exchange', 'm^2/s'],
+  '0:2:205': ['COVMZ', 'Covariance between Meridional and Zonal Components of the wind', 'm^2/s^2'],
+  '0:2:206': ['COVTZ', 'Covariance between Temperature and Zonal Components of the wind', 'K*m/s'],
+  '0:2:207': ['COVTM', 'Covariance between Temperature and Meridional Components of the wind', 'K*m/s'],
+  '0:2:208': ['VDFUA', 'Vertical Diffusion Zonal Acceleration', 'm/s^2'],
+  '0:2:209': ['VDFVA', 'Vertical Diffusion Meridional Acceleration', 'm/s^2'],
+  '0:2:210': ['GWDU', 'Gravity wave drag zonal acceleration', 'm/s^2'],
+  '0:2:211': ['GWDV', 'Gravity wave drag meridional acceleration', 'm/s^2'],
+  '0:2:212': ['CNVU', 'Convective zonal momentum mixing acceleration', 'm/s^2'],
+  '0:2:213': ['CNVV', 'Convective meridional momentum mixing acceleration', 'm/s^2'],
+  '0:2:214': ['WTEND', 'Tendency of vertical velocity', 'm/s^2'],
+  '0:2:215': ['OMGALF', 'Omega (Dp/Dt) divide by density', 'K'],
+  '0:2:216': ['CNGWDU', 'Convective Gravity wave drag zonal acceleration', 'm/s^2'],
+  '0:2:217': ['CNGWDV', 'Convective Gravity wave drag meridional acceleration', 'm/s^2'],
+  '0:2:218': ['LMV', 'Velocity Point Model Surface', '-'],
+  '0:2:219': ['PVMWW', 'Potential Vorticity (Mass-Weighted)', '1/s/m'],
+  '0:2:220': ['MAXUVV', 'Hourly Maximum of Upward Vertical Velocity', 'm/s'],
+  '0:2:221': ['MAXDVV', 'Hourly Maximum of Downward Vertical Velocity', 'm/s'],
+  '0:2:222': ['MAXUW', 'U Component of Hourly Maximum 10m Wind Speed', 'm/s'],
+  '0:2:223': ['MAXVW', 'V Component of Hourly Maximum 10m Wind Speed', 'm/s'],
+  '0:2:224': ['VRATE', 'Ventilation Rate', 'm^2/s'],
+  // Discipline 0, category 3: Mass
+  '0:3:192': ['MSLET', 'MSLP (Eta model reduction)', 'Pa'],
+  '0:3:193': ['5WAVH', '5-Wave Geopotential Height', 'gpm'],
+  '0:3:194': ['U-GWD', 'Zonal Flux of Gravity Wave Stress', 'N/m^2'],
+  '0:3:195': ['V-GWD', 'Meridional Flux of Gravity Wave Stress', 'N/m^2'],
+  '0:3:196': ['HPBL', 'Planetary Boundary Layer Height', 'm'],
+  '0:3:197': ['5WAVA', '5-Wave Geopotential Height Anomaly', 'gpm'],
+  '0:3:198': ['MSLMA', 'MSLP (MAPS System Reduction)', 'Pa'],
+  '0:3:199': ['TSLSA', '3-hr pressure tendency (Std. Atmos. Reduction)', 'Pa/s'],
+  '0:3:200': ['PLPL', 'Pressure of level from which parcel was lifted', 'Pa'],
+  '0:3:201': ['LPSX', 'X-gradient of Log Pressure', '1/m'],
+  '0:3:202': ['LPSY', 'Y-gradient of Log Pressure', '1/m'],
+  '0:3:203': ['HGTX', 'X-gradient of Height', '1/m'],
+  '0:3:204': ['HGTY', 'Y-gradient of Height', '1/m'],
+  '0:3:205': ['LAYTH', 'Layer Thickness', 'm'],
+  '0:3:206': ['NLGSP', 'Natural Log of Surface Pressure', 'ln(kPa)'],
+  '0:3:207': ['CNVUMF', 'Convective updraft mass flux', 'kg/m^2/s'],
+  '0:3:208': ['CNVDMF', 'Convective downdraft mass flux', 'kg/m^2/s'],
+  '0:3:209': ['CNVDEMF', 'Convective detrainment mass flux', 'kg/m^2/s'],
+  '0:3:210': ['LMH', 'Mass Point Model Surface', '-'],
+  '0:3:211': ['HGTN', 'Geopotential Height (nearest grid point)', 'gpm'],
+  '0:3:212': ['PRESN', 'Pressure (nearest grid point)', 'Pa'],
+  // Discipline 0, category 4: Short-wave radiation
+  '0:4:192': ['DSWRF', 'Downward Short-Wave Radiation Flux', 'W/m^2'],
+  '0:4:193': ['USWRF', 'Upward Short-Wave Radiation Flux', 'W/m^2'],
+  '0:4:194': ['DUVB', 'UV-B Downward Solar Flux', 'W/m^2'],
+  '0:4:195': ['CDUVB', 'Clear sky UV-B Downward Solar Flux', 'W/m^2'],
+  '0:4:196': ['CSDSF', 'Clear Sky Downward Solar Flux', 'W/m^2'],
+  '0:4:197': ['SWHR', 'Solar Radiative Heating Rate', 'K/s'],
+  '0:4:198': ['CSUSF', 'Clear Sky Upward Solar Flux', 'W/m^2'],
+  '0:4:199': ['CFNSF', 'Cloud Forcing Net Solar Flux', 'W/m^2'],
+  '0:4:200': ['VBDSF', 'Visible Beam Downward Solar Flux', 'W/m^2'],
+  '0:4:201': ['VDDSF', 'Visible Diffuse Downward Solar Flux', 'W/m^2'],
+  '0:4:202': ['NBDSF', 'Near IR Beam Downward Solar Flux', 'W/m^2'],
+  '0:4:203': ['NDDSF', 'Near IR Diffuse Downward Solar Flux', 'W/m^2'],
+  '0:4:204': ['DTRF', 'Downward Total Radiation Flux', 'W/m^2'],
+  '0:4:205': ['UTRF', 'Upward Total Radiation Flux', 'W/m^2'],
+  // Discipline 0, category 5: Long-wave radiation
+  '0:5:192': ['DLWRF', 'Downward Long-Wave Rad. Flux', 'W/m^2'],
+  '0:5:193': ['ULWRF', 'Upward Long-Wave Rad. Flux', 'W/m^2'],
+  '0:5:194': ['LWHR', 'Long-Wave Radiative Heating Rate', 'K/s'],
+  '0:5:195': ['CSULF', 'Clear Sky Upward Long Wave Flux', 'W/m^2'],
+  '0:5:196': ['CSDLF', 'Clear Sky Downward Long Wave Flux', 'W/m^2'],
+  '0:5:197': ['CFNLF', 'Cloud Forcing Net Long Wave Flux', 'W/m^2'],
+  // Discipline 0, category 6: Cloud
+  '0:6:192': ['CDLYR', 'Non-Convective Cloud Cover', '%'],
+  '0:6:193': ['CWORK', 'Cloud Work Function', 'J/kg'],
+  '0:6:194': ['CUEFI', 'Convective Cloud Efficiency', 'non-dim'],
+  '0:6:195': ['TCOND', 'Total Condensate', 'kg/kg'],
+  '0:6:196': ['TCOLW', 'Total Column-Integrated Cloud Water', 'kg/m^2'],
+  '0:6:197': ['TCOLI', 'Total Column-Integrated Cloud Ice', 'kg/m^2'],
+  '0:6:198': ['TCOLC', 'Total Column-Integrated Condensate', 'kg/m^2'],
+  '0:6:199': ['FICE', 'Ice fraction of total condensate', 'non-dim'],
+  '0:6:200': ['MFLUX', 'Convective Cloud Mass Flux', 'Pa/s'],
+  '0:6:201': ['SUNSD', 'Sunshine Duration', 's'],
+  // Discipline 0, category 7: Thermodynamic stability indices
+  '0:7:192': ['LFTX', 'Surface Lifted Index', 'K'],
+  '0:7:193': ['4LFTX', 'Best (4 layer) Lifted Index', 'K'],
+  '0:7:194': ['RI', 'Richardson Number', 'numeric'],
+  '0:7:195': ['CWDI', 'Convective Weather Detection Index', '-'],
+  '0:7:196': ['UVI', 'Ultra Violet Index', 'W/m^2'],
+  '0:7:197': ['UPHL', 'Updraft Helicity', 'm^2/s^2'],
+  '0:7:198': ['LAI', 'Leaf Area Index', 'non-dim'],
+  '0:7:199': ['MXUPHL', 'Hourly Maximum of Updraft Helicity', 'm^2/s^2'],
+  '0:7:200': ['MNUPHL', 'Hourly Minimum of Updraft Helicity', 'm^2/s^2'],
+  '0:7:201': ['BNEGELAY', 'Bourgoin Negative Energy Layer (surface to freezing level)', 'J/kg'],
+  '0:7:202': ['BPOSELAY', 'Bourgoin Positive Energy Layer (2k ft AGL to 400 hPa)', 'J/kg'],
+  '0:7:203': ['DCAPE', 'Downdraft CAPE', 'J/kg'],
+  '0:7:204': ['EFHL', 'Effective Surface Helicity', 'm^2/s^2'],
+  '0:7:205': ['ESP', 'Enhanced Stretching Potential', 'numeric'],
+  '0:7:206': ['CANGLE', 'Critical Angle', 'deg'],
+  // Discipline 0, category 13: Aerosols
+  '0:13:192': ['PMTC', 'Particulate matter (coarse)', 'ug/m^3'],
+  '0:13:193': ['PMTF', 'Particulate matter (fine)', 'ug/m^3'],
+  '0:13:194': ['LPMTF', 'Particulate matter (fine)', 'log10(ug/m^3)'],
+  '0:13:195': ['LIPMF', 'Integrated column particulate matter (fine)', 'log10(ug/m^3)'],
+  // Discipline 0, category 14: Trace gases
+  '0:14:192': ['O3MR', 'Ozone Mixing Ratio', 'kg/kg'],
+  '0:14:193': ['OZCON', 'Ozone Concentration', 'ppb'],
+  '0:14:194': ['OZCAT', 'Categorical Ozone Concentration', 'non-dim'],
+  '0:14:195': ['VDFOZ', 'Ozone Vertical Diffusion', 'kg/kg/s'],
+  '0:14:196': ['POZ', 'Ozone Production', 'kg/kg/s'],
+  '0:14:197': ['TOZ', 'Ozone Tendency', 'kg/kg/s'],
+  '0:14:198': ['POZT', 'Ozone Production from Temperature Term', 'kg/kg/s'],
+  '0:14:199': ['POZO', 'Ozone Production from Col Ozone Term', 'kg/kg/s'],
+  '0:14:200': ['OZMAX1', 'Ozone Daily Max from 1-hour Average', 'ppbV'],
+  '0:14:201': ['OZMAX8', 'Ozone Daily Max from 8-hour Average', 'ppbV'],
+  '0:14:202': ['PDMAX1', 'PM 2.5 Daily Max from 1-hour Average', 'ug/m^3'],
+  '0:14:203': ['PDMAX24', 'PM 2.5 Daily Max from 24-hour Average', 'ug/m^3'],
+  // Discipline 0, category 16: Forecast radar imagery
+  '0:16:192': ['REFZR', 'Derived radar reflectivity backscatter from rain', 'mm^6/m^3'],
+  '0:16:193': ['REFZI', 'Derived radar reflectivity backscatter from ice', 'mm^6/m^3'],
+  '0:16:194': ['REFZC', 'Derived radar reflectivity backscatter from parameterized convection', 'mm^6/m^3'],
+  '0:16:195': ['REFD', 'Reflectivity', 'dB'],
+  '0:16:196': ['REFC', 'Composite reflectivity', 'dB'],
+  '0:16:197': ['RETOP', 'Echo Top', 'm'],
+  '0:16:198': ['MAXREF', 'Hourly Maximum of Simulated Reflectivity at 1 km AGL', 'dB'],
+  // Discipline 0, category 17: Electrodynamics
+  '0:17:192': ['LTNG', 'Lightning', 'non-dim'],
+  // Discipline 0, category 19: Physical atmospheric properties
+  '0:19:192': ['MXSALB', 'Maximum Snow Albedo', '%'],
+  '0:19:193': ['SNFALB', 'Snow-Free Albedo', '%'],
+  '0:19:194': ['SRCONO', 'Slight risk convective outlook', 'categorical'],
+  '0:19:195': ['MRCONO', 'Moderate risk convective outlook', 'categorical'],
+  '0:19:196': ['HRCONO', 'High risk convective outlook', 'categorical'],
+  '0:19:197': ['TORPROB', 'Tornado probability', '%'],
+  '0:19:198': ['HAILPROB', 'Hail probability', '%'],
+  '0:19:199': ['WINDPROB', 'Wind probability', '%'],
+  '0:19:200': ['STORPROB', 'Significant Tornado probability', '%'],
+  '0:19:201': ['SHAILPRO', 'Significant Hail probability', '%'],
+  '0:19:202': ['SWINDPRO', 'Significant Wind probability', '%'],
+  '0:19:203': ['TSTMC', 'Categorical Thunderstorm (1-yes, 0-no)', 'categorical'],
+  '0:19:204': ['MIXLY', 'Number of mixed layers next to surface', 'integer'],
+  '0:19:205': ['FLGHT', 'Flight Category', '-'],
+  '0:19:206': ['CICEL', 'Confidence - Ceiling', '-'],
+  '0:19:207': ['CIVIS', 'Confidence - Visibility', '-'],
+  '0:19:208': ['CIFLT', 'Confidence - Flight Category', '-'],
+  '0:19:209': ['LAVNI', 'Low-Level aviation interest', '-'],
+  '0:19:210': ['HAVNI', 'High-Level aviation interest', '-'],
+  '0:19:211': ['SBSALB', 'Visible, Black Sky Albedo', '%'],
+  '0:19:212': ['SWSALB', 'Visible, White Sky Albedo', '%'],
+  '0:19:213': ['NBSALB', 'Near IR, Black Sky Albedo', '%'],
+  '0:19:214': ['NWSALB', 'Near IR, White Sky Albedo', '%'],
+  '0:19:215': ['PRSVR', 'Total Probability of Severe Thunderstorms (Days 2,3)', '%'],
+  '0:19:216': ['PRSIGSVR', 'Total Probability of Extreme Severe Thunderstorms (Days 2,3)', '%'],
+  '0:19:217': ['SIPD', 'Supercooled Large Droplet (SLD) Icing', '-'],
+  '0:19:218': ['EPSR', 'Radiative emissivity', '-'],
+  '0:19:219': ['TPFI', 'Turbulence Potential Forecast Index', '-'],
+  '0:19:220': ['SVRTS', 'Categorical Severe Thunderstorm', '-'],
+  '0:19:221': ['PROCON', 'Probability of Convection', '%'],
+  '0:19:222': ['CONVP', 'Convection Potential', '-'],
+  '0:19:232': ['VAFTD', 'Volcanic Ash Forecast Transport and Dispersion', 'log10(kg/m^3)'],
+  '0:19:233': ['ICPRB', 'Icing probability', 'non-dim'],
+  '0:19:234': ['ICSEV', 'Icing severity', 'non-dim'],
+  '0:19:235': ['JFWPRB', 'Joint Fire Weather Probability', '%'],
+  '0:19:236': ['SNOWLVL', 'Snow Level', 'm'],
+  '0:19:237': ['DRYTPROB', 'Dry Thunderstorm Probability', '%'],
+  '0:19:238': ['ELLINX', 'Ellrod Index', '-'],
+  '0:19:239': ['CWASP', 'Craven-Wiedenfeld Aggregate Severe Parameter', 'numeric'],
+  // Discipline 0, category 191: Miscellaneous
+  '0:191:192': ['NLAT', 'Latitude (-90 to 90)', 'deg'],
+  '0:191:193': ['ELON', 'East Longitude (0 to 360)', 'deg'],
+  '0:191:194': ['TSEC', 'Seconds prior to initial reference time', 's'],
+  '0:191:195': ['MLYNO', 'Model Layer number (From bottom up)', '-'],
+  '0:191:196': ['NLATN', 'Latitude (nearest neighbor) (-90 to 90)', 'deg'],
+  '0:191:197': ['ELONN', 'East Longitude (nearest neighbor) (0 - 360)', 'deg'],
+  // Discipline 1, category 0: Hydrology basic products
+  '1:0:192': ['BGRUN', 'Baseflow-Groundwater Runoff', 'kg/m^2'],
+  '1:0:193': ['SSRUN', 'Storm Surface Runoff', 'kg/m^2'],
+  // Discipline 1, category 1: Hydrology probabilities
+  '1:1:192': ['CPOZP', 'Probability of Freezing Precipitation', '%'],
+  '1:1:193': ['CPOFP', 'Probability of Frozen Precipitation', '%'],
+  '1:1:194': ['PPFFG', 'Probability of precipitation exceeding flash flood guidance values', '%'],
+  '1:1:195': ['CWR', 'Probability of Wetting Rain, exceeding in 0.10" in a given time period', '%'],
+  // Discipline 2, category 0: Vegetation/Biomass
+  '2:0:192': ['SOILW', 'Volumetric Soil Moisture Content', 'Fraction'],
+  '2:0:193': ['GFLUX', 'Ground Heat Flux', 'W/m^2'],
+  '2:0:194': ['MSTAV', 'Moisture Availability', '%'],
+  '2:0:195': ['SFEXC', 'Exchange Coefficient', '(kg/m^3)(m/s)'],
+  '2:0:196': ['CNWAT', 'Plant Canopy Surface Water', 'kg/m^2'],
+  '2:0:197': ['BMIXL', 'Blackadar\'s Mixing Length Scale', 'm'],
+  '2:0:198': ['VGTYP', 'Vegetation Type', 'Integer(0-13)'],
+  '2:0:199': ['CCOND', 'Canopy Conductance', 'm/s'],
+  '2:0:200': ['RSMIN', 'Minimal Stomatal Resistance', 's/m'],
+  '2:0:201': ['WILT', 'Wilting Point', 'Fraction'],
+  '2:0:202': ['RCS', 'Solar parameter in canopy conductance', 'Fraction'],
+  '2:0:203': ['RCT', 'Temperature parameter in canopy conductance', 'Fraction'],
+  '2:0:204': ['RCQ', 'Humidity parameter in canopy conductance', 'Fraction'],
+  '2:0:205': ['RCSOL', 'Soil moisture parameter in canopy conductance', 'Fraction'],
+  '2:0:206': ['RDRIP', 'Rate of water dropping from canopy to ground', '-'],
+  '2:0:207': ['ICWAT', 'Ice-free water surface', '%'],
+  '2:0:208': ['AKHS', 'Surface exchange coefficients for T and Q divided by delta z', 'm/s'],
+  '2:0:209': ['AKMS', 'Surface exchange coefficients for U and V divided by delta z', 'm/s'],
+  '2:0:210': ['VEGT', 'Vegetation canopy temperature', 'K'],
+  '2:0:211': ['SSTOR', 'Surface water storage', 'kg/m^2'],
+  '2:0:212': ['LSOIL', 'Liquid soil moisture content (non-frozen)', 'kg/m^2'],
+  '2:0:213': ['EWATR', 'Open water evaporation (standing water)', 'W/m^2'],
+  '2:0:214': ['GWREC', 'Groundwater recharge', 'kg/m^2'],
+  '2:0:215': ['QREC', 'Flood plain recharge', 'kg/m^2'],
+  '2:0:216': ['SFCRH', 'Roughness length for heat', 'm'],
+  '2:0:217': ['NDVI', 'Normalized Difference Vegetation Index', '-'],
+  '2:0:218': ['LANDN', 'Land-sea coverage (nearest neighbor) [land=1,sea=0]', '-'],
+  '2:0:219': ['AMIXL', 'Asymptotic mixing length scale', 'm'],
+  '2:0:220': ['WVINC', 'Water vapor added by precip assimilation', 'kg/m^2'],
+  '2:0:221': ['WCINC', 'Water condensate added by precip assimilation', 'kg/m^2'],
+  '2:0:222': ['WVCONV', 'Water Vapor Flux Convergence (Vertical Int)', 'kg/m^2'],
+  '2:0:223': ['WCCONV', 'Water Condensate Flux Convergence (Vertical Int)', 'kg/m^2'],
+  '2:0:224': ['WVUFLX', 'Water Vapor Zonal Flux (Vertical Int)', 'kg/m'],
+  '2:0:225': ['WVVFLX', 'Water Vapor Meridional Flux (Vertical Int)', 'kg/m'],
+  '2:0:226': ['WCUFLX', 'Water Condensate Zonal Flux (Vertical Int)', 'kg/m'],
+  '2:0:227': ['WCVFLX', 'Water Condensate Meridional Flux (Vertical Int)', 'kg/m'],
+  '2:0:228': ['ACOND', 'Aerodynamic conductance', 'm/s'],
+  '2:0:229': ['EVCW', 'Canopy water evaporation', 'W/m^2'],
+  '2:0:230': ['TRANS', 'Transpiration', 'W/m^2'],
+  // Discipline 2, category 3: Soil products
+  '2:3:192': ['SOILL', 'Liquid Volumetric Soil Moisture (non Frozen)', 'Proportion'],
+  '2:3:193': ['RLYRS', 'Number of Soil Layers in Root Zone', '-'],
+  '2:3:194': ['SLTYP', 'Surface Slope Type', 'Index'],
+  '2:3:195': ['SMREF', 'Transpiration Stress-onset (soil moisture)', 'Proportion'],
+  '2:3:196': ['SMDRY', 'Direct Evaporation Cease (soil moisture)', 'Proportion'],
+  '2:3:197': ['POROS', 'Soil Porosity', 'Proportion'],
+  '2:3:198': ['EVBS', 'Direct evaporation from bare soil', 'W/m^2'],
+  '2:3:199': ['LSPA', 'Land Surface Precipitation Accumulation', 'kg/m^2'],
+  '2:3:200': ['BARET', 'Bare soil surface skin temperature', 'K'],
+  '2:3:201': ['AVSFT', 'Average surface skin temperature', 'K'],
+  '2:3:202': ['RADT', 'Effective radiative skin temperature', 'K'],
+  '2:3:203': ['FLDCP', 'Field Capacity', 'Fraction'],
+  // Discipline 3, category 1: Quantitative products
+  '3:1:192': ['USCT', 'Scatterometer Estimated U Wind', 'm/s'],
+  '3:1:193': ['VSCT', 'Scatterometer Estimated V Wind', 'm/s'],
+  // Discipline 10, category 0: Waves
+  '10:0:192': ['WSTP', 'Wave Steepness', 'proportion'],
+  // Discipline 10, category 1: Currents
+  '10:1:192': ['OMLU', 'Ocean Mixed Layer U Velocity', 'm/s'],
+  '10:1:193': ['OMLV', 'Ocean Mixed Layer V Velocity', 'm/s'],
+  '10:1:194': ['UBARO', 'Barotropic U velocity', 'm/s'],
+  '10:1:195': ['VBARO', 'Barotropic V velocity', 'm/s'],
+  // Discipline 10, category 3: Surface properties
+  '10:3:192': ['SURGE', 'Hurricane Storm Surge', 'm'],
+  '10:3:193': ['ETSRG', 'Extra Tropical Storm Surge', 'm'],
+  '10:3:194': ['ELEV', 'Ocean Surface Elevation Relative to Geoid', 'm'],
+  '10:3:195': ['SSHG', 'Sea Surface Height Relative to Geoid', 'm'],
+  '10:3:196': ['P2OMLT', 'Ocean Mixed Layer Potential Density (Reference 2000m)', 'kg/m^3'],
+  '10:3:197': ['AOHFLX', 'Net Air-Ocean Heat Flux', 'W/m^2'],
+  '10:3:198': ['ASHFL', 'Assimilative Heat Flux', 'W/m^2'],
+  '10:3:199': ['SSTT', 'Surface Temperature Trend', 'degree/day'],
+  '10:3:200': ['SSST', 'Surface Salinity Trend', 'psu/day'],
+  '10:3:201': ['KENG', 'Kinetic Energy', 'J/kg'],
+  '10:3:202': ['SLTFL', 'Salt Flux', 'kg/m^2/s'],
+  // Discipline 10, category 4: Sub-surface properties
+  '10:4:192': ['WTMPC', '3-D Temperature', 'deg C'],
+  '10:4:193': ['SALIN', '3-D Salinity', '-'],
+  '10:4:194': ['BKENG', 'Barotropic Kinetic Energy', 'J/kg'],
+  '10:4:195': ['DBSS', 'Geometric Depth Below Sea Surface', 'm'],
+  '10:4:196': ['INTFD', 'Interface Depths', 'm'],
+  '10:4:197': ['OHC', 'Ocean Heat Content', 'J/m^2']
+};
+
+/**
+ * ECMWF local entries (centre 98): parameters without a WMO equivalent are encoded
+ * in discipline 192, category 128, with the GRIB1 table 128 number
+ */
+const ECMWF_LOCAL_PARAMETERS = {
+  // Discipline 192, category 128: ECMWF local parameters (GRIB1 table 128 numbers)
+  '192:128:1': ['STRF', 'Stream function', 'm^2/s'],
+  '192:128:2': ['VPOT', 'Velocity potential', 'm^2/s'],
+  '192:128:3': ['PT', 'Potential temperature', 'K'],
+  '192:128:26': ['CL', 'Lake cover', '(0-1)'],
+  '192:128:27': ['CVL', 'Low vegetation cover', '(0-1)'],
+  '192:128:28': ['CVH', 'High vegetation cover', '(0-1)'],
+  '192:128:29': ['TVL', 'Type of low vegetation', '-'],
+  '192:128:30': ['TVH', 'Type of high vegetation', '-'],
+  '192:128:31': ['CI', 'Sea-ice cover', '(0-1)'],
+  '192:128:32': ['ASN', 'Snow albedo', '(0-1)'],
+  '192:128:33': ['RSN', 'Snow density', 'kg/m^3'],
+  '192:128:34': ['SSTK', 'Sea surface temperature', 'K'],
+  '192:128:35': ['ISTL1', 'Ice temperature layer 1', 'K'],
+  '192:128:39': ['SWVL1', 'Volumetric soil water layer 1', 'm^3/m^3'],
+  '192:128:40': ['SWVL2', 'Volumetric soil water layer 2', 'm^3/m^3'],
+  '192:128:41': ['SWVL3', 'Volumetric soil water layer 3', 'm^3/m^3'],
+  '192:128:42': ['SWVL4', 'Volumetric soil water layer 4', 'm^3/m^3'],
+  '192:128:43': ['SLT', 'Soil type', '-'],
+  '192:128:44': ['ES', 'Snow evaporation', 'm of water equivalent'],
+  '192:128:45': ['SMLT', 'Snowmelt', 'm of water equivalent'],
+  '192:128:49': ['10FG', '10 metre wind gust since previous post-processing', 'm/s'],
+  '192:128:59': ['CAPE', 'Convective available potential energy', 'J/kg'],
+  '192:128:60': ['PV', 'Potential vorticity', 'K m^2/kg/s'],
+  '192:128:78': ['TCLW', 'Total column cloud liquid water', 'kg/m^2'],
+  '192:128:79': ['TCIW', 'Total column cloud ice water', 'kg/m^2'],
+  '192:128:129': ['Z', 'Geopotential', 'm^2/s^2'],
+  '192:128:130': ['T', 'Temperature', 'K'],
+  '192:128:131': ['U', 'U component of wind', 'm/s'],
+  '192:128:132': ['V', 'V component of wind', 'm/s'],
+  '192:128:133': ['Q', 'Specific humidity', 'kg/kg'],
+  '192:128:134': ['SP', 'Surface pressure', 'Pa'],
+  '192:128:135': ['W', 'Vertical velocity', 'Pa/s'],
+  '192:128:136': ['TCW', 'Total column water', 'kg/m^2'],
+  '192:128:137': ['TCWV', 'Total column water vapour', 'kg/m^2'],
+  '192:128:138': ['VO', 'Vorticity (relative)', '1/s'],
+  '192:128:139': ['STL1', 'Soil temperature level 1', 'K'],
+  '192:128:141': ['SD', 'Snow depth', 'm of water equivalent'],
+  '192:128:142': ['LSP', 'Large-scale precipitation', 'm'],
+  '192:128:143': ['CP', 'Convective precipitation', 'm'],
+  '192:128:144': ['SF', 'Snowfall', 'm of water equivalent'],
+  '192:128:146': ['SSHF', 'Surface sensible heat flux', 'J/m^2'],
+  '192:128:147': ['SLHF', 'Surface latent heat flux', 'J/m^2'],
+  '192:128:151': ['MSL', 'Mean sea level pressure', 'Pa'],
+  '192:128:152': ['LNSP', 'Logarithm of surface pressure', '-'],
+  '192:128:155': ['D', 'Divergence', '1/s'],
+  '192:128:156': ['GH', 'Geopotential height', 'gpm'],
+  '192:128:157': ['R', 'Relative humidity', '%'],
+  '192:128:164': ['TCC', 'Total cloud cover', '(0-1)'],
+  '192:128:165': ['10U', '10 metre U wind component', 'm/s'],
+  '192:128:166': ['10V', '10 metre V wind component', 'm/s'],
+  '192:128:167': ['2T', '2 metre temperature', 'K'],
+  '192:128:168': ['2D', '2 metre dewpoint temperature', 'K'],
+  '192:128:169': ['SSRD', 'Surface solar radiation downwards', 'J/m^2'],
+  '192:128:170': ['STL2', 'Soil temperature level 2', 'K'],
+  '192:128:172': ['LSM', 'Land-sea mask', '(0-1)'],
+  '192:128:175': ['STRD', 'Surface thermal radiation downwards', 'J/m^2'],
+  '192:128:176': ['SSR', 'Surface net solar radiation', 'J/m^2'],
+  '192:128:177': ['STR', 'Surface net thermal radiation', 'J/m^2'],
+  '192:128:178': ['TSR', 'Top net solar radiation', 'J/m^2'],
+  '192:128:179': ['TTR', 'Top net thermal radiation', 'J/m^2'],
+  '192:128:180': ['EWSS', 'Eastward turbulent surface stress', 'N/m^2 s'],
+  '192:128:181': ['NSSS', 'Northward turbulent surface stress', 'N/m^2 s'],
+  '192:128:182': ['E', 'Evaporation', 'm of water equivalent'],
+  '192:128:183': ['STL3', 'Soil temperature level 3', 'K'],
+  '192:128:186': ['LCC', 'Low cloud cover', '(0-1)'],
+  '192:128:187': ['MCC', 'Medium cloud cover', '(0-1)'],
+  '192:128:188': ['HCC', 'High cloud cover', '(0-1)'],
+  '192:128:201': ['MX2T', 'Maximum temperature at 2 metres since previous post-processing', 'K'],
+  '192:128:202': ['MN2T', 'Minimum temperature at 2 metres since previous post-processing', 'K'],
+  '192:128:205': ['RO', 'Runoff', 'm'],
+  '192:128:206': ['TCO3', 'Total column ozone', 'kg/m^2'],
+  '192:128:228': ['TP', 'Total precipitation', 'm'],
+  '192:128:235': ['SKT', 'Skin temperature', 'K'],
+  '192:128:236': ['STL4', 'Soil temperature level 4', 'K'],
+  '192:128:238': ['TSN', 'Temperature of snow layer', 'K'],
+  '192:128:243': ['FAL', 'Forecast albedo', '(0-1)']
+};
+
+/**
+ * Built-in local tables, searched after the registered ones
+ */
+const BUILT_IN_PARAMETER_TABLES = [
+  { name: 'NCEP', centre: [7], subCentre: null, masterTableVersion: null, localTableVersion: null, parameters: NCEP_LOCAL_PARAMETERS },
+  { name: 'ECMWF', centre: [98], subCentre: null, masterTableVersion: null, localTableVersion: null, parameters: ECMWF_LOCAL_PARAMETERS }
+];
 
-      // Step 7: Apply final scaling to float values
-      const data = new Float32Array(numberOfPoints);
-      for (let i = 0; i < numberOfPoints; i++) {
-        data[i] = (R + ifld[i] * binaryScale) * decimalScale;
-      }
+/**
+ * Process-wide registry of GribReader.registerParameterTable(), most recently registered first
+ * Shared by every reader of the process; tables of a single reader go in options.parameterTables.
+ */
+const REGISTERED_PARAMETER_TABLES = [];
 
-      return data;
-    } catch (error) {
-      console.warn(`Error decoding complex packing (${numberOfPoints} points):`, error.message);
-      // Return array of zeros as fallback
-      return new Float32Array(numberOfPoints);
-    }
+/**
+ * Validate a user parameter table (object or JSON text) and convert it to the registry format:
+ * constraints become arrays of accepted values (null = any), entries become [abbreviation, name, unit]
+ */
+function normalizeParameterTable(table) {
+  if (typeof table === 'string') {
+    table = JSON.parse(table);
+  }
+  if (!table || typeof table !== 'object' || !table.parameters || typeof table.parameters !== 'object') {
+    throw new Error('Parameter table must be an object with a "parameters" object');
   }
 
-  /**
-   * Section 8: End Section
-   */
-  parseSection8() {
-    const endSignature = String.fromCharCode(
-      this.view.getUint8(this.offset),
-      this.view.getUint8(this.offset + 1),
-      this.view.getUint8(this.offset + 2),
-      this.view.getUint8(this.offset + 3)
-    );
-
-    if (endSignature !== '7777') {
-      throw new Error('Invalid end section');
+  const constraint = (value, field) => {
+    if (value === undefined || value === null) return null;
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(Number.isInteger)) {
+      throw new Error(`Parameter table "${field}" must be an integer or an array of integers`);
     }
+    return values;
+  };
 
-    this.offset += 4;
+  const parameters = {};
+  for (const [key, entry] of Object.entries(table.parameters)) {
+    if (!/^\d+:\d+:\d+$/.test(key)) {
+      throw new Error(`Invalid parameter key "${key}" (expected "discipline:category:number")`);
+    }
+    const [abbreviation, name, unit] = Array.isArray(entry) ? entry : [entry && entry.abbreviation, entry && entry.name, entry && entry.unit];
+    if (typeof abbreviation !== 'string' || abbreviation.length === 0) {
+      throw new Error(`Parameter ${key} has no abbreviation`);
+    }
+    parameters[key] = [abbreviation, name !== undefined ? String(name) : abbreviation, unit !== undefined && unit !== null ? String(unit) : null];
   }
 
-  /**
-   * Read n bits from the buffer at a bit offset
-   */
-  readBits(bitOffset, numberOfBits) {
-    const byteOffset = Math.floor(bitOffset / 8);
-    const bitShift = bitOffset % 8;
+  return {
+    name: table.name !== undefined ? String(table.name) : 'local',
+    centre: constraint(table.centre, 'centre'),
+    subCentre: constraint(table.subCentre, 'subCentre'),
+    masterTableVersion: constraint(table.masterTableVersion, 'masterTableVersion'),
+    localTableVersion: constraint(table.localTableVersion, 'localTableVersion'),
+    parameters: parameters
+  };
+}
 
-    // Check bounds
-    const lastByteNeeded = Math.floor((bitOffset + numberOfBits - 1) / 8);
-    if (lastByteNeeded >= this.buffer.byteLength) {
-      throw new Error(`Offset ${lastByteNeeded} is outside the bounds of the DataView (size: ${this.buffer.byteLength})`);
-    }
+/**
+ * Check the constraints of a normalized table against Section 1 (centre, sub-centre, table versions)
+ * Without Section 1, only tables without constraints apply
+ */
+function parameterTableMatches(table, section1) {
+  const checks = [
+    [table.centre, 'centreId'],
+    [table.subCentre, 'subCentreId'],
+    [table.masterTableVersion, 'masterTableVersion'],
+    [table.localTableVersion, 'localTableVersion']
+  ];
+  return checks.every(([accepted, field]) => accepted === null || (section1 ? accepted.includes(section1[field]) : false));
+}
 
-    let value = 0;
-    let bitsRead = 0;
+// ============================================================================
+// JPEG2000 codestream decoder (Data Representation Template 5.40)
+// Pure JavaScript implementation of ITU-T T.800 (ISO/IEC 15444-1) Part 1
+// ============================================================================
 
-    while (bitsRead < numberOfBits) {
-      const currentByteOffset = byteOffset + Math.floor((bitShift + bitsRead) / 8);
-      const currentBitShift = (bitShift + bitsRead) % 8;
+/**
+ * MQ decoder probability estimation table (ITU-T T.800 Table C.2)
+ * Each entry: [Qe, NMPS, NLPS, SWITCH]
+ */
+const MQ_STATES = [
+  [0x5601, 1, 1, 1], [0x3401, 2, 6, 0], [0x1801, 3, 9, 0], [0x0ac1, 4, 12, 0],
+  [0x0521, 5, 29, 0], [0x0221, 38, 33, 0], [0x5601, 7, 6, 1], [0x5401, 8, 14, 0],
+  [0x4801, 9, 14, 0], [0x3801, 10, 14, 0], [0x3001, 11, 17, 0], [0x2401, 12, 18, 0],
+  [0x1c01, 13, 20, 0], [0x1601, 29, 21, 0], [0x5601, 15, 14, 1], [0x5401, 16, 14, 0],
+  [0x5101, 17, 15, 0], [0x4801, 18, 16, 0], [0x3801, 19, 17, 0], [0x3401, 20, 18, 0],
+  [0x3001, 21, 19, 0], [0x2801, 22, 19, 0], [0x2401, 23, 20, 0], [0x2201, 24, 21, 0],
+  [0x1c01, 25, 22, 0], [0x1801, 26, 23, 0], [0x1601, 27, 24, 0], [0x1401, 28, 25, 0],
+  [0x1201, 29, 26, 0], [0x1101, 30, 27, 0], [0x0ac1, 31, 28, 0], [0x09c1, 32, 29, 0],
+  [0x08a1, 33, 30, 0], [0x0521, 34, 31, 0], [0x0441, 35, 32, 0], [0x02a1, 36, 33, 0],
+  [0x0221, 37, 34, 0], [0x0141, 38, 35, 0], [0x0111, 39, 36, 0], [0x0085, 40, 37, 0],
+  [0x0049, 41, 38, 0], [0x0025, 42, 39, 0], [0x0015, 43, 40, 0], [0x0009, 44, 41, 0],
+  [0x0005, 45, 42, 0], [0x0001, 45, 43, 0], [0x5601, 46, 46, 0]
+];
+
+// Code-block coding style flags (COD/COC SPcod)
+const J2K_BYPASS = 0x01;
+const J2K_RESET = 0x02;
+const J2K_TERMALL = 0x04;
+const J2K_CAUSAL = 0x08;
+const J2K_SEGSYM = 0x20;
+
+// Tier-1 context labels (ITU-T T.800 Annex D)
+const T1_CTX_SIGN = 9;
+const T1_CTX_MAG = 14;
+const T1_CTX_RUN = 17;
+const T1_CTX_UNIFORM = 18;
+
+// Tier-1 coefficient state flags
+const T1_SIG = 1;
+const T1_VISIT = 2;
+const T1_REFINE = 4;
+const T1_NEG = 8;
 
-      const byte = this.view.getUint8(currentByteOffset);
-      const bitsAvailable = 8 - currentBitShift;
-      const bitsToRead = Math.min(numberOfBits - bitsRead, bitsAvailable);
+/**
+ * Zero coding context lookup (ITU-T T.800 Table D.1)
+ * Indexed by ((orientation * 3 + h) * 3 + v) * 5 + d, orientation 0 = LL, 1 = HL, 2 = LH, 3 = HH
+ */
+const T1_ZERO_CONTEXTS = (() => {
+  const table = new Uint8Array(4 * 3 * 3 * 5);
+  for (let orientation = 0; orientation < 4; orientation++) {
+    for (let h = 0; h < 3; h++) {
+      for (let v = 0; v < 3; v++) {
+        for (let d = 0; d < 5; d++) {
+          let ctx;
+          if (orientation === 3) {
+            const hv = h + v;
+            if (d >= 3) ctx = 8;
+            else if (d === 2) ctx = hv >= 1 ? 7 : 6;
+            else if (d === 1) ctx = hv >= 2 ? 5 : (hv === 1 ? 4 : 3);
+            else ctx = hv >= 2 ? 2 : hv;
+          } else {
+            // HL subbands use the LL/LH table with horizontal and vertical swapped
+            const hh = orientation === 1 ? v : h;
+            const vv = orientation === 1 ? h : v;
+            if (hh === 2) ctx = 8;
+            else if (hh === 1) ctx = vv >= 1 ? 7 : (d >= 1 ? 6 : 5);
+            else if (vv === 2) ctx = 4;
+            else if (vv === 1) ctx = 3;
+            else ctx = d >= 2 ? 2 : d;
+          }
+          table[((orientation * 3 + h) * 3 + v) * 5 + d] = ctx;
+        }
+      }
+    }
+  }
+  return table;
+})();
 
-      const mask = (1 << bitsToRead) - 1;
-      const shift = bitsAvailable - bitsToRead;
+/**
+ * Sign coding context and XOR bit (ITU-T T.800 Table D.3), indexed by (h + 1) * 3 + (v + 1)
+ */
+const T1_SIGN_CONTEXTS = [
+  [13, 1], [12, 1], [11, 1],
+  [10, 1], [9, 0], [10, 0],
+  [11, 0], [12, 0], [13, 0]
+];
 
-      value = (value << bitsToRead) | ((byte >> shift) & mask);
-      bitsRead += bitsToRead;
-    }
+/**
+ * MQ arithmetic decoder (ITU-T T.800 Annex C)
+ * The data buffer must end with two 0xFF bytes so that reading past the
+ * codeword segment feeds 1-bits as required by the standard.
+ */
+class MqDecoder {
+  constructor(data) {
+    this.data = data;
+    this.bp = 0;
+    this.chigh = data[0];
+    this.clow = 0;
+    this.ct = 0;
+    this.byteIn();
+    this.chigh = ((this.chigh << 7) & 0xffff) | ((this.clow >> 9) & 0x7f);
+    this.clow = (this.clow << 7) & 0xffff;
+    this.ct -= 7;
+    this.a = 0x8000;
+  }
 
-    return value;
+  byteIn() {
+    const data = this.data;
+    if (data[this.bp] === 0xff) {
+      if (data[this.bp + 1] > 0x8f) {
+        this.clow += 0xff00;
+        this.ct = 8;
+      } else {
+        this.bp++;
+        this.clow += data[this.bp] << 9;
+        this.ct = 7;
+      }
+    } else {
+      this.bp++;
+      this.clow += data[this.bp] << 8;
+      this.ct = 8;
+    }
+    if (this.clow > 0xffff) {
+      this.chigh += this.clow >> 16;
+      this.clow &= 0xffff;
+    }
   }
 
   /**
-   * Read 64-bit unsigned integer (big-endian)
+   * Decode one decision with context cx
+   * @param {Uint8Array} contexts - Context states, (state index << 1) | MPS
    */
-  readUint64(offset) {
-    const high = this.view.getUint32(offset);
-    const low = this.view.getUint32(offset + 4);
-    return high * 0x100000000 + low;
+  decode(contexts, cx) {
+    let index = contexts[cx] >> 1;
+    let mps = contexts[cx] & 1;
+    const state = MQ_STATES[index];
+    const qe = state[0];
+    let d;
+
+    this.a -= qe;
+
+    if (this.chigh < qe) {
+      // LPS exchange
+      if (this.a < qe) {
+        this.a = qe;
+        d = mps;
+        index = state[1];
+      } else {
+        this.a = qe;
+        d = 1 ^ mps;
+        if (state[3] === 1) mps = d;
+        index = state[2];
+      }
+    } else {
+      this.chigh -= qe;
+      if ((this.a & 0x8000) !== 0) {
+        return mps;
+      }
+      // MPS exchange
+      if (this.a < qe) {
+        d = 1 ^ mps;
+        if (state[3] === 1) mps = d;
+        index = state[2];
+      } else {
+        d = mps;
+        index = state[1];
+      }
+    }
+
+    // Renormalization
+    do {
+      if (this.ct === 0) this.byteIn();
+      this.a <<= 1;
+      this.chigh = ((this.chigh << 1) & 0xffff) | ((this.clow >> 15) & 1);
+      this.clow = (this.clow << 1) & 0xffff;
+      this.ct--;
+    } while ((this.a & 0x8000) === 0);
+
+    contexts[cx] = (index << 1) | mps;
+    return d;
   }
+}
 
-  /**
-   * Get all messages
-   */
-  getMessages() {
-    return this.messages;
+/**
+ * Raw bit decoder for arithmetic coding bypass passes (ITU-T T.800 D.6)
+ */
+class RawBitDecoder {
+  constructor(data) {
+    this.data = data;
+    this.bp = 0;
+    this.c = 0;
+    this.ct = 0;
   }
 
-  /**
-   * Get a formatted summary of the GRIB file
-   */
-  getSummary() {
-    return this.messages.map((msg, index) => {
-      const s1 = msg.sections.section1;
-      const s3 = msg.sections.section3;
-      const s5 = msg.sections.section5;
+  decode() {
+    if (this.ct === 0) {
+      if (this.c === 0xff) {
+        if (this.data[this.bp] > 0x8f) {
+          this.ct = 8;
+        } else {
+          this.c = this.data[this.bp++];
+          this.ct = 7;
+        }
+      } else {
+        this.c = this.data[this.bp++];
+        this.ct = 8;
+      }
+    }
+    this.ct--;
+    return (this.c >> this.ct) & 1;
+  }
+}
 
-      return {
-        messageIndex: index,
-        date: `${s1.year}-${String(s1.month).padStart(2, '0')}-${String(s1.day).padStart(2, '0')} ${String(s1.hour).padStart(2, '0')}:${String(s1.minute).padStart(2, '0')}:${String(s1.second).padStart(2, '0')}`,
-        discipline: msg.discipline,
-        gridPoints: s3.numberOfDataPoints,
-        gridTemplate: s3.gridDefinitionTemplateNumber,
-        dataPoints: s5.numberOfDataPoints,
-        gridDimensions: s3.gridTemplate ? `${s3.gridTemplate.ni}x${s3.gridTemplate.nj}` : 'N/A'
-      };
-    });
+/**
+ * Bit reader for packet headers, with bit stuffing after 0xFF bytes (ITU-T T.800 B.10.1)
+ */
+class PacketHeaderReader {
+  constructor(data, position) {
+    this.data = data;
+    this.position = position;
+    this.byte = 0;
+    this.bitsLeft = 0;
   }
 
-  /**
-   * Get grid information (like wgrib2 -grid)
-   * Returns grid definition details in a structured JavaScript format
-   *
-   * @param {Number} messageIndex - Index of message to extract grid from (default: 0)
-   * @returns {Object} Grid information object with all grid parameters
-   *
-   * Example output:
-   * {
-   *   gridTemplate: 0,
-   *   gridType: 'lat-lon',
-   *   winds: 'grid relative',  // or 'earth relative'
-   *   dimensions: { ni: 86, nj: 47 },
-   *   totalPoints: 4042,
-   *   latitude: { first: 42.750000, last: 54.250000, increment: 0.250000 },
-   *   longitude: { first: 351.750000, last: 13.000000, increment: 0.250000 },
-   *   scanning: { mode: 0, inputOrder: 'WE:SN', outputOrder: 'WE:SN' },
-   *   resolution: 48,
-   *   units: '1e-06'
-   * }
-   */
-  getGrid(messageIndex = 0) {
-    if (this.messages.length === 0) {
-      throw new Error('No messages parsed. Call parse() first.');
+  readBit() {
+    if (this.bitsLeft === 0) {
+      if (this.position >= this.data.length) {
+        throw new Error('JPEG2000: packet header exceeds tile data');
+      }
+      const stuffed = this.byte === 0xff;
+      this.byte = this.data[this.position++];
+      this.bitsLeft = stuffed ? 7 : 8;
     }
+    this.bitsLeft--;
+    return (this.byte >> this.bitsLeft) & 1;
+  }
 
-    if (messageIndex >= this.messages.length) {
-      throw new Error(`Message index ${messageIndex} out of range (0-${this.messages.length - 1})`);
+  readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + this.readBit();
     }
+    return value;
+  }
 
-    const message = this.messages[messageIndex];
-    const section3 = message.sections.section3;
-
-    if (!section3) {
-      throw new Error('No grid definition section found');
+  /**
+   * Skip to the end of the packet header, including the stuffed byte after a final 0xFF
+   * @returns {Number} Position of the first byte after the header
+   */
+  align() {
+    if (this.byte === 0xff) {
+      this.position++;
     }
+    this.byte = 0;
+    this.bitsLeft = 0;
+    return this.position;
+  }
+}
 
-    const gridTemplate = section3.gridTemplate;
-    if (!gridTemplate) {
-      throw new Error('No grid template found');
+/**
+ * Tag tree used for code-block inclusion and zero bit-plane information (ITU-T T.800 B.10.2)
+ */
+class TagTree {
+  constructor(width, height) {
+    this.levels = [];
+    let w = width;
+    let h = height;
+    for (;;) {
+      this.levels.push({
+        width: w,
+        value: new Int32Array(w * h).fill(0x7fffffff),
+        low: new Int32Array(w * h)
+      });
+      if (w === 1 && h === 1) break;
+      w = (w + 1) >> 1;
+      h = (h + 1) >> 1;
     }
+  }
 
-    const gridTemplateNumber = section3.gridDefinitionTemplateNumber;
+  /**
+   * Decode the value of leaf (x, y) up to threshold
+   * @returns {Number} Leaf value if it is below threshold, otherwise a value >= threshold
+   */
+  decode(reader, x, y, threshold) {
+    let low = 0;
+    let value = 0;
 
-    // Determine wind convention (grid-relative vs earth-relative)
-    const resolutionFlags = gridTemplate.resolutionAndComponentFlags || 0;
-    const isGridRelative = (resolutionFlags & 0x08) !== 0;
-    const windConvention = isGridRelative ? 'grid relative' : 'earth relative';
+    for (let l = this.levels.length - 1; l >= 0; l--) {
+      const level = this.levels[l];
+      const k = (y >> l) * level.width + (x >> l);
 
-    // Determine scanning order
-    const scanningMode = gridTemplate.scanningMode || 0;
-    const iScansPositively = (scanningMode & 0x80) === 0; // 0 = W to E, 1 = E to W
-    const jScansPositively = (scanningMode & 0x40) !== 0; // 0 = N to S, 1 = S to N
+      if (low > level.low[k]) {
+        level.low[k] = low;
+      } else {
+        low = level.low[k];
+      }
 
-    const iDirection = iScansPositively ? 'WE' : 'EW';
-    const jDirection = jScansPositively ? 'SN' : 'NS';
-    const scanOrder = `${iDirection}:${jDirection}`;
+      while (low < threshold && low < level.value[k]) {
+        if (reader.readBit()) {
+          level.value[k] = low;
+        } else {
+          low++;
+        }
+      }
 
-    // Get grid type name
-    let gridType = 'unknown';
-    if (gridTemplateNumber === 0) {
-      gridType = 'lat-lon grid';
-    } else if (gridTemplateNumber === 30) {
-      gridType = 'Lambert Conformal';
-    } else if (gridTemplateNumber === 20) {
-      gridType = 'Polar Stereographic';
+      level.low[k] = low;
+      value = level.value[k];
     }
 
-    // Build result object
-    const gridInfo = {
-      gridTemplate: gridTemplateNumber,
-      gridType: gridType,
-      winds: windConvention,
-      dimensions: {
-        ni: gridTemplate.ni,
-        nj: gridTemplate.nj
-      },
-      totalPoints: section3.numberOfDataPoints,
-      latitude: {
-        first: gridTemplate.latitudeOfFirstGridPoint,
-        last: gridTemplate.latitudeOfLastGridPoint,
-        increment: gridTemplate.jDirectionIncrement
-      },
-      longitude: {
-        first: gridTemplate.longitudeOfFirstGridPoint,
-        last: gridTemplate.longitudeOfLastGridPoint,
-        increment: gridTemplate.iDirectionIncrement
-      },
-      scanning: {
-        mode: scanningMode,
-        inputOrder: scanOrder,
-        outputOrder: scanOrder  // WGrib2JS preserves input order
-      },
-      resolution: resolutionFlags,
-      units: '1e-06'  // GRIB2 standard scaling for lat/lon
-    };
-
-    return gridInfo;
+    return value;
   }
+}
 
+/**
+ * JPEG2000 codestream decoder
+ * Supports all Part 1 progression orders, multiple tiles, layers and precincts,
+ * reversible 5/3 and irreversible 9/7 wavelets, all code-block coding styles and
+ * component transforms. POC, PPM/PPT and ROI markers are not supported.
+ */
+class Jpeg2000Decoder {
   /**
-   * Get short inventory (like wgrib2 -s)
-   * Returns a formatted inventory list of all messages in the GRIB file
-   *
-   * @returns {Array<Object>} Array of inventory entries with:
-   *   - messageNumber: Message index (1-based like wgrib2)
-   *   - offset: Byte offset in file
-   *   - date: Reference date (format: YYYYMMDDHH)
-   *   - parameter: Parameter name (e.g., 'UGRD', 'VGRD')
-   *   - level: Level description (e.g., '10 m above ground')
-   *   - forecastTime: Forecast time description (e.g., '33 hour fcst')
-   *   - inventoryLine: Full wgrib2-compatible inventory line
+   * Decode a raw JPEG2000 codestream (starting with the SOC marker)
    *
-   * Example output:
-   * [
-   *   {
-   *     messageNumber: 1,
-   *     offset: 0,
-   *     date: '2025101312',
-   *     parameter: 'UGRD',
-   *     level: '10 m above ground',
-   *     forecastTime: '33 hour fcst',
-   *     inventoryLine: '1:0:d=2025101312:UGRD:10 m above ground:33 hour fcst:'
-   *   },
-   *   ...
-   * ]
+   * @param {Uint8Array} data - Codestream bytes
+   * @returns {Object} { width, height, components: [{ precision, signed, data: Float64Array }] }
    */
-  getInventory() {
-    if (this.messages.length === 0) {
-      throw new Error('No messages parsed. Call parse() first.');
-    }
-
-    const inventory = [];
-    let currentOffset = 0;
-
-    this.messages.forEach((message, index) => {
-      const s1 = message.sections.section1;
-      const s4 = message.sections.section4;
+  decode(data) {
+    this.data = data;
 
-      // Format date as YYYYMMDDHH
-      const dateStr = `${s1.year}${String(s1.month).padStart(2, '0')}${String(s1.day).padStart(2, '0')}${String(s1.hour).padStart(2, '0')}`;
+    if (data.length < 2 || data[0] !== 0xff || data[1] !== 0x4f) {
+      throw new Error('JPEG2000: SOC marker not found');
+    }
 
-      // Extract parameter information from Section 4
-      let parameter = 'unknown';
-      let level = 'unknown';
-      let forecastTime = 'unknown';
+    const main = { coc: [], qcc: [] };
+    const tiles = [];
+    let siz = null;
+    let position = 2;
 
-      if (s4 && s4.templateData) {
-        // Get parameter category and number (bytes 0-1 of template)
-        const category = s4.templateData[0];
-        const number = s4.templateData[1];
-        parameter = this.getParameterName(category, number).toUpperCase();
+    while (position + 2 <= data.length) {
+      const marker = this.readUint16(position);
+      position += 2;
 
-        // For Product Definition Template 4.0 (Analysis/Forecast at horizontal level)
-        // Based on GRIB2 specification (WMO Manual 306), template bytes are:
-        // Octet 17 (byte 8): Indicator of unit of time range
-        // Octets 18-21 (bytes 9-12): Forecast time (4 bytes, big-endian)
-        // Octet 22 (byte 13): Type of first fixed surface
-        // Octet 23 (byte 14): Scale factor of first fixed surface
-        // Octets 24-27 (bytes 15-18): Scaled value of first fixed surface (4 bytes)
+      if (marker === 0xffd9) {
+        break; // EOC
+      }
 
-        // Get forecast time (4 bytes starting at offset 9)
-        if (s4.templateData.length >= 13) {
-          const timeUnit = s4.templateData[8]; // Unit indicator
-          // Forecast time is 4 bytes (big-endian unsigned int)
-          const forecastTimeValue = (s4.templateData[9] << 24) | (s4.templateData[10] << 16) |
-                                    (s4.templateData[11] << 8) | s4.templateData[12];
+      const length = this.readUint16(position);
 
-          // Interpret time unit (based on Code Table 4.4)
-          const timeUnitStr = this.getTimeUnitDescription(timeUnit);
-          forecastTime = `${forecastTimeValue} ${timeUnitStr} fcst`;
+      if (marker === 0xff51) {
+        siz = this.parseSiz(position);
+      } else if (marker === 0xff90) {
+        // SOT: start of tile-part
+        if (!siz) {
+          throw new Error('JPEG2000: SOT marker before SIZ');
         }
+        const tileIndex = this.readUint16(position + 2);
+        const tilePartLength = this.readUint32(position + 4);
+        const tilePartStart = position - 2;
+        const tilePartEnd = tilePartLength === 0 ? data.length : tilePartStart + tilePartLength;
 
-        // Get level information (starting at offset 13)
-        if (s4.templateData.length >= 19) {
-          const levelType = s4.templateData[13]; // Type of first fixed surface
-          const scaleFactor = s4.templateData[14]; // Scale factor
-          const scaledValue = (s4.templateData[15] << 24) | (s4.templateData[16] << 16) |
-                              (s4.templateData[17] << 8) | s4.templateData[18];
-
-          // Apply scale factor (can be negative for mb levels)
-          const levelValue = scaledValue / Math.pow(10, scaleFactor);
-
-          // Interpret level type (based on Code Table 4.5)
-          level = this.getLevelDescription(levelType, levelValue);
+        if (!tiles[tileIndex]) {
+          tiles[tileIndex] = { index: tileIndex, coc: [], qcc: [], chunks: [] };
+        }
+        const tile = tiles[tileIndex];
+
+        position += length;
+        // Tile-part header markers until SOD
+        while (position + 2 <= tilePartEnd) {
+          const tileMarker = this.readUint16(position);
+          position += 2;
+          if (tileMarker === 0xff93) {
+            break; // SOD
+          }
+          const tileMarkerLength = this.readUint16(position);
+          this.parseCodingMarker(tileMarker, position, tile, siz);
+          position += tileMarkerLength;
         }
+
+        tile.chunks.push(data.subarray(position, Math.min(tilePartEnd, data.length)));
+        position = tilePartEnd;
+        continue;
+      } else {
+        this.parseCodingMarker(marker, position, main, siz);
       }
 
-      // Build inventory line (wgrib2 format)
-      const inventoryLine = `${index + 1}:${currentOffset}:d=${dateStr}:${parameter}:${level}:${forecastTime}:`;
+      position += length;
+    }
 
-      inventory.push({
-        messageNumber: index + 1,
-        offset: currentOffset,
-        date: dateStr,
-        parameter: parameter,
-        level: level,
-        forecastTime: forecastTime,
-        inventoryLine: inventoryLine
-      });
+    if (!siz || !main.cod || !main.qcd) {
+      throw new Error('JPEG2000: missing SIZ, COD or QCD marker');
+    }
 
-      // Update offset for next message
-      currentOffset += message.totalLength;
+    const components = siz.components.map(component => {
+      const width = Math.ceil(siz.xSize / component.xR) - Math.ceil(siz.xOffset / component.xR);
+      const height = Math.ceil(siz.ySize / component.yR) - Math.ceil(siz.yOffset / component.yR);
+      return {
+        precision: component.precision,
+        signed: component.signed,
+        width,
+        height,
+        data: new Float64Array(width * height)
+      };
     });
 
-    return inventory;
+    tiles.forEach(tile => {
+      if (tile) this.decodeTile(tile, main, siz, components);
+    });
+
+    return {
+      width: siz.xSize - siz.xOffset,
+      height: siz.ySize - siz.yOffset,
+      components
+    };
+  }
+
+  readUint16(position) {
+    return (this.data[position] << 8) | this.data[position + 1];
+  }
+
+  readUint32(position) {
+    return ((this.data[position] << 24) | (this.data[position + 1] << 16) |
+            (this.data[position + 2] << 8) | this.data[position + 3]) >>> 0;
   }
 
   /**
-   * Get level description from level type and value
-   * Based on GRIB2 Code Table 4.5
+   * SIZ: image and tile size (position points at Lsiz)
    */
-  getLevelDescription(levelType, levelValue) {
-    // Helper to format float values (remove trailing zeros after decimal point only)
-    const formatValue = (val) => {
-      const rounded = Math.round(val * 1e10) / 1e10; // Round to avoid float precision issues
-      const str = rounded.toString();
-      // Only remove trailing zeros after a decimal point
-      if (str.includes('.')) {
-        return str.replace(/\.?0+$/, '');
-      }
-      return str;
+  parseSiz(position) {
+    const siz = {
+      xSize: this.readUint32(position + 4),
+      ySize: this.readUint32(position + 8),
+      xOffset: this.readUint32(position + 12),
+      yOffset: this.readUint32(position + 16),
+      xTileSize: this.readUint32(position + 20),
+      yTileSize: this.readUint32(position + 24),
+      xTileOffset: this.readUint32(position + 28),
+      yTileOffset: this.readUint32(position + 32),
+      components: []
     };
 
-    switch (levelType) {
-      case 1:
-        return 'surface';
-      case 2:
-        return 'cloud base';
-      case 3:
-        return 'cloud top';
-      case 4:
-        return '0 deg isotherm';
-      case 6:
-        return 'max wind';
-      case 7:
-        return 'tropopause';
-      case 8:
-        return 'top of atmosphere';
-      case 100:
-        // Isobaric level in Pascals - convert to millibars
-        // 1 mb = 100 Pa, so Pa * 0.01 = mb
-        return `${formatValue(levelValue * 0.01)} mb`;
-      case 101:
-        return 'mean sea level';
-      case 102:
-        return `${formatValue(levelValue)} m above mean sea level`;
-      case 103:
-        return `${formatValue(levelValue)} m above ground`;
-      case 104:
-        return `${formatValue(levelValue)} sigma level`;
-      case 105:
-        return `${formatValue(levelValue)} hybrid level`;
-      case 106:
-        return `${formatValue(levelValue)} m below land surface`;
-      case 107:
-        return `${formatValue(levelValue)} K isentropic`;
-      case 108:
-        // Layer between two levels at specified height (in hPa) above ground
-        // wgrib2 format: "30-0 mb above ground" for 3000 Pa
-        // The value is in hPa (or mb), and wgrib2 shows it as "upper-0 mb above ground"
-        return `${Math.round(levelValue / 100)}-0 mb above ground`;
-      case 109:
-        return `PV=${formatValue(levelValue)} PVU`;
-      case 200:
-        return 'entire atmosphere';
-      case 201:
-        return 'entire ocean';
-      case 220:
-        return 'planetary boundary layer';
-      case 221:
-        return 'layer between two isobaric surfaces';
-      case 222:
-        return 'layer between two levels at specified height above MSL';
-      default:
-        return `level ${levelType} = ${formatValue(levelValue)}`;
+    const numberOfComponents = this.readUint16(position + 36);
+    for (let c = 0; c < numberOfComponents; c++) {
+      const ssiz = this.data[position + 38 + c * 3];
+      siz.components.push({
+        precision: (ssiz & 0x7f) + 1,
+        signed: (ssiz & 0x80) !== 0,
+        xR: this.data[position + 39 + c * 3],
+        yR: this.data[position + 40 + c * 3]
+      });
     }
+
+    siz.numberOfXTiles = Math.ceil((siz.xSize - siz.xTileOffset) / siz.xTileSize);
+    siz.numberOfYTiles = Math.ceil((siz.ySize - siz.yTileOffset) / siz.yTileSize);
+    return siz;
   }
 
   /**
-   * Get time unit description
-   * Based on GRIB2 Code Table 4.4
+   * Parse COD, COC, QCD, QCC and other main or tile-part header markers into target
+   * (position points at the marker segment length)
    */
-  getTimeUnitDescription(timeUnit) {
-    switch (timeUnit) {
-      case 0:
-        return 'minute';
-      case 1:
-        return 'hour';
-      case 2:
-        return 'day';
-      case 3:
-        return 'month';
-      case 4:
-        return 'year';
-      case 5:
-        return 'decade';
-      case 6:
-        return 'normal (30 years)';
-      case 7:
-        return 'century';
-      case 10:
-        return '3 hour';
-      case 11:
-        return '6 hour';
-      case 12:
-        return '12 hour';
-      case 13:
-        return 'second';
+  parseCodingMarker(marker, position, target, siz) {
+    const length = this.readUint16(position);
+    const componentIndexSize = siz && siz.components.length > 256 ? 2 : 1;
+
+    switch (marker) {
+      case 0xff52: { // COD
+        const scod = this.data[position + 2];
+        target.cod = {
+          precinctsDefined: (scod & 0x01) !== 0,
+          sopMarkers: (scod & 0x02) !== 0,
+          ephMarkers: (scod & 0x04) !== 0,
+          progressionOrder: this.data[position + 3],
+          numberOfLayers: this.readUint16(position + 4),
+          multipleComponentTransform: this.data[position + 6],
+          ...this.parseCodingStyle(position + 7, position + length, (scod & 0x01) !== 0)
+        };
+        break;
+      }
+      case 0xff53: { // COC
+        const c = componentIndexSize === 2 ? this.readUint16(position + 2) : this.data[position + 2];
+        const scoc = this.data[position + 2 + componentIndexSize];
+        target.coc[c] = this.parseCodingStyle(position + 3 + componentIndexSize, position + length, (scoc & 0x01) !== 0);
+        break;
+      }
+      case 0xff5c: // QCD
+        target.qcd = this.parseQuantization(position + 2, position + length);
+        break;
+      case 0xff5d: { // QCC
+        const c = componentIndexSize === 2 ? this.readUint16(position + 2) : this.data[position + 2];
+        target.qcc[c] = this.parseQuantization(position + 2 + componentIndexSize, position + length);
+        break;
+      }
+      case 0xff5e: // RGN
+        throw new Error('JPEG2000: region of interest (RGN) is not supported');
+      case 0xff5f: // POC
+        throw new Error('JPEG2000: progression order change (POC) is not supported');
+      case 0xff60: // PPM
+      case 0xff61: // PPT
+        throw new Error('JPEG2000: packed packet headers (PPM/PPT) are not supported');
       default:
-        return `unit ${timeUnit}`;
+        // TLM, PLM, PLT, CRG, COM: informational only
+        break;
     }
   }
 
   /**
-   * Get parameter name from category and number
+   * SPcod / SPcoc coding style parameters
    */
-  getParameterName(category, number) {
-    // Discipline 0 = Meteorological products
-    // Category 2 = Momentum
-    if (category === 2) {
-      if (number === 2) return 'ugrd'; // U-component of wind
-      if (number === 3) return 'vgrd'; // V-component of wind
-      if (number === 1) return 'vwnd'; // V-component of wind (alternative)
-      if (number === 0) return 'uwnd'; // U-component of wind (alternative)
-    }
-    // Category 0 = Temperature
-    if (category === 0) {
-      if (number === 0) return 'temp'; // Temperature
-    }
-    // Category 1 = Moisture
-    if (category === 1) {
-      if (number === 0) return 'spfh'; // Specific humidity
-      if (number === 1) return 'rh';   // Relative humidity
-    }
-    // Category 3 = Mass
-    if (category === 3) {
-      if (number === 0) return 'pres'; // Pressure
-      if (number === 1) return 'pmsl'; // Pressure reduced to MSL
+  parseCodingStyle(position, end, precinctsDefined) {
+    const decompositionLevels = this.data[position];
+    const style = {
+      decompositionLevels,
+      xcb: (this.data[position + 1] & 0x0f) + 2,
+      ycb: (this.data[position + 2] & 0x0f) + 2,
+      codeBlockStyle: this.data[position + 3],
+      reversible: this.data[position + 4] === 1,
+      precinctSizes: []
+    };
+
+    for (let r = 0; r <= decompositionLevels; r++) {
+      if (precinctsDefined && position + 5 + r < end) {
+        const pp = this.data[position + 5 + r];
+        style.precinctSizes.push({ ppx: pp & 0x0f, ppy: pp >> 4 });
+      } else {
+        style.precinctSizes.push({ ppx: 15, ppy: 15 });
+      }
     }
 
-    return `param_${category}_${number}`;
+    return style;
   }
 
   /**
-   * Extract data in a structured format with easy access properties
-   *
-   * @param {Object} options - Options for data extraction
-   * @param {Number} options.messageIndex - Index of message to use for grid (default: 0)
-   * @param {String} options.match - Pattern matching like wgrib2 -match (regex applied to inventory line). Example: ":UGRD:", ":UGRD:10 m above ground:", ":.*:24 hour fcst:"
-   * @param {Boolean} options.multiLevel - If true, returns arrays of parameters for each level (default: false)
-   * @param {Boolean} options.firstParameterOnly - If true (default), keeps only first occurrence of each parameter (like wgrib2 -match)
-   * @param {Array<String>} options.parameters - Filter by parameter names (e.g., ['ugrd', 'vgrd']). If specified, only these parameters are extracted
-   * @param {Number} options.levelType - Filter by level type code (e.g., 103 for "m above ground", 100 for isobaric)
-   * @param {Number} options.levelValue - Filter by level value (e.g., 10 for "10 m above ground")
-   * @param {Boolean} options.asObjects - If true, returns array of objects with all properties per point (default: false)
-   * @param {String} options.longitudeFormat - Longitude normalization format:
-   *   - 'preserve' : Keep values exactly as calculated from GRIB (default, e.g., 351.75° → 373°)
-   *   - '0-360' : Normalize to [0, 360) range (e.g., 351.75° → 359.75° → 0° → 13°)
-   *   - '-180-180' : Normalize to [-180, +180] range like wgrib2 (e.g., 351.75° → -8.25° → 13°)
-   * @param {Boolean} options.calculateWindSpeed - If true, automatically calculate wind_speed from UGRD and VGRD (like wgrib2 -wind_speed)
-   * @param {Boolean} options.calculateWindDirection - If true, automatically calculate wind_dir from UGRD and VGRD (like wgrib2 -wind_dir)
-   * @param {Boolean} options.earthRelativeWinds - If true, convert grid-relative winds to earth-relative (like wgrib2 -wind_uv) (default: auto-detect)
-   *
-   * @returns {Object|Array} Returns data in one of two formats:
-   *
-   * 1. Default format (asObjects: false) - Separate arrays for each property:
-   *    {
-   *      lat: Float32Array,      // Latitude for each point (degrees)
-   *      lng: Float32Array,      // Longitude for each point (degrees)
-   *      ugrd: Float32Array,     // U-component of wind (m/s)
-   *      vgrd: Float32Array,     // V-component of wind (m/s)
-   *      metadata: Object,       // File metadata and grid info
-   *      numPoints: Number       // Total number of grid points
-   *    }
-   *
-   * 2. Object format (asObjects: true) - Array of objects, one per grid point:
-   *    [
-   *      {
-   *        lat: 42.750,          // Latitude (degrees)
-   *        lng: 351.750,         // Longitude (degrees)
-   *        ugrd: -0.492454,      // U-component of wind (m/s)
-   *        vgrd: 0.789840,       // V-component of wind (m/s)
-   *        // ... autres paramètres météorologiques disponibles
-   *      },
-   *      {
-   *        lat: 42.750,
-   *        lng: 352.000,
-   *        ugrd: -0.532454,
-   *        vgrd: -0.220161,
-   *      },
-   *      // ... un objet par point de grille (4042 objets pour meteo.grib)
-   *    ]
-   *
-   * Note: Le format objet (asObjects: true) est plus pratique pour l'itération et l'accès
-   * aux données, mais utilise plus de mémoire. Le format par défaut (tableaux séparés)
-   * est plus efficace pour de grandes quantités de données.
+   * SQcd / SQcc quantization parameters
    */
-  getData(options = {}) {
-    if (this.messages.length === 0) {
-      throw new Error('No messages parsed. Call parse() first.');
+  parseQuantization(position, end) {
+    const sqcd = this.data[position];
+    const quantization = {
+      style: sqcd & 0x1f,
+      guardBits: sqcd >> 5,
+      steps: []
+    };
+
+    if (quantization.style === 0) {
+      // No quantization: one exponent per subband
+      for (let p = position + 1; p < end; p++) {
+        quantization.steps.push({ epsilon: this.data[p] >> 3, mu: 0 });
+      }
+    } else {
+      // Scalar derived (one value) or scalar expounded (one value per subband)
+      for (let p = position + 1; p + 1 < end; p += 2) {
+        const value = this.readUint16(p);
+        quantization.steps.push({ epsilon: value >> 11, mu: value & 0x7ff });
+      }
     }
 
-    const messageIndex = options.messageIndex || 0;
-    const multiLevel = options.multiLevel || false;
-    const firstParameterOnly = options.firstParameterOnly !== false; // default: true
-    const filterParameters = options.parameters || null; // array of parameter names to extract
-    const filterLevelType = options.levelType !== undefined ? options.levelType : null;
-    const filterLevelValue = options.levelValue !== undefined ? options.levelValue : null;
-    const matchPattern = options.match || null; // regex pattern like wgrib2 -match
+    return quantization;
+  }
 
-    // If match pattern is provided, filter messages by inventory line
-    let messageIndicesToProcess = null;
-    if (matchPattern) {
-      try {
-        const regex = new RegExp(matchPattern);
-        const inventory = this.getInventory();
+  /**
+   * Decode one tile and write its samples into the output components
+   */
+  decodeTile(tile, main, siz, components) {
+    const cod = tile.cod || main.cod;
+    const p = tile.index % siz.numberOfXTiles;
+    const q = Math.floor(tile.index / siz.numberOfXTiles);
+
+    const tx0 = Math.max(siz.xTileOffset + p * siz.xTileSize, siz.xOffset);
+    const tx1 = Math.min(siz.xTileOffset + (p + 1) * siz.xTileSize, siz.xSize);
+    const ty0 = Math.max(siz.yTileOffset + q * siz.yTileSize, siz.yOffset);
+    const ty1 = Math.min(siz.yTileOffset + (q + 1) * siz.yTileSize, siz.ySize);
+
+    // Tile-part COC > tile-part COD > main COC > main COD (same for QCC/QCD)
+    const tileComponents = siz.components.map((component, c) => {
+      const style = tile.coc[c] || tile.cod || main.coc[c] || main.cod;
+      const quantization = tile.qcc[c] || tile.qcd || main.qcc[c] || main.qcd;
+      return this.buildTileComponent(
+        {
+          x0: Math.ceil(tx0 / component.xR),
+          x1: Math.ceil(tx1 / component.xR),
+          y0: Math.ceil(ty0 / component.yR),
+          y1: Math.ceil(ty1 / component.yR)
+        },
+        style,
+        quantization,
+        component
+      );
+    });
 
-        // Filter messages that match the pattern
-        const matchedIndices = inventory
-          .filter(entry => regex.test(entry.inventoryLine))
-          .map(entry => entry.messageNumber - 1); // Convert to 0-based index
+    let tileData = tile.chunks[0] || new Uint8Array(0);
+    if (tile.chunks.length > 1) {
+      const totalLength = tile.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+      tileData = new Uint8Array(totalLength);
+      let offset = 0;
+      tile.chunks.forEach(chunk => {
+        tileData.set(chunk, offset);
+        offset += chunk.length;
+      });
+    }
 
-        if (matchedIndices.length === 0) {
-          throw new Error(`No messages match pattern: ${matchPattern}`);
-        }
+    // Tier-2: packets in progression order
+    const packets = this.getPacketOrder(cod, tileComponents, siz, tx0, ty0);
+    let position = 0;
+    for (let i = 0; i < packets.length && position < tileData.length; i++) {
+      const packet = packets[i];
+      const tc = tileComponents[packet.component];
+      position = this.parsePacket(
+        tileData,
+        position,
+        cod,
+        tc,
+        tc.resolutions[packet.resolution].precincts[packet.precinct],
+        packet.layer
+      );
+    }
 
-        messageIndicesToProcess = matchedIndices;
-      } catch (error) {
-        if (error.message.startsWith('No messages match')) {
-          throw error;
+    // Tier-1, dequantization and inverse wavelet transform
+    const samples = tileComponents.map(tc => this.reconstructTileComponent(tc));
+
+    // Inverse multiple component transformation
+    if (cod.multipleComponentTransform === 1 && samples.length >= 3) {
+      const [y0, y1, y2] = samples;
+      if (tileComponents[0].style.reversible) {
+        for (let i = 0; i < y0.length; i++) {
+          const g = y0[i] - Math.floor((y2[i] + y1[i]) / 4);
+          y0[i] = y2[i] + g;
+          y2[i] = y1[i] + g;
+          y1[i] = g;
+        }
+      } else {
+        for (let i = 0; i < y0.length; i++) {
+          const y = y0[i];
+          const cb = y1[i];
+          const cr = y2[i];
+          y0[i] = y + 1.402 * cr;
+          y1[i] = y - 0.34413 * cb - 0.71414 * cr;
+          y2[i] = y + 1.772 * cb;
         }
-        throw new Error(`Invalid match pattern: ${matchPattern} - ${error.message}`);
       }
     }
 
-    // Get grid information from specified message
-    const firstMessage = this.messages[messageIndex];
-    const grid = firstMessage.sections.section3?.gridTemplate;
+    // DC level shift, rounding and clipping into the output image
+    tileComponents.forEach((tc, c) => {
+      const output = components[c];
+      const component = siz.components[c];
+      const shift = component.signed ? 0 : Math.pow(2, component.precision - 1);
+      const min = component.signed ? -Math.pow(2, component.precision - 1) : 0;
+      const max = component.signed ? Math.pow(2, component.precision - 1) - 1 : Math.pow(2, component.precision) - 1;
+      const width = tc.x1 - tc.x0;
+      const xStart = tc.x0 - Math.ceil(siz.xOffset / component.xR);
+      const yStart = tc.y0 - Math.ceil(siz.yOffset / component.yR);
+      const source = samples[c];
+
+      for (let y = 0; y < tc.y1 - tc.y0; y++) {
+        for (let x = 0; x < width; x++) {
+          let value = Math.round(source[y * width + x] + shift);
+          if (value < min) value = min;
+          if (value > max) value = max;
+          output.data[(yStart + y) * output.width + xStart + x] = value;
+        }
+      }
+    });
+  }
 
-    if (!grid) {
-      throw new Error('No grid template found in GRIB file');
-    }
+  /**
+   * Build resolutions, subbands, precincts and code-blocks of a tile-component
+   */
+  buildTileComponent(rect, style, quantization, component) {
+    const levels = style.decompositionLevels;
+    const tc = { ...rect, style, quantization, resolutions: [] };
+
+    for (let r = 0; r <= levels; r++) {
+      const scale = Math.pow(2, levels - r);
+      const { ppx, ppy } = style.precinctSizes[r];
+      const resolution = {
+        x0: Math.ceil(rect.x0 / scale),
+        x1: Math.ceil(rect.x1 / scale),
+        y0: Math.ceil(rect.y0 / scale),
+        y1: Math.ceil(rect.y1 / scale),
+        ppx,
+        ppy,
+        bands: [],
+        precincts: []
+      };
 
-    const ni = grid.ni;
-    const nj = grid.nj;
-    const numPoints = ni * nj;
+      const precinctWidth = Math.pow(2, ppx);
+      const precinctHeight = Math.pow(2, ppy);
+      resolution.precinctX0 = Math.floor(resolution.x0 / precinctWidth);
+      resolution.precinctY0 = Math.floor(resolution.y0 / precinctHeight);
+      resolution.numberOfPrecinctsWide = resolution.x1 > resolution.x0
+        ? Math.ceil(resolution.x1 / precinctWidth) - resolution.precinctX0 : 0;
+      resolution.numberOfPrecinctsHigh = resolution.y1 > resolution.y0
+        ? Math.ceil(resolution.y1 / precinctHeight) - resolution.precinctY0 : 0;
+
+      const numberOfPrecincts = resolution.numberOfPrecinctsWide * resolution.numberOfPrecinctsHigh;
+      for (let i = 0; i < numberOfPrecincts; i++) {
+        resolution.precincts.push({ bands: [] });
+      }
 
-    // Generate latitude and longitude arrays based on scanning mode
-    const lat = new Float32Array(numPoints);
-    const lng = new Float32Array(numPoints);
+      // Subbands: LL at resolution 0, then HL, LH, HH (orientation 1, 2, 3)
+      const orientations = r === 0 ? [0] : [1, 2, 3];
+      const nb = r === 0 ? levels : levels - r + 1;
+
+      orientations.forEach((orientation, bandIndex) => {
+        const xo = orientation & 1;
+        const yo = orientation >> 1;
+        const bandScale = Math.pow(2, nb);
+        const offset = nb > 0 ? Math.pow(2, nb - 1) : 0;
+        const band = {
+          orientation,
+          x0: Math.ceil((rect.x0 - offset * xo) / bandScale),
+          x1: Math.ceil((rect.x1 - offset * xo) / bandScale),
+          y0: Math.ceil((rect.y0 - offset * yo) / bandScale),
+          y1: Math.ceil((rect.y1 - offset * yo) / bandScale),
+          codeBlocks: []
+        };
+        band.width = Math.max(band.x1 - band.x0, 0);
+        band.height = Math.max(band.y1 - band.y0, 0);
+
+        // Quantization step size and number of magnitude bit-planes (ITU-T T.800 E.1)
+        const step = quantization.style === 1
+          ? {
+            epsilon: quantization.steps[0].epsilon - levels + nb,
+            mu: quantization.steps[0].mu
+          }
+          : quantization.steps[r === 0 ? 0 : 3 * (r - 1) + bandIndex + 1];
+        const gain = orientation === 0 ? 0 : (orientation === 3 ? 2 : 1);
+        band.magnitudeBits = quantization.guardBits + step.epsilon - 1;
+        band.stepSize = Math.pow(2, component.precision + gain - step.epsilon) * (1 + step.mu / 2048);
+
+        resolution.bands.push(band);
+        resolution.precincts.forEach(precinct => precinct.bands.push({ codeBlocks: [] }));
+
+        if (band.width === 0 || band.height === 0) return;
+
+        // Code-block partition, limited by the precinct size in the subband
+        const bandPpx = r === 0 ? ppx : ppx - 1;
+        const bandPpy = r === 0 ? ppy : ppy - 1;
+        const cbWidth = Math.pow(2, Math.min(style.xcb, bandPpx));
+        const cbHeight = Math.pow(2, Math.min(style.ycb, bandPpy));
+        const bandPrecinctWidth = Math.pow(2, bandPpx);
+        const bandPrecinctHeight = Math.pow(2, bandPpy);
+
+        for (let cby = Math.floor(band.y0 / cbHeight); cby * cbHeight < band.y1; cby++) {
+          for (let cbx = Math.floor(band.x0 / cbWidth); cbx * cbWidth < band.x1; cbx++) {
+            const codeBlock = {
+              cbx,
+              cby,
+              x0: Math.max(band.x0, cbx * cbWidth),
+              x1: Math.min(band.x1, (cbx + 1) * cbWidth),
+              y0: Math.max(band.y0, cby * cbHeight),
+              y1: Math.min(band.y1, (cby + 1) * cbHeight),
+              included: false,
+              lblock: 3,
+              zeroBitPlanes: 0,
+              segments: []
+            };
+            band.codeBlocks.push(codeBlock);
+
+            const px = Math.floor(cbx * cbWidth / bandPrecinctWidth) - resolution.precinctX0;
+            const py = Math.floor(cby * cbHeight / bandPrecinctHeight) - resolution.precinctY0;
+            const precinct = resolution.precincts[py * resolution.numberOfPrecinctsWide + px];
+            if (precinct) {
+              precinct.bands[bandIndex].codeBlocks.push(codeBlock);
+            }
+          }
+        }
+      });
 
-    // Bit 7 (0x80): 0 = +i direction (W to E), 1 = -i direction (E to W)
-    // Bit 6 (0x40): 0 = -j direction (N to S), 1 = +j direction (S to N)
-    const scanningMode = grid.scanningMode || 0;
-    const iScansPositively = (scanningMode & 0x80) === 0;
-    const jScansPositively = (scanningMode & 0x40) !== 0;
+      // Tag trees per precinct and subband, indexed by code-block position in the precinct
+      resolution.precincts.forEach(precinct => {
+        precinct.bands.forEach(precinctBand => {
+          const codeBlocks = precinctBand.codeBlocks;
+          if (codeBlocks.length === 0) return;
+          let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+          codeBlocks.forEach(cb => {
+            minX = Math.min(minX, cb.cbx);
+            minY = Math.min(minY, cb.cby);
+            maxX = Math.max(maxX, cb.cbx);
+            maxY = Math.max(maxY, cb.cby);
+          });
+          codeBlocks.forEach(cb => {
+            cb.treeX = cb.cbx - minX;
+            cb.treeY = cb.cby - minY;
+          });
+          precinctBand.inclusionTree = new TagTree(maxX - minX + 1, maxY - minY + 1);
+          precinctBand.zeroBitPlaneTree = new TagTree(maxX - minX + 1, maxY - minY + 1);
+        });
+      });
 
-    // Direction multipliers
-    const iMultiplier = iScansPositively ? 1 : -1;
-    const jMultiplier = jScansPositively ? 1 : -1;
+      tc.resolutions.push(resolution);
+    }
 
-    for (let j = 0; j < nj; j++) {
-      for (let i = 0; i < ni; i++) {
-        const idx = j * ni + i;
+    return tc;
+  }
 
-        // Calculate lat/lng based on scanning direction
-        lat[idx] = grid.latitudeOfFirstGridPoint + j * grid.jDirectionIncrement * jMultiplier;
-        lng[idx] = grid.longitudeOfFirstGridPoint + i * grid.iDirectionIncrement * iMultiplier;
+  /**
+   * List the packets of a tile in the order given by the progression order (ITU-T T.800 B.12)
+   * 0 = LRCP, 1 = RLCP, 2 = RPCL, 3 = PCRL, 4 = CPRL
+   */
+  getPacketOrder(cod, tileComponents, siz, tx0, ty0) {
+    const layers = cod.numberOfLayers;
+    const order = cod.progressionOrder;
+    const packets = [];
+    const maxLevels = Math.max(...tileComponents.map(tc => tc.style.decompositionLevels));
+
+    if (order === 0 || order === 1) {
+      const outer = order === 0 ? layers : maxLevels + 1;
+      const inner = order === 0 ? maxLevels + 1 : layers;
+      for (let a = 0; a < outer; a++) {
+        for (let b = 0; b < inner; b++) {
+          const layer = order === 0 ? a : b;
+          const resolution = order === 0 ? b : a;
+          tileComponents.forEach((tc, component) => {
+            if (resolution > tc.style.decompositionLevels) return;
+            const count = tc.resolutions[resolution].precincts.length;
+            for (let precinct = 0; precinct < count; precinct++) {
+              packets.push({ layer, resolution, component, precinct });
+            }
+          });
+        }
       }
+      return packets;
     }
 
-    // Apply longitude normalization based on longitudeFormat option
-    const longitudeFormat = options.longitudeFormat || 'preserve';
+    if (order > 4) {
+      throw new Error(`JPEG2000: unknown progression order ${order}`);
+    }
 
-    if (longitudeFormat === '0-360') {
-      // Normalize to [0, 360) range
-      for (let i = 0; i < numPoints; i++) {
-        while (lng[i] >= 360) lng[i] -= 360;
-        while (lng[i] < 0) lng[i] += 360;
+    // Position-driven orders: sort precincts by their upper-left corner on the reference grid
+    const precincts = [];
+    tileComponents.forEach((tc, component) => {
+      const levels = tc.style.decompositionLevels;
+      const { xR, yR } = siz.components[component];
+      tc.resolutions.forEach((resolution, r) => {
+        const scale = Math.pow(2, levels - r);
+        for (let j = 0; j < resolution.numberOfPrecinctsHigh; j++) {
+          for (let i = 0; i < resolution.numberOfPrecinctsWide; i++) {
+            precincts.push({
+              component,
+              resolution: r,
+              precinct: j * resolution.numberOfPrecinctsWide + i,
+              x: Math.max((resolution.precinctX0 + i) * Math.pow(2, resolution.ppx) * scale * xR, tx0),
+              y: Math.max((resolution.precinctY0 + j) * Math.pow(2, resolution.ppy) * scale * yR, ty0)
+            });
+          }
+        }
+      });
+    });
+
+    const keys = {
+      2: p => [p.resolution, p.y, p.x, p.component],
+      3: p => [p.y, p.x, p.component, p.resolution],
+      4: p => [p.component, p.y, p.x, p.resolution]
+    }[order];
+
+    precincts.sort((a, b) => {
+      const ka = keys(a);
+      const kb = keys(b);
+      for (let i = 0; i < ka.length; i++) {
+        if (ka[i] !== kb[i]) return ka[i] - kb[i];
       }
-    } else if (longitudeFormat === '-180-180') {
-      // Normalize to [-180, +180] range (like wgrib2)
-      for (let i = 0; i < numPoints; i++) {
-        while (lng[i] > 180) lng[i] -= 360;
-        while (lng[i] <= -180) lng[i] += 360;
+      return 0;
+    });
+
+    precincts.forEach(p => {
+      for (let layer = 0; layer < layers; layer++) {
+        packets.push({ layer, resolution: p.resolution, component: p.component, precinct: p.precinct });
       }
+    });
+    return packets;
+  }
+
+  /**
+   * Parse one packet header and body (ITU-T T.800 B.9, B.10)
+   * @returns {Number} Position of the next packet
+   */
+  parsePacket(data, position, cod, tc, precinct, layer) {
+    // Optional SOP marker segment
+    if (cod.sopMarkers && data[position] === 0xff && data[position + 1] === 0x91) {
+      position += 6;
     }
-    // else: 'preserve' - keep values as calculated
 
-    // Extract metadata
-    const s1 = firstMessage.sections.section1;
+    const reader = new PacketHeaderReader(data, position);
+    const contributions = [];
+    const codeBlockStyle = tc.style.codeBlockStyle;
 
-    // Calculate lat/lon min/max from real data after normalization
-    // This correctly handles grids that cross the 0° meridian
-    let latMin = Infinity, latMax = -Infinity;
-    let lngMin = Infinity, lngMax = -Infinity;
+    if (reader.readBit()) {
+      precinct.bands.forEach(precinctBand => {
+        precinctBand.codeBlocks.forEach(cb => {
+          let included;
+          if (!cb.included) {
+            included = precinctBand.inclusionTree.decode(reader, cb.treeX, cb.treeY, layer + 1) <= layer;
+          } else {
+            included = reader.readBit() === 1;
+          }
+          if (!included) return;
 
-    for (let i = 0; i < numPoints; i++) {
-      if (lat[i] < latMin) latMin = lat[i];
-      if (lat[i] > latMax) latMax = lat[i];
-      if (lng[i] < lngMin) lngMin = lng[i];
-      if (lng[i] > lngMax) lngMax = lng[i];
-    }
+          if (!cb.included) {
+            cb.zeroBitPlanes = precinctBand.zeroBitPlaneTree.decode(reader, cb.treeX, cb.treeY, Infinity);
+            cb.included = true;
+          }
 
-    const metadata = {
-      date: new Date(Date.UTC(s1.year, s1.month - 1, s1.day, s1.hour, s1.minute, s1.second)),
-      year: s1.year,
-      month: s1.month,
-      day: s1.day,
-      hour: s1.hour,
-      minute: s1.minute,
-      second: s1.second,
-      centreId: s1.centreId,
-      grid: {
-        ni: ni,
-        nj: nj,
-        latMin: latMin,
-        latMax: latMax,
-        lngMin: lngMin,
-        lngMax: lngMax,
-        latIncrement: grid.jDirectionIncrement,
-        lngIncrement: grid.iDirectionIncrement,
-        scanningMode: scanningMode  // Add scanning mode for reference
-      }
-    };
+          const numberOfPasses = this.readNumberOfPasses(reader);
+          while (reader.readBit()) {
+            cb.lblock++;
+          }
 
-    // Extract parameter data
-    const result = {
-      lat: lat,
-      lng: lng,
-      metadata: metadata,
-      numPoints: numPoints
-    };
+          // Split the new passes over codeword segments, one length per segment
+          let remaining = numberOfPasses;
+          while (remaining > 0) {
+            let segment = cb.segments[cb.segments.length - 1];
+            if (!segment || segment.passes === segment.maxPasses) {
+              segment = { passes: 0, maxPasses: this.getSegmentMaxPasses(cb, codeBlockStyle), chunks: [] };
+              cb.segments.push(segment);
+            }
+            const passes = Math.min(remaining, segment.maxPasses - segment.passes);
+            const length = reader.readBits(cb.lblock + Math.floor(Math.log2(passes)));
+            contributions.push({ segment, length });
+            segment.passes += passes;
+            remaining -= passes;
+          }
+        });
+      });
+    }
 
-    if (multiLevel) {
-      // For multi-level data, store arrays of parameters
-      result.levels = [];
+    position = reader.align();
+
+    // Optional EPH marker
+    if (cod.ephMarkers && data[position] === 0xff && data[position + 1] === 0x92) {
+      position += 2;
     }
 
-    // Parse each message and extract parameter data
-    const paramCounts = {};
+    contributions.forEach(({ segment, length }) => {
+      segment.chunks.push(data.subarray(position, Math.min(position + length, data.length)));
+      position += length;
+    });
 
-    this.messages.forEach((msg, idx) => {
-      // If match pattern was provided, only process messages that matched
-      if (messageIndicesToProcess && !messageIndicesToProcess.includes(idx)) {
-        return; // Skip this message
-      }
+    return position;
+  }
 
-      const s4 = msg.sections.section4;
-      const s7 = msg.sections.section7;
+  /**
+   * Number of coding passes codeword (ITU-T T.800 Table B.4)
+   */
+  readNumberOfPasses(reader) {
+    if (!reader.readBit()) return 1;
+    if (!reader.readBit()) return 2;
+    let value = reader.readBits(2);
+    if (value < 3) return 3 + value;
+    value = reader.readBits(5);
+    if (value < 31) return 6 + value;
+    return 37 + reader.readBits(7);
+  }
 
-      if (s4 && s4.templateData && s7 && s7.data) {
-        const category = s4.templateData[0];
-        const number = s4.templateData[1];
-        const paramName = this.getParameterName(category, number);
+  /**
+   * Maximum number of coding passes in the next codeword segment of a code-block
+   */
+  getSegmentMaxPasses(cb, codeBlockStyle) {
+    if (codeBlockStyle & J2K_TERMALL) {
+      return 1;
+    }
+    if (codeBlockStyle & J2K_BYPASS) {
+      if (cb.segments.length === 0) return 10;
+      const previous = cb.segments[cb.segments.length - 1].maxPasses;
+      return previous === 1 || previous === 10 ? 2 : 1;
+    }
+    return Infinity;
+  }
 
-        // Extract level information if available (bytes 11-15 of template data)
-        let levelType = 'unknown';
-        let levelValue = null;
+  /**
+   * Decode code-blocks, dequantize subbands and apply the inverse wavelet transform
+   * @returns {Float64Array} Tile-component samples (before DC level shift)
+   */
+  reconstructTileComponent(tc) {
+    const reversible = tc.style.reversible;
+
+    tc.resolutions.forEach(resolution => {
+      resolution.bands.forEach(band => {
+        band.data = new Float64Array(band.width * band.height);
+        band.codeBlocks.forEach(cb => {
+          if (cb.segments.length === 0) return;
+          this.decodeCodeBlock(cb, band, tc.style.codeBlockStyle, reversible);
+        });
+      });
+    });
 
-        if (s4.templateData.length >= 14) {
-          levelType = s4.templateData[9]; // Type of first fixed surface
-          levelValue = (s4.templateData[11] << 24) | (s4.templateData[12] << 16) |
-                      (s4.templateData[13] << 8) | s4.templateData[14];
-        }
+    return this.inverseWaveletTransform(tc);
+  }
 
-        // Apply filters (like wgrib2 -match)
-        // 1. Filter by parameter names
-        if (filterParameters && !filterParameters.includes(paramName)) {
-          return; // Skip this message
-        }
+  /**
+   * Tier-1 decoding of a code-block (ITU-T T.800 Annex D) into its subband
+   */
+  decodeCodeBlock(cb, band, codeBlockStyle, reversible) {
+    const width = cb.x1 - cb.x0;
+    const height = cb.y1 - cb.y0;
+    const stride = width + 2;
+    const flags = new Uint8Array(stride * (height + 2));
+    // Magnitudes are kept at twice their value, plus half of the last decoded bit-plane
+    const magnitudes = new Float64Array(stride * (height + 2));
+    const contexts = new Uint8Array(19);
+    const orientationOffset = band.orientation * 45;
+    const causal = (codeBlockStyle & J2K_CAUSAL) !== 0;
+
+    const resetContexts = () => {
+      contexts.fill(0);
+      contexts[0] = 4 << 1;
+      contexts[T1_CTX_RUN] = 3 << 1;
+      contexts[T1_CTX_UNIFORM] = 46 << 1;
+    };
+    resetContexts();
+
+    const numberOfBitPlanes = band.magnitudeBits - cb.zeroBitPlanes;
+    let totalPasses = 0;
+    cb.segments.forEach(segment => { totalPasses += segment.passes; });
+    totalPasses = Math.min(totalPasses, 3 * numberOfBitPlanes - 2);
+
+    // Neighbourhood significance of the coefficient at padded index i in stripe row
+    const isLastStripeRow = (y) => causal && (y & 3) === 3;
+    const zeroContext = (i, y) => {
+      const below = isLastStripeRow(y) ? 0 : 1;
+      const h = (flags[i - 1] & T1_SIG) + (flags[i + 1] & T1_SIG);
+      const v = (flags[i - stride] & T1_SIG) + below * (flags[i + stride] & T1_SIG);
+      const d = (flags[i - stride - 1] & T1_SIG) + (flags[i - stride + 1] & T1_SIG) +
+                below * ((flags[i + stride - 1] & T1_SIG) + (flags[i + stride + 1] & T1_SIG));
+      return T1_ZERO_CONTEXTS[orientationOffset + (h * 3 + v) * 5 + d];
+    };
+    const contribution = (k) => {
+      if (!(flags[k] & T1_SIG)) return 0;
+      return flags[k] & T1_NEG ? -1 : 1;
+    };
+    const signContext = (i, y) => {
+      const h = Math.max(-1, Math.min(1, contribution(i - 1) + contribution(i + 1)));
+      const below = isLastStripeRow(y) ? 0 : contribution(i + stride);
+      const v = Math.max(-1, Math.min(1, contribution(i - stride) + below));
+      return T1_SIGN_CONTEXTS[(h + 1) * 3 + (v + 1)];
+    };
 
-        // 2. Filter by level type
-        if (filterLevelType !== null && levelType !== filterLevelType) {
-          return; // Skip this message
-        }
+    let decoder = null;
+    let raw = false;
+    const decodeBit = (cx) => (raw ? decoder.decode() : decoder.decode(contexts, cx));
+    const decodeSign = (i, y) => {
+      if (raw) return decoder.decode();
+      const [cx, xorBit] = signContext(i, y);
+      return decoder.decode(contexts, cx) ^ xorBit;
+    };
+    const becomeSignificant = (i, y, plane) => {
+      const negative = decodeSign(i, y);
+      magnitudes[i] = 3 * Math.pow(2, plane);
+      flags[i] |= T1_SIG | T1_VISIT | (negative ? T1_NEG : 0);
+    };
 
-        // 3. Filter by level value
-        if (filterLevelValue !== null && levelValue !== filterLevelValue) {
-          return; // Skip this message
-        }
+    let segmentIndex = -1;
+    let segmentPassesLeft = 0;
+    let plane = numberOfBitPlanes - 1;
+    let passType = 2; // first pass is a cleanup pass
+
+    for (let pass = 0; pass < totalPasses; pass++) {
+      if (segmentPassesLeft === 0) {
+        segmentIndex++;
+        const segment = cb.segments[segmentIndex];
+        segmentPassesLeft = segment.passes;
+        const length = segment.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const bytes = new Uint8Array(length + 2);
+        let offset = 0;
+        segment.chunks.forEach(chunk => {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        });
+        bytes[length] = 0xff;
+        bytes[length + 1] = 0xff;
+        segment.bytes = bytes;
+        decoder = null;
+      }
+      segmentPassesLeft--;
+
+      // Arithmetic coding bypass: significance and refinement passes after the 10th pass are raw
+      const passRaw = (codeBlockStyle & J2K_BYPASS) !== 0 && pass >= 10 && passType !== 2;
+      if (!decoder || passRaw !== raw) {
+        raw = passRaw;
+        const bytes = cb.segments[segmentIndex].bytes;
+        decoder = raw ? new RawBitDecoder(bytes) : new MqDecoder(bytes);
+      }
 
-        if (multiLevel) {
-          // Store all levels
-          result.levels.push({
-            messageIndex: idx,
-            parameter: paramName,
-            category: category,
-            number: number,
-            levelType: levelType,
-            levelValue: levelValue,
-            data: s7.data
-          });
-        } else {
-          // For single level mode, check if we should keep first only
-          if (firstParameterOnly) {
-            if (!paramCounts[paramName]) {
-              paramCounts[paramName] = 0;
-              result[paramName] = s7.data;
+      // Half of the current bit-plane, in doubled magnitude units
+      const one = Math.pow(2, plane);
+
+      for (let y0 = 0; y0 < height; y0 += 4) {
+        const stripeEnd = Math.min(y0 + 4, height);
+        for (let x = 0; x < width; x++) {
+          let y = y0;
+
+          if (passType === 2 && stripeEnd - y0 === 4) {
+            // Cleanup pass run-length mode: four insignificant coefficients with zero context
+            let runMode = true;
+            for (let k = y0; k < stripeEnd && runMode; k++) {
+              const i = (k + 1) * stride + x + 1;
+              if ((flags[i] & (T1_SIG | T1_VISIT)) !== 0 || zeroContext(i, k) !== 0) {
+                runMode = false;
+              }
+            }
+            if (runMode) {
+              if (!decoder.decode(contexts, T1_CTX_RUN)) {
+                continue;
+              }
+              y = y0 + ((decoder.decode(contexts, T1_CTX_UNIFORM) << 1) | decoder.decode(contexts, T1_CTX_UNIFORM));
+              becomeSignificant((y + 1) * stride + x + 1, y, plane);
+              y++;
+            }
+          }
+
+          for (; y < stripeEnd; y++) {
+            const i = (y + 1) * stride + x + 1;
+            const state = flags[i];
+
+            if (passType === 0) {
+              // Significance propagation pass
+              if (state & T1_SIG) continue;
+              const cx = zeroContext(i, y);
+              if (cx === 0) continue;
+              if (decodeBit(cx)) {
+                becomeSignificant(i, y, plane);
+              } else {
+                flags[i] |= T1_VISIT;
+              }
+            } else if (passType === 1) {
+              // Magnitude refinement pass
+              if ((state & (T1_SIG | T1_VISIT)) !== T1_SIG) continue;
+              let cx = T1_CTX_MAG + 2;
+              if (!(state & T1_REFINE)) {
+                cx = this.hasNoSignificantNeighbour(flags, i, stride, isLastStripeRow(y)) ? T1_CTX_MAG : T1_CTX_MAG + 1;
+              }
+              magnitudes[i] += decodeBit(cx) ? one : -one;
+              flags[i] |= T1_REFINE;
+            } else {
+              // Cleanup pass
+              if (state & (T1_SIG | T1_VISIT)) continue;
+              if (decoder.decode(contexts, zeroContext(i, y))) {
+                becomeSignificant(i, y, plane);
+              }
             }
-            paramCounts[paramName]++;
-          } else {
-            // Keep all occurrences (will overwrite previous)
-            result[paramName] = s7.data;
-            paramCounts[paramName] = (paramCounts[paramName] || 0) + 1;
           }
         }
       }
-    });
 
-    // Add info about duplicate parameters
-    if (!multiLevel) {
-      const duplicates = Object.entries(paramCounts)
-        .filter(([name, count]) => count > 1)
-        .map(([name, count]) => ({ parameter: name, count: count }));
+      if (passType === 2) {
+        if (codeBlockStyle & J2K_SEGSYM) {
+          for (let k = 0; k < 4; k++) decoder.decode(contexts, T1_CTX_UNIFORM);
+        }
+        for (let i = 0; i < flags.length; i++) {
+          flags[i] &= ~T1_VISIT;
+        }
+        plane--;
+        passType = 0;
+      } else {
+        passType++;
+      }
 
-      if (duplicates.length > 0) {
-        result._warnings = {
-          multiplelevels: true,
-          duplicates: duplicates,
-          message: 'File contains multiple levels. Use getData({multiLevel: true}) to access all levels.'
-        };
+      if (codeBlockStyle & J2K_RESET) {
+        resetContexts();
       }
     }
 
-    // Convert grid-relative winds to earth-relative if needed (like wgrib2 -wind_uv)
-    const resolutionFlags = grid.resolutionAndComponentFlags || 0;
-    const isGridRelative = (resolutionFlags & 0x08) !== 0; // Bit 3: 1 = grid-relative, 0 = earth-relative
-
-    if (options.earthRelativeWinds !== false && isGridRelative && !multiLevel) {
-      if (result.ugrd && result.vgrd) {
-        // Convert grid-relative winds to earth-relative
-        this.convertWindsToEarthRelative(result.ugrd, result.vgrd, lat, lng, grid, numPoints);
+    // Dequantization into the subband (ITU-T T.800 E.1)
+    const scale = reversible ? 1 : band.stepSize;
+    for (let y = 0; y < height; y++) {
+      const rowOffset = (cb.y0 - band.y0 + y) * band.width + (cb.x0 - band.x0);
+      for (let x = 0; x < width; x++) {
+        const i = (y + 1) * stride + x + 1;
+        if (!(flags[i] & T1_SIG)) continue;
+        let value = magnitudes[i] / 2;
+        if (reversible) value = Math.floor(value);
+        value *= scale;
+        band.data[rowOffset + x] = flags[i] & T1_NEG ? -value : value;
       }
     }
+  }
 
-    // Calculate wind_speed if requested (like wgrib2 -wind_speed)
-    if (options.calculateWindSpeed && !multiLevel) {
-      if (result.ugrd && result.vgrd) {
-        const wind_speed = new Float32Array(numPoints);
-        for (let i = 0; i < numPoints; i++) {
-          const u = result.ugrd[i];
-          const v = result.vgrd[i];
-          wind_speed[i] = Math.sqrt(u * u + v * v);
+  /**
+   * Whether none of the 8 neighbours of a coefficient is significant
+   */
+  hasNoSignificantNeighbour(flags, i, stride, lastStripeRow) {
+    let sum = (flags[i - 1] | flags[i + 1] | flags[i - stride] | flags[i - stride - 1] | flags[i - stride + 1]) & T1_SIG;
+    if (!lastStripeRow) {
+      sum |= (flags[i + stride] | flags[i + stride - 1] | flags[i + stride + 1]) & T1_SIG;
+    }
+    return sum === 0;
+  }
+
+  /**
+   * Inverse discrete wavelet transform of a tile-component (ITU-T T.800 Annex F)
+   */
+  inverseWaveletTransform(tc) {
+    const reversible = tc.style.reversible;
+    const resolutions = tc.resolutions;
+    let current = resolutions[0].bands[0].data;
+
+    for (let r = 1; r < resolutions.length; r++) {
+      const resolution = resolutions[r];
+      const u0 = resolution.x0;
+      const v0 = resolution.y0;
+      const width = resolution.x1 - u0;
+      const height = resolution.y1 - v0;
+      const output = new Float64Array(width * height);
+      const low = { data: current, width: Math.ceil(resolution.x1 / 2) - Math.ceil(u0 / 2) };
+      const [hl, lh, hh] = resolution.bands;
+
+      // 2D_INTERLEAVE: even coordinates take low-pass samples, odd coordinates high-pass samples
+      for (let k = 0; k < height; k++) {
+        const v = v0 + k;
+        const rowLow = (v & 1) === 0;
+        const row = rowLow ? v / 2 - Math.ceil(v0 / 2) : (v - 1) / 2 - Math.floor(v0 / 2);
+        for (let m = 0; m < width; m++) {
+          const u = u0 + m;
+          const columnLow = (u & 1) === 0;
+          const column = columnLow ? u / 2 - Math.ceil(u0 / 2) : (u - 1) / 2 - Math.floor(u0 / 2);
+          const source = rowLow ? (columnLow ? low : hl) : (columnLow ? lh : hh);
+          output[k * width + m] = source.data[row * source.width + column];
         }
-        result.wind_speed = wind_speed;
       }
+
+      // HOR_SR then VER_SR
+      const line = new Float64Array(Math.max(width, height) + 8);
+      for (let k = 0; k < height; k++) {
+        this.inverseTransform1D(output, k * width, 1, width, u0, reversible, line);
+      }
+      for (let m = 0; m < width; m++) {
+        this.inverseTransform1D(output, m, width, height, v0, reversible, line);
+      }
+
+      current = output;
     }
 
-    // Calculate wind_dir if requested (like wgrib2 -wind_dir)
-    if (options.calculateWindDirection && !multiLevel) {
-      if (result.ugrd && result.vgrd) {
-        const wind_dir = new Float32Array(numPoints);
-        for (let i = 0; i < numPoints; i++) {
-          const u = result.ugrd[i];
-          const v = result.vgrd[i];
-          // Meteorological convention: direction wind comes FROM
-          // 0° = North, 90° = East, 180° = South, 270° = West
-          let dir = Math.atan2(-u, -v) * 180 / Math.PI;
-          if (dir < 0) dir += 360;
-          wind_dir[i] = dir;
-        }
-        result.wind_dir = wind_dir;
+    return current;
+  }
+
+  /**
+   * 1D_SR: one-dimensional inverse transform with symmetric extension (ITU-T T.800 F.3.6 - F.3.8)
+   *
+   * @param {Float64Array} buffer - Samples, modified in place
+   * @param {Number} start - Index of the first sample
+   * @param {Number} step - Distance between samples
+   * @param {Number} length - Number of samples
+   * @param {Number} i0 - Coordinate of the first sample (its parity selects low/high-pass)
+   * @param {Boolean} reversible - 5/3 (true) or 9/7 (false) filter
+   * @param {Float64Array} line - Scratch buffer of at least length + 8 samples
+   */
+  inverseTransform1D(buffer, start, step, length, i0, reversible, line) {
+    if (length === 0) return;
+    if (length === 1) {
+      if (i0 & 1) {
+        buffer[start] = reversible ? Math.trunc(buffer[start] / 2) : buffer[start] / 2;
       }
+      return;
     }
 
-    // Convert to object format if requested
-    // Structure des objets retournés : chaque objet représente un point de grille avec :
-    // - lat (Number) : latitude du point en degrés
-    // - lng (Number) : longitude du point en degrés
-    // - ugrd, vgrd, temp, etc. : paramètres météorologiques disponibles
-    if (options.asObjects && !multiLevel) {
-      const objectArray = [];
+    const pad = 4;
+    const period = 2 * (length - 1);
+    for (let j = -pad; j < length + pad; j++) {
+      let k = ((j % period) + period) % period;
+      if (k >= length) k = period - k;
+      line[j + pad] = buffer[start + k * step];
+    }
 
-      // Collect all parameter names (excluding metadata and special properties)
-      const paramNames = Object.keys(result).filter(key =>
-        key !== 'lat' &&
-        key !== 'lng' &&
-        key !== 'metadata' &&
-        key !== 'numPoints' &&
-        !key.startsWith('_')
-      );
+    const total = length + 2 * pad;
+    // First index of an even (low-pass) coordinate in the extended line
+    const firstEven = (i0 - pad) & 1 ? 1 : 0;
 
-      // Create an object for each grid point
-      for (let i = 0; i < numPoints; i++) {
-        const point = {
-          lat: lat[i],
-          lng: lng[i]
+    if (reversible) {
+      for (let n = firstEven === 0 ? 2 : 1; n < total - 1; n += 2) {
+        line[n] -= Math.floor((line[n - 1] + line[n + 1] + 2) / 4);
+      }
+      for (let n = firstEven === 0 ? 1 : 2; n < total - 1; n += 2) {
+        line[n] += Math.floor((line[n - 1] + line[n + 1]) / 2);
+      }
+    } else {
+      const alpha = -1.586134342059924;
+      const beta = -0.052980118572961;
+      const gamma = 0.882911075530934;
+      const delta = 0.443506852043971;
+      const K = 1.230174104914001;
+
+      for (let n = 0; n < total; n++) {
+        line[n] *= ((n - firstEven) & 1) === 0 ? K : 1 / K;
+      }
+      const lift = (evenStep, coefficient) => {
+        const first = evenStep ? (firstEven === 0 ? 2 : 1) : (firstEven === 0 ? 1 : 2);
+        for (let n = first; n < total - 1; n += 2) {
+          line[n] -= coefficient * (line[n - 1] + line[n + 1]);
+        }
+      };
+      lift(true, delta);
+      lift(false, gamma);
+      lift(true, beta);
+      lift(false, alpha);
+    }
+
+    for (let k = 0; k < length; k++) {
+      buffer[start + k * step] = line[k + pad];
+    }
+  }
+}
+
+// ============================================================================
+// PNG decoder (Data Representation Template 5.41)
+// zlib inflate (RFC 1950 / RFC 1951) and PNG image decoding (ISO/IEC 15948)
+// ============================================================================
+
+const INFLATE_LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const INFLATE_LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const INFLATE_DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const INFLATE_DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+const INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Build a Huffman lookup table from code lengths (RFC 1951 3.2.2)
+ * Entries are indexed by the bit-reversed code and hold (symbol << 4) | length
+ */
+function buildHuffmanTable(lengths) {
+  let maxBits = 0;
+  const counts = new Uint16Array(16);
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+    if (lengths[i] > maxBits) maxBits = lengths[i];
+  }
+  counts[0] = 0;
+
+  const nextCode = new Uint16Array(16);
+  let code = 0;
+  for (let bits = 1; bits <= 15; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    nextCode[bits] = code;
+  }
+
+  const table = new Uint32Array(1 << maxBits);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length === 0) continue;
+    const value = nextCode[length]++;
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed |= ((value >> i) & 1) << (length - 1 - i);
+    }
+    for (let i = reversed; i < table.length; i += 1 << length) {
+      table[i] = (symbol << 4) | length;
+    }
+  }
+
+  return { table, maxBits };
+}
+
+/**
+ * Decompress a zlib stream
+ *
+ * @param {Uint8Array} data - zlib stream (2-byte header, DEFLATE blocks, Adler-32)
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function inflateZlib(data) {
+  if (data.length < 2 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw new Error('PNG: invalid zlib stream header');
+  }
+  if (data[1] & 0x20) {
+    throw new Error('PNG: zlib preset dictionaries are not supported');
+  }
+
+  let position = 2;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const fill = (count) => {
+    while (bitCount < count) {
+      // Past the end, feed zeros; overruns are detected after decoding
+      const byte = position < data.length ? data[position] : 0;
+      position++;
+      bitBuffer |= byte << bitCount;
+      bitCount += 8;
+    }
+  };
+  const readBits = (count) => {
+    if (count === 0) return 0;
+    fill(count);
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+  const decodeSymbol = ({ table, maxBits }) => {
+    fill(maxBits);
+    const entry = table[bitBuffer & ((1 << maxBits) - 1)];
+    const length = entry & 15;
+    if (length === 0) {
+      throw new Error('PNG: invalid Huffman code in zlib stream');
+    }
+    bitBuffer >>>= length;
+    bitCount -= length;
+    return entry >> 4;
+  };
+
+  let output = new Uint8Array(Math.max(data.length * 4, 1024));
+  let outputLength = 0;
+  const reserve = (count) => {
+    if (outputLength + count <= output.length) return;
+    let size = output.length * 2;
+    while (size < outputLength + count) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(output.subarray(0, outputLength));
+    output = grown;
+  };
+
+  let fixedTables = null;
+  let final = 0;
+
+  while (!final) {
+    final = readBits(1);
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: byte-aligned LEN, NLEN, then raw bytes
+      position -= bitCount >> 3;
+      bitBuffer = 0;
+      bitCount = 0;
+      if (position + 4 > data.length) {
+        throw new Error('PNG: truncated zlib stream');
+      }
+      const length = data[position] | (data[position + 1] << 8);
+      position += 4;
+      if (position + length > data.length) {
+        throw new Error('PNG: truncated zlib stream');
+      }
+      reserve(length);
+      output.set(data.subarray(position, position + length), outputLength);
+      outputLength += length;
+      position += length;
+      continue;
+    }
+
+    let literalTable;
+    let distanceTable;
+
+    if (type === 1) {
+      if (!fixedTables) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        fixedTables = {
+          literal: buildHuffmanTable(lengths),
+          distance: buildHuffmanTable(new Uint8Array(30).fill(5))
         };
+      }
+      literalTable = fixedTables.literal;
+      distanceTable = fixedTables.distance;
+    } else if (type === 2) {
+      const literalCount = readBits(5) + 257;
+      const distanceCount = readBits(5) + 1;
+      const codeLengthCount = readBits(4) + 4;
+
+      const codeLengthLengths = new Uint8Array(19);
+      for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[INFLATE_CODE_LENGTH_ORDER[i]] = readBits(3);
+      }
+      const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+      const lengths = new Uint8Array(literalCount + distanceCount);
+      let i = 0;
+      while (i < lengths.length) {
+        const symbol = decodeSymbol(codeLengthTable);
+        if (symbol < 16) {
+          lengths[i++] = symbol;
+          continue;
+        }
+        let repeat;
+        let value = 0;
+        if (symbol === 16) {
+          if (i === 0) throw new Error('PNG: invalid code lengths in zlib stream');
+          value = lengths[i - 1];
+          repeat = 3 + readBits(2);
+        } else if (symbol === 17) {
+          repeat = 3 + readBits(3);
+        } else {
+          repeat = 11 + readBits(7);
+        }
+        if (i + repeat > lengths.length) {
+          throw new Error('PNG: invalid code lengths in zlib stream');
+        }
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+      }
 
-        // Add all available parameters for this point
-        paramNames.forEach(paramName => {
-          if (result[paramName] && result[paramName][i] !== undefined) {
-            point[paramName] = result[paramName][i];
-          }
-        });
+      literalTable = buildHuffmanTable(lengths.subarray(0, literalCount));
+      distanceTable = buildHuffmanTable(lengths.subarray(literalCount));
+    } else {
+      throw new Error('PNG: invalid DEFLATE block type');
+    }
 
-        objectArray.push(point);
+    for (;;) {
+      const symbol = decodeSymbol(literalTable);
+      if (symbol < 256) {
+        reserve(1);
+        output[outputLength++] = symbol;
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const lengthIndex = symbol - 257;
+        if (lengthIndex >= INFLATE_LENGTH_BASE.length) {
+          throw new Error('PNG: invalid length code in zlib stream');
+        }
+        const length = INFLATE_LENGTH_BASE[lengthIndex] + readBits(INFLATE_LENGTH_EXTRA[lengthIndex]);
+        const distanceIndex = decodeSymbol(distanceTable);
+        if (distanceIndex >= INFLATE_DISTANCE_BASE.length) {
+          throw new Error('PNG: invalid distance code in zlib stream');
+        }
+        const distance = INFLATE_DISTANCE_BASE[distanceIndex] + readBits(INFLATE_DISTANCE_EXTRA[distanceIndex]);
+        if (distance > outputLength) {
+          throw new Error('PNG: invalid distance in zlib stream');
+        }
+        reserve(length);
+        for (let k = 0; k < length; k++) {
+          output[outputLength] = output[outputLength - distance];
+          outputLength++;
+        }
       }
-
-      return objectArray;
     }
+  }
 
-    return result;
+  if (position - (bitCount >> 3) > data.length) {
+    throw new Error('PNG: truncated zlib stream');
   }
 
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * PNG decoder
+ * Each pixel is returned as one integer: its channel samples concatenated
+ * big-endian, e.g. 8-bit RGB gives (R << 16) | (G << 8) | B. This is how GRIB2
+ * stores 24 and 32-bit values in PNG images.
+ */
+class PngDecoder {
   /**
-   * Calculate wind speed and direction from U and V components
-   * Returns array of objects with speed and direction for each point
+   * Decode a PNG file
+   *
+   * @param {Uint8Array} data - PNG file bytes
+   * @returns {Object} { width, height, bitDepth, colorType, bitsPerPixel, values: Float64Array }
    */
-  calculateWind(data) {
-    if (!data.ugrd || !data.vgrd) {
-      throw new Error('UGRD and VGRD data required for wind calculation');
+  decode(data) {
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (data.length < 8 || signature.some((byte, i) => data[i] !== byte)) {
+      throw new Error('PNG: invalid signature');
     }
 
-    const numPoints = data.ugrd.length;
-    const wind = new Array(numPoints);
+    const readUint32 = (position) =>
+      ((data[position] << 24) | (data[position + 1] << 16) | (data[position + 2] << 8) | data[position + 3]) >>> 0;
 
-    for (let i = 0; i < numPoints; i++) {
-      const u = data.ugrd[i];
-      const v = data.vgrd[i];
+    let header = null;
+    const chunks = [];
+    let compressedLength = 0;
+    let position = 8;
 
-      // Calculate wind speed: sqrt(u² + v²)
-      const speed = Math.sqrt(u * u + v * v);
+    while (position + 8 <= data.length) {
+      const length = readUint32(position);
+      const type = String.fromCharCode(data[position + 4], data[position + 5], data[position + 6], data[position + 7]);
+      const start = position + 8;
+      if (start + length > data.length) {
+        throw new Error(`PNG: truncated ${type} chunk`);
+      }
 
-      // Calculate wind direction (meteorological: where wind comes from)
-      // 0° = North, 90° = East, 180° = South, 270° = West
-      let direction = Math.atan2(-u, -v) * 180 / Math.PI;
-      if (direction < 0) direction += 360;
+      if (type === 'IHDR') {
+        header = {
+          width: readUint32(start),
+          height: readUint32(start + 4),
+          bitDepth: data[start + 8],
+          colorType: data[start + 9],
+          interlace: data[start + 12]
+        };
+      } else if (type === 'IDAT') {
+        chunks.push(data.subarray(start, start + length));
+        compressedLength += length;
+      } else if (type === 'IEND') {
+        break;
+      }
 
-      wind[i] = {
-        speed: speed,
-        direction: direction,
-        u: u,
-        v: v
-      };
+      position = start + length + 4; // skip CRC
     }
 
-    return wind;
-  }
-
-  /**
-   * Convert grid-relative winds to earth-relative winds (like wgrib2 -wind_uv)
-   * Modifies ugrd and vgrd arrays in place
-   *
-   * For lat-lon grids (template 0), no rotation is needed as grid is already aligned with earth
-   * For projected grids (Lambert, Polar Stereographic), rotation angle depends on longitude
-   *
-   * @param {Float32Array} ugrd - U component array (modified in place)
-   * @param {Float32Array} vgrd - V component array (modified in place)
-   * @param {Float32Array} lat - Latitude array
-   * @param {Float32Array} lng - Longitude array
-   * @param {Object} grid - Grid template object
-   * @param {Number} numPoints - Number of grid points
-   */
-  convertWindsToEarthRelative(ugrd, vgrd, lat, lng, grid, numPoints) {
-    // For grid template 0 (lat-lon), winds are already earth-relative by definition
-    // No rotation needed as grid lines align with meridians and parallels
-    if (grid.gridDefinitionTemplateNumber === undefined) {
-      // Assuming template 0 if not specified
-      return;
+    if (!header) {
+      throw new Error('PNG: missing IHDR chunk');
+    }
+    if (header.interlace !== 0) {
+      throw new Error('PNG: interlaced images are not supported');
     }
 
-    // For other grid templates (Lambert Conformal, Polar Stereographic, etc.),
-    // rotation would be needed. This would be implemented here.
-    // For now, we only support lat-lon grids which don't need rotation.
-
-    // Example rotation formula for projected grids:
-    // For each point i:
-    //   angle = calculateConvergenceAngle(lat[i], lng[i], grid);
-    //   u_earth = u_grid * cos(angle) - v_grid * sin(angle);
-    //   v_earth = u_grid * sin(angle) + v_grid * cos(angle);
-  }
-
-  /**
-   * Perform bilinear interpolation at a specific lat/lng point (like wgrib2 -new_grid_interpolation bilinear)
-   *
-   * @param {Object} data - Data object from getData() with lat, lng, and parameter arrays
-   * @param {Number} targetLat - Target latitude for interpolation
-   * @param {Number} targetLng - Target longitude for interpolation
-   * @param {Array<String>} parameters - Array of parameter names to interpolate (e.g., ['ugrd', 'vgrd', 'temp'])
-   * @returns {Object} Interpolated values for each parameter, or null if point is outside grid
-   */
-  bilinearInterpolate(data, targetLat, targetLng, parameters) {
-    if (!data.lat || !data.lng || !data.metadata || !data.metadata.grid) {
-      throw new Error('Invalid data object. Use getData() first.');
+    // Samples per pixel by colour type: gray, -, RGB, palette, gray+alpha, -, RGBA
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+    if (!channels) {
+      throw new Error(`PNG: invalid colour type ${header.colorType}`);
     }
 
-    const grid = data.metadata.grid;
-    const ni = grid.ni;
-    const nj = grid.nj;
+    const compressed = new Uint8Array(compressedLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      compressed.set(chunk, offset);
+      offset += chunk.length;
+    });
 
-    // Find the grid cell containing the target point
-    // Assuming regular lat-lon grid with consistent spacing
-    const latMin = grid.latMin;
-    const latMax = grid.latMax;
-    const lngMin = grid.lngMin;
-    const lngMax = grid.lngMax;
-    const latInc = grid.latIncrement;
-    const lngInc = grid.lngIncrement;
+    const { width, height, bitDepth } = header;
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const rowLength = Math.ceil(width * bitsPerPixel / 8);
+    const raw = inflateZlib(compressed);
 
-    // Check if point is within grid bounds
-    if (targetLat < Math.min(latMin, latMax) || targetLat > Math.max(latMin, latMax) ||
-        targetLng < lngMin || targetLng > lngMax) {
-      return null; // Outside grid
+    if (raw.length < height * (rowLength + 1)) {
+      throw new Error(`PNG: image data has ${raw.length} bytes, expected ${height * (rowLength + 1)}`);
     }
 
-    // Find surrounding grid points
-    // Calculate grid indices (fractional)
-    const iFloat = (targetLng - lngMin) / lngInc;
-    const jFloat = (targetLat - latMin) / latInc;
-
-    // Get integer indices of surrounding points
-    const i0 = Math.floor(iFloat);
-    const i1 = Math.min(i0 + 1, ni - 1);
-    const j0 = Math.floor(jFloat);
-    const j1 = Math.min(j0 + 1, nj - 1);
-
-    // Calculate interpolation weights
-    const wx = iFloat - i0; // Weight in x direction (0 to 1)
-    const wy = jFloat - j0; // Weight in y direction (0 to 1)
+    const values = new Float64Array(width * height);
+    let previous = new Uint8Array(rowLength);
+    let current = new Uint8Array(rowLength);
+
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (rowLength + 1)];
+      current.set(raw.subarray(y * (rowLength + 1) + 1, (y + 1) * (rowLength + 1)));
+      this.unfilterRow(filter, current, previous, bytesPerPixel);
+
+      if (bitsPerPixel < 8) {
+        // Packed samples, most significant bits first
+        const mask = (1 << bitsPerPixel) - 1;
+        for (let x = 0; x < width; x++) {
+          const bit = x * bitsPerPixel;
+          values[y * width + x] = (current[bit >> 3] >> (8 - bitsPerPixel - (bit & 7))) & mask;
+        }
+      } else {
+        for (let x = 0; x < width; x++) {
+          let value = 0;
+          for (let k = 0; k < bytesPerPixel; k++) {
+            value = value * 256 + current[x * bytesPerPixel + k];
+          }
+          values[y * width + x] = value;
+        }
+      }
 
-    // Get indices in 1D array
-    const idx00 = j0 * ni + i0; // Bottom-left
-    const idx10 = j0 * ni + i1; // Bottom-right
-    const idx01 = j1 * ni + i0; // Top-left
-    const idx11 = j1 * ni + i1; // Top-right
+      const swap = previous;
+      previous = current;
+      current = swap;
+    }
 
-    const result = {
-      lat: targetLat,
-      lng: targetLng,
-      indices: { i0, i1, j0, j1, wx, wy }
-    };
+    return { width, height, bitDepth, colorType: header.colorType, bitsPerPixel, values };
+  }
 
-    // Interpolate each requested parameter
-    parameters.forEach(param => {
-      if (data[param]) {
-        const arr = data[param];
+  /**
+   * Reverse the PNG filter of one scanline in place
+   * 0 = None, 1 = Sub, 2 = Up, 3 = Average, 4 = Paeth
+   */
+  unfilterRow(filter, row, previous, bytesPerPixel) {
+    switch (filter) {
+      case 0:
+        break;
+      case 1:
+        for (let i = bytesPerPixel; i < row.length; i++) {
+          row[i] = (row[i] + row[i - bytesPerPixel]) & 0xff;
+        }
+        break;
+      case 2:
+        for (let i = 0; i < row.length; i++) {
+          row[i] = (row[i] + previous[i]) & 0xff;
+        }
+        break;
+      case 3:
+        for (let i = 0; i < row.length; i++) {
+          const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+          row[i] = (row[i] + ((left + previous[i]) >> 1)) & 0xff;
+        }
+        break;
+      case 4:
+        for (let i = 0; i < row.length; i++) {
+          const a = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+          const b = previous[i];
+          const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+          const p = a + b - c;
+          const pa = Math.abs(p - a);
+          const pb = Math.abs(p - b);
+          const pc = Math.abs(p - c);
+          const predictor = pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+          row[i] = (row[i] + predictor) & 0xff;
+        }
+        break;
+      default:
+        throw new Error(`PNG: invalid filter type ${filter}`);
+    }
+  }
+}
 
-        // Bilinear interpolation formula:
-        // f(x,y) = f00*(1-wx)*(1-wy) + f10*wx*(1-wy) + f01*(1-wx)*wy + f11*wx*wy
-        const v00 = arr[idx00];
-        const v10 = arr[idx10];
-        const v01 = arr[idx01];
-        const v11 = arr[idx11];
+// ============================================================================
+// CCSDS 121.0 adaptive entropy decoder (Data Representation Template 5.42)
+// Follows the libaec conventions used by GRIB2 encoders (ecCodes, wgrib2)
+// ============================================================================
 
-        result[param] = v00 * (1 - wx) * (1 - wy) +
-                        v10 * wx * (1 - wy) +
-                        v01 * (1 - wx) * wy +
-                        v11 * wx * wy;
-      }
-    });
+// CCSDS compression option mask flags (GRIB2 Code Table 5.42 / libaec)
+const AEC_DATA_SIGNED = 1;
+const AEC_DATA_PREPROCESS = 8;
+const AEC_RESTRICTED = 16;
+const AEC_PAD_RSI = 32;
 
-    return result;
-  }
+// Number of zero blocks value signalling "remainder of segment" (ROS)
+const AEC_ROS = 5;
 
+/**
+ * CCSDS 121.0 (Lossless Data Compression) adaptive entropy decoder
+ */
+class AecDecoder {
   /**
-   * Interpolate data to a new regular grid using bilinear interpolation
+   * Decode a CCSDS/AEC bit stream into integer samples
    *
-   * @param {Object} data - Data object from getData()
-   * @param {Object} newGrid - New grid specification
-   * @param {Number} newGrid.latMin - Minimum latitude of new grid
-   * @param {Number} newGrid.latMax - Maximum latitude of new grid
-   * @param {Number} newGrid.lngMin - Minimum longitude of new grid
-   * @param {Number} newGrid.lngMax - Maximum longitude of new grid
-   * @param {Number} newGrid.latStep - Latitude step/increment
-   * @param {Number} newGrid.lngStep - Longitude step/increment
-   * @param {Array<String>} parameters - Array of parameters to interpolate
-   * @returns {Object} New data object with interpolated values
+   * @param {Uint8Array} data - Compressed bit stream
+   * @param {Object} options - { bitsPerSample, blockSize, referenceSampleInterval, flags, numberOfSamples }
+   * @returns {Float64Array} numberOfSamples decoded samples
    */
-  regridBilinear(data, newGrid, parameters) {
-    const { latMin, latMax, lngMin, lngMax, latStep, lngStep } = newGrid;
+  decode(data, options) {
+    const { bitsPerSample, blockSize, referenceSampleInterval, flags, numberOfSamples } = options;
 
-    // Calculate new grid dimensions
-    const newNi = Math.round((lngMax - lngMin) / lngStep) + 1;
-    const newNj = Math.round((latMax - latMin) / latStep) + 1;
-    const newNumPoints = newNi * newNj;
+    if (bitsPerSample < 1 || bitsPerSample > 32) {
+      throw new Error(`CCSDS: invalid bits per sample ${bitsPerSample}`);
+    }
+    if (![8, 16, 32, 64].includes(blockSize)) {
+      throw new Error(`CCSDS: invalid block size ${blockSize}`);
+    }
+    if (referenceSampleInterval < 1 || referenceSampleInterval > 4096) {
+      throw new Error(`CCSDS: invalid reference sample interval ${referenceSampleInterval}`);
+    }
 
-    // Create new arrays
-    const newLat = new Float32Array(newNumPoints);
-    const newLng = new Float32Array(newNumPoints);
-    const newData = {
-      lat: newLat,
-      lng: newLng,
-      numPoints: newNumPoints,
-      metadata: {
-        ...data.metadata,
-        grid: {
-          ...data.metadata.grid,
-          ni: newNi,
-          nj: newNj,
-          latMin,
-          latMax,
-          lngMin,
-          lngMax,
-          latIncrement: latStep,
-          lngIncrement: lngStep
+    let idLength;
+    if (flags & AEC_RESTRICTED) {
+      if (bitsPerSample > 4) {
+        throw new Error('CCSDS: restricted coding options require at most 4 bits per sample');
+      }
+      idLength = bitsPerSample <= 2 ? 1 : 2;
+    } else {
+      idLength = bitsPerSample > 16 ? 5 : (bitsPerSample > 8 ? 4 : 3);
+    }
+    const uncompressedId = (1 << idLength) - 1;
+
+    const signed = (flags & AEC_DATA_SIGNED) !== 0;
+    const preprocess = (flags & AEC_DATA_PREPROCESS) !== 0;
+    const xMax = signed ? Math.pow(2, bitsPerSample - 1) - 1 : Math.pow(2, bitsPerSample) - 1;
+    const xMin = signed ? -Math.pow(2, bitsPerSample - 1) : 0;
+    const segmentSize = referenceSampleInterval * blockSize;
+
+    // Bit reader (most significant bit first)
+    let bitPosition = 0;
+    const totalBits = data.length * 8;
+    const readBits = (count) => {
+      if (bitPosition + count > totalBits) {
+        throw new Error('CCSDS: unexpected end of data');
+      }
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        value = value * 2 + ((data[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+        bitPosition++;
+      }
+      return value;
+    };
+    // Fundamental sequence: number of 0 bits before the next 1 bit
+    const readFundamentalSequence = () => {
+      let count = 0;
+      for (;;) {
+        if (bitPosition >= totalBits) {
+          throw new Error('CCSDS: unexpected end of data');
         }
+        const bit = (data[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1;
+        bitPosition++;
+        if (bit) return count;
+        count++;
       }
     };
+    const toSigned = (value) => (signed && value > xMax ? value - Math.pow(2, bitsPerSample) : value);
+
+    // Second extension table: symbol m -> [beta, first symbol of its diagonal]
+    const secondExtension = [];
+    for (let i = 0; i < 13; i++) {
+      const first = secondExtension.length;
+      for (let j = 0; j <= i; j++) {
+        secondExtension.push([i, first]);
+      }
+    }
 
-    // Initialize parameter arrays
-    parameters.forEach(param => {
-      newData[param] = new Float32Array(newNumPoints);
-    });
-
-    // Fill new grid with interpolated values
-    let idx = 0;
-    for (let j = 0; j < newNj; j++) {
-      for (let i = 0; i < newNi; i++) {
-        const targetLat = latMin + j * latStep;
-        const targetLng = lngMin + i * lngStep;
-
-        newLat[idx] = targetLat;
-        newLng[idx] = targetLng;
-
-        // Interpolate values at this point
-        const interpolated = this.bilinearInterpolate(data, targetLat, targetLng, parameters);
-
-        if (interpolated) {
-          parameters.forEach(param => {
-            if (interpolated[param] !== undefined) {
-              newData[param][idx] = interpolated[param];
+    const samples = new Float64Array(numberOfSamples);
+    let count = 0;
+    let previous = 0;
+
+    while (count < numberOfSamples) {
+      // One reference sample interval (RSI) of up to referenceSampleInterval blocks
+      const segment = [];
+      const segmentLength = Math.min(segmentSize, Math.ceil((numberOfSamples - count) / blockSize) * blockSize);
+      let hasReference = preprocess;
+
+      while (segment.length < segmentLength) {
+        const id = readBits(idLength);
+        const reference = hasReference;
+        hasReference = false;
+
+        if (id === 0) {
+          // Low entropy options: zero block(s) or second extension
+          const secondExtensionOption = readBits(1);
+          if (reference) segment.push(readBits(bitsPerSample));
+
+          if (secondExtensionOption) {
+            for (let i = reference ? 1 : 0; i < blockSize;) {
+              const m = readFundamentalSequence();
+              if (m >= secondExtension.length) {
+                throw new Error('CCSDS: invalid second extension symbol');
+              }
+              const [beta, first] = secondExtension[m];
+              const second = m - first;
+              if ((i & 1) === 0) {
+                segment.push(beta - second);
+                i++;
+              }
+              segment.push(second);
+              i++;
             }
-          });
+          } else {
+            let zeroBlocks = readFundamentalSequence() + 1;
+            if (zeroBlocks === AEC_ROS) {
+              // Remainder of segment, up to the next multiple of 64 blocks
+              const blocksUsed = Math.floor(segment.length / blockSize);
+              zeroBlocks = Math.min(referenceSampleInterval - blocksUsed, 64 - (blocksUsed % 64));
+            } else if (zeroBlocks > AEC_ROS) {
+              zeroBlocks--;
+            }
+            const zeros = zeroBlocks * blockSize - (reference ? 1 : 0);
+            for (let i = 0; i < zeros; i++) segment.push(0);
+          }
+        } else if (id === uncompressedId) {
+          // No compression: the reference sample is the first raw sample
+          for (let i = 0; i < blockSize; i++) segment.push(readBits(bitsPerSample));
         } else {
-          // Point outside original grid - fill with NaN
-          parameters.forEach(param => {
-            newData[param][idx] = NaN;
-          });
+          // Sample splitting: fundamental sequences first, then k low bits per sample
+          const k = id - 1;
+          const start = segment.length;
+          if (reference) segment.push(readBits(bitsPerSample));
+          const first = segment.length;
+          for (let i = reference ? 1 : 0; i < blockSize; i++) {
+            segment.push(readFundamentalSequence());
+          }
+          if (k > 0) {
+            for (let i = first; i < start + blockSize; i++) {
+              segment[i] = segment[i] * Math.pow(2, k) + readBits(k);
+            }
+          }
         }
+      }
 
-        idx++;
+      if (flags & AEC_PAD_RSI) {
+        bitPosition = Math.ceil(bitPosition / 8) * 8;
+      }
+
+      // Reconstruct samples (inverse of the unit-delay predictor and mapping)
+      for (let i = 0; i < segment.length && count < numberOfSamples; i++) {
+        let value;
+        if (!preprocess) {
+          value = toSigned(segment[i]);
+        } else if (i === 0) {
+          value = toSigned(segment[0]);
+        } else {
+          const delta = segment[i];
+          const theta = Math.min(previous - xMin, xMax - previous);
+          if (delta <= 2 * theta) {
+            value = delta % 2 === 1 ? previous - (delta + 1) / 2 : previous + delta / 2;
+          } else if (theta === previous - xMin) {
+            value = xMin + delta;
+          } else {
+            value = xMax - delta;
+          }
+        }
+        samples[count++] = value;
+        previous = value;
       }
     }
 
-    return newData;
+    return samples;
   }
 }
 
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 4, nj: 2, la1: 50, lo1: 0 });
+const values = [1.5, NaN, 3.25, 4, NaN, NaN, 7.75, 8];
+
+function landSeaFile() {
+  const first = grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), grib.simplePacking(values, { decimalScale: 2 })]);
+  // Second field with bitmap indicator 254: same missing points as the previous bitmap
+  const [section5, , section7] = grib.simplePacking(values.filter(value => !Number.isNaN(value)).map(value => value * 2), { decimalScale: 2 });
+  const second = grib.message([grib.identification(), grid, grib.product({ category: 1, number: 1 }), section5, grib.section(6, [254]), section7]);
+  return grib.file(first, second);
+}
+
+test('masked points are NaN and values stay aligned with the grid', () => {
+  const reader = new GribReader(landSeaFile());
+  reader.parse();
+
+  assertClose(reader.getMessageData(0), values, 1e-6);
+  assert.strictEqual(reader.getSummary()[0].missingPoints, 3);
+
+  const data = reader.getData({ messageIndex: 0 });
+  assert.strictEqual(data.numPoints, 8);
+  assertClose(data.tmp, values, 1e-6, 'tmp');
+});
+
+test('bitmap indicator 254 reuses the previous bitmap', () => {
+  const reader = new GribReader(landSeaFile());
+  reader.parse();
+  assertClose(reader.getMessageData(1), values.map(value => value * 2), 1e-6);
+});
+
+test('custom missing value', () => {
+  const reader = new GribReader(landSeaFile(), { missingValue: 9.999e20 });
+  reader.parse();
+  const data = reader.getMessageData(0);
+  assert.strictEqual(data[1], Math.fround(9.999e20));
+  assert.ok(reader.isMissing(data[1]));
+  assert.ok(!reader.isMissing(data[0]));
+});
+
+test('bitmap indicator 254 without a previous bitmap makes the message invalid', () => {
+  const [section5, , section7] = grib.simplePacking([1, 2, 3, 4, 5, 6, 7, 8]);
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), section5, grib.section(6, [254]), section7])));
+  reader.parse();
+  assert.strictEqual(reader.messages.length, 0);
+  assert.strictEqual(reader.errors[0].code, 'INVALID_MESSAGE');
+});
@@ -0,0 +1,26 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const { test, assertClose, readFixture } = require('./harness.js');
+const { ni, nj, fixtureValues } = require('./fixtures/field.js');
+
+test('template 5.42: CCSDS/AEC with preprocessing, 32-sample blocks', () => {
+  const reader = new GribReader(readFixture('ccsds.grib2'));
+  reader.parse();
+  const section5 = reader.messages[0].sections.section5;
+  assert.strictEqual(section5.dataRepresentationTemplateNumber, 42);
+  assert.strictEqual(section5.template.ccsdsFlags, 14);
+  assert.strictEqual(section5.template.blockSize, 32);
+  assert.strictEqual(section5.template.referenceSampleInterval, 128);
+
+  const data = reader.getMessageData(0);
+  assert.strictEqual(data.length, ni * nj);
+  assertClose(data, fixtureValues(), 1e-3);
+  assert.deepStrictEqual(reader.errors, []);
+});
+
+test('template 5.42: same values in eager mode and through getData', () => {
+  const reader = new GribReader(readFixture('ccsds.grib2'), { lazy: false });
+  reader.parse();
+  const data = reader.getData({ longitudeFormat: 'preserve' });
+  assertClose(data.tmp, fixtureValues(), 1e-3, 'tmp');
+});
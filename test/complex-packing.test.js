@@ -0,0 +1,55 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const ni = 7;
+const nj = 5;
+const grid = grib.latLonGrid({ ni, nj, la1: 50, lo1: 0 });
+
+// Smooth field with some noise, two decimals
+const values = [];
+for (let j = 0; j < nj; j++) {
+  for (let i = 0; i < ni; i++) {
+    values.push(Math.round((280 + i * 0.75 - j * 1.5 + ((i * 7 + j * 3) % 5) * 0.13) * 100) / 100);
+  }
+}
+
+function decode(packing) {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), packing])));
+  reader.parse();
+  assert.deepStrictEqual(reader.errors, []);
+  return { reader, data: reader.getMessageData(0) };
+}
+
+test('template 5.2: complex packing', () => {
+  const { reader, data } = decode(grib.complexPacking(values, { decimalScale: 2, groupSize: 4 }));
+  assert.strictEqual(reader.messages[0].sections.section5.dataRepresentationTemplateNumber, 2);
+  assertClose(data, values, 1e-4);
+});
+
+test('template 5.3: first order spatial differencing', () => {
+  const { reader, data } = decode(grib.complexPacking(values, { decimalScale: 2, groupSize: 5, spatialDifferencing: 1 }));
+  assert.strictEqual(reader.messages[0].sections.section5.dataRepresentationTemplateNumber, 3);
+  assertClose(data, values, 1e-4);
+});
+
+test('template 5.3: second order spatial differencing', () => {
+  const { data } = decode(grib.complexPacking(values, { decimalScale: 2, groupSize: 3, spatialDifferencing: 2 }));
+  assertClose(data, values, 1e-4);
+});
+
+test('primary missing values are decoded as missing points', () => {
+  const withMissing = values.map((value, i) => (i % 6 === 2 || (i >= 12 && i < 16) ? NaN : value));
+  const packing = grib.complexPacking(withMissing, { decimalScale: 2, groupSize: 4, spatialDifferencing: 2, missingValueManagement: 1 });
+  const { reader, data } = decode(packing);
+  assert.strictEqual(reader.messages[0].sections.section5.template.missingValueManagement, 1);
+  assertClose(data, withMissing, 1e-4);
+  assert.strictEqual(reader.getSummary()[0].missingPoints, withMissing.filter(Number.isNaN).length);
+});
+
+test('complex packing with a bitmap', () => {
+  const withMissing = values.map((value, i) => (i % 4 === 1 ? NaN : value));
+  const { data } = decode(grib.complexPacking(withMissing, { decimalScale: 2, spatialDifferencing: 1 }));
+  assertClose(data, withMissing, 1e-4);
+});
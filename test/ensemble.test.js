@@ -0,0 +1,103 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+function field(productOptions, values) {
+  return grib.message([grib.identification(), grid, grib.product(Object.assign({ category: 0, number: 0, forecastTime: 24 }, productOptions)), grib.simplePacking(values)]);
+}
+
+// Template 4.1 member of a 31-member ensemble
+function member(type, perturbation, values, surfaceOptions = {}) {
+  return field(Object.assign({ template: 1, extra: [type, perturbation, 31] }, surfaceOptions), values);
+}
+
+// Template 4.5 probability: [number, total, type, lower, upper]
+function probability(number, total, type, lower, upper) {
+  return field({ template: 5, extra: [number, total, type, ...lower, ...upper] }, [0, 25, 50, 100]);
+}
+
+// TMP 2 m: control and three perturbations, point 2 missing in member +1
+const members = [
+  [1, 0, [280, 281, 282, 283]],
+  [3, 1, [281, 283, NaN, 285]],
+  [3, 2, [282, 279, 284, 287]],
+  [3, 3, [285, 281, 286, 289]]
+];
+const isobaric = { surface: 100, surfaceValue: 85000 };
+
+const bytes = grib.file(
+  ...members.map(([type, perturbation, values]) => member(type, perturbation, values)),
+  member(0, 0, [270, 271, 272, 273], isobaric),
+  member(2, 1, [271, 272, 273, 274], isobaric),
+  field({ template: 2, extra: [0, 31] }, [282, 281, 284, 286]),
+  probability(1, 3, 1, grib.scaledValue(null), grib.scaledValue(0, 10)),
+  probability(2, 3, 0, grib.scaledValue(2, 27315), grib.scaledValue(null)),
+  probability(3, 3, 2, grib.scaledValue(1, 5), grib.scaledValue(0, 1)),
+  grib.message([grib.identification(), grid,
+    grib.product({ category: 1, number: 8, template: 9, surface: 1, surfaceValue: 0,
+      extra: [1, 1, 1, ...grib.scaledValue(null), ...grib.scaledValue(1, 25), ...grib.statistics([2025, 10, 13, 18], [[1, 6]])] }),
+    grib.simplePacking([0, 10, 20, 30])])
+);
+
+function reader() {
+  const instance = new GribReader(bytes);
+  instance.parse();
+  return instance;
+}
+
+test('inventory suffixes for members, derived forecasts and probabilities', () => {
+  const lines = reader().getInventory().map(entry => entry.inventoryLine.split(':').slice(3).join(':'));
+  assert.deepStrictEqual(lines, [
+    'TMP:2 m above ground:24 hour fcst:ENS=low-res ctl:',
+    'TMP:2 m above ground:24 hour fcst:ENS=+1:',
+    'TMP:2 m above ground:24 hour fcst:ENS=+2:',
+    'TMP:2 m above ground:24 hour fcst:ENS=+3:',
+    'TMP:850 mb:24 hour fcst:ENS=hi-res ctl:',
+    'TMP:850 mb:24 hour fcst:ENS=-1:',
+    'TMP:2 m above ground:24 hour fcst:ens mean:',
+    'TMP:2 m above ground:24 hour fcst:prob >10:prob fcst 1/3:',
+    'TMP:2 m above ground:24 hour fcst:prob <273.15:prob fcst 2/3:',
+    'TMP:2 m above ground:24 hour fcst:prob >=0.5 <1:prob fcst 3/3:',
+    'APCP:surface:0-6 hour acc fcst:prob >2.5:prob fcst 1/1:'
+  ]);
+
+  const inventory = reader().getInventory();
+  assert.deepStrictEqual(inventory[3].ensemble, { typeOfEnsembleForecast: 3, perturbationNumber: 3, numberOfForecastsInEnsemble: 31 });
+  assert.strictEqual(inventory[7].probability.upperLimit.value, 10);
+  assert.strictEqual(inventory[6].ensemble, null);
+});
+
+test('getData selects ensemble members', () => {
+  const instance = reader();
+  assertClose(instance.getData({ match: ':2 m above ground:', ensembleMember: 3 }).tmp, [285, 281, 286, 289], 0);
+
+  // All members collide under one name: the first is kept, with a warning
+  const first = instance.getData({ match: ':ENS=' });
+  assertClose(first.tmp, [280, 281, 282, 283], 0);
+  assert.ok(/ensemble members/.test(first._warnings.message), first._warnings.message);
+
+  const all = instance.getData({ match: ':2 m above ground:.*ENS=', multiLevel: true });
+  assert.deepStrictEqual(all.levels.map(level => level.ensemble.perturbationNumber), [0, 1, 2, 3]);
+});
+
+test('getEnsembleStatistics() across members', () => {
+  const statistics = reader().getEnsembleStatistics({ match: ':TMP:2 m above ground:24 hour fcst:', percentiles: [10, 50, 90] });
+  assert.deepStrictEqual([statistics.members, statistics.messageIndices, statistics.numberOfMembers], [[0, 1, 2, 3], [0, 1, 2, 3], 4]);
+
+  // Point 2 is missing in member +1: three members there
+  assertClose(statistics.mean, [282, 281, 284, 286], 1e-5);
+  assertClose(statistics.spread, [Math.sqrt(3.5), Math.sqrt(2), Math.sqrt(8 / 3), Math.sqrt(5)], 1e-5);
+  assertClose(statistics.percentiles[50], [281.5, 281, 284, 286], 1e-4);
+  assertClose(statistics.percentiles[10], [280.3, 279.6, 282.4, 283.6], 1e-4);
+  assertClose(statistics.percentiles[90], [284.1, 282.4, 285.6, 288.4], 1e-4);
+});
+
+test('getEnsembleStatistics() errors', () => {
+  const instance = reader();
+  assert.throws(() => instance.getEnsembleStatistics({ match: ':TMP:' }), /Ensemble members of several fields match/);
+  assert.throws(() => instance.getEnsembleStatistics({ match: ':APCP:' }), /No ensemble members match pattern/);
+  assert.throws(() => instance.getEnsembleStatistics({ match: ':850 mb:', percentiles: [101] }), /Invalid percentile: 101/);
+});
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GribReader = require('../grib-reader.js');
+const GribFileReader = require('../grib-file-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const { GribError, GribFormatError, GribTruncatedError, GribDecodeError } = GribReader;
+
+const ni = 7;
+const nj = 5;
+const grid = grib.latLonGrid({ ni, nj, la1: 50, lo1: 0 });
+const values = [];
+for (let i = 0; i < ni * nj; i++) values.push(270 + ((i * 13) % 29) * 0.37);
+
+function field(number) {
+  return grib.message([grib.identification(), grid, grib.product({ category: 0, number }), grib.simplePacking(values, { decimalScale: 2 })]);
+}
+
+// GRIB edition 1 message: 3-byte length and edition in octet 8
+const grib1 = Uint8Array.from([71, 82, 73, 66, 0, 0, 32, 1, ...new Array(20).fill(0), 55, 55, 55, 55]);
+
+// Section 3 declaring more bytes than the message holds
+function badSectionLength() {
+  const bytes = field(4);
+  const view = new DataView(bytes.buffer);
+  const section3 = 16 + view.getUint32(16);
+  view.setUint32(section3, 10000);
+  return bytes;
+}
+
+function withoutEndSection() {
+  const bytes = field(5);
+  bytes[bytes.length - 1] = 0;
+  return bytes;
+}
+
+// Every kind of damage, then a message cut off by the end of the file
+const header = Array.from(Buffer.from('****0000012345****\r\nYTXA98 KWBC 131200\r\r\n'));
+const parts = [header, field(0), [13, 10], grib1, field(2), badSectionLength(), withoutEndSection(), field(6), field(9).subarray(0, 50)];
+const damaged = new Uint8Array(grib.file(...parts));
+const partOffsets = parts.map((part, i) => parts.slice(0, i).reduce((sum, previous) => sum + previous.length, 0));
+
+test('damaged parts are skipped and recorded', () => {
+  const reader = new GribReader(damaged.buffer.slice(0));
+  reader.parse();
+
+  assert.deepStrictEqual(reader.messages.map(message => message.offset), [partOffsets[1], partOffsets[4], partOffsets[7]]);
+  assert.deepStrictEqual(reader.getInventory().map(entry => entry.parameter), ['TMP', 'POT', 'DPT']);
+  reader.messages.forEach((message, i) => assertClose(reader.getMessageData(i), values, 1e-4, `message ${i}`));
+
+  assert.deepStrictEqual(reader.errors.map(error => [error.code, error.offset]), [
+    ['UNSUPPORTED_EDITION', partOffsets[3]],
+    ['INVALID_SECTION_LENGTH', partOffsets[5]],
+    ['MISSING_END_SECTION', partOffsets[6]],
+    ['TRUNCATED', partOffsets[8]]
+  ]);
+  assert.deepStrictEqual(reader.warnings.map(warning => [warning.code, warning.offset]), [
+    ['SKIPPED_BYTES', 0],
+    ['SKIPPED_BYTES', partOffsets[2]],
+    ['SKIPPED_BYTES', partOffsets[3] + 4],
+    ['SKIPPED_BYTES', partOffsets[6] + 4],
+    ['SKIPPED_BYTES', partOffsets[8] + 4]
+  ]);
+  assert.ok(reader.errors.every(error => typeof error.message === 'string' && error.messageIndex === null));
+});
+
+test('the file reader and the stream parser find the same problems', () => {
+  const reader = new GribReader(damaged.buffer.slice(0));
+  reader.parse();
+  const summary = entries => entries.map(entry => [entry.code, entry.offset]);
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'grib-errors-'));
+  const file = path.join(directory, 'damaged.grib2');
+  fs.writeFileSync(file, damaged);
+  const fileReader = new GribFileReader(file);
+  try {
+    fileReader.parse();
+    assert.deepStrictEqual(fileReader.messages.map(message => message.offset), reader.messages.map(message => message.offset));
+    assert.deepStrictEqual(summary(fileReader.errors), summary(reader.errors));
+    assert.deepStrictEqual(summary(fileReader.warnings), summary(reader.warnings));
+  } finally {
+    fileReader.close();
+    fs.unlinkSync(file);
+    fs.rmdirSync(directory);
+  }
+
+  const parser = GribReader.createStreamParser();
+  const messages = [];
+  for (let i = 0; i < damaged.length; i += 10) messages.push(...parser.push(damaged.subarray(i, i + 10)));
+  parser.end();
+  assert.deepStrictEqual(messages.map(message => message.offset), reader.messages.map(message => message.offset));
+  assert.deepStrictEqual(summary(parser.errors), summary(reader.errors));
+});
+
+test('strict mode throws typed errors', () => {
+  const parse = (...files) => () => new GribReader(grib.file(...files), { strict: true }).parse();
+  const is = (type, code, offset) => error => error instanceof type && error instanceof GribError && error.code === code && error.offset === offset;
+
+  assert.throws(parse(header, field(0)), is(GribFormatError, 'INVALID_SIGNATURE', 0));
+  assert.throws(parse(field(0), grib1), is(GribFormatError, 'UNSUPPORTED_EDITION', field(0).length));
+  assert.throws(parse(badSectionLength()), is(GribFormatError, 'INVALID_SECTION_LENGTH', 0));
+  assert.throws(parse(withoutEndSection()), is(GribFormatError, 'MISSING_END_SECTION', 0));
+  assert.throws(parse(field(0).subarray(0, 50)), is(GribTruncatedError, 'TRUNCATED', 0));
+
+  const reader = new GribReader(grib.file(field(0), field(6)), { strict: true });
+  assert.strictEqual(reader.parse().length, 2);
+});
+
+// Template 5.3 message whose data section stops before the last groups
+function truncatedComplexPacking() {
+  const [section5, section6, section7] = grib.complexPacking(values, { decimalScale: 2, groupSize: 5, spatialDifferencing: 2 });
+  return grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), section5, section6, grib.section(7, section7.slice(5, section7.length - 6))]);
+}
+
+test('complex packing cut short is a decode error with the message offset', () => {
+  const bytes = grib.file(field(2), truncatedComplexPacking());
+  const offset = field(2).length;
+
+  const reader = new GribReader(bytes);
+  reader.parse();
+  assert.deepStrictEqual(reader.errors, []);
+  const data = reader.getMessageData(1);
+  assert.ok(Array.from(data).every(Number.isNaN));
+  assert.strictEqual(reader.errors.length, 1);
+  const { code, message, offset: errorOffset, messageIndex } = reader.errors[0];
+  assert.deepStrictEqual({ code, offset: errorOffset, messageIndex }, { code: 'DECODE_ERROR', offset, messageIndex: 1 });
+  const decoded = Number(/ends after (\d+) of 35 points/.exec(message)[1]);
+  assert.ok(decoded > 0 && decoded < 35, message);
+
+  // Unpacked in parse()
+  const eager = new GribReader(bytes, { lazy: false });
+  eager.parse();
+  assert.deepStrictEqual(eager.errors.map(error => [error.code, error.offset, error.messageIndex]), [['DECODE_ERROR', offset, 1]]);
+
+  // Thrown on access in strict mode
+  const strict = new GribReader(bytes, { strict: true });
+  strict.parse();
+  assert.throws(() => strict.getMessageData(1), error => error instanceof GribDecodeError && error.offset === offset && error.messageIndex === 1);
+  assertClose(strict.getMessageData(0), values, 1e-4);
+
+  // Stream offsets
+  const parser = GribReader.createStreamParser();
+  const messages = parser.push(new Uint8Array(grib.file(Array.from(Buffer.from('\r\n')), field(2), truncatedComplexPacking())));
+  assert.ok(Array.from(messages[1].sections.section7.data).every(Number.isNaN));
+  assert.deepStrictEqual(parser.errors.map(error => [error.code, error.offset, error.messageIndex]), [['DECODE_ERROR', offset + 2, 1]]);
+});
+
+test('complex packing cut short in a file read from disk', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'grib-errors-'));
+  const file = path.join(directory, 'truncated.grib2');
+  fs.writeFileSync(file, new Uint8Array(grib.file(field(2), truncatedComplexPacking())));
+  const reader = new GribFileReader(file);
+  try {
+    reader.parse();
+    reader.getMessageData(1);
+    assert.deepStrictEqual(reader.errors.map(error => [error.code, error.offset, error.messageIndex]), [['DECODE_ERROR', field(2).length, 1]]);
+  } finally {
+    reader.close();
+    fs.unlinkSync(file);
+    fs.rmdirSync(directory);
+  }
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GribReader = require('../grib-reader.js');
+const GribFileReader = require('../grib-file-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+const { ni, nj, fixtureValues } = require('./fixtures/field.js');
+
+const grid = grib.latLonGrid({ ni: 4, nj: 3, la1: 50, lo1: 0 });
+
+function field(category, number, forecastTime, offset) {
+  const values = [];
+  for (let i = 0; i < 12; i++) values.push(offset + i * 0.5 + (i % 3 === 1 ? 0.25 : 0));
+  return grib.message([grib.identification(), grid, grib.product({ category, number, forecastTime }), grib.complexPacking(values, { decimalScale: 2, spatialDifferencing: 2 })]);
+}
+
+// Bulletin header before the first message, CRLF padding between messages
+const bytes = new Uint8Array(grib.file(
+  Array.from(Buffer.from('****0000012345****\r\nYTXA98 KWBC 131200\r\r\n')),
+  field(0, 0, 0, 280),
+  [13, 10],
+  field(0, 0, 6, 282),
+  field(1, 1, 6, 50)
+));
+
+function withFile(contents, fn) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'grib-file-reader-'));
+  const file = path.join(directory, 'test.grib2');
+  fs.writeFileSync(file, contents);
+  try {
+    return fn(file);
+  } finally {
+    fs.unlinkSync(file);
+    fs.rmdirSync(directory);
+  }
+}
+
+// Positions and lengths of the reads made by a file reader
+function recordReads(reader) {
+  const reads = [];
+  const readBytes = reader.readBytes.bind(reader);
+  reader.readBytes = (position, length) => {
+    reads.push({ position, length });
+    return readBytes(position, length);
+  };
+  return reads;
+}
+
+test('same messages, offsets and values as GribReader', () => withFile(bytes, file => {
+  const inMemory = new GribReader(bytes.buffer.slice(0));
+  inMemory.parse();
+  const reader = new GribFileReader(file);
+  try {
+    reader.parse();
+    assert.strictEqual(reader.messages.length, 3);
+    assert.deepStrictEqual(reader.getInventory().map(entry => entry.inventoryLine), inMemory.getInventory().map(entry => entry.inventoryLine));
+    assert.deepStrictEqual(reader.messages.map(message => message.offset), inMemory.messages.map(message => message.offset));
+    assert.deepStrictEqual(reader.warnings, inMemory.warnings);
+    assert.deepStrictEqual(reader.errors, []);
+    for (let i = 0; i < 3; i++) {
+      assertClose(reader.getMessageData(i), inMemory.getMessageData(i), 0, `message ${i}`);
+    }
+    assert.strictEqual(reader.generateIndex(), inMemory.generateIndex());
+  } finally {
+    reader.close();
+  }
+}));
+
+test('packed values are read from the file when requested', () => withFile(bytes, file => {
+  const reader = new GribFileReader(file);
+  const reads = recordReads(reader);
+  try {
+    reader.parse();
+    const dataReads = () => reads.filter(read => reader.messages.some(message => read.position === message.sections.section7.dataOffset));
+    assert.deepStrictEqual(dataReads(), []);
+
+    const data = reader.getData({ match: ':RH:' });
+    assertClose(data.rh[1], 50.75, 1e-4);
+    const section7 = reader.messages[2].sections.section7;
+    assert.deepStrictEqual(dataReads(), [{ position: section7.dataOffset, length: section7.length - 5 }]);
+  } finally {
+    reader.close();
+  }
+}));
+
+test('file descriptor input and close()', () => withFile(bytes, file => {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const reader = new GribFileReader(fd);
+    reader.parse();
+    const values = reader.getMessageData(0);
+    reader.close();
+    fs.fstatSync(fd); // Left open for the caller
+
+    // Decoded fields stay available, the file can no longer be read
+    assert.strictEqual(reader.getMessageData(0), values);
+    assert.throws(() => reader.parse(), /File is closed/);
+  } finally {
+    fs.closeSync(fd);
+  }
+}));
+
+test('truncated file', () => withFile(bytes.subarray(0, bytes.length - 20), file => {
+  const reader = new GribFileReader(file);
+  try {
+    reader.parse();
+    assert.strictEqual(reader.messages.length, 2);
+    assert.strictEqual(reader.errors.length, 1);
+    assert.strictEqual(reader.errors[0].code, 'TRUNCATED');
+    assert.strictEqual(reader.errors[0].offset, reader.messages[1].offset + reader.messages[1].totalLength);
+  } finally {
+    reader.close();
+  }
+}));
+
+test('strict mode throws on a truncated message', () => withFile(new Uint8Array(grib.file(field(0, 0, 0, 280))).subarray(0, 60), file => {
+  const reader = new GribFileReader(file, { strict: true });
+  try {
+    assert.throws(() => reader.parse(), error => error instanceof GribReader.GribTruncatedError && error.offset === 0);
+  } finally {
+    reader.close();
+  }
+}));
+
+test('committed fixture read from its path', () => {
+  const reader = new GribFileReader(path.join(__dirname, 'fixtures', 'ccsds.grib2'));
+  try {
+    reader.parse();
+    const data = reader.getMessageData(0);
+    assert.strictEqual(data.length, ni * nj);
+    assertClose(data, fixtureValues(), 1e-3);
+  } finally {
+    reader.close();
+  }
+});
@@ -0,0 +1,23 @@
+/**
+ * Field stored in the packed fixtures (jpeg2000-tiled, png, ccsds): 53 x 37 points on a 0.5° grid
+ * from 55°N 0°E, scanned north to south, integers X = 20000 ... 35344 stored with D = 2 (values X / 100)
+ */
+
+const ni = 53;
+const nj = 37;
+
+function fixtureInteger(i, j) {
+  return 20000 + i * 211 + j * 97 + ((i * 7 + j * 11) % 23) * 40;
+}
+
+function fixtureValues() {
+  const values = [];
+  for (let j = 0; j < nj; j++) {
+    for (let i = 0; i < ni; i++) {
+      values.push(fixtureInteger(i, j) / 100);
+    }
+  }
+  return values;
+}
+
+module.exports = { ni, nj, fixtureInteger, fixtureValues };
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+function gaussianReader(options, packing) {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grib.gaussianGrid(options), grib.product({ category: 0, number: 0 }), packing])));
+  reader.parse();
+  return reader;
+}
+
+test('Gaussian latitudes are the roots of the Legendre polynomials', () => {
+  const reader = new GribReader(new ArrayBuffer(0));
+  const degrees = x => Math.asin(x) * 180 / Math.PI;
+
+  // Degree 2 and 4 roots: ±1/√3, ±0.8611363116, ±0.3399810436
+  assertClose(reader.getGaussianLatitudes(1), [degrees(1 / Math.sqrt(3)), -degrees(1 / Math.sqrt(3))], 1e-9);
+  assertClose(reader.getGaussianLatitudes(2), [degrees(0.8611363116), degrees(0.3399810436), -degrees(0.3399810436), -degrees(0.8611363116)], 1e-8);
+
+  // First latitudes of the F32, F80 (ERA-Interim) and F640 (IFS) grids
+  assert.strictEqual(reader.getGaussianLatitudes(32).length, 64);
+  assertClose([32, 80, 640].map(N => reader.getGaussianLatitudes(N)[0]), [87.863799, 89.141519, 89.892396], 1e-6);
+});
+
+test('template 3.40: regular Gaussian grid', () => {
+  // Global F32: 128 x 64, 2.8125° apart
+  const reader = gaussianReader({ ni: 128, nj: 64, la1: 87.863799, lo1: 0, la2: -87.863799, lo2: 357.1875, N: 32 }, grib.constantField(128 * 64, 280));
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'Gaussian grid');
+  assert.deepStrictEqual(grid.gaussian, { N: 32, reduced: false, pointsPerRow: null });
+
+  const { lat, lng, rows } = reader.computeGridCoordinates(reader.messages[0].sections.section3);
+  assert.strictEqual(lat.length, 128 * 64);
+  assertClose(rows.latitudes, reader.getGaussianLatitudes(32), 1e-9);
+  assertClose([lat[0], lat[128 * 31], lat[128 * 32], lat[128 * 64 - 1]], [87.863799, 1.395307, -1.395307, -87.863799], 1e-5);
+  assertClose([lng[0], lng[1], lng[127], lng[128]], [0, 2.8125, 357.1875, 0], 1e-6);
+});
+
+test('template 3.40: reduced Gaussian grid rows', () => {
+  // N = 2: 8, 16, 16 and 8 points on the parallels
+  const pl = [8, 16, 16, 8];
+  const values = [];
+  pl.forEach((n, j) => {
+    for (let i = 0; i < n; i++) values.push(j * 100 + i);
+  });
+  const reader = gaussianReader({ nj: 4, la1: 59.441, lo1: 0, la2: -59.441, lo2: 337.5, N: 2, pl }, grib.simplePacking(values));
+
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'reduced Gaussian grid');
+  assert.deepStrictEqual(grid.gaussian, { N: 2, reduced: true, pointsPerRow: pl });
+  assert.strictEqual(grid.dimensions.ni, null);
+
+  const data = reader.getData();
+  assert.strictEqual(data.lat.length, 48);
+  assertClose(data.tmp, values, 0);
+
+  // Each row spans the globe with its own spacing
+  const rowStart = [0, 8, 24, 40];
+  assertClose(rowStart.map(start => data.lat[start]), reader.getGaussianLatitudes(2), 1e-5, 'row latitudes');
+  assertClose(Array.from(data.lng.subarray(0, 8)), [0, 45, 90, 135, 180, 225, 270, 315], 1e-6, 'row 0');
+  assertClose(Array.from(data.lng.subarray(8, 24)), new Array(16).fill(0).map((value, i) => i * 22.5), 1e-6, 'row 1');
+  assert.ok(Array.from(data.lat.subarray(8, 24)).every(value => value === data.lat[8]));
+});
@@ -0,0 +1,483 @@
+/**
+ * GRIB2 message builder for the tests
+ * Each helper returns the bytes of one section (plain arrays), message() assembles them.
+ * Angles are in degrees, values are packed from plain numbers (NaN = missing point).
+ */
+
+function uint16(n) {
+  return [(n >> 8) & 255, n & 255];
+}
+
+function uint32(n) {
+  return [(n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255];
+}
+
+// GRIB2 signed integers: sign bit and magnitude
+function int16(n) {
+  return uint16(n < 0 ? (-n) | 0x8000 : n);
+}
+
+function int32(n) {
+  return uint32(n < 0 ? ((-n) | 0x80000000) >>> 0 : n);
+}
+
+function float32(x) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setFloat32(0, x);
+  return Array.from(bytes);
+}
+
+function section(number, body) {
+  return [...uint32(body.length + 5), number, ...body];
+}
+
+/**
+ * Section 1: Identification Section
+ * @param {Object} options - centre, subCentre, masterTable, localTable, date [year, month, day, hour, minute, second],
+ *   significance (Code Table 1.2, default 1 = start of forecast)
+ */
+function identification(options = {}) {
+  const [year, month, day, hour, minute, second] = options.date || [2025, 10, 13, 12, 0, 0];
+  return section(1, [
+    ...uint16(options.centre !== undefined ? options.centre : 7),
+    ...uint16(options.subCentre || 0),
+    options.masterTable !== undefined ? options.masterTable : 2,
+    options.localTable !== undefined ? options.localTable : 1,
+    options.significance !== undefined ? options.significance : 1, // Significance of reference time
+    ...uint16(year), month, day, hour, minute || 0, second || 0,
+    0, // Production status: operational
+    1 // Type of data: forecast
+  ]);
+}
+
+/**
+ * Section 3: regular lat-lon grid (template 3.0), or rotated lat-lon grid (template 3.1) when
+ * options.southPole is set; la1, lo1, di and dj are then in the rotated frame
+ * @param {Object} options - ni, nj, la1, lo1, di, dj, scanningMode (0 = north to south, 0x40 = south to north),
+ *   southPole ([latitude, longitude] of the southern pole of the rotation), angleOfRotation
+ */
+function latLonGrid(options) {
+  const { ni, nj, la1, lo1 } = options;
+  const di = options.di !== undefined ? options.di : 1;
+  const dj = options.dj !== undefined ? options.dj : 1;
+  const scanningMode = options.scanningMode || 0;
+  const la2 = la1 + (scanningMode & 0x40 ? 1 : -1) * (nj - 1) * dj;
+  const lo2 = lo1 + (ni - 1) * di;
+  const micro = value => Math.round(value * 1e6);
+
+  const rotation = options.southPole
+    ? [...int32(micro(options.southPole[0])), ...uint32(micro((options.southPole[1] + 360) % 360)), ...float32(options.angleOfRotation || 0)]
+    : [];
+
+  return section(3, [
+    0, ...uint32(ni * nj), 0, 0, ...uint16(options.southPole ? 1 : 0),
+    6, 0, ...uint32(0), 0, ...uint32(0), 0, ...uint32(0), // Earth shape: sphere of radius 6371229 m
+    ...uint32(ni), ...uint32(nj), ...uint32(0), ...uint32(0xffffffff),
+    ...int32(micro(la1)), ...int32(micro(lo1)), 48,
+    ...int32(micro(la2)), ...int32(micro(lo2)),
+    ...uint32(micro(di)), ...uint32(micro(dj)), scanningMode,
+    ...rotation
+  ]);
+}
+
+/**
+ * Section 3: Lambert Conformal grid (template 3.30)
+ * @param {Object} options - ni, nj, la1, lo1, lad, lov, dx, dy (metres), latin1, latin2,
+ *   scanningMode (default 0x40, south to north), flags (resolution and component flags, default 8 = grid-relative winds)
+ */
+function lambertGrid(options) {
+  const micro = value => Math.round(value * 1e6);
+  const milli = value => Math.round(value * 1e3);
+
+  return section(3, [
+    0, ...uint32(options.ni * options.nj), 0, 0, ...uint16(30),
+    6, 0, ...uint32(0), 0, ...uint32(0), 0, ...uint32(0), // Earth shape: sphere of radius 6371229 m
+    ...uint32(options.ni), ...uint32(options.nj),
+    ...int32(micro(options.la1)), ...uint32(micro(options.lo1)),
+    options.flags !== undefined ? options.flags : 8,
+    ...int32(micro(options.lad)), ...uint32(micro(options.lov)),
+    ...uint32(milli(options.dx)), ...uint32(milli(options.dy)),
+    0, options.scanningMode !== undefined ? options.scanningMode : 0x40,
+    ...int32(micro(options.latin1)), ...int32(micro(options.latin2)),
+    ...int32(micro(-90)), ...uint32(0)
+  ]);
+}
+
+/**
+ * Section 3: Polar Stereographic grid (template 3.20)
+ * @param {Object} options - ni, nj, la1, lo1, lad, lov, dx, dy (metres), southPole,
+ *   scanningMode (default 0x40, south to north), flags (resolution and component flags, default 8 = grid-relative winds)
+ */
+function polarStereographicGrid(options) {
+  const micro = value => Math.round(value * 1e6);
+  const milli = value => Math.round(value * 1e3);
+
+  return section(3, [
+    0, ...uint32(options.ni * options.nj), 0, 0, ...uint16(20),
+    6, 0, ...uint32(0), 0, ...uint32(0), 0, ...uint32(0), // Earth shape: sphere of radius 6371229 m
+    ...uint32(options.ni), ...uint32(options.nj),
+    ...int32(micro(options.la1)), ...uint32(micro(options.lo1)),
+    options.flags !== undefined ? options.flags : 8,
+    ...int32(micro(options.lad)), ...uint32(micro(options.lov)),
+    ...uint32(milli(options.dx)), ...uint32(milli(options.dy)),
+    options.southPole ? 0x80 : 0, options.scanningMode !== undefined ? options.scanningMode : 0x40
+  ]);
+}
+
+/**
+ * Section 3: Gaussian grid (template 3.40), reduced when options.pl lists the points of each parallel
+ * @param {Object} options - ni (ignored when reduced), nj, la1, lo1, la2, lo2, N (parallels between a pole
+ *   and the equator), pl, scanningMode (0 = north to south)
+ */
+function gaussianGrid(options) {
+  const micro = value => Math.round(value * 1e6);
+  const { nj, pl } = options;
+  const ni = pl ? 0xffffffff : options.ni;
+  const numberOfPoints = pl ? pl.reduce((sum, n) => sum + n, 0) : ni * nj;
+  const di = pl ? 0xffffffff : micro((options.lo2 - options.lo1) / (ni - 1));
+
+  return section(3, [
+    0, ...uint32(numberOfPoints), pl ? 2 : 0, pl ? 1 : 0, ...uint16(40),
+    6, 0, ...uint32(0), 0, ...uint32(0), 0, ...uint32(0), // Earth shape: sphere of radius 6371229 m
+    ...uint32(ni), ...uint32(nj), ...uint32(0), ...uint32(0xffffffff),
+    ...int32(micro(options.la1)), ...int32(micro(options.lo1)), 48,
+    ...int32(micro(options.la2)), ...int32(micro(options.lo2)),
+    ...uint32(di), ...uint32(options.N), options.scanningMode || 0,
+    ...(pl ? [].concat(...pl.map(uint16)) : [])
+  ]);
+}
+
+/**
+ * Section 3: Mercator grid (template 3.10)
+ * @param {Object} options - ni, nj, la1, lo1, la2, lo2, lad, dx, dy (metres), scanningMode (default 0x40, south to north)
+ */
+function mercatorGrid(options) {
+  const micro = value => Math.round(value * 1e6);
+  const milli = value => Math.round(value * 1e3);
+
+  return section(3, [
+    0, ...uint32(options.ni * options.nj), 0, 0, ...uint16(10),
+    6, 0, ...uint32(0), 0, ...uint32(0), 0, ...uint32(0), // Earth shape: sphere of radius 6371229 m
+    ...uint32(options.ni), ...uint32(options.nj),
+    ...int32(micro(options.la1)), ...int32(micro(options.lo1)), 48,
+    ...int32(micro(options.lad)), ...int32(micro(options.la2)), ...int32(micro(options.lo2)),
+    options.scanningMode !== undefined ? options.scanningMode : 0x40, ...int32(0),
+    ...uint32(milli(options.dx)), ...uint32(milli(options.dy))
+  ]);
+}
+
+/**
+ * Section 3: space view perspective grid (template 3.90), on the ellipsoid of Meteosat (shape 7)
+ * @param {Object} options - ni, nj, lap, lop (sub-satellite point), dx, dy (apparent diameter of the earth
+ *   in grid lengths), xp, yp (sub-satellite grid point), xo, yo (origin of the sector), nr (camera distance
+ *   in equatorial radii), scanningMode (default 0, north to south)
+ */
+function spaceViewGrid(options) {
+  const micro = value => Math.round(value * 1e6);
+
+  return section(3, [
+    0, ...uint32(options.ni * options.nj), 0, 0, ...uint16(90),
+    7, 0, ...uint32(0), 0, ...uint32(6378169), 1, ...uint32(63565838), // Axes 6378169 m and 6356583.8 m
+    ...uint32(options.ni), ...uint32(options.nj),
+    ...int32(micro(options.lap)), ...int32(micro(options.lop)), 0,
+    ...uint32(options.dx), ...uint32(options.dy),
+    ...uint32(Math.round(options.xp * 1e3)), ...uint32(Math.round(options.yp * 1e3)),
+    options.scanningMode || 0, ...int32(0), ...uint32(micro(options.nr)),
+    ...uint32(options.xo), ...uint32(options.yo)
+  ]);
+}
+
+/**
+ * Section 4: product definition template 4.0 (or another template whose fields follow those of 4.0)
+ * @param {Object} options - category, number, template, forecastTime, unit (Code Table 4.4),
+ *   surface, surfaceScale, surfaceValue (null = missing), surface2, surface2Scale, surface2Value,
+ *   prefix (bytes between the parameter number and the generating process, templates 4.40 and later),
+ *   extra (bytes appended after the 4.0 fields)
+ */
+function product(options) {
+  const has = key => options[key] !== undefined;
+  return section(4, [
+    ...uint16(0), ...uint16(options.template || 0),
+    options.category, options.number,
+    ...(options.prefix || []),
+    2, 0, 96, ...uint16(0), 0,
+    has('unit') ? options.unit : 1,
+    ...int32(options.forecastTime || 0),
+    has('surface') ? options.surface : 103,
+    ...(options.surfaceValue === null ? scaledValue(null) : scaledValue(options.surfaceScale || 0, has('surfaceValue') ? options.surfaceValue : 2)),
+    has('surface2') ? options.surface2 : 255, ...(has('surface2') ? scaledValue(options.surface2Scale || 0, options.surface2Value || 0) : scaledValue(null)),
+    ...(options.extra || [])
+  ]);
+}
+
+/**
+ * Statistical processing fields of templates 4.8 to 4.12: end of the overall time interval and time ranges
+ * @param {Array<Number>} end - [year, month, day, hour, minute, second]
+ * @param {Array<Array<Number>>} ranges - [typeOfStatisticalProcessing (Code Table 4.10), length, unit (Code Table 4.4, default 1)]
+ */
+function statistics(end, ranges) {
+  const [year, month, day, hour, minute, second] = end;
+  return [
+    ...uint16(year), month, day, hour, minute || 0, second || 0,
+    ranges.length, ...uint32(0),
+    ...[].concat(...ranges.map(([process, length, unit]) => [process, 2, unit !== undefined ? unit : 1, ...uint32(length), 255, ...uint32(0)]))
+  ];
+}
+
+/**
+ * Scale factor and scaled value (probability limits, sizes): value = scaledValue x 10^-scaleFactor,
+ * all ones when scaleFactor is null
+ */
+function scaledValue(scaleFactor, value) {
+  return scaleFactor === null ? [255, ...uint32(0xffffffff)] : [scaleFactor < 0 ? 0x80 | -scaleFactor : scaleFactor, ...int32(value)];
+}
+
+/**
+ * Section 6: bitmap of the points that are not NaN (indicator 255 if there are none)
+ */
+function bitmap(values) {
+  if (!values.some(value => Number.isNaN(value))) {
+    return section(6, [255]);
+  }
+  return section(6, [0, ...packBits(values.map(value => (Number.isNaN(value) ? 0 : 1)), 1)]);
+}
+
+/**
+ * Pack unsigned integers on a fixed number of bits, MSB first, padded to a whole byte
+ */
+function packBits(values, bits) {
+  const writer = new BitWriter();
+  values.forEach(value => writer.write(value, bits));
+  return writer.bytes();
+}
+
+class BitWriter {
+  constructor() {
+    this.bits = [];
+  }
+
+  write(value, bits) {
+    for (let k = bits - 1; k >= 0; k--) {
+      this.bits.push(Math.floor(value / Math.pow(2, k)) % 2);
+    }
+  }
+
+  // Pad to a whole byte
+  align() {
+    while (this.bits.length % 8 !== 0) this.bits.push(0);
+  }
+
+  bytes() {
+    this.align();
+    const bytes = [];
+    for (let i = 0; i < this.bits.length; i += 8) {
+      let byte = 0;
+      for (let k = 0; k < 8; k++) byte = (byte << 1) | this.bits[i + k];
+      bytes.push(byte);
+    }
+    return bytes;
+  }
+}
+
+function bitsFor(maxValue) {
+  let bits = 0;
+  while (Math.pow(2, bits) <= maxValue) bits++;
+  return bits;
+}
+
+// Integer values of the points that are not NaN, scaled by 10^D
+function scaledIntegers(values, decimalScale) {
+  return values.filter(value => !Number.isNaN(value)).map(value => Math.round(value * Math.pow(10, decimalScale)));
+}
+
+/**
+ * Sections 5, 6 and 7 with simple packing (template 5.0)
+ * NaN values are left out of the packed values and flagged in a bitmap.
+ * @param {Array<Number>} values - Field values
+ * @param {Object} options - decimalScale (default 0)
+ * @returns {Array<Array>} [section5, section6, section7]
+ */
+function simplePacking(values, options = {}) {
+  const decimalScale = options.decimalScale || 0;
+  const integers = scaledIntegers(values, decimalScale);
+  const reference = Math.min(...integers);
+  const bits = bitsFor(Math.max(...integers) - reference);
+
+  return [
+    section(5, [...uint32(integers.length), ...uint16(0), ...float32(reference), ...int16(0), ...int16(decimalScale), bits, 0]),
+    bitmap(values),
+    section(7, packBits(integers.map(value => value - reference), bits))
+  ];
+}
+
+/**
+ * Sections 5, 6 and 7 of a constant field (simple packing on 0 bits), for grids too large to pack values
+ */
+function constantField(numberOfPoints, value) {
+  return [
+    section(5, [...uint32(numberOfPoints), ...uint16(0), ...float32(value), ...int16(0), ...int16(0), 0, 0]),
+    section(6, [255]),
+    section(7, [])
+  ];
+}
+
+/**
+ * Sections 5, 6 and 7 with complex packing (template 5.2), or complex packing with spatial
+ * differencing (template 5.3) when options.spatialDifferencing is 1 or 2
+ * Points are split into groups of options.groupSize. With options.missingValueManagement = 1,
+ * NaN values are coded as primary missing values instead of a bitmap.
+ *
+ * @param {Array<Number>} values - Field values
+ * @param {Object} options - decimalScale, groupSize (default 4), spatialDifferencing (0, 1, 2), missingValueManagement (0, 1)
+ * @returns {Array<Array>} [section5, section6, section7]
+ */
+function complexPacking(values, options = {}) {
+  const decimalScale = options.decimalScale || 0;
+  const groupSize = options.groupSize || 4;
+  const order = options.spatialDifferencing || 0;
+  const missingValueManagement = options.missingValueManagement || 0;
+  const points = missingValueManagement ? values : values.filter(value => !Number.isNaN(value));
+
+  // Values relative to the reference value, then spatial differences of the non-missing ones
+  const integers = scaledIntegers(values, decimalScale);
+  const reference = Math.min(...integers);
+  const relative = integers.map(value => value - reference);
+  let sequence = relative;
+  let overallMinimum = 0;
+  if (order > 0) {
+    const differences = relative.map((value, n) => {
+      if (n < order) return 0;
+      return order === 1 ? value - relative[n - 1] : value - 2 * relative[n - 1] + relative[n - 2];
+    });
+    overallMinimum = Math.min(...differences.slice(order));
+    sequence = differences.map((difference, n) => (n < order ? 0 : difference - overallMinimum));
+  }
+
+  // Packed value of each point, null for missing points
+  let next = 0;
+  const packed = points.map(value => (Number.isNaN(value) ? null : sequence[next++]));
+
+  const groups = [];
+  for (let start = 0; start < packed.length; start += groupSize) {
+    const members = packed.slice(start, start + groupSize);
+    const present = members.filter(value => value !== null);
+    const minimum = present.length > 0 ? Math.min(...present) : 0;
+    const range = present.length > 0 ? Math.max(...present) - minimum : 0;
+    // One more code when missing values are managed: all ones is the missing value
+    const hasMissing = present.length < members.length;
+    groups.push({
+      members,
+      allMissing: present.length === 0,
+      reference: minimum,
+      width: hasMissing || missingValueManagement ? bitsFor(range + 1) : bitsFor(range)
+    });
+  }
+
+  const maxReference = Math.max(...groups.map(group => group.reference));
+  const referenceBits = Math.max(bitsFor(missingValueManagement ? maxReference + 1 : maxReference), 1);
+  groups.forEach(group => {
+    if (group.allMissing) {
+      group.reference = Math.pow(2, referenceBits) - 1;
+      group.width = 0;
+    }
+  });
+  const minWidth = Math.min(...groups.map(group => group.width));
+  const widthBits = bitsFor(Math.max(...groups.map(group => group.width)) - minWidth);
+  const lastLength = groups[groups.length - 1].members.length;
+
+  const body = [
+    ...uint32(points.length), ...uint16(order > 0 ? 3 : 2),
+    ...float32(reference), ...int16(0), ...int16(decimalScale),
+    referenceBits, 0, 1, missingValueManagement, ...float32(9.999e20), ...float32(0),
+    ...uint32(groups.length), minWidth, widthBits,
+    ...uint32(groupSize), 1, ...uint32(lastLength), 0 // All scaled group lengths are 0
+  ];
+  if (order > 0) {
+    body.push(order, 2);
+  }
+
+  const writer = new BitWriter();
+  if (order > 0) {
+    // First values and overall minimum of the differences, on 2 octets each
+    for (let n = 0; n < order; n++) writer.write(relative[n], 16);
+    writer.write(overallMinimum < 0 ? 1 : 0, 1);
+    writer.write(Math.abs(overallMinimum), 15);
+  }
+  groups.forEach(group => writer.write(group.reference, referenceBits));
+  writer.align();
+  groups.forEach(group => writer.write(group.width - minWidth, widthBits));
+  writer.align();
+  groups.forEach(group => {
+    const missing = Math.pow(2, group.width) - 1;
+    group.members.forEach(value => {
+      if (group.width > 0) writer.write(value === null ? missing : value - group.reference, group.width);
+    });
+  });
+
+  return [
+    section(5, body),
+    missingValueManagement ? section(6, [255]) : bitmap(values),
+    section(7, writer.bytes())
+  ];
+}
+
+/**
+ * Complete GRIB2 message
+ * @param {Array<Array>} sections - Sections 1 to 7 (nested arrays are flattened, see simplePacking)
+ * @param {Object} options - discipline (default 0)
+ * @returns {Uint8Array} Message bytes
+ */
+function message(sections, options = {}) {
+  const body = [];
+  const append = part => {
+    if (Array.isArray(part[0])) part.forEach(append);
+    else body.push(...part);
+  };
+  sections.forEach(append);
+  const totalLength = 16 + body.length + 4;
+  return Uint8Array.from([
+    71, 82, 73, 66, 0, 0, options.discipline || 0, 2, ...uint32(0), ...uint32(totalLength),
+    ...body,
+    55, 55, 55, 55
+  ]);
+}
+
+/**
+ * Concatenate messages (and other bytes) into one ArrayBuffer, as read from a file
+ */
+function file(...parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes.buffer;
+}
+
+module.exports = {
+  uint16,
+  uint32,
+  int16,
+  int32,
+  float32,
+  section,
+  identification,
+  latLonGrid,
+  lambertGrid,
+  polarStereographicGrid,
+  gaussianGrid,
+  mercatorGrid,
+  spaceViewGrid,
+  product,
+  statistics,
+  scaledValue,
+  bitmap,
+  packBits,
+  simplePacking,
+  constantField,
+  complexPacking,
+  message,
+  file
+};
@@ -0,0 +1,74 @@
+/**
+ * Minimal test harness: test(name, fn) registers a test, run() executes them in order
+ * Tests may be async. No dependencies, so that `npm test` runs on any supported Node version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const tests = [];
+let currentFile = null;
+
+function test(name, fn) {
+  tests.push({ name, fn, file: currentFile });
+}
+
+function setFile(file) {
+  currentFile = file;
+}
+
+/**
+ * Run the registered tests
+ * @returns {Promise<Number>} Number of failed tests
+ */
+async function run() {
+  let failed = 0;
+  let file = null;
+
+  for (const { name, fn, file: testFile } of tests) {
+    if (testFile !== file) {
+      file = testFile;
+      console.log(`\n${file}`);
+    }
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`  ✗ ${name}`);
+      console.log(`    ${(error && error.stack ? error.stack : String(error)).split('\n').join('\n    ')}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed} passed, ${failed} failed`);
+  return failed;
+}
+
+/**
+ * Assert that two numbers (or two arrays of numbers) are equal within a tolerance
+ * NaN only matches NaN.
+ */
+function assertClose(actual, expected, tolerance = 1e-6, label = 'value') {
+  if (typeof expected === 'number') {
+    if (Number.isNaN(expected) ? !Number.isNaN(actual) : !(Math.abs(actual - expected) <= tolerance)) {
+      throw new Error(`${label}: expected ${expected}, got ${actual} (tolerance ${tolerance})`);
+    }
+    return;
+  }
+  if (actual.length !== expected.length) {
+    throw new Error(`${label}: expected ${expected.length} values, got ${actual.length}`);
+  }
+  for (let i = 0; i < expected.length; i++) {
+    assertClose(actual[i], expected[i], tolerance, `${label}[${i}]`);
+  }
+}
+
+/**
+ * Contents of a file of test/fixtures as an ArrayBuffer
+ */
+function readFixture(name) {
+  const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+module.exports = { test, run, setFile, assertClose, readFixture };
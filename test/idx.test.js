@@ -0,0 +1,123 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 3, nj: 2, la1: 50, lo1: 0 });
+
+function field(category, number, surface, surfaceValue, offset) {
+  const values = [0, 1, 2, 3, 4, 5].map(i => offset + i);
+  return grib.message([grib.identification(), grid, grib.product({ category, number, surface, surfaceValue, forecastTime: 24 }), grib.simplePacking(values)]);
+}
+
+// TMP 2 m, UGRD and VGRD 10 m, TMP 850 mb
+const bytes = new Uint8Array(grib.file(
+  field(0, 0, 103, 2, 280),
+  field(2, 2, 103, 10, 5),
+  field(2, 3, 103, 10, -3),
+  field(0, 0, 100, 85000, 270)
+));
+
+test('parseIndex() reads wgrib2 inventories', () => {
+  const text = [
+    '1:0:d=2025101312:PRMSL:mean sea level:24 hour fcst:',
+    '2:1000:d=2025101312:TMP:2 m above ground:24 hour fcst:',
+    '3.1:2500:d=2025101312:UGRD:10 m above ground:24 hour fcst:',
+    '3.2:2500:d=2025101312:VGRD:10 m above ground:24 hour fcst:',
+    '4:4000:d=2025101312:APCP:surface:0-24 hour acc fcst:',
+    ''
+  ].join('\r\n');
+  const index = GribReader.parseIndex(text);
+
+  assert.deepStrictEqual(index.map(entry => [entry.messageNumber, entry.subMessage, entry.offset, entry.length]), [
+    [1, null, 0, 1000], [2, null, 1000, 1500], [3, 1, 2500, 1500], [3, 2, 2500, 1500], [4, null, 4000, null]
+  ]);
+  assert.deepStrictEqual(index[4], {
+    messageNumber: 4, subMessage: null, offset: 4000, length: null, date: '2025101312', parameter: 'APCP',
+    level: 'surface', forecastTime: '0-24 hour acc fcst', inventoryLine: '4:4000:d=2025101312:APCP:surface:0-24 hour acc fcst:'
+  });
+
+  assert.throws(() => GribReader.parseIndex('1:0:d=2025101312:TMP:2 m above ground:anl:\nnot an inventory line'), /Invalid inventory line 2/);
+  assert.throws(() => GribReader.parseIndex('1::d=2025101312:TMP:2 m above ground:anl:'), /Invalid inventory line 1/);
+});
+
+test('generateIndex() gives the offsets of the messages', () => {
+  const reader = new GribReader(bytes.buffer.slice(0));
+  reader.parse();
+  const index = GribReader.parseIndex(reader.generateIndex());
+
+  assert.deepStrictEqual(index.map(entry => entry.offset), reader.messages.map(message => message.offset));
+  assert.deepStrictEqual(index.map(entry => entry.length), [...reader.messages.slice(0, -1).map(message => message.totalLength), null]);
+  assert.strictEqual(index[1].inventoryLine, reader.getInventory()[1].inventoryLine);
+  assert.deepStrictEqual(index.map(entry => `${entry.parameter}:${entry.level}`), ['TMP:2 m above ground', 'UGRD:10 m above ground', 'VGRD:10 m above ground', 'TMP:850 mb']);
+});
+
+/**
+ * fetch() serving the file and its .idx, honouring Range headers unless ignoreRange is set
+ */
+function mockFetch(options = {}) {
+  const reader = new GribReader(bytes.buffer.slice(0));
+  reader.parse();
+  const idx = reader.generateIndex();
+  const requests = [];
+
+  const fetch = async (url, init = {}) => {
+    const range = init.headers && init.headers.Range;
+    requests.push(range ? `${url} ${range}` : url);
+    if (url === options.missing) {
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+    if (url.endsWith('.idx')) {
+      return { ok: true, status: 200, text: async () => idx };
+    }
+    let body = bytes;
+    let status = 200;
+    if (range && !options.ignoreRange) {
+      const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(range);
+      body = bytes.slice(Number(start), end === '' ? bytes.length : Number(end) + 1);
+      status = 206;
+    }
+    return { ok: true, status, arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length) };
+  };
+  return { fetch, requests, offsets: reader.messages.map(message => message.offset) };
+}
+
+test('fetchMessages() downloads the matching messages with byte ranges', async () => {
+  const { fetch, requests, offsets } = mockFetch();
+  const reader = await GribReader.fetchMessages('https://example.com/gfs.f024', { fetch, match: ':(UGRD|VGRD):10 m above ground:' });
+
+  // Adjacent messages in one request
+  assert.deepStrictEqual(requests, ['https://example.com/gfs.f024.idx', `https://example.com/gfs.f024 bytes=${offsets[1]}-${offsets[3] - 1}`]);
+  assert.deepStrictEqual(reader.getInventory().map(entry => entry.parameter), ['UGRD', 'VGRD']);
+  const data = reader.getData();
+  assertClose(data.ugrd, [5, 6, 7, 8, 9, 10], 1e-6);
+  assertClose(data.vgrd, [-3, -2, -1, 0, 1, 2], 1e-6);
+});
+
+test('fetchMessages() with separate ranges, the last one open-ended', async () => {
+  const { fetch, requests, offsets } = mockFetch();
+  const reader = await GribReader.fetchMessages('https://example.com/gfs.f024', { fetch, match: ':TMP:', indexUrl: 'https://example.com/index/gfs.f024.idx' });
+
+  assert.deepStrictEqual(requests, [
+    'https://example.com/index/gfs.f024.idx',
+    `https://example.com/gfs.f024 bytes=0-${offsets[1] - 1}`,
+    `https://example.com/gfs.f024 bytes=${offsets[3]}-`
+  ]);
+  assert.deepStrictEqual(reader.getInventory().map(entry => entry.level), ['2 m above ground', '850 mb']);
+  assertClose(reader.getMessageData(1), [270, 271, 272, 273, 274, 275], 1e-6);
+});
+
+test('fetchMessages() when the server ignores Range', async () => {
+  const { fetch } = mockFetch({ ignoreRange: true });
+  const reader = await GribReader.fetchMessages('https://example.com/gfs.f024', { fetch, match: ':VGRD:' });
+  assert.strictEqual(reader.messages.length, 1);
+  assertClose(reader.getMessageData(0), [-3, -2, -1, 0, 1, 2], 1e-6);
+  assert.deepStrictEqual(reader.warnings, []);
+});
+
+test('fetchMessages() errors', async () => {
+  const { fetch } = mockFetch({ missing: 'https://example.com/gfs.f024.idx' });
+  await assert.rejects(GribReader.fetchMessages('https://example.com/gfs.f024', { fetch }), /HTTP 404 Not Found for https:\/\/example.com\/gfs.f024.idx/);
+  await assert.rejects(GribReader.fetchMessages('https://example.com/gfs.f024', { fetch: mockFetch().fetch, match: ':HGT:' }), /No messages match pattern/);
+  await assert.rejects(GribReader.fetchMessages('https://example.com/gfs.f024', { fetch: mockFetch().fetch, match: '(' }), /Invalid match pattern/);
+});
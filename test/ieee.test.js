@@ -0,0 +1,68 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 4, nj: 3, la1: 50, lo1: 0 });
+
+// Big-endian IEEE values on 4 (32-bit) or 8 (64-bit) bytes
+function ieeeBytes(values, size) {
+  const bytes = new Uint8Array(values.length * size);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => {
+    if (size === 4) view.setFloat32(i * 4, value);
+    else view.setFloat64(i * 8, value);
+  });
+  return Array.from(bytes);
+}
+
+// Template 5.4 message, precision 1 (32-bit), 2 (64-bit) or 3 (128-bit)
+function ieeeMessage(values, precision, packedBytes) {
+  const packed = values.filter(value => !Number.isNaN(value));
+  const section5 = grib.section(5, [...grib.uint32(packed.length), ...grib.uint16(4), precision]);
+  const section7 = grib.section(7, packedBytes || ieeeBytes(packed, precision === 1 ? 4 : 8));
+  return grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), section5, grib.bitmap(values), section7]));
+}
+
+const values = [273.15, -1.5e-7, 3.4e38, 0, 101325.125, -40, 1 / 3, 2.5, 1e-30, 288, 7, -0.25];
+
+test('template 5.4: 32-bit IEEE values', () => {
+  const reader = new GribReader(ieeeMessage(values, 1));
+  reader.parse();
+  assert.strictEqual(reader.messages[0].sections.section5.template.precision, 1);
+  const data = reader.getMessageData(0);
+  assert.ok(data instanceof Float32Array);
+  assert.deepStrictEqual(Array.from(data), values.map(Math.fround));
+});
+
+test('template 5.4: 64-bit IEEE values keep their precision', () => {
+  const reader = new GribReader(ieeeMessage(values, 2));
+  reader.parse();
+  const data = reader.getMessageData(0);
+  assert.ok(data instanceof Float64Array);
+  assert.deepStrictEqual(Array.from(data), values);
+});
+
+test('template 5.4: values expanded through the bitmap', () => {
+  const withMissing = values.map((value, i) => (i % 4 === 2 ? NaN : value));
+  const reader = new GribReader(ieeeMessage(withMissing, 2));
+  reader.parse();
+  const data = reader.getMessageData(0);
+  assert.ok(data instanceof Float64Array);
+  assertClose(data, withMissing, 0);
+  assert.strictEqual(reader.getSummary()[0].missingPoints, 3);
+});
+
+test('template 5.4: 128-bit precision and short data sections are decode errors', () => {
+  const quad = new GribReader(ieeeMessage(values, 3, ieeeBytes(values, 8).concat(ieeeBytes(values, 8))));
+  quad.parse();
+  assert.ok(Array.from(quad.getMessageData(0)).every(Number.isNaN));
+  assert.strictEqual(quad.errors[0].code, 'DECODE_ERROR');
+  assert.ok(/Unsupported IEEE precision 3/.test(quad.errors[0].message), quad.errors[0].message);
+
+  // 64-bit precision declared for 32-bit values
+  const short = new GribReader(ieeeMessage(values, 2, ieeeBytes(values, 4)));
+  short.parse();
+  short.getMessageData(0);
+  assert.ok(/IEEE data section has 48 bytes, expected 96/.test(short.errors[0].message), short.errors[0].message);
+});
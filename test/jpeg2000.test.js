@@ -0,0 +1,47 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const { test, assertClose, readFixture } = require('./harness.js');
+const { ni, nj, fixtureValues } = require('./fixtures/field.js');
+
+// Tile indices of the SOT markers (tile-part headers) of a codestream
+function tileIndices(codestream) {
+  const view = new DataView(codestream.buffer, codestream.byteOffset, codestream.byteLength);
+  const indices = [];
+  let position = 2; // After SOC
+  while (view.getUint16(position) !== 0xff90) {
+    position += 2 + view.getUint16(position + 2);
+  }
+  while (view.getUint16(position) === 0xff90) {
+    indices.push(view.getUint16(position + 4));
+    position += view.getUint32(position + 6); // Psot: length of the tile-part
+  }
+  return indices;
+}
+
+test('template 5.40: 16-bit lossless codestream with 16 x 16 tiles', () => {
+  const reader = new GribReader(readFixture('jpeg2000-tiled.grib2'));
+  reader.parse();
+  const message = reader.messages[0];
+  assert.strictEqual(message.sections.section5.dataRepresentationTemplateNumber, 40);
+
+  // 4 x 3 tiles, the last column and row are partial (53 x 37 points)
+  const section7 = message.sections.section7;
+  const codestream = new Uint8Array(reader.buffer, section7.dataOffset, section7.length - 5);
+  assert.deepStrictEqual(tileIndices(codestream), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+
+  const data = reader.getMessageData(0);
+  assert.strictEqual(data.length, ni * nj);
+  assertClose(data, fixtureValues(), 1e-3);
+  assert.deepStrictEqual(reader.errors, []);
+});
+
+test('template 5.40: values through getData', () => {
+  const reader = new GribReader(readFixture('jpeg2000-tiled.grib2'));
+  reader.parse();
+  const data = reader.getData({ longitudeFormat: 'preserve' });
+  assert.strictEqual(data.numPoints, ni * nj);
+  // Last point of the first row: column 52 of tile 3
+  assertClose(data.lat[52], 55, 1e-6);
+  assertClose(data.lng[52], 26, 1e-6);
+  assertClose(data.tmp[52], fixtureValues()[52], 1e-3);
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+// HRRR CONUS grid: 3 km, tangent at 38.5°N, LoV 262.5°
+const hrrr = { ni: 1799, nj: 1059, la1: 21.138123, lo1: 237.280472, lad: 38.5, lov: 262.5, dx: 3000, dy: 3000, latin1: 38.5, latin2: 38.5 };
+
+// UGRD and VGRD at 10 m on a Lambert grid
+function windReader(options, u, v) {
+  const grid = grib.lambertGrid(options);
+  const reader = new GribReader(grib.file(...[[2, u], [3, v]].map(([number, values]) =>
+    grib.message([grib.identification(), grid, grib.product({ category: 2, number, surface: 103, surfaceValue: 10 }), grib.simplePacking(values, { decimalScale: 2 })]))));
+  reader.parse();
+  return reader;
+}
+
+test('template 3.30: HRRR grid corners match wgrib2', () => {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grib.lambertGrid(hrrr), grib.product({ category: 0, number: 0 }), grib.constantField(hrrr.ni * hrrr.nj, 280)])));
+  reader.parse();
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'Lambert Conformal');
+  assert.strictEqual(grid.winds, 'grid relative');
+  assert.strictEqual(grid.scanning.inputOrder, 'WE:SN');
+  const { LoV, LaD, Latin1, Latin2, pole, Dx, Dy, earthRadius } = grid.projection;
+  assert.deepStrictEqual({ LoV, LaD, Latin1, Latin2, pole, Dx, Dy, earthRadius }, { LoV: 262.5, LaD: 38.5, Latin1: 38.5, Latin2: 38.5, pole: 'North Pole', Dx: 3000, Dy: 3000, earthRadius: 6371229 });
+
+  // wgrib2 -ijlat for the corners (1,1), (1799,1), (1,1059), (1799,1059)
+  const { lat, lng } = reader.computeGridCoordinates(reader.messages[0].sections.section3);
+  const corners = [0, hrrr.ni - 1, hrrr.ni * (hrrr.nj - 1), hrrr.ni * hrrr.nj - 1];
+  assertClose(corners.map(i => lat[i]), [21.138123, 21.140547, 47.838623, 47.842195], 1e-3, 'latitudes');
+  assertClose(corners.map(i => lng[i]), [237.280472, 287.710302, 225.904519, 299.082794], 1e-3, 'longitudes');
+});
+
+test('template 3.30: grid-relative winds are rotated to earth-relative', () => {
+  // Wind along the grid y-axis at the south-west corner of HRRR, 25.22° west of LoV
+  const small = Object.assign({}, hrrr, { ni: 3, nj: 2 });
+  const u = [0, 1, 2, 0, -1, -2];
+  const v = [10, 10, 10, 12, 12, 12];
+  const reader = windReader(small, u, v);
+  const data = reader.getData({ parameters: ['ugrd', 'vgrd'] });
+
+  // Rotation by n (lon - LoV), n = sin(38.5°): -15.70° at the first grid point
+  assertClose([data.ugrd[0], data.vgrd[0]], [-2.706, 9.627], 1e-3, 'first grid point');
+  const n = Math.sin(38.5 * Math.PI / 180);
+  for (let i = 0; i < 6; i++) {
+    const angle = n * (data.lng[i] - 262.5) * Math.PI / 180;
+    const expected = [Math.cos(angle) * u[i] + Math.sin(angle) * v[i], -Math.sin(angle) * u[i] + Math.cos(angle) * v[i]];
+    assertClose([data.ugrd[i], data.vgrd[i]], expected, 1e-4, `point ${i}`);
+    assertClose(Math.hypot(data.ugrd[i], data.vgrd[i]), Math.hypot(u[i], v[i]), 1e-4, `speed ${i}`);
+  }
+
+  // Messages keep the grid-relative values
+  assertClose(reader.getMessageData(0), u, 1e-6);
+  const gridRelative = reader.getData({ parameters: ['ugrd', 'vgrd'], earthRelativeWinds: false });
+  assertClose(gridRelative.vgrd, v, 1e-6);
+
+  // Earth-relative winds (flag bit 0x08 clear) are left alone
+  const earthRelative = windReader(Object.assign({}, small, { flags: 0 }), u, v);
+  assertClose(earthRelative.getData({ parameters: ['ugrd', 'vgrd'] }).ugrd, u, 1e-6);
+});
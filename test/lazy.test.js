@@ -0,0 +1,105 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 3, nj: 2, la1: 50, lo1: 0 });
+const fields = [
+  { category: 0, number: 0, values: [280.5, 281, 281.5, 282, 282.5, 283] },   // TMP
+  { category: 1, number: 1, values: [40, 45, 50, 55, 60, 65] },                // RH
+  { category: 3, number: 0, values: [101000, 101100, 101200, 101300, 101400, 101500] } // PRES
+];
+
+function threeFieldFile() {
+  return grib.file(...fields.map(({ category, number, values }) =>
+    grib.message([grib.identification(), grid, grib.product({ category, number }), grib.simplePacking(values, { decimalScale: 1 })])));
+}
+
+// Reader counting the data sections it unpacks
+function countingReader(options) {
+  const reader = new GribReader(threeFieldFile(), options);
+  reader.decoded = [];
+  const decodeSection7 = reader.decodeSection7.bind(reader);
+  reader.decodeSection7 = (offset, ...rest) => {
+    reader.decoded.push(offset);
+    return decodeSection7(offset, ...rest);
+  };
+  reader.parse();
+  return reader;
+}
+
+test('parse() indexes the messages without unpacking them', () => {
+  const reader = countingReader();
+  assert.strictEqual(reader.messages.length, 3);
+  assert.strictEqual(reader.decoded.length, 0);
+  assert.strictEqual(reader.getInventory()[1].parameter, 'RH');
+  assert.strictEqual(reader.messages[1].sections.section7.hasData, true);
+
+  // Only the selected message is unpacked, once
+  const data = reader.getData({ match: ':RH:' });
+  assertClose(data.rh, fields[1].values, 1e-4);
+  assert.deepStrictEqual(reader.decoded, [reader.messages[1].sections.section7.dataOffset]);
+  reader.getMessageData(1);
+  assert.strictEqual(reader.decoded.length, 1);
+});
+
+test('least recently used fields leave the cache first', () => {
+  const reader = countingReader({ cacheSize: 2 });
+  reader.getMessageData(0);
+  reader.getMessageData(1);
+  reader.getMessageData(0);
+  reader.getMessageData(2); // Releases message 1
+  assert.strictEqual(reader.decoded.length, 3);
+
+  reader.getMessageData(0);
+  reader.getMessageData(2);
+  assert.strictEqual(reader.decoded.length, 3);
+  assertClose(reader.getMessageData(1), fields[1].values, 1e-4);
+  assert.strictEqual(reader.decoded.length, 4);
+});
+
+test('releaseData() and cacheSize 0', () => {
+  const reader = countingReader();
+  const first = reader.getMessageData(0);
+  reader.getMessageData(1);
+  reader.releaseData(0);
+  assertClose(first, fields[0].values, 1e-4); // Returned arrays stay valid
+  reader.getMessageData(0);
+  reader.getMessageData(1);
+  assert.strictEqual(reader.decoded.length, 3);
+
+  reader.releaseData();
+  reader.getMessageData(1);
+  assert.strictEqual(reader.decoded.length, 4);
+  assert.throws(() => reader.releaseData(3), /out of range/);
+
+  const uncached = countingReader({ cacheSize: 0 });
+  uncached.getMessageData(2);
+  uncached.getMessageData(2);
+  assert.strictEqual(uncached.decoded.length, 2);
+});
+
+test('lazy: false unpacks every message in parse()', () => {
+  const reader = countingReader({ lazy: false });
+  assert.strictEqual(reader.decoded.length, 3);
+  fields.forEach(({ values }, i) => assertClose(reader.messages[i].sections.section7.data, values, 1e-2));
+  reader.getData({ multiLevel: true });
+  assert.strictEqual(reader.decoded.length, 3);
+});
+
+test('getSummary() does not unpack fields', () => {
+  const reader = countingReader();
+  const summary = reader.getSummary();
+  assert.deepStrictEqual(summary.map(entry => entry.parameter), ['TMP', 'RH', 'PRES']);
+  assert.strictEqual(reader.dataCache.size, 0);
+  assert.strictEqual(reader.decoded.length, 0);
+
+  // Missing points of the fields already unpacked, or of all of them on request
+  assert.deepStrictEqual(summary.map(entry => entry.missingPoints), [null, null, null]);
+  reader.getMessageData(1);
+  assert.deepStrictEqual(reader.getSummary().map(entry => entry.missingPoints), [null, 0, null]);
+  assert.deepStrictEqual(reader.getSummary({ countMissing: true }).map(entry => entry.missingPoints), [0, 0, 0]);
+  assert.strictEqual(reader.decoded.length, 3);
+
+  assert.deepStrictEqual(countingReader({ lazy: false }).getSummary().map(entry => entry.missingPoints), [0, 0, 0]);
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test } = require('./harness.js');
+
+test('getLevelDescription() for levels and layers of Code Table 4.5', () => {
+  const reader = new GribReader(new ArrayBuffer(0));
+  const cases = [
+    // First surface, value, second surface, value, wgrib2 level
+    [100, 85000, 255, null, '850 mb'],
+    [100, 85000, 100, 50000, '850-500 mb'],
+    [108, 18000, 108, 0, '180-0 mb above ground'],
+    [18, 9000, 255, null, 'mixed layer parcel departure level (90 mb layer depth)'],
+    [103, 2, 255, null, '2 m above ground'],
+    [103, 1000, 103, 0, '1000-0 m above ground'],
+    [103, 0, 103, 3000, '0-3000 m above ground'],
+    [102, 4572, 255, null, '4572 m above mean sea level'],
+    [106, 0, 106, 0.1, '0-0.1 m below ground'],
+    [160, 5, 160, 15, '5-15 m below sea level'],
+    [104, 0.995, 255, null, '0.995 sigma level'],
+    [104, 0.44, 104, 1, '0.44-1 sigma layer'],
+    [105, 1, 105, 2, '1-2 hybrid layer'],
+    [107, 320, 255, null, '320 K isentropic level'],
+    [109, 2e-6, 255, null, 'PV=2e-06 (Km^2/kg/s) surface'],
+    [1, 0, 255, null, 'surface'],
+    [200, null, 255, null, 'entire atmosphere (considered as a single layer)'],
+    [10, null, 10, null, 'entire atmosphere'],
+    // Mixed layers and a second surface without its value
+    [1, 0, 8, null, 'surface - top of atmosphere'],
+    [1, 0, 103, 2, 'surface - 2 m above ground'],
+    [103, 10, 103, null, '10 m above ground'],
+    // Not in the table
+    [140, 5, 255, null, 'level 140 = 5'],
+    [140, null, 255, null, 'level 140 = missing']
+  ];
+
+  cases.forEach(([type, value, secondType, secondValue, expected]) => {
+    assert.strictEqual(reader.getLevelDescription(type, value, secondType, secondValue), expected, `${type} ${value} ${secondType} ${secondValue}`);
+  });
+});
+
+test('formatLevelValue() prints like %g', () => {
+  const reader = new GribReader(new ArrayBuffer(0));
+  const cases = [[0, '0'], [850, '850'], [0.1, '0.1'], [-0.25, '-0.25'], [123456.7, '123457'], [1e6, '1e+06'], [5e-5, '5e-05'], [0.0001, '0.0001']];
+  assert.deepStrictEqual(cases.map(([value]) => reader.formatLevelValue(value)), cases.map(([, expected]) => expected));
+});
+
+test('levels of decoded messages use the scale factors of both surfaces', () => {
+  const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+  const field = surfaces => grib.message([grib.identification(), grid, grib.product(Object.assign({ category: 0, number: 0 }, surfaces)), grib.simplePacking([1, 2, 3, 4])]);
+
+  const reader = new GribReader(grib.file(
+    field({ surface: 106, surfaceScale: 2, surfaceValue: 0, surface2: 106, surface2Scale: 2, surface2Value: 10 }),
+    field({ surface: 100, surfaceValue: 85000, surface2: 100, surface2Value: 50000 }),
+    // 5 x 10^1 Pa above ground
+    field({ surface: 108, surfaceScale: -1, surfaceValue: 5 }),
+    field({ surface: 104, surfaceScale: 4, surfaceValue: 9950 }),
+    field({ surface: 200, surfaceValue: null })
+  ));
+  reader.parse();
+
+  assert.deepStrictEqual(reader.getInventory().map(entry => entry.level), [
+    '0-0.1 m below ground', '850-500 mb', '0.5 mb above ground', '0.995 sigma level', 'entire atmosphere (considered as a single layer)'
+  ]);
+  const levels = reader.getData({ multiLevel: true }).levels;
+  assert.deepStrictEqual(levels.map(level => [level.levelType, level.levelValue]), [[106, 0], [100, 85000], [108, 50], [104, 0.995], [200, null]]);
+  assert.deepStrictEqual(levels[1].product.secondFixedSurface, { type: 100, scaleFactor: 0, scaledValue: 50000, value: 50000 });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+function gridReader(grid, numberOfPoints) {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), grib.constantField(numberOfPoints, 280)])));
+  reader.parse();
+  return reader;
+}
+
+test('template 3.10: NCEP grid 1 (Mercator true at 22.5°)', () => {
+  // 73 x 23, 5° (513.669 km at 22.5°) apart, from 48.09°S to 48.09°N
+  const reader = gridReader(grib.mercatorGrid({ ni: 73, nj: 23, la1: -48.09, lo1: 0, la2: 48.09, lo2: 360, lad: 22.5, dx: 513669, dy: 513669 }), 73 * 23);
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'Mercator');
+  assert.deepStrictEqual(grid.projection, { LaD: 22.5, orientationOfTheGrid: 0, Dx: 513669, Dy: 513669, earthRadius: 6371229 });
+
+  const { lat, lng } = reader.getData();
+  const column = j => lat[j * 73];
+  assertClose([column(0), column(11), column(22)], [-48.09, 0, 48.09], 0.01, 'latitudes');
+  assertClose(Array.from(lng.subarray(0, 4)), [0, 5, 10, 15], 1e-3, 'longitudes');
+  assertClose((lng[72] + 180) % 360 - 180, 0, 0.01, 'last column back at 0°');
+
+  // Rows are evenly spaced in y = R cos(LaD) ln(tan(pi/4 + lat/2))
+  const y = latitude => Math.log(Math.tan(Math.PI / 4 + latitude * Math.PI / 360));
+  const spacing = 513669 / (6371229 * Math.cos(22.5 * Math.PI / 180));
+  for (let j = 1; j < 23; j++) {
+    assertClose(y(column(j)) - y(column(j - 1)), spacing, 1e-6, `row ${j}`);
+  }
+});
+
+// Meteosat SEVIRI full disk: 3712 x 3712 pixels, earth 3622 pixels across, camera at 6.610689 radii
+const seviri = { lap: 0, lop: 0, dx: 3622, dy: 3622, xp: 1856, yp: 1856, nr: 6.610689 };
+
+test('template 3.90: pixels on the equator of a SEVIRI sector', () => {
+  // Sector of 5 x 3 pixels centred on the sub-satellite point
+  const reader = gridReader(grib.spaceViewGrid(Object.assign({}, seviri, { ni: 5, nj: 3, xo: 1854, yo: 1855 })), 15);
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'Space View');
+  assertClose([grid.projection.earthMajorAxis, grid.projection.earthMinorAxis], [6378169, 6356583.8], 1e-6);
+  assertClose(grid.projection.cameraAltitude, 5.610689 * 6378169, 1e-3);
+
+  const { lat, lng } = reader.computeGridCoordinates(reader.messages[0].sections.section3);
+  assertClose([lat[7], lng[7]], [0, 0], 1e-9, 'sub-satellite point');
+
+  // North-south symmetry about the equator, east-west about the sub-satellite meridian
+  assert.ok(lat[2] > 0);
+  assertClose([lat[12], lng[2], lng[12]], [-lat[2], 0, 0], 1e-6, 'central column');
+  assertClose([lng[6], lat[6], lat[8]], [360 - lng[8], 0, 0], 1e-5, 'equator row');
+
+  // On the equator the line of sight meets a circle of radius a: longitude = asin(Nr sin x) - x
+  const x = 2 * Math.asin(1 / seviri.nr) / seviri.dx;
+  assertClose(lng[8], (Math.asin(seviri.nr * Math.sin(x)) - x) * 180 / Math.PI, 1e-5, 'one pixel east');
+});
+
+test('template 3.90: pixels beyond the limb are missing', () => {
+  // Equator pixels 1805 to 1814 east of the sub-satellite point, the limb is 1811 pixels away
+  const reader = gridReader(grib.spaceViewGrid(Object.assign({}, seviri, { ni: 10, nj: 1, xo: 1856 + 1805, yo: 1856, lop: 140.7 })), 10);
+  const { lat, lng } = reader.computeGridCoordinates(reader.messages[0].sections.section3);
+
+  const x = offset => offset * 2 * Math.asin(1 / seviri.nr) / seviri.dx;
+  for (let i = 0; i <= 5; i++) {
+    assertClose(lng[i], 140.7 + (Math.asin(seviri.nr * Math.sin(x(1805 + i))) - x(1805 + i)) * 180 / Math.PI, 1e-3, `pixel ${1805 + i}`);
+  }
+  assert.ok(Array.from(lat.subarray(7)).every(Number.isNaN) && Array.from(lng.subarray(7)).every(Number.isNaN));
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+function field(category, number, options = {}) {
+  return grib.message([
+    grib.identification({ centre: options.centre }),
+    grid,
+    grib.product({ category, number }),
+    grib.simplePacking([1, 2, 3, 4])
+  ], { discipline: options.discipline });
+}
+
+test('Code Table 4.2 names, abbreviations and units', () => {
+  const reader = new GribReader(grib.file(field(0, 0), field(0, 3, { discipline: 10 })));
+  reader.parse();
+
+  assert.deepStrictEqual(reader.getParameterInfo(0, 1, 8), {
+    abbreviation: 'APCP', name: 'Total Precipitation', unit: 'kg/m^2', discipline: 0, category: 1, number: 8, table: 'WMO'
+  });
+
+  const inventory = reader.getInventory();
+  assert.strictEqual(inventory[0].parameter, 'TMP');
+  assert.strictEqual(inventory[0].unit, 'K');
+  assert.strictEqual(inventory[1].parameter, 'HTSGW');
+  assert.strictEqual(inventory[1].parameterName, 'Significant Height of Combined Wind Waves and Swell');
+  assert.ok(reader.getData({ match: ':HTSGW:' }).htsgw);
+});
+
+test('unknown parameters are named varD_C_N with a null name and unit', () => {
+  // DWD (centre 78) local parameter 0:4:198, in no table
+  const reader = new GribReader(grib.file(field(4, 198, { centre: 78 })));
+  reader.parse();
+
+  const info = reader.getParameterInfo(0, 4, 198, reader.messages[0].sections.section1);
+  assert.strictEqual(info.abbreviation, 'var0_4_198');
+  assert.strictEqual(info.name, null);
+  assert.strictEqual(info.unit, null);
+  assert.strictEqual(info.table, null);
+
+  const [entry] = reader.getInventory();
+  assert.strictEqual(entry.parameter, 'var0_4_198');
+  assert.strictEqual(entry.parameterName, null);
+  assert.strictEqual(entry.unit, null);
+  assert.ok(!entry.inventoryLine.includes('undefined'));
+
+  const [summary] = reader.getSummary();
+  assert.strictEqual(summary.parameterName, null);
+  assert.strictEqual(summary.unit, null);
+
+  const data = reader.getData();
+  assert.ok(data.var0_4_198);
+  assert.strictEqual(data.metadata.parameters.var0_4_198.unit, null);
+});
+
+const inHouse = {
+  name: 'in-house',
+  centre: 85,
+  parameters: { '0:1:200': ['MYPRCP', 'In-house precipitation', 'kg/m^2'] }
+};
+
+test('reader tables apply to that reader only', () => {
+  const buffer = grib.file(field(1, 200, { centre: 85 }));
+  const reader = new GribReader(buffer, { parameterTables: [inHouse] });
+  const other = new GribReader(buffer);
+  reader.parse();
+  other.parse();
+
+  assert.strictEqual(reader.getInventory()[0].parameter, 'MYPRCP');
+  assert.strictEqual(reader.getInventory()[0].unit, 'kg/m^2');
+  assert.strictEqual(other.getInventory()[0].parameter, 'var0_1_200');
+});
+
+test('registering then unregistering a table restores the previous lookups', () => {
+  // NCEP (centre 7) local entry 0:1:192 is CRAIN, Code Table 4.2 entry 0:0:0 is TMP
+  const reader = new GribReader(grib.file(field(1, 192), field(0, 0), field(1, 200, { centre: 85 })));
+  reader.parse();
+  const before = reader.getInventory().map(entry => [entry.parameter, entry.parameterName, entry.unit]);
+  const tablesBefore = GribReader.getParameterTables();
+  assert.deepStrictEqual(before.map(entry => entry[0]), ['CRAIN', 'TMP', 'var0_1_200']);
+
+  const first = GribReader.registerParameterTable({
+    name: 'override',
+    parameters: {
+      '0:1:192': ['RAINFLAG', 'Rain flag', 'boolean'],
+      '0:0:0': ['T', 'Temperature', 'K']
+    }
+  });
+  const second = GribReader.registerParameterTable(JSON.stringify({ ...inHouse, parameters: { '0:0:0': ['TEMP', 'Temperature', 'K'] } }));
+  try {
+    // Existing readers see registered tables; the most recent registration wins
+    assert.deepStrictEqual(reader.getInventory().map(entry => entry.parameter), ['RAINFLAG', 'T', 'var0_1_200']);
+    assert.strictEqual(reader.getParameterInfo(0, 0, 0, { centreId: 85 }).abbreviation, 'TEMP');
+    assert.strictEqual(reader.getParameterInfo(0, 0, 0, { centreId: 85 }).table, 'in-house');
+
+    assert.strictEqual(GribReader.unregisterParameterTable(second), true);
+    assert.strictEqual(reader.getParameterInfo(0, 0, 0, { centreId: 85 }).abbreviation, 'T');
+
+    // Built-in tables cannot be removed
+    assert.strictEqual(GribReader.unregisterParameterTable('NCEP'), false);
+  } finally {
+    GribReader.unregisterParameterTable(first);
+    GribReader.unregisterParameterTable(second);
+  }
+
+  assert.deepStrictEqual(reader.getInventory().map(entry => [entry.parameter, entry.parameterName, entry.unit]), before);
+  assert.deepStrictEqual(GribReader.getParameterTables(), tablesBefore);
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose, readFixture } = require('./harness.js');
+const { ni, nj, fixtureValues } = require('./fixtures/field.js');
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const typeAndData = [...Buffer.from(type, 'ascii'), ...data];
+  return [...grib.uint32(data.length), ...typeAndData, ...grib.uint32(crc32(typeAndData))];
+}
+
+/**
+ * 8-bit grayscale PNG compressed by Node's zlib, each row with its own filter type
+ */
+function grayscalePng(samples, width, height) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const filter = y % 3; // None, Sub, Up
+    const row = samples.slice(y * width, (y + 1) * width);
+    const previous = y > 0 ? samples.slice((y - 1) * width, y * width) : row.map(() => 0);
+    rows.push(filter, ...row.map((value, x) => {
+      if (filter === 1) return (value - (x > 0 ? row[x - 1] : 0)) & 255;
+      if (filter === 2) return (value - previous[x]) & 255;
+      return value;
+    }));
+  }
+  return [
+    137, 80, 78, 71, 13, 10, 26, 10,
+    ...chunk('IHDR', [...grib.uint32(width), ...grib.uint32(height), 8, 0, 0, 0, 0]),
+    ...chunk('IDAT', Array.from(zlib.deflateSync(Buffer.from(rows)))),
+    ...chunk('IEND', [])
+  ];
+}
+
+test('template 5.41: 16-bit grayscale PNG', () => {
+  const reader = new GribReader(readFixture('png.grib2'));
+  reader.parse();
+  assert.strictEqual(reader.messages[0].sections.section5.dataRepresentationTemplateNumber, 41);
+  const data = reader.getMessageData(0);
+  assert.strictEqual(data.length, ni * nj);
+  assertClose(data, fixtureValues(), 1e-3);
+});
+
+function pngMessage(png, numberOfValues, grid, bitmapSection) {
+  // R = 1000, D = 1: values = 100 + X / 10
+  const section5 = grib.section(5, [...grib.uint32(numberOfValues), ...grib.uint16(41), ...grib.float32(1000), ...grib.int16(0), ...grib.int16(1), 8, 0]);
+  return grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), section5, bitmapSection, grib.section(7, png)]));
+}
+
+test('template 5.41: 8-bit PNG with Sub and Up row filters', () => {
+  const samples = [];
+  for (let i = 0; i < 18; i++) samples.push((i * 37) % 151);
+  const reader = new GribReader(pngMessage(grayscalePng(samples, 6, 3), 18, grib.latLonGrid({ ni: 6, nj: 3, la1: 50, lo1: 0 }), grib.section(6, [255])));
+  reader.parse();
+  assertClose(reader.getMessageData(0), samples.map(sample => 100 + sample / 10), 1e-4);
+});
+
+test('template 5.41: PNG values expanded through the bitmap', () => {
+  const values = [];
+  for (let i = 0; i < 24; i++) values.push(i % 5 === 3 ? NaN : 100 + ((i * 37) % 151) / 10);
+  const samples = values.filter(value => !Number.isNaN(value)).map(value => Math.round((value - 100) * 10));
+
+  // The packed values are one image row
+  const reader = new GribReader(pngMessage(grayscalePng(samples, samples.length, 1), samples.length, grib.latLonGrid({ ni: 6, nj: 4, la1: 50, lo1: 0 }), grib.bitmap(values)));
+  reader.parse();
+  assertClose(reader.getMessageData(0), values, 1e-4);
+});
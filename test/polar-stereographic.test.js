@@ -0,0 +1,43 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+function gridReader(options) {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grib.polarStereographicGrid(options), grib.product({ category: 0, number: 0 }), grib.constantField(options.ni * options.nj, 250)])));
+  reader.parse();
+  const { lat, lng } = reader.computeGridCoordinates(reader.messages[0].sections.section3);
+  return { reader, lat, lng, at: (i, j) => j * options.ni + i };
+}
+
+test('template 3.20: NCEP grid 104 puts the north pole at grid point (75.5, 109.5)', () => {
+  // 147 x 110, 90.75464 km at 60°N, LoV 255°
+  const { reader, lat, lng, at } = gridReader({ ni: 147, nj: 110, la1: -0.268, lo1: 220.525, lad: 60, lov: 255, dx: 90754.64, dy: 90754.64 });
+
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'Polar Stereographic');
+  assert.deepStrictEqual(grid.projection, { LoV: 255, LaD: 60, pole: 'North Pole', Dx: 90754.64, Dy: 90754.64, earthRadius: 6371229 });
+  assertClose([lat[0], lng[0]], [-0.268, 220.525], 1e-4, 'first grid point');
+
+  // 0-based points around the pole, half a diagonal away: LoV -45 (SW), +45 (SE), -135 (NW), +135 (NE)
+  const around = [at(74, 108), at(75, 108), at(74, 109), at(75, 109)];
+  const colatitude = 2 * Math.atan(Math.SQRT1_2 * 90754.64 / (6371229 * (1 + Math.sin(Math.PI / 3)))) * 180 / Math.PI;
+  assertClose(around.map(i => lat[i]), new Array(4).fill(90 - colatitude), 1e-3, 'latitudes');
+  assertClose(around.map(i => lng[i]), [210, 300, 120, 30], 0.05, 'longitudes');
+});
+
+test('template 3.20: south pole projection', () => {
+  // 5 x 5 grid of 100 km centred on the south pole, LoV 0°, true at 60°S
+  const rho = 2 * Math.SQRT2 * 100000;
+  const la1 = -(90 - 2 * Math.atan(rho / (6371229 * (1 + Math.sin(Math.PI / 3)))) * 180 / Math.PI);
+  const { reader, lat, lng, at } = gridReader({ ni: 5, nj: 5, la1, lo1: 225, lad: -60, lov: 0, dx: 100000, dy: 100000, southPole: true });
+
+  assert.strictEqual(reader.getGrid(0).projection.pole, 'South Pole');
+  assertClose(lat[at(2, 2)], -90, 1e-4);
+
+  // Seen from the south pole: LoV points up (+y), longitudes increase clockwise
+  const corners = [at(0, 0), at(4, 0), at(0, 4), at(4, 4)];
+  assertClose(corners.map(i => lat[i]), new Array(4).fill(la1), 1e-4, 'corner latitudes');
+  assertClose(corners.map(i => lng[i]), [225, 135, 315, 45], 1e-3, 'corner longitudes');
+  assertClose([lng[at(2, 4)], lng[at(4, 2)], lng[at(2, 0)]], [0, 90, 180], 1e-3, 'axes');
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+function productOf(section4) {
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grid, section4, grib.simplePacking([1, 2, 3, 4])])));
+  reader.parse();
+  assert.deepStrictEqual(reader.errors, []);
+  return reader.messages[0].sections.section4.product;
+}
+
+const missingSurface = { type: 255, scaleFactor: null, scaledValue: null, value: null };
+const common = {
+  typeOfGeneratingProcess: 2, backgroundProcess: 0, generatingProcessIdentifier: 96,
+  hoursAfterDataCutoff: 0, minutesAfterDataCutoff: 0, indicatorOfUnitOfTimeRange: 1
+};
+
+// 0-6 hour accumulation ending 2025-10-13 18:00
+const accumulation = grib.statistics([2025, 10, 13, 18], [[1, 6]]);
+const accumulationStatistics = {
+  endOfOverallTimeInterval: { year: 2025, month: 10, day: 13, hour: 18, minute: 0, second: 0 },
+  numberOfTimeRanges: 1,
+  numberOfMissingInStatisticalProcess: 0,
+  timeRanges: [{ typeOfStatisticalProcessing: 1, typeOfTimeIncrement: 2, indicatorOfUnitForTimeRange: 1, lengthOfTimeRange: 6, indicatorOfUnitForTimeIncrement: 255, timeIncrement: 0 }]
+};
+
+test('template 4.0: fixed surfaces with scale factors and signed values', () => {
+  assert.deepStrictEqual(productOf(grib.product({ category: 0, number: 0, forecastTime: 24, surface: 100, surfaceValue: 85000 })), Object.assign({
+    templateNumber: 0, parameterCategory: 0, parameterNumber: 0
+  }, common, {
+    forecastTime: 24,
+    firstFixedSurface: { type: 100, scaleFactor: 0, scaledValue: 85000, value: 85000 },
+    secondFixedSurface: missingSurface
+  }));
+
+  // Soil layer 0.1-0.4 m: 1 x 10^-1 and 4 x 10^-1
+  const soil = productOf(grib.product({ category: 0, number: 192, surface: 106, surfaceScale: 1, surfaceValue: 1, surface2: 106, surface2Scale: 1, surface2Value: 4 }));
+  assert.deepStrictEqual([soil.firstFixedSurface, soil.secondFixedSurface], [
+    { type: 106, scaleFactor: 1, scaledValue: 1, value: 0.1 },
+    { type: 106, scaleFactor: 1, scaledValue: 4, value: 0.4 }
+  ]);
+
+  // Negative scale factor and value (sign bits)
+  const depth = productOf(grib.product({ category: 0, number: 0, surface: 160, surfaceScale: -2, surfaceValue: -3 }));
+  assert.deepStrictEqual(depth.firstFixedSurface, { type: 160, scaleFactor: -2, scaledValue: -3, value: -300 });
+});
+
+test('templates 4.1, 4.2 and 4.15: ensemble member, derived forecast, spatial processing', () => {
+  const member = productOf(grib.product({ category: 0, number: 0, template: 1, extra: [3, 4, 31] }));
+  assert.deepStrictEqual(member.ensemble, { typeOfEnsembleForecast: 3, perturbationNumber: 4, numberOfForecastsInEnsemble: 31 });
+  assert.strictEqual(member.forecastTime, 0);
+
+  const mean = productOf(grib.product({ category: 0, number: 0, template: 2, extra: [0, 31] }));
+  assert.deepStrictEqual([mean.derivedForecast, mean.numberOfForecastsInEnsemble, mean.ensemble], [0, 31, undefined]);
+
+  const spatial = productOf(grib.product({ category: 0, number: 0, template: 15, extra: [2, 1, 9] }));
+  assert.deepStrictEqual(spatial.spatialProcessing, { statisticalProcess: 2, spatialProcessing: 1, numberOfPointsUsed: 9 });
+});
+
+test('templates 4.8, 4.9, 4.11 and 4.12: statistical processing', () => {
+  const apcp = productOf(grib.product({ category: 1, number: 8, template: 8, surface: 1, surfaceValue: 0, extra: accumulation }));
+  assert.deepStrictEqual(apcp.statistics, accumulationStatistics);
+  assert.deepStrictEqual(apcp.firstFixedSurface, { type: 1, scaleFactor: 0, scaledValue: 0, value: 0 });
+
+  // Probability of more than 2.5 mm: lower limit missing, upper limit 25 x 10^-1
+  const probability = productOf(grib.product({ category: 1, number: 8, template: 9, surface: 1, surfaceValue: 0,
+    extra: [0, 1, 1, ...grib.scaledValue(null), ...grib.scaledValue(1, 25), ...accumulation] }));
+  assert.deepStrictEqual(probability.probability, {
+    forecastProbabilityNumber: 0, totalNumberOfForecastProbabilities: 1, probabilityType: 1,
+    lowerLimit: { scaleFactor: null, scaledValue: null, value: null },
+    upperLimit: { scaleFactor: 1, scaledValue: 25, value: 2.5 }
+  });
+  assert.deepStrictEqual(probability.statistics, accumulationStatistics);
+
+  const memberMax = productOf(grib.product({ category: 0, number: 4, template: 11, forecastTime: 12, extra: [3, 2, 31, ...grib.statistics([2025, 10, 14, 6], [[2, 6]])] }));
+  assert.deepStrictEqual(memberMax.ensemble, { typeOfEnsembleForecast: 3, perturbationNumber: 2, numberOfForecastsInEnsemble: 31 });
+  assert.deepStrictEqual([memberMax.statistics.endOfOverallTimeInterval.day, memberMax.statistics.timeRanges[0].typeOfStatisticalProcessing], [14, 2]);
+
+  // Two time ranges: daily maximum of 6-hourly averages, in days then hours
+  const derived = productOf(grib.product({ category: 0, number: 0, template: 12, extra: [1, 20, ...grib.statistics([2025, 10, 14, 12], [[2, 1, 2], [0, 6, 1]])] }));
+  assert.deepStrictEqual([derived.derivedForecast, derived.numberOfForecastsInEnsemble], [1, 20]);
+  assert.deepStrictEqual(derived.statistics.timeRanges.map(range => [range.typeOfStatisticalProcessing, range.lengthOfTimeRange, range.indicatorOfUnitForTimeRange]), [[2, 1, 2], [0, 6, 1]]);
+});
+
+test('templates 4.40, 4.44 and 4.48: chemical and aerosol products', () => {
+  // Ozone (constituent 0)
+  const ozone = productOf(grib.product({ category: 20, number: 2, template: 40, prefix: grib.uint16(0), forecastTime: 3, surface: 1, surfaceValue: 0 }));
+  assert.deepStrictEqual([ozone.constituentType, ozone.forecastTime, ozone.firstFixedSurface.type], [0, 3, 1]);
+
+  // Template 4.44 keeps its original 2-octet forecast time
+  const size = [...grib.uint16(62000), 0, ...grib.scaledValue(7, 1), ...grib.scaledValue(6, 25)];
+  const dust = productOf(grib.section(4, [
+    ...grib.uint16(0), ...grib.uint16(44), 20, 102, ...size,
+    2, 0, 96, ...grib.uint16(0), 0, 1, ...grib.uint16(6),
+    1, 0, ...grib.uint32(0), 255, 255, ...grib.uint32(0xffffffff)
+  ]));
+  assert.deepStrictEqual([dust.aerosolType, dust.typeOfSizeInterval, dust.firstSize.value, dust.secondSize.value], [62000, 0, 1e-7, 2.5e-5]);
+  assert.deepStrictEqual([dust.forecastTime, dust.firstFixedSurface.type, dust.secondFixedSurface.type], [6, 1, 255]);
+
+  // Aerosol optical depth at 550 nm
+  const aod = productOf(grib.product({ category: 20, number: 102, template: 48, forecastTime: 9, surface: 1, surfaceValue: 0,
+    prefix: [...size, 11, ...grib.scaledValue(9, 545), ...grib.scaledValue(9, 565)] }));
+  assert.deepStrictEqual([aod.aerosolType, aod.typeOfWavelengthInterval, aod.firstWavelength.value, aod.secondWavelength.value, aod.forecastTime], [62000, 11, 5.45e-7, 5.65e-7, 9]);
+});
+
+test('getData level filters use the decoded fixed surfaces, like the inventory', () => {
+  const field = (surface, surfaceValue, values) => grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0, surface, surfaceValue }), grib.simplePacking(values)]);
+  const reader = new GribReader(grib.file(field(103, 2, [1, 2, 3, 4]), field(100, 85000, [5, 6, 7, 8])));
+  reader.parse();
+
+  assert.deepStrictEqual(reader.getInventory().map(entry => entry.level), ['2 m above ground', '850 mb']);
+  const data = reader.getData({ levelType: 100, levelValue: 85000 });
+  assert.deepStrictEqual(Array.from(data.tmp), [5, 6, 7, 8]);
+});
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+// COSMO-D2 rotation: southern pole at 40°S 10°E (northern pole at 40°N 170°W)
+function rotatedReader(options) {
+  const grid = grib.latLonGrid(Object.assign({ southPole: [-40, 10] }, options));
+  const values = new Array(options.ni * options.nj).fill(0).map((value, i) => 280 + i);
+  const reader = new GribReader(grib.file(grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0 }), grib.simplePacking(values)])));
+  reader.parse();
+  return reader;
+}
+
+test('template 3.1: rotated grid points in geographic coordinates', () => {
+  // Rotated latitudes -5, 0, 5 (south to north), rotated longitudes -90, 0, 90
+  const reader = rotatedReader({ ni: 3, nj: 3, la1: -5, lo1: -90, di: 90, dj: 5, scanningMode: 0x40 });
+
+  const grid = reader.getGrid(0);
+  assert.strictEqual(grid.gridType, 'rotated lat-lon grid');
+  assert.deepStrictEqual(grid.projection, { latitudeOfSouthernPole: -40, longitudeOfSouthernPole: 10, angleOfRotation: 0 });
+  assert.deepStrictEqual([grid.latitude.first, grid.longitude.first], [-5, -90]);
+
+  assert.strictEqual(reader.getData().rotatedLat, undefined);
+  const data = reader.getData({ rotatedCoordinates: true });
+  assertClose(data.rotatedLat, [-5, -5, -5, 0, 0, 0, 5, 5, 5], 1e-6);
+  assertClose(data.rotatedLng, [-90, 0, 90, -90, 0, 90, -90, 0, 90], 1e-6);
+
+  // The rotated origin is at (90 + latSP, lonSP), the rotated central meridian is the 10°E meridian,
+  // and the rotated equator crosses the equator 90° either side of the origin
+  assertClose([data.lat[4], data.lng[4]], [50, 10], 1e-4, 'origin');
+  assertClose([data.lat[1], data.lng[1], data.lat[7], data.lng[7]], [45, 10, 55, 10], 1e-4, 'central meridian');
+  assertClose([data.lat[3], data.lng[3], data.lat[5], data.lng[5]], [0, 280, 0, 100], 1e-4, 'rotated equator');
+  assertClose(data.tmp, [280, 281, 282, 283, 284, 285, 286, 287, 288], 0);
+});
+
+test('template 3.1: the rotated north pole and the angle of rotation', () => {
+  const reader = rotatedReader({ ni: 2, nj: 1, la1: 90, lo1: 0, di: 45 });
+  const data = reader.getData();
+  assertClose(data.lat[0], 40, 1e-4, 'rotated north pole');
+  assertClose(data.lat[1], 40, 1e-4);
+
+  // A rotation about the new polar axis shifts rotated longitudes
+  const turned = rotatedReader({ ni: 1, nj: 1, la1: 0, lo1: 90, angleOfRotation: 90 });
+  assertClose([turned.getData().lat[0], turned.getData().lng[0]], [50, 10], 1e-4, 'origin after rotation by 90°');
+});
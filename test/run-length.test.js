@@ -0,0 +1,77 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+/**
+ * Template 5.200 section 5 and section 7 for runs of [level, length] (level 0 = missing)
+ * Run lengths above 1 follow their level as digits MV+1.. in base 2^bits - 1 - MV, least significant first
+ */
+function runLengthPacking(runs, { bits, maxValueUsed, levels, scaleOctet = 0, codes }) {
+  const range = Math.pow(2, bits) - 1 - maxValueUsed;
+  if (!codes) {
+    codes = [];
+    runs.forEach(([level, length]) => {
+      codes.push(level);
+      for (let rest = length - 1; rest > 0; rest = Math.floor(rest / range)) {
+        codes.push(maxValueUsed + 1 + (rest % range));
+      }
+    });
+  }
+  const numberOfPoints = runs.reduce((sum, [, length]) => sum + length, 0);
+  const levelBytes = [].concat(...levels.map(grib.uint16));
+  return [
+    grib.section(5, [...grib.uint32(numberOfPoints), ...grib.uint16(200), bits, ...grib.uint16(maxValueUsed), ...grib.uint16(levels.length), scaleOctet, ...levelBytes]),
+    grib.section(6, [255]),
+    grib.section(7, grib.packBits(codes, bits))
+  ];
+}
+
+function runLengthReader(ni, nj, runs, options) {
+  const grid = grib.latLonGrid({ ni, nj, la1: 50, lo1: 0 });
+  const bytes = grib.file(grib.message([grib.identification(), grid, grib.product({ category: 1, number: 8, surface: 1, surfaceValue: 0 }), ...runLengthPacking(runs, options)]));
+  const reader = new GribReader(bytes);
+  reader.parse();
+  return reader;
+}
+
+function expand(runs, values) {
+  return [].concat(...runs.map(([level, length]) => new Array(length).fill(level === 0 ? NaN : values[level - 1])));
+}
+
+test('template 5.200: runs of one to several digits, missing level 0', () => {
+  // 4 bits, MV 3: run length digits 4..15 in base 12
+  const runs = [[1, 1], [2, 12], [0, 5], [3, 13], [1, 200]];
+  const reader = runLengthReader(21, 11, runs, { bits: 4, maxValueUsed: 3, levels: [10, 20, 55], scaleOctet: 1 });
+
+  assert.deepStrictEqual(reader.messages[0].sections.section5.template, {
+    numberOfBits: 4, maxValueUsed: 3, maxLevel: 3, levelScaleFactor: 1, levelValues: [10, 20, 55]
+  });
+  assertClose(reader.getMessageData(0), expand(runs, [1, 2, 5.5]), 1e-6);
+  assert.strictEqual(reader.getSummary()[0].missingPoints, 5);
+  assert.deepStrictEqual(reader.errors, []);
+});
+
+test('template 5.200: negative level scale and more levels than used', () => {
+  // Scale octet 0x81 = -1, levels multiplied by 10; level 3 is defined but unused
+  const runs = [[2, 3], [0, 1], [1, 300], [2, 1], [1, 1], [0, 294]];
+  const reader = runLengthReader(30, 20, runs, { bits: 8, maxValueUsed: 2, levels: [5, 25, 125], scaleOctet: 0x81 });
+
+  assert.strictEqual(reader.messages[0].sections.section5.template.levelScaleFactor, -1);
+  assertClose(reader.getMessageData(0), expand(runs, [50, 250]), 1e-6);
+  assert.strictEqual(reader.getSummary()[0].missingPoints, 295);
+});
+
+test('template 5.200: invalid sequences are decode errors', () => {
+  const decodeError = (runs, options) => {
+    const reader = runLengthReader(3, 2, runs, options);
+    assert.ok(Array.from(reader.getMessageData(0)).every(Number.isNaN));
+    assert.strictEqual(reader.errors[0].code, 'DECODE_ERROR');
+    return reader.errors[0].message;
+  };
+  const options = { bits: 4, maxValueUsed: 3, levels: [10, 20, 55] };
+
+  assert.ok(/run length without level at value 0/.test(decodeError([[1, 6]], { ...options, codes: [8, 1, 4] })));
+  assert.ok(/level 3 exceeds the 2 level values/.test(decodeError([[3, 6]], { ...options, levels: [10, 20] })));
+  assert.ok(/decoded 4 values, expected 6/.test(decodeError([[1, 6]], { ...options, codes: [1, 7] })));
+});
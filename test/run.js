@@ -0,0 +1,26 @@
+/**
+ * Test runner
+ * Usage: node test/run.js [name...]   (e.g. node test/run.js stream idx)
+ *
+ * Runs test/*.test.js on the sources (grib-reader.js, grib-file-reader.js). The GRIB2 data comes
+ * from test/grib-builder.js and the small files of test/fixtures, no external data is needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, setFile } = require('./harness.js');
+
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.test.js'))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort();
+
+files.forEach(file => {
+  setFile(file);
+  require(path.join(__dirname, file));
+});
+
+run().then(failed => {
+  process.exitCode = failed > 0 ? 1 : 0;
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+// Template 4.8 field whose time range starts at the forecast time (reference time 2025-10-13 12:00)
+function statisticalField(category, number, surface, { forecastTime, unit = 1, process, length, rangeUnit = 1, end }, values = [1, 2, 3, 4]) {
+  return grib.message([
+    grib.identification(),
+    grid,
+    grib.product({ category, number, template: 8, forecastTime, unit, surface, surfaceValue: surface === 103 ? 2 : 0, extra: grib.statistics(end, [[process, length, rangeUnit]]) }),
+    grib.simplePacking(values)
+  ]);
+}
+
+const fields = [
+  statisticalField(1, 8, 1, { forecastTime: 0, process: 1, length: 6, end: [2025, 10, 13, 18] }),
+  statisticalField(0, 4, 103, { forecastTime: 6, process: 2, length: 6, end: [2025, 10, 14, 0] }),
+  statisticalField(0, 5, 103, { forecastTime: 6, process: 3, length: 6, end: [2025, 10, 14, 0] }),
+  statisticalField(0, 0, 103, { forecastTime: 3, process: 0, length: 3, end: [2025, 10, 13, 18] }),
+  // 6 hour units (Code Table 4.4 code 11) are printed in hours
+  statisticalField(1, 8, 1, { forecastTime: 2, unit: 11, process: 1, length: 1, rangeUnit: 11, end: [2025, 10, 14, 6] }),
+  // Forecast time in minutes, range in hours: printed in minutes
+  statisticalField(1, 8, 1, { forecastTime: 30, unit: 0, process: 1, length: 1, end: [2025, 10, 13, 13, 30] }),
+  // Range of one day from the reference time: printed in days
+  statisticalField(1, 8, 1, { forecastTime: 0, process: 1, length: 1, rangeUnit: 2, end: [2025, 10, 14, 12] })
+];
+
+function reader() {
+  const instance = new GribReader(grib.file(...fields));
+  instance.parse();
+  return instance;
+}
+
+test('inventory time ranges like wgrib2', () => {
+  const inventory = reader().getInventory();
+  assert.deepStrictEqual(inventory.map(entry => `${entry.parameter}:${entry.level}:${entry.forecastTime}`), [
+    'APCP:surface:0-6 hour acc fcst',
+    'TMAX:2 m above ground:6-12 hour max fcst',
+    'TMIN:2 m above ground:6-12 hour min fcst',
+    'TMP:2 m above ground:3-6 hour ave fcst',
+    'APCP:surface:12-18 hour acc fcst',
+    'APCP:surface:30-90 minute acc fcst',
+    'APCP:surface:0-1 day acc fcst'
+  ]);
+  assert.strictEqual(inventory[0].inventoryLine, '1:0:d=2025101312:APCP:surface:0-6 hour acc fcst:');
+  assert.deepStrictEqual(inventory[1].timeRange, { start: 6, end: 12, unit: 'hour', statisticalProcessing: 2, statistic: 'max', numberOfTimeRanges: 1 });
+
+  // Valid time at the end of the period
+  assert.deepStrictEqual(inventory.map(entry => entry.validDate), ['2025101318', '2025101400', '2025101400', '2025101318', '2025101406', '2025101313', '2025101412']);
+  assert.strictEqual(inventory[1].validTimeStart.toISOString(), '2025-10-13T18:00:00.000Z');
+});
+
+test('getStatisticalTimeRange() of products without statistics', () => {
+  const instance = reader();
+  assert.strictEqual(instance.getStatisticalTimeRange(undefined), null);
+  assert.strictEqual(instance.getStatisticalTimeRange({ templateNumber: 0, forecastTime: 6, indicatorOfUnitOfTimeRange: 1 }), null);
+});
+
+test('time ranges are matchable and reported by getData', () => {
+  const instance = reader();
+  const data = instance.getData({ match: ':APCP:surface:12-18 hour acc fcst:' });
+  assertClose(data.apcp, [1, 2, 3, 4], 1e-6);
+  assert.strictEqual(data.tmax, undefined);
+
+  const levels = instance.getData({ match: ':(TMAX|TMIN):', multiLevel: true }).levels;
+  assert.deepStrictEqual(levels.map(level => [level.parameter, level.timeRange.statistic, level.timeRange.start, level.timeRange.end]), [['tmax', 'max', 6, 12], ['tmin', 'min', 6, 12]]);
+  assert.throws(() => instance.getData({ match: ':APCP:surface:0-12 hour acc fcst:' }), /No messages match pattern/);
+});
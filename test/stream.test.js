@@ -0,0 +1,159 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 4, nj: 2, la1: 50, lo1: 0 });
+const landSea = [1.5, NaN, 3.25, 4, NaN, NaN, 7.75, 8];
+
+function field(category, number, forecastTime, values) {
+  return grib.message([grib.identification(), grid, grib.product({ category, number, forecastTime }), grib.simplePacking(values, { decimalScale: 2 })]);
+}
+
+// Bitmap indicator 254: same missing points as the previous message
+function sameBitmapField(category, number, values) {
+  const [section5, , section7] = grib.simplePacking(values.filter(value => !Number.isNaN(value)), { decimalScale: 2 });
+  return grib.message([grib.identification(), grid, grib.product({ category, number }), section5, grib.section(6, [254]), section7]);
+}
+
+// Bulletin header, padding between messages and trailing bytes
+const bytes = new Uint8Array(grib.file(
+  Array.from(Buffer.from('YTXA98 KWBC 131200\r\r\n')),
+  field(0, 0, 0, landSea),
+  sameBitmapField(0, 2, landSea.map(value => value * 2)),
+  [13, 10, 13, 10],
+  field(1, 1, 6, [10, 20, 30, 40, 50, 60, 70, 80]),
+  Array.from(Buffer.from('\r\nNNNN\r\n'))
+));
+
+function chunks(data, size) {
+  const list = [];
+  for (let i = 0; i < data.length; i += size) list.push(data.slice(i, i + size));
+  return list;
+}
+
+function reference() {
+  const reader = new GribReader(bytes.buffer.slice(0));
+  reader.parse();
+  return reader;
+}
+
+test('messages are the same for any chunk size', () => {
+  const expected = reference();
+  [1, 3, 7, 16, 100, bytes.length].forEach(size => {
+    const seen = [];
+    const parser = GribReader.createStreamParser({ onMessage: message => seen.push(message.index) });
+    const messages = [];
+    chunks(bytes, size).forEach(chunk => messages.push(...parser.push(chunk)));
+    parser.end();
+
+    assert.deepStrictEqual(seen, [0, 1, 2], `chunks of ${size}`);
+    assert.deepStrictEqual(messages.map(message => message.offset), expected.messages.map(message => message.offset), `chunks of ${size}`);
+    messages.forEach((message, i) => assertClose(message.sections.section7.data, expected.getMessageData(i), 0, `message ${i}, chunks of ${size}`));
+    assert.deepStrictEqual(parser.errors, []);
+    assert.deepStrictEqual(parser.warnings.map(warning => [warning.code, warning.offset]), [['SKIPPED_BYTES', 0], ['SKIPPED_BYTES', expected.messages[1].offset + expected.messages[1].totalLength], ['SKIPPED_BYTES', expected.messages[2].offset + expected.messages[2].totalLength]]);
+  });
+});
+
+test('bitmap indicator 254 refers to the previous message of the stream', () => {
+  const parser = GribReader.createStreamParser({ decodeValues: true });
+  const messages = [];
+  chunks(bytes, 5).forEach(chunk => messages.push(...parser.push(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length))));
+  parser.end();
+  assertClose(messages[1].sections.section7.data, landSea.map(value => value * 2), 1e-6);
+});
+
+test('end() reports an incomplete message', () => {
+  const cut = bytes.length - 30;
+  const errors = [];
+  const parser = GribReader.createStreamParser({ onError: error => errors.push(error) });
+  const messages = parser.push(bytes.subarray(0, cut));
+  assert.strictEqual(messages.length, 2);
+  assert.deepStrictEqual(errors, []);
+  parser.end();
+
+  const offset = reference().messages[2].offset;
+  assert.deepStrictEqual(errors.map(error => [error.code, error.offset]), [['TRUNCATED', offset]]);
+  assert.deepStrictEqual(parser.errors, errors);
+  assert.throws(() => parser.push(new Uint8Array(1)), /already ended/);
+
+  const strict = GribReader.createStreamParser({ strict: true });
+  strict.push(new Uint8Array(grib.file(field(0, 0, 0, landSea))).subarray(0, 40));
+  assert.throws(() => strict.end(), error => error instanceof GribReader.GribTruncatedError && error.offset === 0);
+});
+
+test('a message without its end section is skipped', () => {
+  const damaged = new Uint8Array(grib.file(field(0, 0, 0, landSea), field(1, 1, 6, [10, 20, 30, 40, 50, 60, 70, 80])));
+  const firstLength = new DataView(damaged.buffer).getUint32(12);
+  damaged[firstLength - 1] = 0x30; // "7770"
+
+  const parser = GribReader.createStreamParser();
+  const messages = [];
+  chunks(damaged, 9).forEach(chunk => messages.push(...parser.push(chunk)));
+  parser.end();
+  assert.deepStrictEqual(messages.map(message => [message.index, message.offset]), [[0, firstLength]]);
+  assert.strictEqual(parser.errors[0].code, 'MISSING_END_SECTION');
+  assert.strictEqual(parser.errors[0].offset, 0);
+});
+
+test('a damaged total length does not hold back the next messages', () => {
+  const second = field(1, 1, 6, [10, 20, 30, 40, 50, 60, 70, 80]);
+  const damaged = new Uint8Array(grib.file(field(0, 0, 0, landSea), second));
+  const view = new DataView(damaged.buffer);
+  const firstLength = view.getUint32(12);
+  view.setUint32(8, 1); // 4 GiB more than the message holds
+
+  [7, damaged.length].forEach(size => {
+    const parser = GribReader.createStreamParser();
+    const messages = [];
+    chunks(damaged, size).forEach(chunk => messages.push(...parser.push(chunk)));
+    assert.deepStrictEqual(messages.map(message => [message.index, message.offset]), [[0, firstLength]], `chunks of ${size}`);
+    assertClose(messages[0].sections.section7.data, [10, 20, 30, 40, 50, 60, 70, 80], 1e-6);
+    parser.end();
+    assert.deepStrictEqual(parser.errors.map(error => [error.code, error.offset]), [['MISSING_END_SECTION', 0]]);
+    assert.ok(/before the total length 4294967\d+/.test(parser.errors[0].message), parser.errors[0].message);
+    assert.deepStrictEqual(parser.warnings.map(warning => [warning.code, warning.offset]), [['SKIPPED_BYTES', 4]]);
+  });
+});
+
+test('parseStream() reads Node streams and async iterables', async () => {
+  const fromNode = [];
+  for await (const message of GribReader.parseStream(Readable.from(chunks(Buffer.from(bytes), 11)))) {
+    fromNode.push(message.offset);
+  }
+  assert.deepStrictEqual(fromNode, reference().messages.map(message => message.offset));
+
+  async function* generate() {
+    for (const chunk of chunks(bytes, 13)) yield chunk;
+  }
+  const fromIterable = [];
+  for await (const message of GribReader.parseStream(generate())) {
+    fromIterable.push(message.sections.section7.data);
+  }
+  assertClose(fromIterable[2], [10, 20, 30, 40, 50, 60, 70, 80], 1e-6);
+
+  await assert.rejects(GribReader.parseStream({}).next(), /Unsupported stream/);
+});
+
+test('parseStream() reads WHATWG streams and cancels them when stopped early', async () => {
+  if (typeof ReadableStream === 'undefined') return; // Node < 18
+
+  let cancelled = false;
+  const pending = chunks(bytes, 17);
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (pending.length > 0) controller.enqueue(pending.shift());
+      else controller.close();
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  for await (const message of GribReader.parseStream(stream)) {
+    assert.strictEqual(message.index, 0);
+    break;
+  }
+  assert.ok(cancelled);
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+// Uniform field of one parameter at 12 UTC + hour
+function field(category, number, hour, value) {
+  return grib.message([
+    grib.identification(),
+    grid,
+    grib.product({ category, number, forecastTime: hour }),
+    grib.simplePacking([value, value, value, value])
+  ]);
+}
+
+// Hourly TMP, 3-hourly RH, U every hour but V every 3 hours, PRES at the first step only
+function mixedStepsFile() {
+  return grib.file(
+    field(0, 0, 0, 280), field(0, 0, 1, 281), field(0, 0, 2, 282), field(0, 0, 3, 283),
+    field(1, 1, 0, 50), field(1, 1, 3, 80),
+    field(2, 2, 0, 10), field(2, 3, 0, 0),
+    field(2, 2, 1, 5),
+    field(2, 2, 3, 0), field(2, 3, 3, 10),
+    field(3, 0, 0, 101325)
+  );
+}
+
+test('each parameter is interpolated between its own steps', () => {
+  const reader = new GribReader(mixedStepsFile());
+  reader.parse();
+  const data = reader.interpolateTime('202510131320');
+  const { interpolation } = data.metadata;
+
+  // TMP between 13 and 14 UTC, RH between 12 and 15 UTC
+  assertClose(data.tmp[0], 281 + 1 / 3, 1e-4, 'tmp');
+  assertClose(data.rh[0], 50 + 30 * 4 / 9, 1e-4, 'rh');
+  assertClose(interpolation.parameters.tmp.weight, 1 / 3, 1e-9);
+  assert.strictEqual(interpolation.parameters.tmp.before.messageIndex, 1);
+  assert.strictEqual(interpolation.parameters.tmp.after.messageIndex, 2);
+  assertClose(interpolation.parameters.rh.weight, 4 / 9, 1e-9);
+  assert.strictEqual(interpolation.parameters.rh.before.validTime.toISOString(), '2025-10-13T12:00:00.000Z');
+  assert.strictEqual(interpolation.parameters.rh.after.validTime.toISOString(), '2025-10-13T15:00:00.000Z');
+
+  // The steps differ between parameters
+  assert.strictEqual(interpolation.weight, null);
+  assert.strictEqual(interpolation.before.validTime, null);
+  assert.deepStrictEqual(interpolation.before.messageIndices, [1, 4, 6, 7]);
+  assert.deepStrictEqual(interpolation.after.messageIndices, [2, 5, 9, 10]);
+});
+
+test('wind components use the steps where both are present', () => {
+  const reader = new GribReader(mixedStepsFile());
+  reader.parse();
+  const data = reader.interpolateTime('202510131320', { calculateWindSpeed: true });
+
+  // The 13 UTC U message has no V: westerly 10 m/s at 12 UTC turning to southerly 10 m/s at 15 UTC
+  const angle = Math.PI / 2 * 4 / 9;
+  assertClose(data.ugrd[0], 10 * Math.cos(angle), 1e-4, 'ugrd');
+  assertClose(data.vgrd[0], 10 * Math.sin(angle), 1e-4, 'vgrd');
+  assertClose(data.wind_speed[0], 10, 1e-4, 'wind speed');
+  assert.strictEqual(data.metadata.interpolation.parameters.ugrd.before.messageIndex, 6);
+  assert.strictEqual(data.metadata.interpolation.parameters.vgrd.before.messageIndex, 7);
+});
+
+test('parameters without a step on both sides are reported', () => {
+  const reader = new GribReader(mixedStepsFile());
+  reader.parse();
+  const data = reader.interpolateTime('202510131320');
+
+  assert.strictEqual(data.pres, undefined);
+  assert.deepStrictEqual(data.metadata.interpolation.skipped.map(entry => ({ parameter: entry.parameter, validTimes: entry.validTimes.map(time => time.toISOString()) })), [
+    { parameter: 'pres', validTimes: ['2025-10-13T12:00:00.000Z'] }
+  ]);
+});
+
+test('common steps', () => {
+  const reader = new GribReader(mixedStepsFile());
+  reader.parse();
+  const data = reader.interpolateTime('202510131330', { match: ':(TMP|RH):' });
+  const { interpolation } = data.metadata;
+
+  assert.strictEqual(data.metadata.interpolation.parameters.tmp.before.messageIndex, 1);
+  assertClose(data.tmp[0], 281.5, 1e-4);
+  assertClose(data.rh[0], 65, 1e-4);
+  assert.strictEqual(interpolation.weight, null);
+
+  // Same steps for all parameters
+  const tmpOnly = reader.interpolateTime('202510131330', { match: ':TMP:' }).metadata.interpolation;
+  assert.strictEqual(tmpOnly.weight, 0.5);
+  assert.strictEqual(tmpOnly.before.validTime.toISOString(), '2025-10-13T13:00:00.000Z');
+  assert.strictEqual(tmpOnly.after.validTime.toISOString(), '2025-10-13T14:00:00.000Z');
+  assert.deepStrictEqual(tmpOnly.skipped, []);
+});
+
+test('times that no parameter surrounds throw', () => {
+  const reader = new GribReader(mixedStepsFile());
+  reader.parse();
+  assert.throws(() => reader.interpolateTime('202510131600'), /outside the valid times/);
+  assert.throws(() => reader.interpolateTime('202510131330', { match: ':PRES:' }), /outside the valid times/);
+
+  const split = new GribReader(grib.file(field(0, 0, 0, 280), field(1, 1, 3, 80)));
+  split.parse();
+  assert.throws(() => split.interpolateTime('202510131330'), /No selected parameter has valid times on both sides/);
+});
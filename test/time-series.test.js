@@ -0,0 +1,93 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const ni = 4;
+const nj = 3;
+const steps = [0, 6, 12];
+
+// TMP = 10 x latitude + longitude + forecast hour on a 4 x 3 grid (1°, 48-50°N, 0-3°E)
+function temperatureFile(scanningMode) {
+  const northToSouth = !(scanningMode & 0x40);
+  const grid = grib.latLonGrid({ ni, nj, la1: northToSouth ? 50 : 48, lo1: 0, scanningMode });
+  return grib.file(...steps.map(hour => {
+    const values = [];
+    for (let j = 0; j < nj; j++) {
+      const lat = northToSouth ? 50 - j : 48 + j;
+      for (let i = 0; i < ni; i++) values.push(lat * 10 + i + hour);
+    }
+    return grib.message([grib.identification(), grid, grib.product({ category: 0, number: 0, forecastTime: hour }), grib.simplePacking(values)]);
+  }));
+}
+
+test('bilinear time series on a north to south grid', () => {
+  const reader = new GribReader(temperatureFile(0));
+  reader.parse();
+  const result = reader.getTimeSeries(49.25, 1.5, { method: 'bilinear' });
+
+  // Corners (50°N, 1°E) 501, (50°N, 2°E) 502, (49°N, 1°E) 491, (49°N, 2°E) 492 at +0 h:
+  // 501.5 on the 50°N row, 491.5 on the 49°N row, 491.5 + 0.25 x 10 = 494
+  assert.strictEqual(result.series.length, 1);
+  assert.strictEqual(result.gridPoint, null);
+  assertClose(result.series[0].values, [494, 500, 506], 1e-4);
+  assert.deepStrictEqual(result.series[0].times.map(time => time.toISOString()),
+    ['2025-10-13T12:00:00.000Z', '2025-10-13T18:00:00.000Z', '2025-10-14T00:00:00.000Z']);
+});
+
+test('bilinear time series on a south to north grid', () => {
+  const reader = new GribReader(temperatureFile(0x40));
+  reader.parse();
+  const result = reader.getTimeSeries(49.25, 1.5, { method: 'bilinear' });
+  assertClose(result.series[0].values, [494, 500, 506], 1e-4);
+});
+
+test('nearest time series', () => {
+  const reader = new GribReader(temperatureFile(0));
+  reader.parse();
+  const result = reader.getTimeSeries(48.8, 2.4, { parameters: ['tmp'] });
+  assert.strictEqual(result.method, 'nearest');
+  assert.deepStrictEqual(result.gridPoint, { index: 6, lat: 49, lng: 2 });
+  assertClose(result.series[0].values, [492, 498, 504], 1e-4);
+  assert.deepStrictEqual(result.series[0].messageIndices, [0, 1, 2]);
+});
+
+test('bilinear regridding of a north to south grid', () => {
+  const reader = new GribReader(temperatureFile(0));
+  reader.parse();
+  const data = reader.getData({ messageIndex: 0 });
+  const regridded = reader.regridBilinear(data, { latMin: 48.5, latMax: 49.5, lngMin: 0.5, lngMax: 2.5, latStep: 0.5, lngStep: 1 }, ['tmp']);
+
+  assert.strictEqual(regridded.numPoints, 9);
+  const expected = Array.from(regridded.lat, (lat, i) => lat * 10 + regridded.lng[i]);
+  assertClose(regridded.tmp, expected, 1e-4);
+  assertClose(regridded.tmp[0], 485.5, 1e-4);
+});
+
+test('wind rotation follows the grid of each U/V pair', () => {
+  // 3 x 2 Lambert grid at the south-west corner of HRRR: rotation by -15.70° at the first point
+  const lambert = flags => grib.lambertGrid({ ni: 3, nj: 2, la1: 21.138123, lo1: 237.280472, lad: 38.5, lov: 262.5, dx: 3000, dy: 3000, latin1: 38.5, latin2: 38.5, flags });
+  const field = (flags, number, hour, values) => grib.message([grib.identification(), lambert(flags), grib.product({ category: number === 0 ? 0 : 2, number, forecastTime: hour, surfaceValue: 10 }), grib.simplePacking(values, { decimalScale: 2 })]);
+  const winds = flags => [0, 6].map(hour => [
+    field(flags, 2, hour, [hour, 1, 2, 3, 4, 5]),
+    field(flags, 3, hour, [10 + hour, 11, 12, 13, 14, 15])
+  ]).reduce((all, pair) => all.concat(pair), []);
+  const angle = -Math.sin(38.5 * Math.PI / 180) * 25.219528 * Math.PI / 180;
+  const series = (...messages) => {
+    const reader = new GribReader(grib.file(...messages));
+    reader.parse();
+    const result = reader.getTimeSeries(21.138123, 237.280472, { match: ':(UGRD|VGRD):' });
+    assert.strictEqual(result.gridPoint.index, 0);
+    return result.series.map(s => s.values);
+  };
+
+  // Earth-relative first message, grid-relative winds: rotated
+  const [u, v] = series(field(0, 0, 0, [280, 281, 282, 283, 284, 285]), ...winds(8));
+  assertClose(u, [0, 6].map(hour => Math.cos(angle) * hour + Math.sin(angle) * (10 + hour)), 1e-4, 'rotated u');
+  assertClose(v, [0, 6].map(hour => -Math.sin(angle) * hour + Math.cos(angle) * (10 + hour)), 1e-4, 'rotated v');
+
+  // Grid-relative first message, earth-relative winds: unchanged
+  const [u2, v2] = series(field(8, 0, 0, [280, 281, 282, 283, 284, 285]), ...winds(0));
+  assertClose(u2, [0, 6], 1e-6, 'u');
+  assertClose(v2, [10, 16], 1e-6, 'v');
+});
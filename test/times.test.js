@@ -0,0 +1,99 @@
+const assert = require('assert');
+const GribReader = require('../grib-reader.js');
+const grib = require('./grib-builder.js');
+const { test, assertClose } = require('./harness.js');
+
+const grid = grib.latLonGrid({ ni: 2, nj: 2, la1: 50, lo1: 0 });
+
+function field(date, productOptions, identificationOptions = {}, values = [1, 2, 3, 4]) {
+  return grib.message([
+    grib.identification(Object.assign({ date }, identificationOptions)),
+    grid,
+    grib.product(Object.assign({ category: 0, number: 0 }, productOptions)),
+    grib.simplePacking(values)
+  ]);
+}
+
+// Forecast time, Code Table 4.4 unit, valid time and inventory forecast time from 2025-01-31 12:00
+const cases = [
+  [90, 0, '2025-01-31T13:30:00Z', '90 minute fcst'],
+  [36, 1, '2025-02-02T00:00:00Z', '36 hour fcst'],
+  [2, 2, '2025-02-02T12:00:00Z', '2 day fcst'],
+  [1, 3, '2025-02-28T12:00:00Z', '1 month fcst'],
+  [13, 3, '2026-02-28T12:00:00Z', '13 month fcst'],
+  [1, 4, '2026-01-31T12:00:00Z', '1 year fcst'],
+  [1, 5, '2035-01-31T12:00:00Z', '1 decade fcst'],
+  [1, 6, '2055-01-31T12:00:00Z', '1 normal (30 years) fcst'],
+  [1, 7, '2125-01-31T12:00:00Z', '1 century fcst'],
+  [2, 10, '2025-01-31T18:00:00Z', '6 hour fcst'],
+  [3, 11, '2025-02-01T06:00:00Z', '18 hour fcst'],
+  [1, 12, '2025-02-01T00:00:00Z', '12 hour fcst'],
+  [45, 13, '2025-01-31T12:00:45Z', '45 second fcst'],
+  [-6, 1, '2025-01-31T06:00:00Z', '-6 hour fcst']
+];
+
+test('valid times across the units of Code Table 4.4', () => {
+  const reader = new GribReader(grib.file(...cases.map(([forecastTime, unit]) => field([2025, 1, 31, 12], { forecastTime, unit }))));
+  reader.parse();
+
+  const inventory = reader.getInventory();
+  cases.forEach(([forecastTime, unit, valid, description], i) => {
+    const times = reader.getMessageTimes(i);
+    assert.strictEqual(times.referenceTime.toISOString(), '2025-01-31T12:00:00.000Z');
+    assert.deepStrictEqual([times.forecastTime, times.indicatorOfUnitOfTimeRange], [forecastTime, unit]);
+    assert.strictEqual(times.validTimeStart.toISOString(), valid.replace('Z', '.000Z'), `${forecastTime} unit ${unit}`);
+    assert.strictEqual(times.validTimeEnd, times.validTimeStart);
+    assert.strictEqual(inventory[i].forecastTime, description);
+  });
+  assert.deepStrictEqual([reader.getMessageTimes(3).forecastTimeUnit, reader.getMessageTimes(9).forecastTimeUnit], ['month', '3 hour']);
+});
+
+test('calendar units in leap years and unknown units', () => {
+  const reader = new GribReader(grib.file(
+    field([2024, 1, 31, 0], { forecastTime: 1, unit: 3 }),
+    field([2024, 2, 29, 0], { forecastTime: 1, unit: 4 }),
+    field([2024, 2, 29, 0], { forecastTime: 4, unit: 4 }),
+    field([2024, 1, 1, 0], { forecastTime: 6, unit: 255 })
+  ));
+  reader.parse();
+
+  assert.deepStrictEqual([0, 1, 2].map(i => reader.getMessageTimes(i).validTimeStart.toISOString().slice(0, 10)), ['2024-02-29', '2025-02-28', '2028-02-29']);
+  const unknown = reader.getMessageTimes(3);
+  assert.deepStrictEqual([unknown.forecastTimeUnit, unknown.validTimeStart, unknown.validTimeEnd], ['unit 255', null, null]);
+  assert.strictEqual(reader.getInventory()[3].validDate, null);
+});
+
+test('reference time significance, analyses and periods', () => {
+  const reader = new GribReader(grib.file(
+    field([2025, 10, 13, 0], { forecastTime: 0 }, { significance: 0 }),
+    field([2025, 10, 13, 0], { category: 1, number: 8, template: 8, forecastTime: 18, surface: 1, surfaceValue: 0, extra: grib.statistics([2025, 10, 14, 0], [[1, 6]]) })
+  ));
+  reader.parse();
+
+  const analysis = reader.getMessageTimes(0);
+  assert.deepStrictEqual([analysis.significanceOfReferenceTime, analysis.significance], [0, 'analysis']);
+  assert.strictEqual(reader.getMessageTimes(1).significance, 'start of forecast');
+
+  // Accumulation from +18 h to the end of the overall time interval
+  const period = reader.getMessageTimes(1);
+  assert.deepStrictEqual([period.validTimeStart.toISOString(), period.validTimeEnd.toISOString()], ['2025-10-13T18:00:00.000Z', '2025-10-14T00:00:00.000Z']);
+
+  const inventory = reader.getInventory({ validTime: true });
+  assert.deepStrictEqual(inventory.map(entry => entry.inventoryLine.split(':').slice(2).join(':')), [
+    'd=2025101300:TMP:2 m above ground:anl:vt=2025101300:',
+    'd=2025101300:APCP:surface:18-24 hour acc fcst:vt=2025101400:'
+  ]);
+});
+
+test('selecting messages by valid time', () => {
+  const reader = new GribReader(grib.file(...[0, 6, 12].map(hour => field([2025, 10, 13, 12], { forecastTime: hour }, {}, [hour, hour + 1, hour + 2, hour + 3]))));
+  reader.parse();
+
+  assertClose(reader.getData({ validTime: '2025101318' }).tmp, [6, 7, 8, 9], 0);
+  assertClose(reader.getData({ validTime: new Date(Date.UTC(2025, 9, 13, 18)) }).tmp, [6, 7, 8, 9], 0);
+  assert.deepStrictEqual(reader.getData({ match: ':vt=2025101400:', multiLevel: true }).levels.map(level => level.messageIndex), [2]);
+  assert.deepStrictEqual(reader.getData({ validTime: Date.UTC(2025, 9, 13, 12), multiLevel: true }).levels.map(level => level.messageIndex), [0]);
+
+  assert.throws(() => reader.getData({ validTime: '2025-10-13' }), /Invalid time: 2025-10-13/);
+  assert.strictEqual(reader.formatTime(new Date(Date.UTC(2025, 9, 13, 18, 30, 15)), true), '20251013183015');
+});
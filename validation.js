@@ -6,7 +6,7 @@
 
 const fs = require('fs');
 const { execSync } = require('child_process');
-const GribReader = require('./grib-reader.js');
+const GribFileReader = require('./grib-file-reader.js');
 
 // Codes couleur pour le terminal
 const colors = {
@@ -62,11 +62,21 @@ console.log('='.repeat(80) + '\n');
 console.log(`Fichier testé : ${colors.cyan}${GRIB_FILE}${colors.reset}`);
 console.log(`Tolérance : ${TOLERANCE} m/s\n`);
 
-// Parser le fichier GRIB
-const buffer = fs.readFileSync(GRIB_FILE);
-const reader = new GribReader(buffer.buffer);
+// Parser le fichier GRIB (lectures positionnées, le fichier n'est pas chargé en mémoire)
+const reader = new GribFileReader(GRIB_FILE);
 reader.parse();
 
+// Les tests 1, 2, 4 et 5 portent sur le vent à 10 m (UGRD/VGRD)
+const inventory = reader.getInventory();
+const hasWind = ['UGRD', 'VGRD'].every(parameter => inventory.some(entry => entry.parameter === parameter));
+
+function skipWithoutWind(name) {
+  if (hasWind) return false;
+  console.log(`${colors.yellow}⚠ Pas de UGRD/VGRD dans le fichier - test ignoré${colors.reset}\n`);
+  testResults.push({ name, passed: null, skipped: true });
+  return true;
+}
+
 const s3 = reader.messages[0].sections.section3;
 const scanningMode = s3.gridTemplate.scanningMode;
 const ni = s3.gridTemplate.ni;
@@ -135,6 +145,8 @@ function test1_ValidationWgrib2() {
   console.log(`${colors.bright}${colors.magenta}TEST 1: Validation UGRD/VGRD vs wgrib2${colors.reset}`);
   console.log('='.repeat(80) + '\n');
 
+  if (skipWithoutWind('Validation wgrib2')) return;
+
   if (!dockerAvailable) {
     console.log(`${colors.yellow}⚠ Docker non disponible - test ignoré${colors.reset}\n`);
     testResults.push({ name: 'Validation wgrib2', passed: null, skipped: true });
@@ -225,6 +237,8 @@ function test2_PatternMatching() {
   console.log(`${colors.bright}${colors.magenta}TEST 2: Pattern Matching (option match)${colors.reset}`);
   console.log('='.repeat(80) + '\n');
 
+  if (skipWithoutWind('Pattern matching')) return;
+
   let allPassed = true;
 
   try {
@@ -451,6 +465,8 @@ function test4_WindSpeed() {
   console.log(`${colors.bright}${colors.magenta}TEST 4: Calcul de wind_speed${colors.reset}`);
   console.log('='.repeat(80) + '\n');
 
+  if (skipWithoutWind('Calcul wind_speed')) return;
+
   let allPassed = true;
 
   try {
@@ -514,6 +530,8 @@ function test5_WindDirection() {
   console.log(`${colors.bright}${colors.magenta}TEST 5: Calcul de wind_direction${colors.reset}`);
   console.log('='.repeat(80) + '\n');
 
+  if (skipWithoutWind('Calcul wind_direction')) return;
+
   let allPassed = true;
 
   try {
@@ -647,6 +665,83 @@ function test7_GetInventory() {
   }
 }
 
+// ============================================================================
+// TEST 8: DÉCODAGE DE TOUS LES MESSAGES vs WGRIB2
+// ============================================================================
+
+function test8_AllMessagesWgrib2() {
+  console.log('='.repeat(80));
+  console.log(`${colors.bright}${colors.magenta}TEST 8: Décodage de tous les messages vs wgrib2${colors.reset}`);
+  console.log('='.repeat(80) + '\n');
+
+  if (!dockerAvailable) {
+    console.log(`${colors.yellow}⚠ Docker non disponible - test ignoré${colors.reset}\n`);
+    testResults.push({ name: 'Décodage tous messages', passed: null, skipped: true });
+    return;
+  }
+
+  let allPassed = true;
+  const refFile = 'ref_message.txt';
+
+  try {
+    reader.messages.forEach((message, index) => {
+      const recordNumber = index + 1;
+      const section5 = message.sections.section5;
+      const data = reader.getMessageData(index);
+      const packing = section5 ? `5.${section5.dataRepresentationTemplateNumber}` : '?';
+
+      if (!data) {
+        console.log(`  ${colors.yellow}⊘ Message ${recordNumber} (template ${packing}) non décodé${colors.reset}`);
+        allPassed = false;
+        return;
+      }
+
+      const cmd = `docker run --rm -v "${process.cwd()}:/data" 28mm/wgrib2 /data/${GRIB_FILE} -d ${recordNumber} -text /data/${refFile}`;
+      execSync(cmd, { stdio: 'pipe' });
+
+      const lines = fs.readFileSync(refFile, 'utf-8').trim().split('\n');
+      let values = lines.slice(1).map(line => parseFloat(line));
+      const gridTemplate = message.sections.section3.gridTemplate;
+      if (gridTemplate && gridTemplate.scanningMode !== undefined) {
+        values = reorderWgrib2Data(values, gridTemplate.ni, gridTemplate.nj, gridTemplate.scanningMode);
+      }
+
+      // wgrib2 écrit les points manquants avec la valeur 9.999e20
+      let matches = 0;
+      let maxDiff = 0;
+      for (let i = 0; i < values.length; i++) {
+        const expectedMissing = values[i] >= 9.999e20;
+        const actualMissing = reader.isMissing(data[i]);
+        if (expectedMissing || actualMissing) {
+          if (expectedMissing === actualMissing) matches++;
+          continue;
+        }
+        const diff = Math.abs(data[i] - values[i]);
+        const tolerance = Math.max(TOLERANCE, Math.abs(values[i]) * 1e-5);
+        if (diff > maxDiff) maxDiff = diff;
+        if (diff <= tolerance) matches++;
+      }
+
+      const matchPercent = (matches / values.length * 100).toFixed(2);
+      const passed = matchPercent >= 99.9;
+      if (!passed) allPassed = false;
+
+      console.log(`  ${passed ? colors.green + '✓' : colors.red + '✗'} Message ${recordNumber} (template ${packing}) : ${matches}/${values.length} (${matchPercent}%), diff max ${maxDiff.toFixed(6)}${colors.reset}`);
+    });
+    console.log();
+
+    testResults.push({ name: 'Décodage tous messages', passed: allPassed });
+
+  } catch (error) {
+    console.log(`${colors.red}✗ Erreur: ${error.message}${colors.reset}\n`);
+    testResults.push({ name: 'Décodage tous messages', passed: false });
+  } finally {
+    try {
+      if (fs.existsSync(refFile)) fs.unlinkSync(refFile);
+    } catch (e) {}
+  }
+}
+
 // ============================================================================
 // EXÉCUTION DES TESTS
 // ============================================================================
@@ -658,6 +753,7 @@ test4_WindSpeed();
 test5_WindDirection();
 test6_GetGrid();
 test7_GetInventory();
+test8_AllMessagesWgrib2();
 
 // ============================================================================
 // RÉSUMÉ FINAL